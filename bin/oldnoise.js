@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/**
+ * Command line renderer for OldNoise presets
+ * Renders the flat view of a preset (as exported by the preset panel, or a
+ * built-in preset name) on the CPU and writes the same formats as the export
+ * panel: 8-bit color PNG, 16-bit grayscale heightmap PNG or raw Float32 + JSON.
+ * Batch mode renders one image per seed and/or per step of a parameter sweep.
+ *
+ *   oldnoise render preset.json --size 2048 --out terrain.png
+ *   oldnoise render warp --format heightmap --seeds 1-8
+ *   oldnoise render preset.json --sweep persistence=0.3:0.7:5
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { CpuField } from '../src/cpu/field.js';
+import { DEFAULT_VALUES } from '../src/controls.js';
+import { BUILT_IN_PRESETS, migratePreset, validatePreset } from '../src/presets.js';
+import { encodePNG } from '../src/export/png.js';
+import { exportName } from '../src/export/download.js';
+
+const USAGE = `Usage: oldnoise render <preset.json | ${Object.keys(BUILT_IN_PRESETS).join(' | ')}> [options]
+
+Options:
+  --size <n>             Width and height in pixels (default 512)
+  --width <n>            Width in pixels (overrides --size)
+  --height <n>           Height in pixels (overrides --size)
+  --format <format>      png (8-bit color), heightmap (16-bit gray) or float32 (default png)
+  --out <file>           Output file (default oldnoise-<type>-<seed>-<width>x<height>.<ext>)
+  --time <seconds>       Animation time to render (default 0)
+  --loop <seconds>       Render in loop mode with this loop length (0 for linear time),
+                         overriding the preset's time mode
+  --offset <x,y>         Pan in noise units (default 0,0)
+  --zoom <z>             Zoom factor (default 1)
+  --seed <n>             Seed, overriding the preset's
+  --seeds <list>         Batch over seeds: a range (1-8) or a list (1,5,9)
+  --sweep <name=a:b:n>   Batch over n evenly spaced values of a numeric control
+  -h, --help             Show this help`;
+
+// Output formats: file suffix and whether they need the colors
+const FORMATS = {
+  png: { suffix: '.png', raw: false },
+  heightmap: { suffix: '-height16.png', raw: true },
+  float32: { suffix: '.f32', raw: true }
+};
+
+/**
+ * Load a preset file or a built-in preset
+ * @param {string} source - Path to a JSON preset or a built-in preset key
+ * @returns {Promise<Object>} Preset, upgraded to the current schema
+ */
+async function loadPreset(source) {
+  if (Object.hasOwn(BUILT_IN_PRESETS, source) && !source.endsWith('.json')) {
+    return BUILT_IN_PRESETS[source];
+  }
+
+  let preset;
+  try {
+    preset = JSON.parse(await readFile(source, 'utf8'));
+  } catch (error) {
+    throw new Error(error.code === 'ENOENT' ? `${source} not found` : `${source} is not valid JSON`);
+  }
+
+  return validatePreset(migratePreset(preset));
+}
+
+/**
+ * Control values of a preset on top of the defaults, as the panel applies it
+ * Unknown controls and values of the wrong type are skipped with a warning
+ * @param {Object} preset - Preset
+ * @returns {Object} Complete control values
+ */
+function presetValues(preset) {
+  const values = structuredClone(DEFAULT_VALUES);
+
+  Object.entries(preset.values).forEach(([control, value]) => {
+    if (!Object.hasOwn(DEFAULT_VALUES, control)) {
+      console.warn(`Ignoring unknown control "${control}"`);
+      return;
+    }
+    if (Array.isArray(DEFAULT_VALUES[control]) !== Array.isArray(value) || typeof value !== typeof DEFAULT_VALUES[control]) {
+      console.warn(`Ignoring ${control}: expected ${typeof DEFAULT_VALUES[control]}, got ${JSON.stringify(value)}`);
+      return;
+    }
+    values[control] = value;
+  });
+
+  return values;
+}
+
+/**
+ * Parse a whole number option
+ * @param {string} name - Option name, for the error message
+ * @param {string} text - Option value
+ * @returns {number} Integer
+ */
+function parseInteger(name, text) {
+  const value = Number(text);
+  if (!Number.isInteger(value)) {
+    throw new Error(`--${name} expects a whole number, got "${text}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse a number option
+ * @param {string} name - Option name, for the error message
+ * @param {string} text - Option value
+ * @returns {number} Number
+ */
+function parseNumber(name, text) {
+  const value = Number(text);
+  if (text.trim() === '' || !Number.isFinite(value)) {
+    throw new Error(`--${name} expects a number, got "${text}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse the --seeds list
+ * @param {string} text - A range (1-8) or a comma-separated list (1,5,9)
+ * @returns {Array<number>} Seeds
+ */
+function parseSeeds(text) {
+  const range = /^(-?\d+)-(-?\d+)$/.exec(text);
+  if (range) {
+    const [from, to] = [Number(range[1]), Number(range[2])];
+    if (to < from) {
+      throw new Error(`--seeds range ${text} is empty`);
+    }
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  }
+
+  return text.split(',').map(seed => parseInteger('seeds', seed));
+}
+
+/**
+ * Parse the --sweep option
+ * @param {string} text - name=from:to:steps
+ * @returns {Object} { control, steps } - control name and its values
+ */
+function parseSweep(text) {
+  const match = /^(\w+)=([^:]+):([^:]+):(\d+)$/.exec(text);
+  if (!match) {
+    throw new Error(`--sweep expects name=from:to:steps, got "${text}"`);
+  }
+
+  const [, control, fromText, toText, countText] = match;
+  if (typeof DEFAULT_VALUES[control] !== 'number') {
+    throw new Error(`--sweep needs a numeric control, "${control}" is not one`);
+  }
+
+  const from = parseNumber('sweep', fromText);
+  const to = parseNumber('sweep', toText);
+  const count = Math.max(Number(countText), 1);
+
+  return {
+    control,
+    steps: Array.from({ length: count }, (_, i) => (count > 1 ? from + (to - from) * i / (count - 1) : from))
+  };
+}
+
+/**
+ * Output path of one image of a batch
+ * @param {string|undefined} out - --out option
+ * @param {string} format - Output format
+ * @param {Object} job - { type, values, labels }; labels.seed and labels.sweep
+ *   (e.g. 'seed3', 'persistence0.5') are set for the batch dimensions in use
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string} File path
+ */
+function outputPath(out, format, { type, values, labels }, width, height) {
+  const { suffix } = FORMATS[format];
+
+  if (!out) {
+    // The seed is part of the default name already, so only a sweep step is appended
+    const sweep = labels.sweep ? `-${labels.sweep}` : '';
+    return `${exportName(type, values.seed, width, height)}${sweep}${suffix}`;
+  }
+
+  // Batch images go next to each other: terrain.png -> terrain-seed3.png
+  const label = [labels.seed, labels.sweep].filter(Boolean).map(part => `-${part}`).join('');
+  const extension = path.extname(out);
+  return `${out.slice(0, out.length - extension.length)}${label}${extension || suffix}`;
+}
+
+/**
+ * Encode raw noise values as 16-bit gray samples (0.0 - 1.0 mapped to 0 - 65535), like the export panel
+ * @param {Float32Array} values - Raw noise values
+ * @returns {Uint16Array} Samples
+ */
+function heightmapSamples(values) {
+  return Uint16Array.from(values, value => Math.round(Math.min(Math.max(value, 0), 1) * 65535));
+}
+
+/**
+ * Sidecar metadata for a Float32 dump, in the export panel's layout
+ * @param {Float32Array} values - Raw noise values
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} view - Framing ({ time, offset, zoom })
+ * @param {Object} params - Control values
+ * @returns {Object} JSON-serializable description
+ */
+function describeFloatData(values, width, height, view, params) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  values.forEach(value => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    sum += value;
+  });
+
+  return {
+    format: 'float32',
+    byteOrder: 'little-endian',
+    width,
+    height,
+    layout: 'row-major, top row first, one value per pixel',
+    value: 'noise value before coloring (nominally 0.0 - 1.0, not clamped)',
+    range: { min, max, mean: sum / values.length },
+    time: view.time,
+    loopDuration: params.timeMode === 'loop' ? params.loopDuration : 0,
+    view: { offset: view.offset, zoom: view.zoom },
+    renderMode: 'flat',
+    params,
+    graph: null
+  };
+}
+
+/**
+ * Render one image and write it
+ * @param {Object} job - { type, values, features, labels }
+ * @param {Object} options - Parsed size, format, view and output options
+ * @returns {Promise<string>} Written file path
+ */
+async function renderJob(job, { width, height, format, view, out }) {
+  const { values, features } = job;
+  const file = outputPath(out, format, job, width, height);
+  const { values: field, rgb } = new CpuField(values, features).render(width, height, {
+    ...view,
+    raw: FORMATS[format].raw
+  });
+
+  if (format === 'png') {
+    await writeFile(file, await encodePNG({ width, height, channels: 3, bitDepth: 8, data: rgb }));
+  } else if (format === 'heightmap') {
+    await writeFile(file, await encodePNG({ width, height, channels: 1, bitDepth: 16, data: heightmapSamples(field) }));
+  } else {
+    // Float32Array bytes are little-endian on every platform Node runs on
+    await writeFile(file, new Uint8Array(field.buffer));
+    const sidecar = `${file.replace(/\.f32$/, '')}.json`;
+    await writeFile(sidecar, JSON.stringify(describeFloatData(field, width, height, view, values), null, 2));
+  }
+
+  return file;
+}
+
+/**
+ * The render command
+ * @param {Array<string>} args - Arguments after "render"
+ */
+async function render(args) {
+  const { values: options, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      size: { type: 'string', default: '512' },
+      width: { type: 'string' },
+      height: { type: 'string' },
+      format: { type: 'string', default: 'png' },
+      out: { type: 'string' },
+      time: { type: 'string', default: '0' },
+      loop: { type: 'string' },
+      offset: { type: 'string', default: '0,0' },
+      zoom: { type: 'string', default: '1' },
+      seed: { type: 'string' },
+      seeds: { type: 'string' },
+      sweep: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (options.help || positionals.length !== 1) {
+    console.log(USAGE);
+    if (!options.help) process.exitCode = 1;
+    return;
+  }
+
+  if (!(options.format in FORMATS)) {
+    throw new Error(`Unknown format "${options.format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const size = parseInteger('size', options.size);
+  const width = options.width ? parseInteger('width', options.width) : size;
+  const height = options.height ? parseInteger('height', options.height) : size;
+  if (!(width >= 1 && height >= 1)) {
+    throw new Error('The image size must be at least 1 pixel');
+  }
+
+  const offset = options.offset.split(',').map(value => parseNumber('offset', value));
+  if (offset.length !== 2) {
+    throw new Error(`--offset expects x,y, got "${options.offset}"`);
+  }
+  const view = { time: parseNumber('time', options.time), offset, zoom: parseNumber('zoom', options.zoom) };
+  if (!(view.zoom > 0)) {
+    throw new Error('--zoom must be greater than 0');
+  }
+
+  const preset = await loadPreset(positionals[0]);
+  const base = presetValues(preset);
+  const features = preset.features || BUILT_IN_PRESETS.base.features;
+  const type = preset.noiseType || 'custom';
+  if (options.seed !== undefined) {
+    base.seed = parseInteger('seed', options.seed);
+  }
+  if (options.loop !== undefined) {
+    const loopDuration = parseNumber('loop', options.loop);
+    if (loopDuration < 0) {
+      throw new Error('--loop must not be negative');
+    }
+    base.timeMode = loopDuration > 0 ? 'loop' : 'linear';
+    base.loopDuration = loopDuration > 0 ? loopDuration : base.loopDuration;
+  }
+
+  // One job per seed and sweep step
+  const seeds = options.seeds ? parseSeeds(options.seeds) : [null];
+  const sweep = options.sweep ? parseSweep(options.sweep) : null;
+  const jobs = [];
+  seeds.forEach(seed => {
+    (sweep ? sweep.steps : [null]).forEach(step => {
+      const values = { ...base };
+      const labels = {};
+      if (seed !== null) {
+        values.seed = seed;
+        labels.seed = `seed${seed}`;
+      }
+      if (sweep) {
+        values[sweep.control] = step;
+        labels.sweep = `${sweep.control}${Number(step.toFixed(4))}`;
+      }
+      jobs.push({ type, values, features, labels });
+    });
+  });
+
+  for (const [i, job] of jobs.entries()) {
+    const started = Date.now();
+    const file = await renderJob(job, { width, height, format: options.format, view, out: options.out });
+    console.log(`[${i + 1}/${jobs.length}] ${file} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+  }
+}
+
+/**
+ * Entry point: dispatch the command
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'render') {
+    await render(args);
+  } else {
+    console.log(USAGE);
+    // Only an explicit request for help succeeds; a missing or unknown command is an error
+    process.exitCode = command === '-h' || command === '--help' ? 0 : 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`oldnoise: ${error.message}`);
+  process.exitCode = 1;
+});
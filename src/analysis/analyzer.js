@@ -0,0 +1,283 @@
+/**
+ * Analysis module for WebGL Noise Visualization
+ * Reads back the raw noise values of the current view (through the exporter's
+ * float render target) and shows a histogram, range and statistics, so it is
+ * visible whether the output clips or leaves part of the gradient unused.
+ * Auto-normalize feeds the measured range back into the output remap
+ * (valueMin / valueMax, see remapValue() in lib/field.glsl).
+ */
+
+// Longer side of the readback in pixels; the shorter follows the canvas aspect
+const ANALYSIS_SIZE = 256;
+
+// Minimum time between two readbacks, in milliseconds
+const ANALYSIS_INTERVAL = 250;
+
+// Histogram span: the displayed 0.0 - 1.0 range plus a margin on each side, so
+// clipped values show up as bars outside the marked range
+const HISTOGRAM_MIN = -0.25;
+const HISTOGRAM_MAX = 1.25;
+const HISTOGRAM_BINS = 96;
+
+// Smallest range change auto-normalize applies, so measurement noise does not
+// rewrite the remap (and the permalink) on every readback
+const NORMALIZE_TOLERANCE = 1e-3;
+
+/**
+ * Compute the range, moments and histogram of a set of values
+ * Non-finite values (e.g. NaN from a degenerate sample) are skipped
+ * @param {Float32Array} values - Values to analyze
+ * @param {number} bins - Number of histogram bins over HISTOGRAM_MIN - HISTOGRAM_MAX
+ * @returns {Object} { count, min, max, mean, stddev, below, above, histogram }, where
+ *   below / above count the values under 0.0 and over 1.0 (clipped by the gradient)
+ */
+export function computeStatistics(values, bins = HISTOGRAM_BINS) {
+  const histogram = new Uint32Array(bins);
+  const binScale = bins / (HISTOGRAM_MAX - HISTOGRAM_MIN);
+  let count = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let sumSquares = 0;
+  let below = 0;
+  let above = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (!Number.isFinite(value)) continue;
+
+    count++;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    sum += value;
+    sumSquares += value * value;
+    if (value < 0) below++;
+    if (value > 1) above++;
+
+    // Values beyond the histogram span pile up in the edge bins
+    const bin = Math.floor((value - HISTOGRAM_MIN) * binScale);
+    histogram[Math.min(Math.max(bin, 0), bins - 1)]++;
+  }
+
+  const mean = count > 0 ? sum / count : 0;
+  const variance = count > 0 ? Math.max(sumSquares / count - mean * mean, 0) : 0;
+
+  return { count, min, max, mean, stddev: Math.sqrt(variance), below, above, histogram };
+}
+
+export class NoiseAnalyzer {
+  /**
+   * Initialize the analysis panel
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements used by the panel
+   * @param {HTMLInputElement} elements.enabled - Checkbox turning the live analysis on
+   * @param {HTMLInputElement} elements.autoNormalize - Checkbox feeding the measured range into the remap
+   * @param {HTMLButtonElement} elements.resetRange - Restores the 0.0 - 1.0 remap
+   * @param {HTMLCanvasElement} elements.histogram - Histogram plot
+   * @param {HTMLElement} elements.stats - Range and statistics readout
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.elements = elements;
+
+    this.enabled = elements.enabled ? elements.enabled.checked : false;
+    this.autoNormalize = elements.autoNormalize ? elements.autoNormalize.checked : false;
+
+    // Whether the parameters changed since the last readback
+    this.dirty = true;
+    this.lastTimestamp = -Infinity;
+    this.statistics = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up the checkboxes and the reset button
+   */
+  setupEventListeners() {
+    const { enabled, autoNormalize, resetRange } = this.elements;
+
+    if (enabled) {
+      enabled.addEventListener('change', () => {
+        this.enabled = enabled.checked;
+        this.scheduleUpdate();
+      });
+    }
+
+    if (autoNormalize) {
+      autoNormalize.addEventListener('change', () => {
+        this.autoNormalize = autoNormalize.checked;
+        this.scheduleUpdate();
+      });
+    }
+
+    if (resetRange) {
+      resetRange.addEventListener('click', () => {
+        this.setAutoNormalize(false);
+        this.app.controls.setValues({ valueMin: 0.0, valueMax: 1.0 });
+      });
+    }
+  }
+
+  /**
+   * Turn auto-normalize on or off and update its checkbox
+   * @param {boolean} autoNormalize - Whether to feed the measured range into the remap
+   */
+  setAutoNormalize(autoNormalize) {
+    this.autoNormalize = autoNormalize;
+    if (this.elements.autoNormalize) {
+      this.elements.autoNormalize.checked = autoNormalize;
+    }
+  }
+
+  /**
+   * Mark the output as changed; the next tick() measures it again
+   */
+  scheduleUpdate() {
+    this.dirty = true;
+  }
+
+  /**
+   * Called once per animation frame; re-measures at most every ANALYSIS_INTERVAL
+   * while the parameters change or the animation moves the picture
+   * @param {number} timestamp - Frame timestamp in milliseconds
+   */
+  tick(timestamp) {
+    if (!this.enabled || !Number.isFinite(timestamp)) return;
+    if (!this.dirty && !this.app.isAnimating()) return;
+    if (timestamp - this.lastTimestamp < ANALYSIS_INTERVAL) return;
+
+    this.lastTimestamp = timestamp;
+    this.dirty = false;
+
+    try {
+      this.analyze();
+    } catch (error) {
+      // Usually a GPU without float render targets; stop retrying every frame
+      console.error('Analysis failed:', error);
+      this.enabled = false;
+      if (this.elements.enabled) {
+        this.elements.enabled.checked = false;
+      }
+      this.setStats(error.message);
+    }
+  }
+
+  /**
+   * Read back the raw values of the current view and update the panel
+   * @returns {Object|null} The statistics (see computeStatistics), or null while an export runs
+   */
+  analyze() {
+    const exporter = this.app.exporter;
+    if (exporter.busy) return null;
+
+    // Same framing as the canvas, at a fixed size
+    const { width: canvasWidth, height: canvasHeight } = this.app.canvas;
+    const scale = ANALYSIS_SIZE / Math.max(canvasWidth, canvasHeight, 1);
+    const width = Math.max(Math.round(canvasWidth * scale), 1);
+    const height = Math.max(Math.round(canvasHeight * scale), 1);
+
+    const statistics = computeStatistics(exporter.renderPixels(width, height, true));
+    this.statistics = statistics;
+
+    this.drawHistogram(statistics);
+    this.showStatistics(statistics);
+
+    if (this.autoNormalize) {
+      this.normalize(statistics);
+    }
+
+    return statistics;
+  }
+
+  /**
+   * Stretch the output remap so the measured range spans 0.0 - 1.0
+   * The measured values already went through the current remap, so it is undone
+   * first to find the range of the noise itself
+   * @param {Object} statistics - Statistics of the remapped output
+   */
+  normalize(statistics) {
+    if (statistics.count === 0 || !(statistics.max > statistics.min)) return;
+
+    const { valueMin, valueMax } = this.app.controls.values;
+    const span = valueMax - valueMin;
+
+    // Rounded so the remap inputs and the permalink stay readable
+    const min = Math.round((valueMin + statistics.min * span) * 1e4) / 1e4;
+    const max = Math.round((valueMin + statistics.max * span) * 1e4) / 1e4;
+
+    if (Math.abs(min - valueMin) < NORMALIZE_TOLERANCE * span && Math.abs(max - valueMax) < NORMALIZE_TOLERANCE * span) {
+      return;
+    }
+
+    // Not a user edit: keep it out of the undo history, the permalink and the
+    // interaction count, or every readback would look like the user dragging a slider
+    this.app.controls.setValues({ valueMin: min, valueMax: max }, { record: false });
+  }
+
+  /**
+   * Plot the histogram, with the 0.0 - 1.0 range marked and clipped bins in red
+   * @param {Object} statistics - Statistics from computeStatistics
+   */
+  drawHistogram(statistics) {
+    const canvas = this.elements.histogram;
+    const context = canvas && canvas.getContext('2d');
+    if (!context) return;
+
+    const { width, height } = canvas;
+    const { histogram } = statistics;
+    const peak = Math.max(...histogram, 1);
+    const binWidth = width / histogram.length;
+    const toX = value => (value - HISTOGRAM_MIN) / (HISTOGRAM_MAX - HISTOGRAM_MIN) * width;
+
+    context.clearRect(0, 0, width, height);
+
+    histogram.forEach((count, bin) => {
+      const start = HISTOGRAM_MIN + bin / histogram.length * (HISTOGRAM_MAX - HISTOGRAM_MIN);
+      const clipped = start < 0 || start >= 1;
+      const barHeight = count / peak * height;
+
+      context.fillStyle = clipped ? '#ff5a4f' : '#d0d0d0';
+      context.fillRect(bin * binWidth, height - barHeight, Math.max(binWidth - 1, 1), barHeight);
+    });
+
+    // Edges of the range the gradient covers
+    context.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    context.beginPath();
+    [0, 1].forEach(value => {
+      context.moveTo(Math.round(toX(value)) + 0.5, 0);
+      context.lineTo(Math.round(toX(value)) + 0.5, height);
+    });
+    context.stroke();
+  }
+
+  /**
+   * Show the range, moments and clipped share in the panel
+   * @param {Object} statistics - Statistics from computeStatistics
+   */
+  showStatistics(statistics) {
+    const { count, min, max, mean, stddev, below, above } = statistics;
+    if (count === 0) {
+      this.setStats('No values to analyze');
+      return;
+    }
+
+    const percent = value => `${(value / count * 100).toFixed(1)}%`;
+
+    this.setStats(
+      `Min ${min.toFixed(3)} · Max ${max.toFixed(3)}\n` +
+      `Mean ${mean.toFixed(3)} · σ ${stddev.toFixed(3)}\n` +
+      `Clipped ${percent(below + above)} (${percent(below)} low, ${percent(above)} high)`
+    );
+  }
+
+  /**
+   * Show a message in the statistics readout
+   * @param {string} message - Message to show
+   */
+  setStats(message) {
+    if (this.elements.stats) {
+      this.elements.stats.textContent = message;
+    }
+  }
+}
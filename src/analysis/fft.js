@@ -0,0 +1,137 @@
+/**
+ * FFT helpers for the spectrum view
+ * Plain functions without DOM access, so they run in the spectrum worker
+ */
+
+/**
+ * In-place radix-2 FFT of a complex sequence
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // Butterflies, doubling the transform length each pass
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = -2 * Math.PI / length;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += length) {
+      let wRe = 1;
+      let wIm = 0;
+
+      for (let k = 0; k < length / 2; k++) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * 2D power spectrum of a square field
+ * The mean is removed and a Hann window applied first, so the DC term and the
+ * edges of a non-tiling field do not smear over the whole spectrum
+ * @param {Float32Array} values - size × size values, row-major
+ * @param {number} size - Side length (a power of two)
+ * @returns {Float32Array} size × size power, shifted so the DC term is at (size / 2, size / 2)
+ */
+export function powerSpectrum2D(values, size) {
+  const re = new Float64Array(size * size);
+  const im = new Float64Array(size * size);
+
+  let mean = 0;
+  values.forEach(value => {
+    mean += Number.isFinite(value) ? value : 0;
+  });
+  mean /= values.length;
+
+  const window = Float64Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size));
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const value = values[y * size + x];
+      re[y * size + x] = (Number.isFinite(value) ? value - mean : 0) * window[x] * window[y];
+    }
+  }
+
+  // Rows, then columns
+  const rowRe = new Float64Array(size);
+  const rowIm = new Float64Array(size);
+  for (let pass = 0; pass < 2; pass++) {
+    for (let line = 0; line < size; line++) {
+      const index = i => (pass === 0 ? line * size + i : i * size + line);
+
+      for (let i = 0; i < size; i++) {
+        rowRe[i] = re[index(i)];
+        rowIm[i] = im[index(i)];
+      }
+      fft(rowRe, rowIm);
+      for (let i = 0; i < size; i++) {
+        re[index(i)] = rowRe[i];
+        im[index(i)] = rowIm[i];
+      }
+    }
+  }
+
+  const power = new Float32Array(size * size);
+  const half = size / 2;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const source = y * size + x;
+      const target = ((y + half) % size) * size + (x + half) % size;
+      power[target] = re[source] * re[source] + im[source] * im[source];
+    }
+  }
+
+  return power;
+}
+
+/**
+ * Average a shifted power spectrum over rings around the DC term
+ * @param {Float32Array} power - Shifted spectrum from powerSpectrum2D
+ * @param {number} size - Side length
+ * @returns {Float32Array} Mean power per integer radius, 0 up to size / 2 (Nyquist)
+ */
+export function radialAverage(power, size) {
+  const half = size / 2;
+  const sums = new Float64Array(half + 1);
+  const counts = new Uint32Array(half + 1);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const radius = Math.round(Math.hypot(x - half, y - half));
+      if (radius > half) continue;
+
+      sums[radius] += power[y * size + x];
+      counts[radius]++;
+    }
+  }
+
+  return Float32Array.from(sums, (sum, radius) => (counts[radius] > 0 ? sum / counts[radius] : 0));
+}
@@ -0,0 +1,285 @@
+/**
+ * Spectrum module for WebGL Noise Visualization
+ * Shows the 2D power spectrum of the raw noise (log-scaled, DC in the center) and
+ * its radial average, with the lattice frequency of every octave marked, to check
+ * octave settings and spot octaves finer than the screen can resolve. The FFT of
+ * a square readback runs in spectrumWorker.js; the view updates when the noise
+ * parameters change.
+ */
+
+// Side of the square readback (a power of two, as the FFT needs)
+const SPECTRUM_SIZE = 256;
+
+// Power range shown, in decibels below the strongest frequency
+const DYNAMIC_RANGE_DB = 80;
+
+/**
+ * Convert a power to decibels relative to a reference, clamped to the shown range
+ * @param {number} power - Power to convert
+ * @param {number} reference - Power shown at 0 dB
+ * @returns {number} 0.0 (DYNAMIC_RANGE_DB or more below the reference) - 1.0 (at the reference)
+ */
+function toLevel(power, reference) {
+  const decibels = 10 * Math.log10(Math.max(power, 1e-30) / reference);
+  return Math.min(Math.max(1 + decibels / DYNAMIC_RANGE_DB, 0), 1);
+}
+
+export class SpectrumView {
+  /**
+   * Initialize the spectrum view
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements used by the view
+   * @param {HTMLInputElement} elements.enabled - Checkbox turning the spectrum on
+   * @param {HTMLCanvasElement} elements.image - 2D power spectrum
+   * @param {HTMLCanvasElement} elements.radial - Radially averaged spectrum plot
+   * @param {HTMLElement} elements.status - Octave and aliasing readout, errors
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.elements = elements;
+
+    this.enabled = elements.enabled ? elements.enabled.checked : false;
+
+    // Created on first use, so the worker only starts when the view is turned on
+    this.worker = null;
+
+    // Id of the readback the worker is busy with (null when idle)
+    this.pending = null;
+    this.nextId = 1;
+
+    // Whether the parameters changed since the last readback
+    this.dirty = true;
+
+    // Octave markers of the readback in flight, drawn with its result
+    this.octaves = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up the checkbox
+   */
+  setupEventListeners() {
+    const { enabled } = this.elements;
+
+    if (enabled) {
+      enabled.addEventListener('change', () => {
+        this.enabled = enabled.checked;
+        this.scheduleUpdate();
+      });
+    }
+  }
+
+  /**
+   * Mark the noise as changed; the next tick() computes a new spectrum
+   */
+  scheduleUpdate() {
+    this.dirty = true;
+  }
+
+  /**
+   * Called once per animation frame; starts a new spectrum when the noise
+   * changed and the worker is idle
+   */
+  tick() {
+    if (!this.enabled || !this.dirty || this.pending !== null || this.app.exporter.busy) return;
+
+    this.dirty = false;
+
+    try {
+      this.request();
+    } catch (error) {
+      console.error('Spectrum failed:', error);
+      this.disable(error.message);
+    }
+  }
+
+  /**
+   * Turn the view off after an error and show it
+   * @param {string} message - Error message
+   */
+  disable(message) {
+    this.enabled = false;
+    this.pending = null;
+    if (this.elements.enabled) {
+      this.elements.enabled.checked = false;
+    }
+    this.setStatus(message);
+  }
+
+  /**
+   * Start the worker, if it is not running yet
+   * @returns {Worker} The spectrum worker
+   */
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    if (typeof Worker === 'undefined') {
+      throw new Error('The spectrum needs Web Workers, which this browser does not support');
+    }
+
+    this.worker = new Worker(new URL('./spectrumWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleResult(event.data);
+    this.worker.onerror = (event) => {
+      console.error('Spectrum worker error:', event.message);
+      this.worker.terminate();
+      this.worker = null;
+      this.disable(`Spectrum worker failed: ${event.message}`);
+    };
+
+    return this.worker;
+  }
+
+  /**
+   * Read back a square of the raw noise and send it to the worker
+   */
+  request() {
+    const worker = this.getWorker();
+    const values = this.app.exporter.renderPixels(SPECTRUM_SIZE, SPECTRUM_SIZE, true);
+
+    this.octaves = this.getOctaveFrequencies();
+    this.pending = this.nextId++;
+    worker.postMessage({ id: this.pending, size: SPECTRUM_SIZE, values }, [values.buffer]);
+  }
+
+  /**
+   * Lattice frequency of every octave of the base noise, in cycles across the readback
+   * The readback spans 1 / zoom noise units, and octave i has lacunarity^i / frequency
+   * lattice cells per unit (tilePeriod cells while tiling)
+   * @returns {Array<number>|null} Frequencies, or null unless the flat or slice view shows the base noise
+   */
+  getOctaveFrequencies() {
+    const { renderMode, useGraph } = this.app;
+    if (renderMode === 'terrain' || renderMode === 'volume' || (renderMode === 'flat' && useGraph)) return null;
+
+    const { tileable, tilePeriod, frequency, lacunarity, octaves } = this.app.controls.values;
+    const cellsPerUnit = tileable ? Math.max(tilePeriod, 1) : 1 / frequency;
+    const frequencies = [];
+
+    for (let octave = 0, scale = 1; octave < octaves; octave++, scale *= lacunarity) {
+      frequencies.push(cellsPerUnit * scale / this.app.view.zoom);
+    }
+
+    return frequencies;
+  }
+
+  /**
+   * Draw a finished spectrum, unless a newer readback is already waiting
+   * @param {Object} result - Worker message ({ id, size, power, radial } or { id, error })
+   */
+  handleResult(result) {
+    if (result.id !== this.pending) return;
+    this.pending = null;
+
+    if (result.error) {
+      console.error('Spectrum failed:', result.error);
+      this.disable(result.error);
+      return;
+    }
+
+    this.drawImage(result.power, result.size);
+    this.drawRadial(result.radial, result.size);
+    this.showOctaves(result.size);
+  }
+
+  /**
+   * Draw the 2D spectrum log-scaled, brighter for more power
+   * @param {Float32Array} power - Shifted power spectrum
+   * @param {number} size - Side length
+   */
+  drawImage(power, size) {
+    const canvas = this.elements.image;
+    const context = canvas && canvas.getContext('2d');
+    if (!context) return;
+
+    canvas.width = size;
+    canvas.height = size;
+
+    const peak = power.reduce((max, value) => Math.max(max, value), 0);
+    const image = context.createImageData(size, size);
+    for (let i = 0; i < power.length; i++) {
+      const level = Math.round(toLevel(power[i], peak) * 255);
+      image.data[i * 4] = level;
+      image.data[i * 4 + 1] = level;
+      image.data[i * 4 + 2] = level;
+      image.data[i * 4 + 3] = 255;
+    }
+    context.putImageData(image, 0, 0);
+  }
+
+  /**
+   * Plot the radial average (log power over frequency, 0 to Nyquist) with a
+   * marker at every octave's lattice frequency
+   * @param {Float32Array} radial - Mean power per radius
+   * @param {number} size - Side length of the spectrum
+   */
+  drawRadial(radial, size) {
+    const canvas = this.elements.radial;
+    const context = canvas && canvas.getContext('2d');
+    if (!context) return;
+
+    const { width, height } = canvas;
+    const nyquist = size / 2;
+    const toX = frequency => frequency / nyquist * width;
+
+    context.clearRect(0, 0, width, height);
+
+    // Octave markers; finer octaves than the readback resolves fall off the right edge
+    if (this.octaves) {
+      context.strokeStyle = 'rgba(255, 200, 0, 0.6)';
+      context.beginPath();
+      this.octaves.forEach(frequency => {
+        if (frequency > nyquist) return;
+        context.moveTo(Math.round(toX(frequency)) + 0.5, 0);
+        context.lineTo(Math.round(toX(frequency)) + 0.5, height);
+      });
+      context.stroke();
+    }
+
+    // The DC term was removed before the FFT, so scale to the strongest other radius
+    const peak = radial.subarray(1).reduce((max, value) => Math.max(max, value), 0);
+    context.strokeStyle = '#d0d0d0';
+    context.beginPath();
+    for (let radius = 1; radius < radial.length; radius++) {
+      const y = (1 - toLevel(radial[radius], peak)) * height;
+      if (radius === 1) {
+        context.moveTo(toX(radius), y);
+      } else {
+        context.lineTo(toX(radius), y);
+      }
+    }
+    context.stroke();
+  }
+
+  /**
+   * Show how many octaves are finer than the screen's pixel grid (and so alias)
+   * @param {number} size - Side length of the readback
+   */
+  showOctaves(size) {
+    if (!this.octaves) {
+      this.setStatus(`${DYNAMIC_RANGE_DB} dB range · octave markers need the flat or slice view of the base noise`);
+      return;
+    }
+
+    // The screen samples the same area with the canvas' shorter side in pixels
+    const { width, height } = this.app.canvas;
+    const screenNyquist = Math.min(width, height) / 2;
+    const aliased = this.octaves.filter(frequency => frequency > screenNyquist).length;
+
+    this.setStatus(
+      `${DYNAMIC_RANGE_DB} dB range · ${this.octaves.length} octaves, ` +
+      `${aliased > 0 ? `${aliased} above the screen's Nyquist limit (aliased)` : 'none aliased'}` +
+      `${this.octaves.some(frequency => frequency > size / 2) ? ' · finest octaves are off the plot' : ''}`
+    );
+  }
+
+  /**
+   * Show a message below the plots
+   * @param {string} message - Message to show
+   */
+  setStatus(message) {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+    }
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Spectrum worker: computes the power spectrum of a readback off the main thread
+ * Message in: { id, size, values } - values is a size × size Float32Array
+ * Message out: { id, size, power, radial } or { id, error }
+ */
+import { powerSpectrum2D, radialAverage } from './fft.js';
+
+self.onmessage = (event) => {
+  const { id, size, values } = event.data;
+
+  try {
+    const power = powerSpectrum2D(values, size);
+    const radial = radialAverage(power, size);
+
+    self.postMessage({ id, size, power, radial }, [power.buffer, radial.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
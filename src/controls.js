@@ -3,7 +3,133 @@
  * Handles UI interaction and updates shader uniforms
  * Compatible with WebGL 2.0 and GLSL ES 3.00
  */
-import tinygradient from 'tinygradient';
+import { GradientEditor, MAX_EDITOR_STOPS } from './gradientEditor.js';
+import { BUILT_IN_PRESETS, PRESET_SCHEMA_VERSION, migratePreset, validatePreset } from './presets.js';
+import {
+  noiseTypes,
+  noiseLayers,
+  noiseTypeParams,
+  getNoiseTypeParam,
+  noiseTypeDefaults,
+  noiseTypeFeatures,
+  enumIndex
+} from './noiseTypes.js';
+
+// Shader indices of the noise algorithms and their options (see lib/fractal.glsl and lib/worley.glsl)
+export const NOISE_ALGORITHMS = ['perlin', 'simplex', 'value', 'worley', 'gabor'];
+export const WORLEY_METRICS = ['euclidean', 'manhattan', 'chebyshev'];
+export const WORLEY_OUTPUTS = ['f1', 'f2', 'f2-f1'];
+export const FRACTAL_MODES = ['fbm', 'turbulence', 'billow', 'ridged', 'hybrid'];
+const SLICE_AXES = ['xy', 'xz', 'yz'];
+
+// Numeric fractal controls, each with an optional range slider
+const FRACTAL_NUMBER_CONTROLS = ['lacunarity', 'persistence', 'fractalOffset', 'fractalSharpness', 'fractalCutoff'];
+
+// Numeric settings of the 3D render modes, each with an optional range slider
+const SCENE_NUMBER_CONTROLS = ['terrainHeight', 'volumeThreshold', 'volumeSteps', 'volumeAbsorption', 'slicePosition'];
+
+// Output remap bounds, set by hand or by the analysis panel's auto-normalize
+const REMAP_CONTROLS = ['valueMin', 'valueMax'];
+
+// Loop bound of the fractal sums (FRACTAL_MAX_OCTAVES in lib/fractal.glsl)
+export const MAX_OCTAVES = 32;
+
+// Controls whose values are integers rather than floats (noise type params declare their type)
+const INTEGER_CONTROLS = ['octaves', 'seed', 'tilePeriod', 'volumeSteps'];
+
+// Octave counts go up to MAX_OCTAVES even though their sliders stop earlier
+const OCTAVE_CONTROLS = ['octaves'];
+
+// Default control values; presets and permalinks list only the values that differ
+export const DEFAULT_VALUES = {
+  // Basic controls
+  frequency: 2.0,
+  amplitude: 0.5,
+  octaves: 4,
+  speedX: 0.1,
+  speedY: 0.1,
+  speedZ: 0.2,
+  timeMode: 'linear', // 'linear' (time runs straight on) or 'loop' (repeats every loopDuration seconds)
+  loopDuration: 4.0,  // Seconds per loop in loop mode
+  use3D: true,
+  seed: 0,
+  tileable: false,   // Repeat the noise on the unit square
+  tilePeriod: 4,     // Lattice cells per tile (replaces the frequency while tiling)
+  tilePreview: false, // Show the unit square 3x3 in the viewport
+
+  // Terrain mode
+  terrainHeight: 0.5, // Height of the full noise range, in terrain widths
+
+  // Volume mode
+  volumeThreshold: 0.5,  // Noise value where the volume starts to become dense
+  volumeSteps: 96,       // Raymarch samples across the bounding box
+  volumeAbsorption: 4.0, // Opacity per unit of density and distance
+
+  // Slice mode
+  sliceAxis: 'xy',     // 'xy', 'xz', 'yz'
+  slicePosition: 0.5,  // Position of the slice along the third axis
+
+  // Output remap
+  valueMin: 0.0, // Noise value shown as 0.0 (bottom of the gradient)
+  valueMax: 1.0, // Noise value shown as 1.0 (top of the gradient)
+
+  // Noise algorithm
+  noiseAlgorithm: 'perlin',  // 'perlin', 'simplex', 'value', 'worley', 'gabor'
+  worleyMetric: 'euclidean', // 'euclidean', 'manhattan', 'chebyshev'
+  worleyOutput: 'f1',        // 'f1', 'f2', 'f2-f1'
+  gaborFrequency: 2.0,       // Cycles per lattice cell
+  gaborAngle: 45,            // Kernel orientation in degrees
+  gaborIsotropy: 0.0,        // 0: oriented, 1: random orientation per kernel
+
+  // Fractal
+  fractalMode: 'fbm',        // 'fbm', 'turbulence', 'billow', 'ridged', 'hybrid'
+  lacunarity: 2.0,           // Frequency multiplier per octave
+  persistence: 0.5,          // Amplitude multiplier per octave
+  fractalOffset: 1.0,        // Ridge height (ridged) / signal offset (hybrid)
+  fractalSharpness: 2.0,     // Ridge sharpening exponent (ridged)
+  fractalCutoff: 0.001,      // Octaves weighted below this are skipped (0 keeps all)
+
+  // Extended controls - Color gradient
+  gradientStops: [
+    { color: '#0000ff', pos: 0 }, // Blue
+    { color: '#ff9500', pos: 1 }  // Orange
+  ],
+  gradientSteps: 10,                // Bands in stepped mode
+  gradientInterpolation: 'smooth',  // 'smooth', 'stepped'
+  gradientColorSpace: 'rgb',        // 'rgb', 'hsv', 'oklab'
+
+  // Extended controls - Noise type layers (warp, mask; see noiseTypes.js)
+  ...noiseTypeDefaults()
+};
+
+/**
+ * Whether a control's value is an integer
+ * @param {string} control - Name of the control
+ * @returns {boolean} true for integer controls
+ */
+function isIntegerControl(control) {
+  const param = getNoiseTypeParam(control);
+  return INTEGER_CONTROLS.includes(control) || (param !== null && param.type === 'int');
+}
+
+/**
+ * Whether a control is an octave count
+ * @param {string} control - Name of the control
+ * @returns {boolean} true for octave controls
+ */
+function isOctaveControl(control) {
+  const param = getNoiseTypeParam(control);
+  return OCTAVE_CONTROLS.includes(control) || (param !== null && Boolean(param.octaves));
+}
+
+/**
+ * Element id of a control: its name in kebab case (warpStrength -> warp-strength)
+ * @param {string} name - Control name
+ * @returns {string} Element id
+ */
+function elementId(name) {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
 
 export class NoiseControls {
   /**
@@ -13,14 +139,15 @@ export class NoiseControls {
   constructor(app) {
     this.app = app;
     this.gl = app.gl;
-    this.program = app.program;
     
-    // Track currently active feature sets
-    this.activeFeatures = {
-      colorGradient: false,
-      warp: false,
-      mask: false
-    };
+    // Track currently active feature sets: the color gradient and each noise type layer
+    this.activeFeatures = { colorGradient: false };
+    noiseLayers().forEach(layer => {
+      this.activeFeatures[layer] = false;
+    });
+    
+    // Built-in preset (or other noise type) the controls were last set up for
+    this.noiseType = null;
     
     // Store references to DOM elements
     this.elements = {
@@ -31,7 +158,65 @@ export class NoiseControls {
       speedX: document.getElementById('speed-x'),
       speedY: document.getElementById('speed-y'),
       speedZ: document.getElementById('speed-z'),
+      timeMode: document.getElementById('time-mode'),
+      loopDuration: document.getElementById('loop-duration'),
+      loopDurationSettings: document.getElementById('loop-duration-settings'),
       use3D: document.getElementById('use3D'),
+      seed: document.getElementById('seed'),
+      seedRandomize: document.getElementById('seed-randomize'),
+      tileable: document.getElementById('tileable'),
+      tilePeriod: document.getElementById('tile-period'),
+      tilePeriodSlider: document.getElementById('tile-period-slider'),
+      tilePeriodSettings: document.getElementById('tile-period-settings'),
+      tilePreview: document.getElementById('tile-preview'),
+      
+      // Terrain mode
+      terrainHeight: document.getElementById('terrain-height'),
+      terrainHeightSlider: document.getElementById('terrain-height-slider'),
+      
+      // Volume mode
+      volumeThreshold: document.getElementById('volume-threshold'),
+      volumeThresholdSlider: document.getElementById('volume-threshold-slider'),
+      volumeSteps: document.getElementById('volume-steps'),
+      volumeStepsSlider: document.getElementById('volume-steps-slider'),
+      volumeAbsorption: document.getElementById('volume-absorption'),
+      volumeAbsorptionSlider: document.getElementById('volume-absorption-slider'),
+      
+      // Slice mode
+      sliceAxis: document.getElementById('slice-axis'),
+      slicePosition: document.getElementById('slice-position'),
+      slicePositionSlider: document.getElementById('slice-position-slider'),
+      
+      // Output remap
+      valueMin: document.getElementById('value-min'),
+      valueMax: document.getElementById('value-max'),
+      
+      // Noise algorithm and its settings
+      noiseAlgorithm: document.getElementById('noise-algorithm'),
+      worleyMetric: document.getElementById('worley-metric'),
+      worleyOutput: document.getElementById('worley-output'),
+      gaborFrequency: document.getElementById('gabor-frequency'),
+      gaborFrequencySlider: document.getElementById('gabor-frequency-slider'),
+      gaborAngle: document.getElementById('gabor-angle'),
+      gaborAngleSlider: document.getElementById('gabor-angle-slider'),
+      gaborIsotropy: document.getElementById('gabor-isotropy'),
+      gaborIsotropySlider: document.getElementById('gabor-isotropy-slider'),
+      worleySettings: document.getElementById('worley-settings'),
+      gaborSettings: document.getElementById('gabor-settings'),
+      
+      // Fractal controls
+      fractalMode: document.getElementById('fractal-mode'),
+      lacunarity: document.getElementById('lacunarity'),
+      lacunaritySlider: document.getElementById('lacunarity-slider'),
+      persistence: document.getElementById('persistence'),
+      persistenceSlider: document.getElementById('persistence-slider'),
+      fractalOffset: document.getElementById('fractal-offset'),
+      fractalOffsetSlider: document.getElementById('fractal-offset-slider'),
+      fractalSharpness: document.getElementById('fractal-sharpness'),
+      fractalSharpnessSlider: document.getElementById('fractal-sharpness-slider'),
+      fractalCutoff: document.getElementById('fractal-cutoff'),
+      fractalOffsetSettings: document.getElementById('fractal-offset-settings'),
+      fractalSharpnessSettings: document.getElementById('fractal-sharpness-settings'),
       
       // Range sliders for basic controls
       frequencySlider: document.getElementById('frequency-slider'),
@@ -39,56 +224,44 @@ export class NoiseControls {
       octavesSlider: document.getElementById('octaves-slider'),
       
       // Extended controls - Color gradient
-      gradientStart: document.getElementById('gradient-start'),
-      gradientEnd: document.getElementById('gradient-end'),
       gradientSteps: document.getElementById('gradient-steps'),
+      gradientInterpolation: document.getElementById('gradient-interpolation'),
+      gradientColorSpace: document.getElementById('gradient-color-space'),
       gradientPreview: document.getElementById('gradient-preview'),
-      
-      // Extended controls - Warp
-      warpStrength: document.getElementById('warp-strength'),
-      warpStrengthSlider: document.getElementById('warp-strength-slider'),
-      warpType: document.getElementById('warp-type'),
-      
-      // Extended controls - Mask Layer
-      maskCutoff: document.getElementById('mask-cutoff'),
-      maskCutoffSlider: document.getElementById('mask-cutoff-slider'),
-      maskBlendStrength: document.getElementById('mask-blend-strength'),
-      maskBlendStrengthSlider: document.getElementById('mask-blend-strength-slider'),
-      maskSoftness: document.getElementById('mask-softness'),
-      maskSoftnessSlider: document.getElementById('mask-softness-slider'),
+      gradientStopHandles: document.getElementById('gradient-stops'),
+      gradientStopColor: document.getElementById('gradient-stop-color'),
+      gradientStopPosition: document.getElementById('gradient-stop-position'),
+      gradientRemoveStop: document.getElementById('gradient-remove-stop'),
       
       // Control sections (for visibility toggling)
       colorGradientSection: document.getElementById('color-gradient-section'),
-      warpSection: document.getElementById('warp-section'),
-      maskSection: document.getElementById('mask-section')
-    };
-    
-    // Default values
-    this.values = {
-      // Basic controls
-      frequency: 2.0,
-      amplitude: 0.5,
-      octaves: 4,
-      speedX: 0.1,
-      speedY: 0.1,
-      speedZ: 0.2,
-      use3D: true,
       
-      // Extended controls - Color gradient
-      gradientStart: '#0000ff', // Blue
-      gradientEnd: '#ff9500',   // Orange
-      gradientSteps: 10,
-      
-      // Extended controls - Warp
-      warpStrength: 0.5,
-      warpType: 'multiply', // 'multiply', 'additive', 'exponent', 'log'
-      
-      // Extended controls - Mask Layer
-      maskCutoff: 0.5,
-      maskBlendStrength: 0.75,
-      maskSoftness: 0.25
+      // Container of the generated noise type sections
+      noiseTypeSections: document.getElementById('noise-type-sections')
     };
     
+    // Inputs of the noise type params, generated from their descriptors
+    this.buildNoiseTypeControls();
+    
+    // Default values (with those of noise types registered after this module loaded)
+    this.values = structuredClone({ ...DEFAULT_VALUES, ...noiseTypeDefaults() });
+    
+    // Defaults that presets are applied on top of
+    this.defaults = structuredClone(this.values);
+    
+    // Set up the multi-stop gradient editor
+    this.gradientEditor = new GradientEditor({
+      preview: this.elements.gradientPreview,
+      stops: this.elements.gradientStopHandles,
+      stopColor: this.elements.gradientStopColor,
+      stopPosition: this.elements.gradientStopPosition,
+      removeStop: this.elements.gradientRemoveStop
+    }, (stops) => {
+      this.values.gradientStops = stops;
+      this.colorGradient = this.generateColorGradient();
+      this.updateUniforms();
+    });
+    
     // Generate initial color gradient
     this.colorGradient = this.generateColorGradient();
     
@@ -102,52 +275,126 @@ export class NoiseControls {
     this.updateUniforms();
     
     // Set initial visibility
-    this.toggleFeatureVisibility('colorGradient', false);
-    this.toggleFeatureVisibility('warp', false);
-    this.toggleFeatureVisibility('mask', false);
+    Object.keys(this.activeFeatures).forEach(feature => {
+      this.toggleFeatureVisibility(feature, false);
+    });
+    this.updateNoiseSettingsVisibility();
   }
   
   /**
-   * Generate a color gradient using tinygradient
-   * @returns {Array} Array of color objects
+   * Create the panel section of every noise type layer from its params and add the
+   * inputs to this.elements: a number input (with a range slider when the param
+   * asks for one, id suffixed "-slider") or a select, with the param name in kebab
+   * case as id
    */
-  generateColorGradient() {
-    const gradient = tinygradient([
-      { color: this.values.gradientStart, pos: 0 },
-      { color: this.values.gradientEnd, pos: 1 }
-    ]);
+  buildNoiseTypeControls() {
+    const container = this.elements.noiseTypeSections;
+    if (!container) return;
     
-    // Generate colors
-    const colors = gradient.rgb(this.values.gradientSteps);
+    noiseLayers().forEach(id => {
+      const type = noiseTypes[id];
+      
+      const section = document.createElement('div');
+      section.id = `${elementId(id)}-section`;
+      section.className = 'extended-control-section';
+      
+      const title = document.createElement('h5');
+      title.textContent = type.section || type.label;
+      
+      const group = document.createElement('div');
+      group.className = 'control-group';
+      section.append(title, group);
+      
+      Object.entries(type.params).forEach(([name, param]) => {
+        const row = document.createElement('div');
+        row.className = 'input-row';
+        
+        const label = document.createElement('label');
+        label.htmlFor = elementId(name);
+        label.textContent = param.label || name;
+        
+        let input;
+        if (param.type === 'enum') {
+          input = document.createElement('select');
+          Object.entries(param.options).forEach(([value, text]) => {
+            input.appendChild(new Option(text, value));
+          });
+        } else {
+          input = document.createElement('input');
+          input.type = 'number';
+          this.setNumberRange(input, param);
+        }
+        input.id = elementId(name);
+        input.value = param.default;
+        
+        row.append(label, input);
+        group.appendChild(row);
+        this.elements[name] = input;
+        
+        if (param.slider && param.type !== 'enum') {
+          const sliderContainer = document.createElement('div');
+          sliderContainer.className = 'slider-container';
+          
+          const slider = document.createElement('input');
+          slider.type = 'range';
+          slider.id = `${elementId(name)}-slider`;
+          this.setNumberRange(slider, param);
+          slider.value = param.default;
+          
+          sliderContainer.appendChild(slider);
+          group.appendChild(sliderContainer);
+          this.elements[`${name}Slider`] = slider;
+        }
+      });
+      
+      container.appendChild(section);
+      this.elements[`${id}Section`] = section;
+    });
+  }
+  
+  /**
+   * Copy a param's range onto a number input or range slider
+   * @param {HTMLInputElement} input - Input to limit
+   * @param {Object} param - 'float' or 'int' param with min, max and step
+   */
+  setNumberRange(input, param) {
+    ['min', 'max', 'step'].forEach(key => {
+      if (param[key] !== undefined) {
+        input[key] = param[key];
+      }
+    });
     
-    // Update the gradient preview if it exists
-    if (this.elements.gradientPreview) {
-      const gradientCSS = gradient.css('linear', 'to right');
-      this.elements.gradientPreview.style.background = gradientCSS;
+    if (param.step === undefined && param.type === 'float') {
+      input.step = 'any';
     }
+  }
+  
+  /**
+   * Generate a color gradient using tinygradient
+   * @returns {Array} Array of color stops ({ color: tinycolor, pos })
+   */
+  generateColorGradient() {
+    // Sync the editor (sorts and clamps the stops) and its preview
+    this.gradientEditor.setStops(this.values.gradientStops);
+    this.gradientEditor.setOptions({
+      interpolation: this.values.gradientInterpolation,
+      colorSpace: this.values.gradientColorSpace,
+      bands: this.values.gradientSteps
+    });
+    this.values.gradientStops = this.gradientEditor.getStops();
     
-    return colors;
+    // Stops padded to cover 0 and 1, uploaded as-is to the shader
+    return this.gradientEditor.toTinygradient().stops;
   }
   
   /**
    * Toggle visibility of feature controls
-   * @param {string} feature - Feature name: 'colorGradient', 'warp', or 'mask'
+   * @param {string} feature - Feature name: 'colorGradient' or a noise type layer ('warp', 'mask')
    * @param {boolean} active - Whether the feature should be active
    */
   toggleFeatureVisibility(feature, active) {
-    let section = null;
-    
-    switch(feature) {
-      case 'colorGradient':
-        section = this.elements.colorGradientSection;
-        break;
-      case 'warp':
-        section = this.elements.warpSection;
-        break;
-      case 'mask':
-        section = this.elements.maskSection;
-        break;
-    }
+    // The color gradient section is in the page, the layer sections are generated
+    const section = this.elements[`${feature}Section`];
     
     if (section) {
       section.style.display = active ? 'block' : 'none';
@@ -156,6 +403,43 @@ export class NoiseControls {
     this.activeFeatures[feature] = active;
   }
   
+  /**
+   * Show only the settings of the selected noise algorithm, fractal mode, tiling state and time mode
+   */
+  updateNoiseSettingsVisibility() {
+    if (this.elements.loopDurationSettings) {
+      this.elements.loopDurationSettings.style.display = this.values.timeMode === 'loop' ? 'block' : 'none';
+    }
+    
+    // The tile period stands in for the frequency while tiling
+    if (this.elements.tilePeriodSettings) {
+      this.elements.tilePeriodSettings.style.display = this.values.tileable ? 'block' : 'none';
+    }
+    
+    ['frequency', 'frequencySlider'].forEach(control => {
+      if (this.elements[control]) {
+        this.elements[control].disabled = this.values.tileable;
+      }
+    });
+    
+    if (this.elements.worleySettings) {
+      this.elements.worleySettings.style.display = this.values.noiseAlgorithm === 'worley' ? 'block' : 'none';
+    }
+    
+    if (this.elements.gaborSettings) {
+      this.elements.gaborSettings.style.display = this.values.noiseAlgorithm === 'gabor' ? 'block' : 'none';
+    }
+    
+    const multifractal = ['ridged', 'hybrid'].includes(this.values.fractalMode);
+    if (this.elements.fractalOffsetSettings) {
+      this.elements.fractalOffsetSettings.style.display = multifractal ? 'block' : 'none';
+    }
+    
+    if (this.elements.fractalSharpnessSettings) {
+      this.elements.fractalSharpnessSettings.style.display = this.values.fractalMode === 'ridged' ? 'block' : 'none';
+    }
+  }
+  
   /**
    * Read initial values from DOM elements
    */
@@ -173,41 +457,59 @@ export class NoiseControls {
       }
     });
     
-    // Process checkbox
-    const use3DElement = this.elements.use3D;
-    if (use3DElement) {
-      this.values.use3D = use3DElement.checked;
-    }
+    // Process checkboxes
+    ['use3D', 'tileable', 'tilePreview'].forEach(control => {
+      const element = this.elements[control];
+      if (element) {
+        this.values[control] = element.checked;
+      }
+    });
     
-    // Process color gradient controls
-    if (this.elements.gradientStart) {
-      this.values.gradientStart = this.elements.gradientStart.value;
-    }
-    if (this.elements.gradientEnd) {
-      this.values.gradientEnd = this.elements.gradientEnd.value;
+    if (this.elements.tilePeriod) {
+      this.values.tilePeriod = this.parseControlValue('tilePeriod', this.elements.tilePeriod.value);
     }
-    if (this.elements.gradientSteps) {
-      this.values.gradientSteps = parseInt(this.elements.gradientSteps.value, 10);
+    if (this.elements.tilePeriodSlider) {
+      this.elements.tilePeriodSlider.value = this.values.tilePeriod;
     }
     
-    // Process warp controls
-    if (this.elements.warpStrength) {
-      this.values.warpStrength = parseFloat(this.elements.warpStrength.value);
-    }
-    if (this.elements.warpType) {
-      this.values.warpType = this.elements.warpType.value;
+    // Process seed
+    if (this.elements.seed) {
+      this.values.seed = parseInt(this.elements.seed.value, 10) || 0;
     }
     
-    // Process mask layer controls
-    if (this.elements.maskCutoff) {
-      this.values.maskCutoff = parseFloat(this.elements.maskCutoff.value);
+    // Process noise algorithm controls
+    ['noiseAlgorithm', 'worleyMetric', 'worleyOutput', 'fractalMode', 'sliceAxis', 'timeMode'].forEach(control => {
+      const element = this.elements[control];
+      if (element) {
+        this.values[control] = element.value;
+      }
+    });
+    ['gaborFrequency', 'gaborAngle', 'gaborIsotropy', 'loopDuration', ...FRACTAL_NUMBER_CONTROLS, ...SCENE_NUMBER_CONTROLS, ...REMAP_CONTROLS].forEach(control => {
+      const element = this.elements[control];
+      if (element) {
+        this.values[control] = this.parseControlValue(control, element.value);
+      }
+    });
+    
+    // Process color gradient controls
+    if (this.elements.gradientSteps) {
+      this.values.gradientSteps = parseInt(this.elements.gradientSteps.value, 10);
     }
-    if (this.elements.maskBlendStrength) {
-      this.values.maskBlendStrength = parseFloat(this.elements.maskBlendStrength.value);
+    if (this.elements.gradientInterpolation) {
+      this.values.gradientInterpolation = this.elements.gradientInterpolation.value;
     }
-    if (this.elements.maskSoftness) {
-      this.values.maskSoftness = parseFloat(this.elements.maskSoftness.value);
+    if (this.elements.gradientColorSpace) {
+      this.values.gradientColorSpace = this.elements.gradientColorSpace.value;
     }
+    this.colorGradient = this.generateColorGradient();
+    
+    // Process noise type controls
+    noiseTypeParams().forEach(([name, param]) => {
+      const element = this.elements[name];
+      if (element) {
+        this.values[name] = param.type === 'enum' ? element.value : this.parseControlValue(name, element.value);
+      }
+    });
     
     // Ensure sliders match number inputs
     ['frequency', 'amplitude', 'octaves'].forEach(control => {
@@ -217,22 +519,20 @@ export class NoiseControls {
       }
     });
     
-    // Ensure extended control sliders match their values
-    if (this.elements.warpStrengthSlider) {
-      this.elements.warpStrengthSlider.value = this.values.warpStrength;
-    }
-    
-    if (this.elements.maskCutoffSlider) {
-      this.elements.maskCutoffSlider.value = this.values.maskCutoff;
-    }
-    
-    if (this.elements.maskBlendStrengthSlider) {
-      this.elements.maskBlendStrengthSlider.value = this.values.maskBlendStrength;
-    }
+    ['gaborFrequency', 'gaborAngle', 'gaborIsotropy', 'loopDuration', ...FRACTAL_NUMBER_CONTROLS, ...SCENE_NUMBER_CONTROLS, ...REMAP_CONTROLS].forEach(control => {
+      const slider = this.elements[`${control}Slider`];
+      if (slider) {
+        slider.value = this.values[control];
+      }
+    });
     
-    if (this.elements.maskSoftnessSlider) {
-      this.elements.maskSoftnessSlider.value = this.values.maskSoftness;
-    }
+    // Ensure noise type sliders match their values
+    noiseTypeParams().forEach(([name]) => {
+      const slider = this.elements[`${name}Slider`];
+      if (slider) {
+        slider.value = this.values[name];
+      }
+    });
     
     console.log('Initial control values:', this.values);
   }
@@ -292,12 +592,28 @@ export class NoiseControls {
       });
     });
     
-    // Set up color gradient controls
-    ['gradientStart', 'gradientEnd'].forEach(control => {
+    // Set up noise algorithm controls
+    ['noiseAlgorithm', 'worleyMetric', 'worleyOutput', 'fractalMode', 'sliceAxis', 'timeMode'].forEach(control => {
       const element = this.elements[control];
       if (!element) return;
       
-      element.addEventListener('input', (event) => {
+      element.addEventListener('change', (event) => {
+        this.values[control] = event.target.value;
+        this.updateNoiseSettingsVisibility();
+        this.updateUniforms();
+      });
+    });
+    
+    ['gaborFrequency', 'gaborAngle', 'gaborIsotropy', 'loopDuration', ...FRACTAL_NUMBER_CONTROLS, ...SCENE_NUMBER_CONTROLS, ...REMAP_CONTROLS].forEach(control => {
+      this.bindNumberControl(control);
+    });
+    
+    // Set up color gradient controls (stop editing is handled by the gradient editor)
+    ['gradientInterpolation', 'gradientColorSpace'].forEach(control => {
+      const element = this.elements[control];
+      if (!element) return;
+      
+      element.addEventListener('change', (event) => {
         this.values[control] = event.target.value;
         this.colorGradient = this.generateColorGradient();
         this.updateUniforms();
@@ -312,137 +628,120 @@ export class NoiseControls {
       });
     }
     
-    // Set up warp controls
-    if (this.elements.warpStrength) {
-      this.elements.warpStrength.addEventListener('input', (event) => {
-        this.values.warpStrength = parseFloat(event.target.value);
-        
-        // Update slider
-        if (this.elements.warpStrengthSlider) {
-          this.elements.warpStrengthSlider.value = this.values.warpStrength;
-        }
-        
-        this.updateUniforms();
-      });
-    }
-    
-    if (this.elements.warpStrengthSlider) {
-      this.elements.warpStrengthSlider.addEventListener('input', (event) => {
-        this.values.warpStrength = parseFloat(event.target.value);
-        
-        // Update number input
-        if (this.elements.warpStrength) {
-          this.elements.warpStrength.value = this.values.warpStrength;
-        }
-        
+    // Set up noise type controls: selects set their value, number inputs stay in
+    // sync with their sliders
+    noiseTypeParams().forEach(([name, param]) => {
+      if (param.type !== 'enum') {
+        this.bindNumberControl(name);
+        return;
+      }
+      
+      const element = this.elements[name];
+      if (!element) return;
+      
+      element.addEventListener('change', (event) => {
+        this.values[name] = event.target.value;
         this.updateUniforms();
       });
-    }
+    });
     
-    if (this.elements.warpType) {
-      this.elements.warpType.addEventListener('change', (event) => {
-        this.values.warpType = event.target.value;
-        this.updateUniforms();
-      });
-    }
+    // Set up seed controls
+    this.bindNumberControl('seed');
     
-    // Set up mask layer controls - Cutoff
-    if (this.elements.maskCutoff) {
-      this.elements.maskCutoff.addEventListener('input', (event) => {
-        this.values.maskCutoff = parseFloat(event.target.value);
-        
-        // Update slider
-        if (this.elements.maskCutoffSlider) {
-          this.elements.maskCutoffSlider.value = this.values.maskCutoff;
-        }
-        
-        this.updateUniforms();
+    if (this.elements.seedRandomize) {
+      this.elements.seedRandomize.addEventListener('click', () => {
+        this.setValue('seed', NoiseControls.randomSeed());
       });
     }
     
-    if (this.elements.maskCutoffSlider) {
-      this.elements.maskCutoffSlider.addEventListener('input', (event) => {
-        this.values.maskCutoff = parseFloat(event.target.value);
-        
-        // Update number input
-        if (this.elements.maskCutoff) {
-          this.elements.maskCutoff.value = this.values.maskCutoff;
-        }
-        
-        this.updateUniforms();
-      });
-    }
-    
-    // Set up mask layer controls - Blend Strength
-    if (this.elements.maskBlendStrength) {
-      this.elements.maskBlendStrength.addEventListener('input', (event) => {
-        this.values.maskBlendStrength = parseFloat(event.target.value);
-        
-        // Update slider
-        if (this.elements.maskBlendStrengthSlider) {
-          this.elements.maskBlendStrengthSlider.value = this.values.maskBlendStrength;
-        }
-        
+    // Set up checkbox listeners
+    ['use3D', 'tileable', 'tilePreview'].forEach(control => {
+      const element = this.elements[control];
+      if (!element) return;
+      
+      element.addEventListener('change', (event) => {
+        this.values[control] = event.target.checked;
+        this.updateNoiseSettingsVisibility();
         this.updateUniforms();
       });
-    }
+    });
     
-    if (this.elements.maskBlendStrengthSlider) {
-      this.elements.maskBlendStrengthSlider.addEventListener('input', (event) => {
-        this.values.maskBlendStrength = parseFloat(event.target.value);
-        
-        // Update number input
-        if (this.elements.maskBlendStrength) {
-          this.elements.maskBlendStrength.value = this.values.maskBlendStrength;
-        }
-        
-        this.updateUniforms();
-      });
-    }
+    // Set up tiling controls
+    this.bindNumberControl('tilePeriod');
+  }
+  
+  /**
+   * Generate a random seed for the noise hash
+   * @returns {number} Integer seed between 0 and 999999
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+  }
+  
+  /**
+   * Parse a raw input value for a control
+   * @param {string} control - Name of the control
+   * @param {string|number} value - Raw value from an input element
+   * @returns {number} Parsed integer or float
+   */
+  parseControlValue(control, value) {
+    return isIntegerControl(control) ? parseInt(value, 10) : parseFloat(value);
+  }
+  
+  /**
+   * Keep a number input and its optional range slider in sync with this.values
+   * @param {string} control - Name of the control in this.values and this.elements
+   */
+  bindNumberControl(control) {
+    const numInput = this.elements[control];
+    const slider = this.elements[`${control}Slider`];
     
-    // Set up mask layer controls - Softness
-    if (this.elements.maskSoftness) {
-      this.elements.maskSoftness.addEventListener('input', (event) => {
-        this.values.maskSoftness = parseFloat(event.target.value);
-        
-        // Update slider
-        if (this.elements.maskSoftnessSlider) {
-          this.elements.maskSoftnessSlider.value = this.values.maskSoftness;
-        }
+    [numInput, slider].forEach(element => {
+      if (!element) return;
+      
+      element.addEventListener('input', (event) => {
+        const value = this.parseControlValue(control, event.target.value);
+        if (isNaN(value)) return;
         
-        this.updateUniforms();
-      });
-    }
-    
-    if (this.elements.maskSoftnessSlider) {
-      this.elements.maskSoftnessSlider.addEventListener('input', (event) => {
-        this.values.maskSoftness = parseFloat(event.target.value);
+        this.values[control] = value;
         
-        // Update number input
-        if (this.elements.maskSoftness) {
-          this.elements.maskSoftness.value = this.values.maskSoftness;
+        // Mirror the value onto the other element of the pair
+        const other = element === numInput ? slider : numInput;
+        if (other) {
+          other.value = value;
         }
         
         this.updateUniforms();
       });
+    });
+  }
+  
+  /**
+   * Octave count of a control, limited to what the shader loops can sum
+   * @param {string} control - Name of an octave control
+   * @returns {number} Octave count between 1 and MAX_OCTAVES
+   */
+  clampOctaves(control) {
+    const octaves = this.values[control];
+    if (octaves > MAX_OCTAVES) {
+      console.warn(`${control} limited to ${MAX_OCTAVES} octaves (requested ${octaves})`);
+      return MAX_OCTAVES;
     }
-    
-    // Set up checkbox listener
-    const use3DElement = this.elements.use3D;
-    if (use3DElement) {
-      use3DElement.addEventListener('change', (event) => {
-        this.values.use3D = event.target.checked;
-        this.updateUniforms();
-      });
-    }
+    return Math.max(octaves, 1);
   }
   
   /**
    * Update shader uniforms with current control values
+   * @param {Object} [options]
+   * @param {boolean} [options.record=true] - Treat the change as a user edit: count it as
+   *   an interaction, sync the permalink and add it to the undo history
    */
-  updateUniforms() {
-    // Make sure we're using the right program
-    this.gl.useProgram(this.program);
+  updateUniforms({ record = true } = {}) {
+    // Make sure we're using the right program (the app may rebuild it); the CPU
+    // preview has no GL and reads the values directly
+    if (this.gl) {
+      this.gl.useProgram(this.app.program);
+    }
     
     // Get uniform locations from app
     const locations = this.app.uniformLocations;
@@ -453,7 +752,9 @@ export class NoiseControls {
     
     // Update basic uniforms
     if (locations.frequency) {
-      this.gl.uniform1f(locations.frequency, this.values.frequency);
+      // While tiling, the base field spans tilePeriod lattice cells per unit square
+      const frequency = this.values.tileable ? 1 / Math.max(this.values.tilePeriod, 1) : this.values.frequency;
+      this.gl.uniform1f(locations.frequency, frequency);
     }
     
     if (locations.amplitude) {
@@ -461,13 +762,105 @@ export class NoiseControls {
     }
     
     if (locations.octaves) {
-      this.gl.uniform1i(locations.octaves, this.values.octaves);
+      this.gl.uniform1i(locations.octaves, this.clampOctaves('octaves'));
     }
     
     if (locations.use3D) {
       this.gl.uniform1i(locations.use3D, this.values.use3D ? 1 : 0);
     }
     
+    if (locations.seed) {
+      this.gl.uniform1i(locations.seed, this.values.seed);
+    }
+    
+    if (locations.tileable) {
+      this.gl.uniform1i(locations.tileable, this.values.tileable ? 1 : 0);
+    }
+    
+    if (locations.tilePreview) {
+      this.gl.uniform1i(locations.tilePreview, this.values.tilePreview ? 1 : 0);
+    }
+    
+    if (locations.terrainHeight) {
+      this.gl.uniform1f(locations.terrainHeight, this.values.terrainHeight);
+    }
+    
+    if (locations.volumeThreshold) {
+      this.gl.uniform1f(locations.volumeThreshold, this.values.volumeThreshold);
+    }
+    
+    if (locations.volumeSteps) {
+      this.gl.uniform1i(locations.volumeSteps, this.values.volumeSteps);
+    }
+    
+    if (locations.volumeAbsorption) {
+      this.gl.uniform1f(locations.volumeAbsorption, this.values.volumeAbsorption);
+    }
+    
+    // Slice axis - index matches u_sliceAxis in SliceFragment.glsl
+    if (locations.sliceAxis) {
+      this.gl.uniform1i(locations.sliceAxis, Math.max(SLICE_AXES.indexOf(this.values.sliceAxis), 0));
+    }
+    
+    if (locations.slicePosition) {
+      this.gl.uniform1f(locations.slicePosition, this.values.slicePosition);
+    }
+    
+    if (locations.valueRange) {
+      this.gl.uniform2f(locations.valueRange, this.values.valueMin, this.values.valueMax);
+    }
+    
+    // Noise algorithm - indices match the constants in lib/fractal.glsl and lib/worley.glsl
+    if (locations.noiseAlgorithm) {
+      this.gl.uniform1i(locations.noiseAlgorithm, Math.max(NOISE_ALGORITHMS.indexOf(this.values.noiseAlgorithm), 0));
+    }
+    
+    if (locations.worleyMetric) {
+      this.gl.uniform1i(locations.worleyMetric, Math.max(WORLEY_METRICS.indexOf(this.values.worleyMetric), 0));
+    }
+    
+    if (locations.worleyOutput) {
+      this.gl.uniform1i(locations.worleyOutput, Math.max(WORLEY_OUTPUTS.indexOf(this.values.worleyOutput), 0));
+    }
+    
+    if (locations.gaborFrequency) {
+      this.gl.uniform1f(locations.gaborFrequency, this.values.gaborFrequency);
+    }
+    
+    if (locations.gaborAngle) {
+      // The panel shows degrees, the shader expects radians
+      this.gl.uniform1f(locations.gaborAngle, this.values.gaborAngle * Math.PI / 180);
+    }
+    
+    if (locations.gaborIsotropy) {
+      this.gl.uniform1f(locations.gaborIsotropy, this.values.gaborIsotropy);
+    }
+    
+    // Fractal mode and octave weighting
+    if (locations.fractalMode) {
+      this.gl.uniform1i(locations.fractalMode, Math.max(FRACTAL_MODES.indexOf(this.values.fractalMode), 0));
+    }
+    
+    if (locations.lacunarity) {
+      this.gl.uniform1f(locations.lacunarity, this.values.lacunarity);
+    }
+    
+    if (locations.persistence) {
+      this.gl.uniform1f(locations.persistence, this.values.persistence);
+    }
+    
+    if (locations.fractalOffset) {
+      this.gl.uniform1f(locations.fractalOffset, this.values.fractalOffset);
+    }
+    
+    if (locations.fractalSharpness) {
+      this.gl.uniform1f(locations.fractalSharpness, this.values.fractalSharpness);
+    }
+    
+    if (locations.fractalCutoff) {
+      this.gl.uniform1f(locations.fractalCutoff, Math.max(this.values.fractalCutoff, 0));
+    }
+    
     if (locations.speed) {
       this.gl.uniform3f(
         locations.speed, 
@@ -479,54 +872,58 @@ export class NoiseControls {
     
     // Update extended uniforms - only if the features are active
     
-    // Color gradient - send gradient colors to shader if active
+    // Color gradient - send gradient stops to shader if active
     if (this.activeFeatures.colorGradient && locations.gradientColors && this.colorGradient) {
-      // Convert gradient to flat array of RGB values
+      // Convert gradient stops to flat arrays of RGB values and positions
       const colorData = new Float32Array(this.colorGradient.length * 3);
-      this.colorGradient.forEach((color, i) => {
-        colorData[i * 3] = color._r / 255;     // R
-        colorData[i * 3 + 1] = color._g / 255; // G
-        colorData[i * 3 + 2] = color._b / 255; // B
+      const positionData = new Float32Array(this.colorGradient.length);
+      this.colorGradient.forEach((stop, i) => {
+        const rgb = stop.color.toRgb();
+        colorData[i * 3] = rgb.r / 255;     // R
+        colorData[i * 3 + 1] = rgb.g / 255; // G
+        colorData[i * 3 + 2] = rgb.b / 255; // B
+        positionData[i] = stop.pos;
       });
       
       // Send color data to shader
       this.gl.uniform3fv(locations.gradientColors, colorData);
+      this.gl.uniform1fv(locations.gradientPositions, positionData);
       this.gl.uniform1i(locations.gradientSteps, this.colorGradient.length);
-    }
-    
-    // Warp controls - update if active
-    if (this.activeFeatures.warp) {
-      if (locations.warpStrength) {
-        this.gl.uniform1f(locations.warpStrength, this.values.warpStrength);
-      }
+      this.gl.uniform1i(locations.gradientBands, this.values.gradientSteps);
+      this.gl.uniform1i(
+        locations.gradientInterpolation,
+        this.values.gradientInterpolation === 'stepped' ? 1 : 0
+      );
       
-      if (locations.warpType) {
-        // Convert warp type string to integer for the shader
-        let warpTypeValue = 0; // Default: multiply
-        switch (this.values.warpType) {
-          case 'multiply': warpTypeValue = 0; break;
-          case 'additive': warpTypeValue = 1; break;
-          case 'exponent': warpTypeValue = 2; break;
-          case 'log': warpTypeValue = 3; break;
-        }
-        this.gl.uniform1i(locations.warpType, warpTypeValue);
+      // Convert color space string to integer for the shader
+      let colorSpaceValue = 0; // Default: rgb
+      switch (this.values.gradientColorSpace) {
+        case 'rgb': colorSpaceValue = 0; break;
+        case 'hsv': colorSpaceValue = 1; break;
+        case 'oklab': colorSpaceValue = 2; break;
       }
+      this.gl.uniform1i(locations.gradientColorSpace, colorSpaceValue);
+    } else if (locations.gradientSteps) {
+      // No gradient - shader falls back to its default ramp
+      this.gl.uniform1i(locations.gradientSteps, 0);
     }
     
-    // Mask layer controls - update if active
-    if (this.activeFeatures.mask) {
-      if (locations.maskCutoff) {
-        this.gl.uniform1f(locations.maskCutoff, this.values.maskCutoff);
-      }
-      
-      if (locations.maskBlendStrength) {
-        this.gl.uniform1f(locations.maskBlendStrength, this.values.maskBlendStrength);
-      }
+    // Noise type layers - their params while active, otherwise the values that switch them off
+    noiseLayers().forEach(id => {
+      const type = noiseTypes[id];
+      const active = this.activeFeatures[id];
       
-      if (locations.maskSoftness) {
-        this.gl.uniform1f(locations.maskSoftness, this.values.maskSoftness);
-      }
-    }
+      Object.entries(type.params).forEach(([name, param]) => {
+        const location = locations[name];
+        if (!location || !(active || name in type.off)) return;
+        
+        if (!active) {
+          this.uploadNoiseTypeParam(location, param, type.off[name]);
+        } else {
+          this.uploadNoiseTypeParam(location, param, param.octaves ? this.clampOctaves(name) : this.values[name]);
+        }
+      });
+    });
     
     // Log updates for debugging
     console.log('Updated uniforms:', {
@@ -534,13 +931,55 @@ export class NoiseControls {
       amplitude: this.values.amplitude,
       octaves: this.values.octaves,
       speed: [this.values.speedX, this.values.speedY, this.values.speedZ],
-      use3D: this.values.use3D
+      use3D: this.values.use3D,
+      seed: this.values.seed,
+      noiseAlgorithm: this.values.noiseAlgorithm,
+      fractalMode: this.values.fractalMode
     });
     
-    // Request a redraw
-    if (this.app && typeof this.app.requestRedraw === 'function') {
+    if (record) {
+      // Request a redraw
+      if (this.app && typeof this.app.markInteraction === 'function') {
+        this.app.markInteraction();
+      }
+      
+      // Keep the permalink in the address bar in sync
+      if (this.app && this.app.permalink) {
+        this.app.permalink.scheduleUpdate();
+      }
+      
+      // Add the change to the undo history once it settles
+      if (this.app && this.app.history) {
+        this.app.history.scheduleRecord();
+      }
+    } else if (this.app && typeof this.app.requestRedraw === 'function') {
+      // Values the app sets itself (auto-normalize) only need a redraw
       this.app.requestRedraw();
     }
+    
+    // Re-measure the output with the new parameters
+    if (this.app && this.app.analysis) {
+      this.app.analysis.scheduleUpdate();
+    }
+    if (this.app && this.app.spectrum) {
+      this.app.spectrum.scheduleUpdate();
+    }
+  }
+  
+  /**
+   * Upload a noise type param to its uniform
+   * @param {WebGLUniformLocation} location - The param's uniform
+   * @param {Object} param - Param descriptor (see noiseTypes.js)
+   * @param {number|string} value - Value to upload; enums are uploaded as their option index
+   */
+  uploadNoiseTypeParam(location, param, value) {
+    if (param.type === 'float') {
+      this.gl.uniform1f(location, value);
+    } else if (param.type === 'enum') {
+      this.gl.uniform1i(location, enumIndex(param, value));
+    } else {
+      this.gl.uniform1i(location, value);
+    }
   }
   
   /**
@@ -548,18 +987,12 @@ export class NoiseControls {
    * @param {Object} features - Object with boolean flags for each feature
    */
   setActiveFeatures(features) {
-    // Update feature visibility
-    if (features.colorGradient !== undefined) {
-      this.toggleFeatureVisibility('colorGradient', features.colorGradient);
-    }
-    
-    if (features.warp !== undefined) {
-      this.toggleFeatureVisibility('warp', features.warp);
-    }
-    
-    if (features.mask !== undefined) {
-      this.toggleFeatureVisibility('mask', features.mask);
-    }
+    // Update feature visibility; flags of unregistered noise types are ignored
+    Object.entries(features).forEach(([feature, active]) => {
+      if (Object.hasOwn(this.activeFeatures, feature) && active !== undefined) {
+        this.toggleFeatureVisibility(feature, active);
+      }
+    });
     
     // Update uniforms to match new feature set
     this.updateUniforms();
@@ -579,130 +1012,215 @@ export class NoiseControls {
    * @param {number|boolean|string} value - New value
    */
   setValue(control, value) {
-    if (!(control in this.values)) {
+    if (!Object.hasOwn(this.values, control)) {
       console.error(`Control "${control}" does not exist`);
       return;
     }
     
     this.values[control] = value;
-    
-    // Update DOM element
-    const element = this.elements[control];
-    if (element) {
-      if (control === 'use3D') {
-        element.checked = value;
-      } else {
-        element.value = value;
-        
-        // Update slider if it exists
-        const sliderElement = this.elements[`${control}Slider`];
-        if (sliderElement) {
-          sliderElement.value = value;
-        }
-      }
-    }
+    this.syncElement(control);
     
     // Special handling for color gradient
-    if (control === 'gradientStart' || control === 'gradientEnd' || control === 'gradientSteps') {
+    if (control.startsWith('gradient')) {
       this.colorGradient = this.generateColorGradient();
     }
     
+    // Show the settings of a newly selected algorithm, fractal mode, tiling state or time mode
+    if (['noiseAlgorithm', 'fractalMode', 'tileable', 'timeMode'].includes(control)) {
+      this.updateNoiseSettingsVisibility();
+    }
+    
     // Update the uniforms
     this.updateUniforms();
   }
+  
+  /**
+   * Set several control values at once, updating the UI and uniforms a single time
+   * Unknown controls and values of the wrong type are skipped with a warning
+   * @param {Object} values - Control values by name
+   * @param {Object} [options]
+   * @param {boolean} [options.record=true] - False for values the app sets itself, which
+   *   are applied without entering the undo history, the permalink or the interaction count
+   */
+  setValues(values, { record = true } = {}) {
+    Object.entries(values).forEach(([control, value]) => {
+      if (!Object.hasOwn(this.defaults, control)) {
+        console.warn(`Ignoring unknown control "${control}"`);
+        return;
+      }
+      
+      value = this.sanitizeValue(control, value);
+      if (value === undefined) return;
+      
+      this.values[control] = value;
+      this.syncElement(control);
+    });
+    
+    this.colorGradient = this.generateColorGradient();
+    this.updateNoiseSettingsVisibility();
+    this.updateUniforms({ record });
+  }
+  
+  /**
+   * Check a value loaded from outside the panel (preset, permalink) against its control
+   * Numbers are rounded and clamped to the input's range, strings must be one of
+   * the select's options and gradient stops need a hex color and a position
+   * @param {string} control - Name of the control
+   * @param {*} value - Value to check
+   * @returns {*} The value to use, or undefined if it cannot be used
+   */
+  sanitizeValue(control, value) {
+    const fallback = this.defaults[control];
+    const element = this.elements[control];
+    
+    if (Array.isArray(fallback)) {
+      // Gradient stops
+      const stops = Array.isArray(value) ? value.filter(stop =>
+        stop && /^#[0-9a-f]{6}$/i.test(stop.color) && Number.isFinite(stop.pos)
+      ) : [];
+      if (stops.length < 2) {
+        console.warn(`Ignoring ${control}: expected at least 2 color stops`);
+        return undefined;
+      }
+      return stops.slice(0, MAX_EDITOR_STOPS).map(stop => ({ color: stop.color, pos: stop.pos }));
+    }
+    
+    if (typeof value !== typeof fallback || (typeof value === 'number' && !Number.isFinite(value))) {
+      console.warn(`Ignoring ${control}: expected ${typeof fallback}, got ${JSON.stringify(value)}`);
+      return undefined;
+    }
+    
+    if (typeof value === 'number') {
+      let number = isIntegerControl(control) ? Math.round(value) : value;
+      
+      if (element && element.type === 'number') {
+        const min = parseFloat(element.min);
+        const max = isOctaveControl(control) ? MAX_OCTAVES : parseFloat(element.max);
+        if (!isNaN(min)) number = Math.max(number, min);
+        if (!isNaN(max)) number = Math.min(number, max);
+      }
+      
+      if (number !== value) {
+        console.warn(`${control} clamped to ${number} (was ${value})`);
+      }
+      return number;
+    }
+    
+    if (typeof value === 'string' && element && element.tagName === 'SELECT') {
+      const options = Array.from(element.options, option => option.value);
+      if (!options.includes(value)) {
+        console.warn(`Ignoring ${control}: "${value}" is not one of ${options.join(', ')}`);
+        return undefined;
+      }
+    }
+    
+    return value;
+  }
+  
+  /**
+   * Show a control's current value in its input and slider
+   * @param {string} control - Name of the control
+   */
+  syncElement(control) {
+    const element = this.elements[control];
+    if (!element) return;
+    
+    const value = this.values[control];
+    if (element.type === 'checkbox') {
+      element.checked = value;
+    } else {
+      element.value = value;
+      
+      // Update slider if it exists
+      const sliderElement = this.elements[`${control}Slider`];
+      if (sliderElement) {
+        sliderElement.value = value;
+      }
+    }
+  }
+  
+  /**
+   * Capture the full control state as a preset
+   * @param {string} name - Preset name
+   * @returns {Object} Preset with schema version, noise type, active features and all values
+   */
+  toPreset(name) {
+    return {
+      version: PRESET_SCHEMA_VERSION,
+      name,
+      noiseType: this.noiseType,
+      features: { ...this.activeFeatures },
+      values: structuredClone(this.values)
+    };
+  }
+  
+  /**
+   * Restore the state stored in a preset
+   * Values the preset does not list get their defaults, except the seed, which is
+   * kept unless the preset sets one; invalid values are skipped or clamped (see
+   * sanitizeValue). A preset with an unknown noise type is rejected and the
+   * current state kept.
+   * @param {Object} preset - Preset as returned by toPreset() or one of BUILT_IN_PRESETS
+   * @throws {Error} If the preset cannot be read or its noise type is unknown
+   */
+  applyPreset(preset) {
+    preset = validatePreset(migratePreset(preset));
+    console.log(`Applying preset: ${preset.name}`);
+    
+    if (typeof preset.noiseType === 'string') {
+      this.noiseType = preset.noiseType;
+    }
+    
+    if (preset.features) {
+      this.setActiveFeatures(preset.features);
+    }
+    
+    this.setValues({
+      ...this.defaults,
+      seed: this.values.seed,
+      ...preset.values
+    });
+  }
 
   /**
-   * Set up predefined feature sets for different noise types
-   * @param {string} noiseType - Type of noise to configure ('base', 'warp', 'mask', 'custom')
-   * @param {Object} customFeatures - Optional custom feature configuration
+   * Set up the feature set of a noise type
+   * @param {string} noiseType - A registered noise type ('base', 'warp', 'mask', ...; see
+   *   noiseTypes.js), 'full' for every feature or 'custom'
+   * @param {Object} customFeatures - Feature flags for 'custom'
+   * @returns {boolean} false if the noise type is unknown, leaving the controls unchanged
    */
   setupNoiseType(noiseType, customFeatures = null) {
     console.log(`Setting up noise type: ${noiseType}`);
     
-    switch (noiseType.toLowerCase()) {
-      case 'base':
-        // Base noise only needs color gradient features
-        this.setActiveFeatures({
-          colorGradient: true,
-          warp: false,
-          mask: false
-        });
-        
-        // Set default values appropriate for base noise
-        this.setValue('frequency', 2.0);
-        this.setValue('amplitude', 0.5);
-        this.setValue('octaves', 4);
-        
-        // Set default gradient for base noise
-        this.setValue('gradientStart', '#0000ff'); // Blue
-        this.setValue('gradientEnd', '#ff9500');   // Orange
-        this.setValue('gradientSteps', 10);
-        break;
-        
-      case 'warp':
-        // Domain warping needs warp features
-        this.setActiveFeatures({
-          colorGradient: false,
-          warp: true,
-          mask: false
-        });
-        
-        // Set default values appropriate for domain warping
-        this.setValue('frequency', 1.5);
-        this.setValue('amplitude', 0.6);
-        this.setValue('octaves', 3);
-        
-        // Default warp settings
-        this.setValue('warpStrength', 0.5);
-        this.setValue('warpType', 'multiply');
-        break;
-        
-      case 'mask':
-        // Mask layering needs mask features
-        this.setActiveFeatures({
-          colorGradient: true,
-          warp: false,
-          mask: true
-        });
-        
-        // Set default values appropriate for mask layering
-        this.setValue('frequency', 2.2);
-        this.setValue('amplitude', 0.4);
-        this.setValue('octaves', 2);
-        
-        // Default mask settings
-        this.setValue('maskCutoff', 0.5);
-        this.setValue('maskBlendStrength', 0.75);
-        this.setValue('maskSoftness', 0.25);
-        break;
-        
-      case 'full':
-        // Full featured setup with all controls enabled
-        this.setActiveFeatures({
-          colorGradient: true,
-          warp: true,
-          mask: true
-        });
-        break;
-        
-      case 'custom':
-        // Apply custom feature set if provided
-        if (customFeatures) {
-          this.setActiveFeatures(customFeatures);
-        }
-        break;
-        
-      default:
-        // Default to basic controls only
-        this.setActiveFeatures({
-          colorGradient: false,
-          warp: false,
-          mask: false
-        });
-        break;
+    noiseType = noiseType.toLowerCase();
+    
+    if (Object.hasOwn(noiseTypes, noiseType)) {
+      // Types with a built-in preset start from its values
+      if (Object.hasOwn(BUILT_IN_PRESETS, noiseType)) {
+        this.applyPreset(BUILT_IN_PRESETS[noiseType]);
+      } else {
+        this.setActiveFeatures(noiseTypeFeatures(noiseType));
+      }
+    } else if (noiseType === 'full') {
+      // Full featured setup with all controls enabled
+      const features = {};
+      Object.keys(this.activeFeatures).forEach(feature => {
+        features[feature] = true;
+      });
+      this.setActiveFeatures(features);
+    } else if (noiseType === 'custom') {
+      // Apply custom feature set if provided
+      if (customFeatures) {
+        this.setActiveFeatures(customFeatures);
+      }
+    } else {
+      return false;
     }
     
+    this.noiseType = noiseType;
+    
     // Update uniforms after changing feature set
     this.updateUniforms();
+    return true;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,345 @@
+/**
+ * CPU version of the layered noise field (src/shaders/lib/field.glsl with the
+ * warp and mask chunks) and of the flat view in OldNoise.glsl, for rendering
+ * without a GPU (see bin/oldnoise.js)
+ *
+ * A CpuField is built from control values and active features the same way
+ * NoiseControls.updateUniforms() fills the shader uniforms, so a preset renders
+ * like it does in the browser's flat view. The noise itself comes from
+ * CpuNoise; the field arithmetic runs in double precision, so values agree with
+ * the GPU to within float rounding.
+ */
+import {
+  CpuNoise,
+  NOISE_PERLIN,
+  FRACTAL_MAX_OCTAVES
+} from './noise.js';
+import {
+  NOISE_ALGORITHMS,
+  WORLEY_METRICS,
+  WORLEY_OUTPUTS,
+  FRACTAL_MODES
+} from '../controls.js';
+import { noiseTypes, enumIndex } from '../noiseTypes.js';
+import { sampleStops } from '../gradientEditor.js';
+
+// Scale applied to the warp field before displacing (WARP_SCALE in lib/warp.glsl)
+const WARP_SCALE = 4.0;
+
+// Params of the layers, whose enums are uploaded as option indices
+const { warpType: WARP_TYPE_PARAM } = noiseTypes.warp.params;
+const { maskMode: MASK_MODE_PARAM } = noiseTypes.mask.params;
+
+// Ramp the shader falls back to when the color gradient feature is off
+const FALLBACK_COLORS = [[0.2, 0.4, 0.8], [0.9, 0.4, 0.1]];
+
+/**
+ * Index of a select value in its option list, 0 when unknown (as the uniform upload does)
+ * @param {Array<string>} options - Options in shader index order
+ * @param {string} value - Selected option
+ * @returns {number} Shader index
+ */
+function optionIndex(options, value) {
+  return Math.max(options.indexOf(value), 0);
+}
+
+/**
+ * Octave count limited to what the shader loops sum
+ * @param {number} octaves - Requested octaves
+ * @returns {number} Octave count between 1 and FRACTAL_MAX_OCTAVES
+ */
+function clampOctaves(octaves) {
+  return Math.min(Math.max(octaves, 1), FRACTAL_MAX_OCTAVES);
+}
+
+/**
+ * GLSL smoothstep()
+ * @param {number} edge0 - Lower edge
+ * @param {number} edge1 - Upper edge
+ * @param {number} x - Input
+ * @returns {number} Smooth 0.0 - 1.0 transition
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+export class CpuField {
+  /**
+   * Set up the field for a set of control values
+   * @param {Object} values - Control values (DEFAULT_VALUES in controls.js lists them all)
+   * @param {Object} features - Active features: { colorGradient, warp, mask }
+   */
+  constructor(values, features = {}) {
+    this.values = values;
+    this.features = { colorGradient: false, warp: false, mask: false, ...features };
+
+    this.noise = new CpuNoise({
+      seed: values.seed,
+      worleyMetric: optionIndex(WORLEY_METRICS, values.worleyMetric),
+      worleyOutput: optionIndex(WORLEY_OUTPUTS, values.worleyOutput),
+      gaborFrequency: values.gaborFrequency,
+      gaborAngle: values.gaborAngle * Math.PI / 180,
+      gaborIsotropy: values.gaborIsotropy,
+      fractalOffset: values.fractalOffset,
+      fractalSharpness: values.fractalSharpness,
+      fractalCutoff: Math.max(values.fractalCutoff, 0),
+      tileable: values.tileable
+    });
+
+    // While tiling, the base field spans tilePeriod lattice cells per unit square
+    this.frequency = values.tileable ? 1 / Math.max(values.tilePeriod, 1) : values.frequency;
+    this.octaves = clampOctaves(values.octaves);
+    this.algorithm = optionIndex(NOISE_ALGORITHMS, values.noiseAlgorithm);
+    this.fractalMode = optionIndex(FRACTAL_MODES, values.fractalMode);
+
+    // Zero warp depth and zero mask strength switch those layers off, as in the shader
+    this.warpDepth = this.features.warp ? values.warpDepth : 0;
+    this.warpType = enumIndex(WARP_TYPE_PARAM, values.warpType);
+    this.warpOctaves = clampOctaves(values.warpOctaves);
+    this.maskBlendStrength = this.features.mask ? values.maskBlendStrength : 0;
+    this.maskOctaves = clampOctaves(values.maskOctaves);
+    this.maskMode = enumIndex(MASK_MODE_PARAM, values.maskMode);
+
+    // Seamless loop period of loop mode (0 when time runs straight on)
+    this.loopDuration = values.timeMode === 'loop' ? Math.max(values.loopDuration, 0) : 0;
+
+    // Stops sorted and clamped like the gradient editor keeps them
+    this.stops = values.gradientStops
+      .map(stop => ({ color: stop.color, pos: Math.min(Math.max(stop.pos, 0), 1) }))
+      .sort((a, b) => a.pos - b.pos);
+  }
+
+  /**
+   * Shape a warp displacement according to the warp type
+   * @param {Array<number>} q - Raw warp field sample (2D, 3D or 4D)
+   * @param {number} m - Modulating noise (used by multiply)
+   * @returns {Array<number>} Displacement
+   */
+  shapeWarp(q, m) {
+    if (this.warpType === 0) {
+      return q.map(value => value * m * 2.0);
+    } else if (this.warpType === 2) {
+      return q.map(value => Math.sign(value) * (Math.exp(2.0 * Math.abs(value)) - 1.0) * 0.5);
+    } else if (this.warpType === 3) {
+      return q.map(value => Math.sign(value) * Math.log(1.0 + 4.0 * Math.abs(value)) * 0.5);
+    }
+
+    return q;
+  }
+
+  /**
+   * Recursive domain warp: p + f(p + f(p + ...)), in 2D, 3D or 4D following p
+   * @param {Array<number>} p - Position
+   * @returns {Array<number>} Warped position
+   */
+  domainWarp(p) {
+    const { warpStrength, warpFrequency } = this.values;
+    if (this.warpDepth <= 0 || warpStrength <= 0.0) return p;
+
+    const fractalNoise = `fractalNoise${p.length}D`;
+    const fbm = q => this.noise[fractalNoise](q, this.warpOctaves, warpFrequency, 1.0, NOISE_PERLIN);
+    const add = (a, b) => a.map((value, axis) => value + b[axis]);
+
+    // Modulator for multiply mode, sampled once from an unrelated region
+    const m = this.warpType === 0 ? fbm(add(p, [31.7, 17.3, 5.9, 11.3])) : 1.0;
+
+    // The fields of each axis are decorrelated by fixed offsets
+    const fieldOffsets = [[0, 0, 0, 0], [8.3, 2.8, 4.1, 6.2], [1.9, 7.4, 9.6, 3.3], [6.6, 4.5, 2.2, 8.8]].slice(0, p.length);
+    let warped = p;
+
+    for (let i = 0; i < Math.min(this.warpDepth, 4); i++) {
+      const o = [i * 5.2, i * 1.3, i * 3.7, i * 2.9];
+      const q = fieldOffsets.map(offset => fbm(add(add(warped, o), offset)));
+      const displacement = this.shapeWarp(q, m);
+
+      warped = p.map((value, axis) => value + WARP_SCALE * warpStrength * displacement[axis]);
+    }
+
+    return warped;
+  }
+
+  /**
+   * Point of a time on the loop circle (z and w of the 4D noise)
+   * The radius makes the speed around the circle the length of the speed, so one
+   * loop covers as much noise as loopDuration seconds of straight movement
+   * @param {number} time - Animation time in seconds
+   * @returns {Array<number>} [z, w]
+   */
+  loopCircle(time) {
+    const { speedX, speedY, speedZ } = this.values;
+    const angle = 2 * Math.PI * time / this.loopDuration;
+    const radius = Math.hypot(speedX, speedY, speedZ) * this.loopDuration / (2 * Math.PI);
+    return [radius * Math.cos(angle), radius * Math.sin(angle)];
+  }
+
+  /**
+   * Sample the base fractal noise in 2D or 3D (time as the third axis), with domain warping
+   * While looping, time goes around a circle in the third and fourth dimensions instead
+   * @param {Array<number>} pos - 2D position
+   * @param {number} time - Animation time in seconds
+   * @param {number} octaves - Octave count
+   * @param {number} frequency - Base wavelength
+   * @returns {number} Noise value
+   */
+  baseNoise(pos, time, octaves, frequency) {
+    const { amplitude, lacunarity, persistence, use3D, speedZ } = this.values;
+    let p = use3D ? [pos[0], pos[1], time * speedZ] : pos;
+    if (this.loopDuration > 0) {
+      p = [pos[0], pos[1], ...this.loopCircle(time)];
+    }
+    p = this.domainWarp(p);
+    const fractal = `fractal${p.length}D`;
+
+    return this.noise[fractal](p, octaves, frequency, amplitude, this.algorithm,
+      this.fractalMode, lacunarity, persistence);
+  }
+
+  /**
+   * Mask value (0.0 - 1.0) from an independent noise field, thresholded around the cutoff
+   * @param {Array<number>} pos - 2D position
+   * @param {number} time - Animation time in seconds
+   * @returns {number} Mask weight
+   */
+  maskValue(pos, time) {
+    const { maskCutoff, maskSoftness, maskFrequency, use3D, speedZ } = this.values;
+
+    // Offset into an unrelated region of the noise so the mask is decorrelated from the base
+    const p = [pos[0] + 113.5, pos[1] + 271.9];
+    let m;
+    if (this.loopDuration > 0) {
+      m = this.noise.fractalNoise4D([...p, ...this.loopCircle(time)], this.maskOctaves, maskFrequency, 1.0, NOISE_PERLIN);
+    } else if (use3D) {
+      m = this.noise.fractalNoise3D([p[0], p[1], time * speedZ], this.maskOctaves, maskFrequency, 1.0, NOISE_PERLIN);
+    } else {
+      m = this.noise.fractalNoise2D(p, this.maskOctaves, maskFrequency, 1.0, NOISE_PERLIN);
+    }
+
+    const halfWidth = Math.max(maskSoftness, 1e-4) * 0.5;
+    return smoothstep(maskCutoff - halfWidth, maskCutoff + halfWidth, m * 0.5 + 0.5) * this.maskBlendStrength;
+  }
+
+  /**
+   * Layers of the field at a position
+   * @param {Array<number>} pos - 2D position
+   * @param {number} time - Animation time in seconds
+   * @returns {Array<number>} [base noise (0.0 - 1.0), ridged detail, mask weight]
+   */
+  noiseLayers(pos, time) {
+    const n = this.baseNoise(pos, time, this.octaves, this.frequency) * 0.5 + 0.5;
+
+    if (this.maskBlendStrength <= 0.0) {
+      return [n, 0.0, 0.0];
+    }
+
+    const detail = this.baseNoise([pos[0] + 47.1, pos[1] + 23.9], time, this.octaves + 2, this.frequency * 0.5);
+    return [n, 1.0 - Math.abs(detail) * 2.0, this.maskValue(pos, time)];
+  }
+
+  /**
+   * Map a noise value through the output remap
+   * @param {number} value - Noise value
+   * @returns {number} Remapped value
+   */
+  remapValue(value) {
+    const { valueMin, valueMax } = this.values;
+    return (value - valueMin) / Math.max(valueMax - valueMin, 1e-6);
+  }
+
+  /**
+   * Scalar value of the layered field (what is colored, exported and used as height)
+   * @param {Array<number>} layers - Result of noiseLayers()
+   * @returns {number} Field value
+   */
+  layerValue(layers) {
+    const detail = this.maskMode === 1 ? 1.0 - layers[1] : layers[1];
+    return this.remapValue(layers[0] + (detail - layers[0]) * layers[2]);
+  }
+
+  /**
+   * Sample the color gradient (or the fallback ramp) like sampleGradient() in lib/color.glsl
+   * @param {number} t - Position (clamped to 0.0 - 1.0)
+   * @returns {Array<number>} RGB (0.0 - 1.0)
+   */
+  sampleGradient(t) {
+    t = Math.min(Math.max(t, 0.0), 1.0);
+
+    if (!this.features.colorGradient || this.stops.length < 2) {
+      const [a, b] = FALLBACK_COLORS;
+      return a.map((value, i) => value + (b[i] - value) * t);
+    }
+
+    if (this.values.gradientInterpolation === 'stepped') {
+      const bands = Math.max(this.values.gradientSteps, 2);
+      t = Math.min(Math.floor(t * bands), bands - 1) / (bands - 1);
+    }
+
+    return sampleStops(this.stops, t, this.values.gradientColorSpace);
+  }
+
+  /**
+   * Value and color of the field at a position, as OldNoise.glsl computes them
+   * @param {Array<number>} pos - 2D position (after pan, zoom and movement)
+   * @param {number} time - Animation time in seconds
+   * @returns {Object} { value, color } - raw value and RGB color (0.0 - 1.0)
+   */
+  sample(pos, time) {
+    const layers = this.noiseLayers(pos, time);
+    const value = this.layerValue(layers);
+
+    if (this.maskMode === 1 && layers[2] > 0.0) {
+      // Blend two colorings - the second layer samples the gradient in reverse
+      const a = this.sampleGradient(this.remapValue(layers[0]));
+      const b = this.sampleGradient(this.remapValue(1.0 - layers[1]));
+      return { value, color: a.map((component, i) => component + (b[i] - component) * layers[2]) };
+    }
+
+    return { value, color: this.sampleGradient(value) };
+  }
+
+  /**
+   * Render the flat view into pixel buffers, framed like the canvas and the export panel
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {Object} view - Framing
+   * @param {number} view.time - Animation time in seconds
+   * @param {Array<number>} view.offset - Pan in noise units
+   * @param {number} view.zoom - Zoom factor
+   * @param {boolean} view.raw - Compute only the raw values (no colors)
+   * @returns {Object} { values, rgb } - Float32Array of raw values and Uint8Array RGB
+   *   (null when raw), both row-major with the top row first
+   */
+  render(width, height, { time = 0, offset = [0, 0], zoom = 1, raw = false } = {}) {
+    const { speedX, speedY } = this.values;
+
+    // While looping, all movement goes around the time circle
+    const drift = this.loopDuration > 0 ? [0, 0] : [time * speedX, time * speedY];
+    const values = new Float32Array(width * height);
+    const rgb = raw ? null : new Uint8Array(width * height * 3);
+    const aspect = Math.min(width, height);
+
+    for (let y = 0; y < height; y++) {
+      // Texture coordinates start at the bottom row
+      const v = (height - 1 - y + 0.5) / aspect;
+
+      for (let x = 0; x < width; x++) {
+        const u = (x + 0.5) / aspect;
+        const pos = [u / zoom + offset[0] + drift[0], v / zoom + offset[1] + drift[1]];
+        const index = y * width + x;
+
+        if (raw) {
+          values[index] = this.layerValue(this.noiseLayers(pos, time));
+          continue;
+        }
+
+        const { value, color } = this.sample(pos, time);
+        values[index] = value;
+        for (let i = 0; i < 3; i++) {
+          rgb[index * 3 + i] = Math.round(Math.min(Math.max(color[i], 0), 1) * 255);
+        }
+      }
+    }
+
+    return { values, rgb };
+  }
+}
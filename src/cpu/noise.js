@@ -0,0 +1,1190 @@
+/**
+ * CPU reference of the shader noise (src/shaders/lib/perlin, value, simplex,
+ * worley, gabor and fractal.glsl) for Node and workers
+ *
+ * Function names, constants and argument order follow the GLSL. The integer hash
+ * and lattice math are bit-exact: int products use Math.imul and sums wrap to
+ * 32 bits like highp ints. Float values are rounded to 32 bits (Math.fround)
+ * wherever the shader stores one, so results agree with the GPU to float
+ * precision; sin, cos, exp and pow are implementation-defined in GLSL, so the
+ * last bits of the gradient noises can differ between GPUs.
+ *
+ * Vectors are plain arrays ([x, y] for vec2/ivec2, [x, y, z] for vec3/ivec3).
+ * Uniforms the GLSL reads (u_seed, the Worley, Gabor and fractal settings) are
+ * the settings of a CpuNoise instance.
+ */
+
+const f32 = Math.fround;
+
+// Hash lattice size (B in lib/perlin.glsl)
+export const B = 1024;
+
+// Noise algorithms (lib/fractal.glsl)
+export const NOISE_PERLIN = 0;
+export const NOISE_SIMPLEX = 1;
+export const NOISE_VALUE = 2;
+export const NOISE_WORLEY = 3;
+export const NOISE_GABOR = 4;
+
+// Fractal modes (lib/fractal.glsl)
+export const FRACTAL_FBM = 0;
+export const FRACTAL_TURBULENCE = 1;
+export const FRACTAL_BILLOW = 2;
+export const FRACTAL_RIDGED = 3;
+export const FRACTAL_HYBRID = 4;
+
+// Loop bound of the fractal sums
+export const FRACTAL_MAX_OCTAVES = 32;
+
+// Worley metrics and outputs (lib/worley.glsl)
+export const WORLEY_EUCLIDEAN = 0;
+export const WORLEY_MANHATTAN = 1;
+export const WORLEY_CHEBYSHEV = 2;
+export const WORLEY_F1 = 0;
+export const WORLEY_F2 = 1;
+export const WORLEY_F2_F1 = 2;
+
+// Gabor kernel settings (lib/gabor.glsl)
+const GABOR_IMPULSES_2D = 8;
+const GABOR_IMPULSES_3D = 4;
+const GABOR_A = 1.0;
+
+// Output scales of the 4D noises (lib/perlin.glsl, value.glsl, simplex.glsl), matching their 3D spread
+const NOISE4D_SCALE = 0.7;
+const VALUE4D_SCALE = 1.1;
+const SIMPLEX4D_SCALE = 47.0;
+
+// float(0x7fffffff) rounds up to 2^31 in a 32-bit float
+const HASH_DIVISOR = f32(0x7fffffff);
+
+// Uniform values when a setting is not given (the control defaults in controls.js)
+const DEFAULT_SETTINGS = {
+  seed: 0,
+  worleyMetric: WORLEY_EUCLIDEAN,
+  worleyOutput: WORLEY_F1,
+  gaborFrequency: 2.0,
+  gaborAngle: Math.PI / 4, // Radians, as uploaded
+  gaborIsotropy: 0.0,
+  fractalOffset: 1.0,
+  fractalSharpness: 2.0,
+  fractalCutoff: 0.001,
+  tileable: false
+};
+
+/**
+ * Wrap a lattice coordinate onto 0..period-1, like the GLSL (truncating int division)
+ * @param {number} i - Lattice coordinate (int)
+ * @param {number} period - Period (int, <= B)
+ * @returns {number} Wrapped coordinate
+ */
+export function wrapLattice(i, period) {
+  const r = (i - Math.imul(period, Math.trunc(i / period))) | 0;
+  return r < 0 ? r + period : r;
+}
+
+/**
+ * Quintic fade curve
+ * @param {number} t - Position in the cell (0.0 - 1.0)
+ * @returns {number} Faded position
+ */
+export function fade(t) {
+  return f32(t * t * t * (t * (t * 6.0 - 15.0) + 10.0));
+}
+
+/**
+ * Linear interpolation, argument order as in the GLSL
+ * @param {number} t - Weight of b
+ * @param {number} a - Value at t = 0
+ * @param {number} b - Value at t = 1
+ * @returns {number} Interpolated value
+ */
+export function lerp(t, a, b) {
+  return f32(a + t * (b - a));
+}
+
+/**
+ * Floor of each component as int (ivec(floor(p)))
+ * @param {Array<number>} p - Vector
+ * @returns {Array<number>} Integer vector
+ */
+function floorInt(p) {
+  return p.map(value => Math.floor(value) | 0);
+}
+
+/**
+ * Fractional part of each component (fract(p))
+ * @param {Array<number>} p - Vector
+ * @returns {Array<number>} Fractional parts
+ */
+function fract(p) {
+  return p.map(value => f32(value - Math.floor(value)));
+}
+
+/**
+ * Dot product
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} a · b
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return f32(sum);
+}
+
+/**
+ * Floor division by a positive int, exact for any int (like the GLSL's wrapLattice arithmetic)
+ * @param {number} x - Dividend (int)
+ * @param {number} m - Divisor (int, > 0)
+ * @returns {number} floor(x / m)
+ */
+function floorDiv(x, m) {
+  return (x - wrapLattice(x, m)) / m;
+}
+
+/**
+ * Corner order of a 3D simplex (simplexOrder3D in lib/simplex.glsl)
+ * @param {Array<number>} x0 - Position in the skewed cell
+ * @returns {Array<Array<number>>} [o1, o2]: offsets of the largest and the two largest coordinates
+ */
+function simplexOrder3D(x0) {
+  // step(x0.yzx, x0.xyz) and the ranks derived from it
+  const g = [x0[0] >= x0[1] ? 1 : 0, x0[1] >= x0[2] ? 1 : 0, x0[2] >= x0[0] ? 1 : 0];
+  const l = g.map(value => 1 - value);
+  return [
+    [Math.min(g[0], l[2]), Math.min(g[1], l[0]), Math.min(g[2], l[1])],
+    [Math.max(g[0], l[2]), Math.max(g[1], l[0]), Math.max(g[2], l[1])]
+  ];
+}
+
+/**
+ * Corner order of a 4D simplex (simplexOrder4D in lib/simplex.glsl)
+ * @param {Array<number>} x0 - Position in the skewed cell
+ * @returns {Array<Array<number>>} [o1, o2, o3]: offsets of the largest one, two and three coordinates
+ */
+function simplexOrder4D(x0) {
+  // Rank of each coordinate (3 for the largest), from step(x0.yzw, x0.xxx) and step(x0.zww, x0.yyz)
+  const isX = [x0[0] >= x0[1] ? 1 : 0, x0[0] >= x0[2] ? 1 : 0, x0[0] >= x0[3] ? 1 : 0];
+  const isYZ = [x0[1] >= x0[2] ? 1 : 0, x0[1] >= x0[3] ? 1 : 0, x0[2] >= x0[3] ? 1 : 0];
+  const rank = [
+    isX[0] + isX[1] + isX[2],
+    1 - isX[0] + isYZ[0] + isYZ[1],
+    1 - isX[1] + 1 - isYZ[0] + isYZ[2],
+    1 - isX[2] + 1 - isYZ[1] + 1 - isYZ[2]
+  ];
+  return [2, 1, 0].map(offset => rank.map(value => Math.min(Math.max(value - offset, 0), 1)));
+}
+
+/**
+ * 2D gradient: unit vector at the angle a hash selects
+ * @param {number} h - Hash (0.0 - 1.0)
+ * @returns {Array<number>} Gradient
+ */
+export function grad2(h) {
+  const angle = f32(h * 6.283185307179586);
+  return [f32(Math.cos(angle)), f32(Math.sin(angle))];
+}
+
+/**
+ * Dot product of the gradient of a hash and an offset
+ * @param {number} h - Hash (0.0 - 1.0)
+ * @param {Array<number>} p - Offset from the lattice point
+ * @returns {number} Gradient contribution
+ */
+export function gradDot2D(h, p) {
+  return dot(grad2(h), p);
+}
+
+/**
+ * 3D gradient: pseudo-random unit vector from a hash
+ * @param {number} h - Hash (0.0 - 1.0)
+ * @returns {Array<number>} Gradient
+ */
+export function grad3(h) {
+  const g = [f32(Math.sin(h * 12.9898)), f32(Math.sin(h * 78.233)), f32(Math.sin(h * 43.2391))];
+  const length = f32(Math.sqrt(dot(g, g)));
+  return g.map(value => f32(value / length));
+}
+
+/**
+ * 4D gradient: pseudo-random unit vector from a hash
+ * @param {number} h - Hash (0.0 - 1.0)
+ * @returns {Array<number>} Gradient
+ */
+export function grad4(h) {
+  const g = [
+    f32(Math.sin(h * 12.9898)),
+    f32(Math.sin(h * 78.233)),
+    f32(Math.sin(h * 43.2391)),
+    f32(Math.sin(h * 93.9898))
+  ];
+  const length = f32(Math.sqrt(dot(g, g)));
+  return g.map(value => f32(value / length));
+}
+
+export class CpuNoise {
+  /**
+   * Create a noise source with fixed settings
+   * @param {Object} settings - Values of the uniforms the noise reads, named without the u_
+   *   prefix and in shader units (indices for the Worley settings, radians for gaborAngle):
+   *   seed, worleyMetric, worleyOutput, gaborFrequency, gaborAngle, gaborIsotropy,
+   *   fractalOffset, fractalSharpness, fractalCutoff, tileable
+   */
+  constructor(settings = {}) {
+    Object.assign(this, DEFAULT_SETTINGS, settings);
+    this.seed |= 0;
+  }
+
+  /**
+   * Integer hash (u_seed permutes it)
+   * @param {number} x - Input (int)
+   * @returns {number} Hash (0.0 - 1.0)
+   */
+  hash(x) {
+    x = (x ^ Math.imul(this.seed, 1103515245)) | 0;
+    x = (x << 13) ^ x;
+    const h = (Math.imul(x, (Math.imul(Math.imul(x, x), 15731) + 789221) | 0) + 1376312589) & 0x7fffffff;
+    return f32(f32(h) / HASH_DIVISOR);
+  }
+
+  /**
+   * Hash of 2D lattice coordinates
+   * @param {number} x - Lattice x (int)
+   * @param {number} y - Lattice y (int)
+   * @returns {number} Hash (0.0 - 1.0)
+   */
+  hash2D(x, y) {
+    return this.hash((x + Math.imul(B, y)) | 0);
+  }
+
+  /**
+   * Hash of 3D lattice coordinates
+   * @param {number} x - Lattice x (int)
+   * @param {number} y - Lattice y (int)
+   * @param {number} z - Lattice z (int)
+   * @returns {number} Hash (0.0 - 1.0)
+   */
+  hash3D(x, y, z) {
+    return this.hash((x + Math.imul(B, (y + Math.imul(B, z)) | 0)) | 0);
+  }
+
+  /**
+   * Hash of 4D lattice coordinates
+   * @param {number} x - Lattice x (int)
+   * @param {number} y - Lattice y (int)
+   * @param {number} z - Lattice z (int)
+   * @param {number} w - Lattice w (int)
+   * @returns {number} Hash (0.0 - 1.0)
+   */
+  hash4D(x, y, z, w) {
+    return this.hash((x + Math.imul(B, (y + Math.imul(B, (z + Math.imul(B, w)) | 0)) | 0)) | 0);
+  }
+
+  /**
+   * 1D Perlin noise, roughly -0.5..0.5
+   * @param {number} x - Position
+   * @returns {number} Noise value
+   */
+  noise1D(x) {
+    let ix0 = Math.floor(x) | 0;
+    const fx0 = f32(x - ix0);
+    const fx1 = f32(fx0 - 1.0);
+
+    ix0 = ix0 & (B - 1);
+    const ix1 = (ix0 + 1) & (B - 1);
+
+    const s = fade(fx0);
+    const n0 = f32(fx0 * (2.0 * this.hash(ix0) - 1.0));
+    const n1 = f32(fx1 * (2.0 * this.hash(ix1) - 1.0));
+
+    return f32(0.188 * lerp(s, n0, n1));
+  }
+
+  /**
+   * 2D Perlin noise, roughly -0.5..0.5
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  noise2D(p, period = [B, B]) {
+    const c = floorInt(p);
+    const f = fract(p);
+
+    const i = [wrapLattice(c[0], period[0]), wrapLattice(c[1], period[1])];
+    const i1 = [wrapLattice(i[0] + 1, period[0]), wrapLattice(i[1] + 1, period[1])];
+
+    const n00 = gradDot2D(this.hash2D(i[0], i[1]), f);
+    const n10 = gradDot2D(this.hash2D(i1[0], i[1]), [f32(f[0] - 1.0), f[1]]);
+    const n01 = gradDot2D(this.hash2D(i[0], i1[1]), [f[0], f32(f[1] - 1.0)]);
+    const n11 = gradDot2D(this.hash2D(i1[0], i1[1]), [f32(f[0] - 1.0), f32(f[1] - 1.0)]);
+
+    const u = [fade(f[0]), fade(f[1])];
+    const nx0 = lerp(u[0], n00, n10);
+    const nx1 = lerp(u[0], n01, n11);
+
+    return f32(0.507 * lerp(u[1], nx0, nx1));
+  }
+
+  /**
+   * 3D Perlin noise, roughly -0.66..0.66
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  noise3D(p, period = [B, B, B]) {
+    const c = floorInt(p);
+    const f = fract(p);
+
+    const i = c.map((value, axis) => wrapLattice(value, period[axis]));
+    const j = i.map((value, axis) => wrapLattice(value + 1, period[axis]));
+    const u = f.map(fade);
+
+    // Corner n<x><y><z>: dot of the corner gradient and the offset from the corner
+    const corner = (x, y, z) => dot(
+      grad3(this.hash3D(x ? j[0] : i[0], y ? j[1] : i[1], z ? j[2] : i[2])),
+      [f32(f[0] - x), f32(f[1] - y), f32(f[2] - z)]
+    );
+
+    const nx00 = lerp(u[0], corner(0, 0, 0), corner(1, 0, 0));
+    const nx10 = lerp(u[0], corner(0, 1, 0), corner(1, 1, 0));
+    const nx01 = lerp(u[0], corner(0, 0, 1), corner(1, 0, 1));
+    const nx11 = lerp(u[0], corner(0, 1, 1), corner(1, 1, 1));
+
+    const nxy0 = lerp(u[1], nx00, nx10);
+    const nxy1 = lerp(u[1], nx01, nx11);
+
+    return f32(0.66 * lerp(u[2], nxy0, nxy1));
+  }
+
+  /**
+   * 4D Perlin noise, roughly -0.66..0.66 like 3D Perlin
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  noise4D(p, period = [B, B, B, B]) {
+    const c = floorInt(p);
+    const f = fract(p);
+
+    const i = c.map((value, axis) => wrapLattice(value, period[axis]));
+    const j = i.map((value, axis) => wrapLattice(value + 1, period[axis]));
+    const u = f.map(fade);
+
+    // One w layer of the cell: its 8 corners blended along x, y and z
+    const layer = w => {
+      const corner = (x, y, z) => dot(
+        grad4(this.hash4D(x ? j[0] : i[0], y ? j[1] : i[1], z ? j[2] : i[2], w ? j[3] : i[3])),
+        [f32(f[0] - x), f32(f[1] - y), f32(f[2] - z), f32(f[3] - w)]
+      );
+
+      const nxy0 = lerp(u[1], lerp(u[0], corner(0, 0, 0), corner(1, 0, 0)), lerp(u[0], corner(0, 1, 0), corner(1, 1, 0)));
+      const nxy1 = lerp(u[1], lerp(u[0], corner(0, 0, 1), corner(1, 0, 1)), lerp(u[0], corner(0, 1, 1), corner(1, 1, 1)));
+      return lerp(u[2], nxy0, nxy1);
+    };
+
+    return f32(NOISE4D_SCALE * lerp(u[3], layer(0), layer(1)));
+  }
+
+  /**
+   * 2D value noise, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  valueNoise2D(p, period = [B, B]) {
+    const c = floorInt(p);
+    const i = [wrapLattice(c[0], period[0]), wrapLattice(c[1], period[1])];
+    const f = fract(p);
+
+    const x1 = wrapLattice(i[0] + 1, period[0]);
+    const y1 = wrapLattice(i[1] + 1, period[1]);
+
+    const v00 = f32(2.0 * this.hash2D(i[0], i[1]) - 1.0);
+    const v10 = f32(2.0 * this.hash2D(x1, i[1]) - 1.0);
+    const v01 = f32(2.0 * this.hash2D(i[0], y1) - 1.0);
+    const v11 = f32(2.0 * this.hash2D(x1, y1) - 1.0);
+
+    const u = [fade(f[0]), fade(f[1])];
+    return lerp(u[1], lerp(u[0], v00, v10), lerp(u[0], v01, v11));
+  }
+
+  /**
+   * 3D value noise, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  valueNoise3D(p, period = [B, B, B]) {
+    const i = floorInt(p).map((value, axis) => wrapLattice(value, period[axis]));
+    const f = fract(p);
+
+    const x1 = wrapLattice(i[0] + 1, period[0]);
+    const y1 = wrapLattice(i[1] + 1, period[1]);
+    const z1 = wrapLattice(i[2] + 1, period[2]);
+
+    const u = f.map(fade);
+
+    const nx00 = lerp(u[0], this.hash3D(i[0], i[1], i[2]), this.hash3D(x1, i[1], i[2]));
+    const nx10 = lerp(u[0], this.hash3D(i[0], y1, i[2]), this.hash3D(x1, y1, i[2]));
+    const nx01 = lerp(u[0], this.hash3D(i[0], i[1], z1), this.hash3D(x1, i[1], z1));
+    const nx11 = lerp(u[0], this.hash3D(i[0], y1, z1), this.hash3D(x1, y1, z1));
+
+    const n = lerp(u[2], lerp(u[1], nx00, nx10), lerp(u[1], nx01, nx11));
+    return f32(2.0 * n - 1.0);
+  }
+
+  /**
+   * 4D value noise, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  valueNoise4D(p, period = [B, B, B, B]) {
+    const i = floorInt(p).map((value, axis) => wrapLattice(value, period[axis]));
+    const j = i.map((value, axis) => wrapLattice(value + 1, period[axis]));
+    const f = fract(p);
+    const u = f.map(fade);
+
+    // One w layer of the cell: its 8 corners blended along x, y and z
+    const layer = w => {
+      const corner = (x, y, z) => this.hash4D(x ? j[0] : i[0], y ? j[1] : i[1], z ? j[2] : i[2], w);
+
+      const nx00 = lerp(u[0], corner(0, 0, 0), corner(1, 0, 0));
+      const nx10 = lerp(u[0], corner(0, 1, 0), corner(1, 1, 0));
+      const nx01 = lerp(u[0], corner(0, 0, 1), corner(1, 0, 1));
+      const nx11 = lerp(u[0], corner(0, 1, 1), corner(1, 1, 1));
+      return lerp(u[2], lerp(u[1], nx00, nx10), lerp(u[1], nx01, nx11));
+    };
+
+    const n = lerp(u[3], layer(i[3]), layer(j[3]));
+    return f32(VALUE4D_SCALE * f32(2.0 * n - 1.0));
+  }
+
+  /**
+   * 2D simplex noise, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} [period] - Lattice period per axis; given, the noise uses the
+   *   periodic lattice of the GLSL's simplexNoise2D(p, period) instead of the plain grid
+   * @returns {number} Noise value
+   */
+  simplexNoise2D(p, period) {
+    if (period) return this.periodicSimplexNoise2D(p, period);
+
+    const F2 = f32(0.36602540378);
+    const G2 = f32(0.21132486540);
+
+    const skew = f32((p[0] + p[1]) * F2);
+    const s = [Math.floor(f32(p[0] + skew)), Math.floor(f32(p[1] + skew))];
+    const unskew = f32((s[0] + s[1]) * G2);
+    const x0 = [f32(p[0] - s[0] + unskew), f32(p[1] - s[1] + unskew)];
+
+    const o = x0[0] > x0[1] ? [1, 0] : [0, 1];
+    const x1 = [f32(x0[0] - o[0] + G2), f32(x0[1] - o[1] + G2)];
+    const x2 = [f32(x0[0] - 1.0 + 2.0 * G2), f32(x0[1] - 1.0 + 2.0 * G2)];
+
+    const i = [s[0] | 0, s[1] | 0];
+    let n = 0.0;
+
+    const corner = (x, offsetX, offsetY) => {
+      let t = f32(0.5 - dot(x, x));
+      if (t <= 0.0) return;
+
+      t = f32(t * t);
+      const h = this.hash2D((i[0] + offsetX) & (B - 1), (i[1] + offsetY) & (B - 1));
+      n = f32(n + f32(t * t) * gradDot2D(h, x));
+    };
+    corner(x0, 0, 0);
+    corner(x1, o[0], o[1]);
+    corner(x2, 1, 1);
+
+    return f32(99.0 * n);
+  }
+
+  /**
+   * 3D simplex noise, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} [period] - Lattice period per axis, for the periodic lattice
+   * @returns {number} Noise value
+   */
+  simplexNoise3D(p, period) {
+    if (period) return this.periodicSimplexNoise3D(p, period);
+
+    const F3 = f32(1.0 / 3.0);
+    const G3 = f32(1.0 / 6.0);
+
+    const skew = f32((p[0] + p[1] + p[2]) * F3);
+    const s = p.map(value => Math.floor(f32(value + skew)));
+    const unskew = f32((s[0] + s[1] + s[2]) * G3);
+    const x0 = p.map((value, axis) => f32(value - s[axis] + unskew));
+
+    const [o1, o2] = simplexOrder3D(x0);
+
+    const x1 = x0.map((value, axis) => f32(value - o1[axis] + G3));
+    const x2 = x0.map((value, axis) => f32(value - o2[axis] + 2.0 * G3));
+    const x3 = x0.map(value => f32(value - 1.0 + 3.0 * G3));
+
+    const i = s.map(value => value | 0);
+    const cornerHash = offset => this.hash3D(
+      (i[0] + offset[0]) & (B - 1),
+      (i[1] + offset[1]) & (B - 1),
+      (i[2] + offset[2]) & (B - 1)
+    );
+
+    let sum = 0;
+    [[x0, [0, 0, 0]], [x1, o1], [x2, o2], [x3, [1, 1, 1]]].forEach(([x, offset]) => {
+      let t = Math.max(f32(0.6 - dot(x, x)), 0.0);
+      t = f32(t * t);
+      t = f32(t * t);
+      sum += t * dot(grad3(cornerHash(offset)), x);
+    });
+
+    return f32(32.0 * f32(sum));
+  }
+
+  /**
+   * 4D simplex noise, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} [period] - Lattice period per axis (x, y and z), for the periodic lattice
+   * @returns {number} Noise value
+   */
+  simplexNoise4D(p, period) {
+    if (period) return this.periodicSimplexNoise4D(p, period);
+
+    const F4 = f32(0.30901699437);
+    const G4 = f32(0.13819660113);
+
+    const skew = f32((p[0] + p[1] + p[2] + p[3]) * F4);
+    const s = p.map(value => Math.floor(f32(value + skew)));
+    const unskew = f32((s[0] + s[1] + s[2] + s[3]) * G4);
+    const x0 = p.map((value, axis) => f32(value - s[axis] + unskew));
+
+    const [o1, o2, o3] = simplexOrder4D(x0);
+
+    const x1 = x0.map((value, axis) => f32(value - o1[axis] + G4));
+    const x2 = x0.map((value, axis) => f32(value - o2[axis] + 2.0 * G4));
+    const x3 = x0.map((value, axis) => f32(value - o3[axis] + 3.0 * G4));
+    const x4 = x0.map(value => f32(value - 1.0 + 4.0 * G4));
+
+    const i = s.map(value => value | 0);
+    const cornerHash = offset => this.hash4D(
+      (i[0] + offset[0]) & (B - 1),
+      (i[1] + offset[1]) & (B - 1),
+      (i[2] + offset[2]) & (B - 1),
+      (i[3] + offset[3]) & (B - 1)
+    );
+
+    let sum = 0;
+    [[x0, [0, 0, 0, 0]], [x1, o1], [x2, o2], [x3, o3], [x4, [1, 1, 1, 1]]].forEach(([x, offset]) => {
+      let t = Math.max(f32(0.6 - dot(x, x)), 0.0);
+      t = f32(t * t);
+      t = f32(t * t);
+      sum += t * dot(grad4(cornerHash(offset)), x);
+    });
+
+    return f32(SIMPLEX4D_SCALE * f32(sum));
+  }
+
+  /**
+   * 2D simplex noise on the periodic lattice (u = 2x + y, v = 2x - y), repeating every `period` cells
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  periodicSimplexNoise2D(p, period) {
+    const uv = [f32(2.0 * p[0] + p[1]), f32(2.0 * p[0] - p[1])];
+    const s = uv.map(Math.floor);
+    const f = uv.map((value, axis) => f32(value - s[axis]));
+    const o = f[0] > f[1] ? [1, 0] : [0, 1];
+
+    let n = 0.0;
+    [[0, 0], o, [1, 1]].forEach(offset => {
+      const a = [f32(f[0] - offset[0]), f32(f[1] - offset[1])];
+      const x = [f32((a[0] + a[1]) * 0.25), f32((a[0] - a[1]) * 0.5)];
+      let t = f32(0.2 - dot(x, x));
+      if (t <= 0.0) return;
+
+      // Wrap the corner onto one period (4 times its unskewed position is whole)
+      const c = [s[0] + offset[0], s[1] + offset[1]];
+      const k = [
+        floorDiv(c[0] + c[1], 4 * period[0]) * period[0],
+        floorDiv(2 * (c[0] - c[1]), 4 * period[1]) * period[1]
+      ];
+
+      t = f32(t * t);
+      const h = this.hash2D(c[0] - 2 * k[0] - k[1], c[1] - 2 * k[0] + k[1]);
+      n = f32(n + f32(t * t) * gradDot2D(h, x));
+    });
+
+    return f32(6350.0 * n);
+  }
+
+  /**
+   * 3D simplex noise on the periodic body-centred cubic lattice, repeating every `period` cells
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  periodicSimplexNoise3D(p, period) {
+    const uv = [f32(p[1] + p[2]), f32(p[0] + p[2]), f32(p[0] + p[1])];
+    const s = uv.map(Math.floor);
+    const f = uv.map((value, axis) => f32(value - s[axis]));
+    const [o1, o2] = simplexOrder3D(f);
+
+    let sum = 0;
+    [[0, 0, 0], o1, o2, [1, 1, 1]].forEach(offset => {
+      const a = f.map((value, axis) => f32(value - offset[axis]));
+      const half = f32(f32(a[0] + a[1] + a[2]) * 0.5);
+      const x = a.map(value => f32(half - value));
+
+      let t = Math.max(f32(0.5 - dot(x, x)), 0.0);
+      t = f32(t * t);
+      t = f32(t * t);
+
+      // Wrap the corner onto one period (twice its unskewed position is whole)
+      const c = s.map((value, axis) => value + offset[axis]);
+      const total = c[0] + c[1] + c[2];
+      const k = c.map((value, axis) => floorDiv(total - 2 * value, 2 * period[axis]) * period[axis]);
+      const shift = k[0] + k[1] + k[2];
+      const w = c.map((value, axis) => value - (shift - k[axis]));
+
+      sum += t * dot(grad3(this.hash3D(w[0], w[1], w[2])), x);
+    });
+
+    return f32(83.0 * f32(sum));
+  }
+
+  /**
+   * 4D simplex noise on the periodic lattice (layers of the 3D one along w), repeating
+   * every `period` cells in x, y and z; w never repeats
+   * @param {Array<number>} p - Position
+   * @param {Array<number>} period - Lattice period per axis (the w period is ignored)
+   * @returns {number} Noise value
+   */
+  periodicSimplexNoise4D(p, period) {
+    const sw = f32(p[3] * 0.8);
+    const uv = [f32(f32(p[1] + p[2]) + sw), f32(f32(p[0] + p[2]) + sw), f32(f32(p[0] + p[1]) + sw), f32(p[3] * 1.6)];
+    const s = uv.map(Math.floor);
+    const f = uv.map((value, axis) => f32(value - s[axis]));
+    const [o1, o2, o3] = simplexOrder4D(f);
+
+    let sum = 0;
+    [[0, 0, 0, 0], o1, o2, o3, [1, 1, 1, 1]].forEach(offset => {
+      const a = f.map((value, axis) => f32(value - offset[axis]));
+      const half = f32(f32(a[0] + a[1] + a[2]) * 0.5);
+      const x = [0, 1, 2].map(axis => f32(half - a[axis] - f32(a[3] * 0.25)));
+      x.push(f32(a[3] * 0.625));
+
+      let t = Math.max(f32(0.3788 - dot(x, x)), 0.0);
+      t = f32(t * t);
+      t = f32(t * t);
+
+      // Wrap the corner onto one period in x, y and z (4 times its unskewed position is whole)
+      const c = s.map((value, axis) => value + offset[axis]);
+      const total = c[0] + c[1] + c[2];
+      const k = [0, 1, 2].map(axis => floorDiv(2 * (total - 2 * c[axis]) - c[3], 4 * period[axis]) * period[axis]);
+      const shift = k[0] + k[1] + k[2];
+      const w = [0, 1, 2].map(axis => c[axis] - (shift - k[axis]));
+
+      sum += t * dot(grad4(this.hash4D(w[0], w[1], w[2], c[3] & (B - 1))), x);
+    });
+
+    return f32(490.0 * f32(sum));
+  }
+
+  /**
+   * Feature point of a 2D Worley cell, jittered within the cell
+   * @param {Array<number>} cell - Cell coordinates (int)
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {Array<number>} Feature point
+   */
+  worleyPoint2D(cell, period) {
+    const c = [wrapLattice(cell[0], period[0]), wrapLattice(cell[1], period[1])];
+    return [f32(cell[0] + this.hash3D(c[0], c[1], 0)), f32(cell[1] + this.hash3D(c[0], c[1], 1))];
+  }
+
+  /**
+   * Feature point of a 3D Worley cell, jittered within the cell
+   * @param {Array<number>} cell - Cell coordinates (int)
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {Array<number>} Feature point
+   */
+  worleyPoint3D(cell, period) {
+    const c = cell.map((value, axis) => wrapLattice(value, period[axis]));
+    const k = (c[0] + Math.imul(B, (c[1] + Math.imul(B, c[2])) | 0)) | 0;
+
+    return [
+      f32(cell[0] + this.hash(k)),
+      f32(cell[1] + this.hash((k + 0x40000000) | 0)),
+      f32(cell[2] + this.hash((-k - 1) | 0))
+    ];
+  }
+
+  /**
+   * F1 and F2 distances of a point to the Worley feature points
+   * @param {Array<number>} p - Position (2D or 3D)
+   * @param {number} metric - WORLEY_EUCLIDEAN, WORLEY_MANHATTAN or WORLEY_CHEBYSHEV
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {Array<number>} [F1, F2]
+   */
+  worley(p, metric, period) {
+    const c = floorInt(p);
+    const three = p.length === 3;
+    const f = [8.0, 8.0];
+
+    for (let z = three ? -1 : 0; z <= (three ? 1 : 0); z++) {
+      for (let y = -1; y <= 1; y++) {
+        for (let x = -1; x <= 1; x++) {
+          const point = three
+            ? this.worleyPoint3D([c[0] + x, c[1] + y, c[2] + z], period)
+            : this.worleyPoint2D([c[0] + x, c[1] + y], period);
+          const d = worleyDistance(p.map((value, axis) => f32(value - point[axis])), metric);
+
+          // Keep the two smallest distances
+          if (d < f[0]) {
+            f[1] = f[0];
+            f[0] = d;
+          } else if (d < f[1]) {
+            f[1] = d;
+          }
+        }
+      }
+    }
+
+    return f;
+  }
+
+  /**
+   * 2D Worley noise with the metric and output settings, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {number} metric - Distance metric
+   * @param {number} mode - WORLEY_F1, WORLEY_F2 or WORLEY_F2_F1
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  worleyNoise2D(p, metric = WORLEY_EUCLIDEAN, mode = WORLEY_F1, period = [B, B]) {
+    return worleyOutput(this.worley(p, metric, period), mode);
+  }
+
+  /**
+   * 3D Worley noise, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {number} metric - Distance metric
+   * @param {number} mode - WORLEY_F1, WORLEY_F2 or WORLEY_F2_F1
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  worleyNoise3D(p, metric = WORLEY_EUCLIDEAN, mode = WORLEY_F1, period = [B, B, B]) {
+    return worleyOutput(this.worley(p, metric, period), mode);
+  }
+
+  /**
+   * Random value for component i of the Gabor impulse sequence of a cell
+   * @param {number} cellSeed - Sequence start of the cell (int)
+   * @param {number} i - Component index (int)
+   * @returns {number} Random value (0.0 - 1.0)
+   */
+  gaborRandom(cellSeed, i) {
+    return this.hash((Math.imul(cellSeed, 32) + i) | 0);
+  }
+
+  /**
+   * 2D Gabor noise, roughly -1.0..1.0
+   * @param {Array<number>} p - Position
+   * @param {number} frequency - Cycles per cell
+   * @param {number} angle - Orientation in radians
+   * @param {number} isotropy - 0: every kernel uses angle, 1: random orientations
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  gaborNoise2D(p, frequency, angle, isotropy, period = [B, B]) {
+    const c = floorInt(p);
+    let sum = 0.0;
+
+    for (let y = -1; y <= 1; y++) {
+      for (let x = -1; x <= 1; x++) {
+        const cell = [c[0] + x, c[1] + y];
+        const w = [wrapLattice(cell[0], period[0]), wrapLattice(cell[1], period[1])];
+        const cellSeed = Math.trunc(f32(this.hash2D(w[0], w[1]) * 16777215.0));
+
+        for (let i = 0; i < GABOR_IMPULSES_2D; i++) {
+          const k = i * 4;
+          const d = [
+            f32(p[0] - f32(cell[0] + this.gaborRandom(cellSeed, k))),
+            f32(p[1] - f32(cell[1] + this.gaborRandom(cellSeed, k + 1)))
+          ];
+          const r2 = dot(d, d);
+          if (r2 > 1.0) continue;
+
+          const weight = f32(this.gaborRandom(cellSeed, k + 2) * 2.0 - 1.0);
+          const omega = mix(angle, f32(this.gaborRandom(cellSeed, k + 3) * 6.28318531), isotropy);
+          const phase = f32(frequency * dot(d, [f32(Math.cos(omega)), f32(Math.sin(omega))]));
+          sum = f32(sum + weight * gaborKernel(r2, phase));
+        }
+      }
+    }
+
+    return f32(sum * 1.1 / f32(Math.sqrt(GABOR_IMPULSES_2D)));
+  }
+
+  /**
+   * 3D Gabor noise, roughly -1.0..1.0 (the fixed orientation lies in the xy plane)
+   * @param {Array<number>} p - Position
+   * @param {number} frequency - Cycles per cell
+   * @param {number} angle - Orientation in radians
+   * @param {number} isotropy - 0: every kernel uses angle, 1: random orientations
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  gaborNoise3D(p, frequency, angle, isotropy, period = [B, B, B]) {
+    const c = floorInt(p);
+    const fixedDirection = [f32(Math.cos(angle)), f32(Math.sin(angle)), 0.0];
+    let sum = 0.0;
+
+    for (let z = -1; z <= 1; z++) {
+      for (let y = -1; y <= 1; y++) {
+        for (let x = -1; x <= 1; x++) {
+          const cell = [c[0] + x, c[1] + y, c[2] + z];
+          const w = cell.map((value, axis) => wrapLattice(value, period[axis]));
+          const cellSeed = Math.trunc(f32(this.hash3D(w[0], w[1], w[2]) * 16777215.0));
+
+          for (let i = 0; i < GABOR_IMPULSES_3D; i++) {
+            const k = i * 6;
+            const d = cell.map((value, axis) => f32(p[axis] - f32(value + this.gaborRandom(cellSeed, k + axis))));
+            const r2 = dot(d, d);
+            if (r2 > 1.0) continue;
+
+            // Uniform random direction on the sphere
+            const cosTheta = f32(this.gaborRandom(cellSeed, k + 4) * 2.0 - 1.0);
+            const phi = f32(this.gaborRandom(cellSeed, k + 5) * 6.28318531);
+            const sinTheta = f32(Math.sqrt(1.0 - cosTheta * cosTheta));
+            const randomDirection = [f32(sinTheta * Math.cos(phi)), f32(sinTheta * Math.sin(phi)), cosTheta];
+            const direction = normalize(fixedDirection.map((value, axis) =>
+              f32(mix(value, randomDirection[axis], isotropy) + 1e-6)
+            ));
+
+            const weight = f32(this.gaborRandom(cellSeed, k + 3) * 2.0 - 1.0);
+            sum = f32(sum + weight * gaborKernel(r2, f32(frequency * dot(d, direction))));
+          }
+        }
+      }
+    }
+
+    return f32(sum * 1.4 / f32(Math.sqrt(GABOR_IMPULSES_3D)));
+  }
+
+  /**
+   * One octave of 2D noise with the given algorithm, in Perlin's range
+   * @param {Array<number>} p - Position
+   * @param {number} algorithm - NOISE_PERLIN, NOISE_SIMPLEX, NOISE_VALUE, NOISE_WORLEY or NOISE_GABOR
+   * @param {Array<number>} period - Lattice period per axis (simplex only takes it while tiling)
+   * @returns {number} Noise value
+   */
+  noise2DByType(p, algorithm, period) {
+    let n;
+
+    if (algorithm === NOISE_SIMPLEX) {
+      n = this.simplexNoise2D(p, this.tileable ? period : undefined);
+    } else if (algorithm === NOISE_VALUE) {
+      n = this.valueNoise2D(p, period);
+    } else if (algorithm === NOISE_WORLEY) {
+      n = this.worleyNoise2D(p, this.worleyMetric, this.worleyOutput, period);
+    } else if (algorithm === NOISE_GABOR) {
+      n = this.gaborNoise2D(p, this.gaborFrequency, this.gaborAngle, this.gaborIsotropy, period);
+    } else {
+      return this.noise2D(p, period);
+    }
+
+    // The other algorithms return -1..1, 2D Perlin roughly -0.5..0.5
+    return f32(n * 0.5);
+  }
+
+  /**
+   * One octave of 3D noise with the given algorithm, in Perlin's range
+   * @param {Array<number>} p - Position
+   * @param {number} algorithm - Noise algorithm
+   * @param {Array<number>} period - Lattice period per axis (simplex only takes it while tiling)
+   * @returns {number} Noise value
+   */
+  noise3DByType(p, algorithm, period) {
+    let n;
+
+    if (algorithm === NOISE_SIMPLEX) {
+      n = this.simplexNoise3D(p, this.tileable ? period : undefined);
+    } else if (algorithm === NOISE_VALUE) {
+      n = this.valueNoise3D(p, period);
+    } else if (algorithm === NOISE_WORLEY) {
+      n = this.worleyNoise3D(p, this.worleyMetric, this.worleyOutput, period);
+    } else if (algorithm === NOISE_GABOR) {
+      n = this.gaborNoise3D(p, this.gaborFrequency, this.gaborAngle, this.gaborIsotropy, period);
+    } else {
+      return this.noise3D(p, period);
+    }
+
+    // 3D Perlin is roughly -0.66..0.66
+    return f32(n / 1.5);
+  }
+
+  /**
+   * One octave of 4D noise (Worley and Gabor have no 4D version and use Perlin)
+   * @param {Array<number>} p - Position
+   * @param {number} algorithm - Noise algorithm
+   * @param {Array<number>} period - Lattice period per axis
+   * @returns {number} Noise value
+   */
+  noise4DByType(p, algorithm, period) {
+    let n;
+
+    if (algorithm === NOISE_SIMPLEX) {
+      n = this.simplexNoise4D(p, this.tileable ? period : undefined);
+    } else if (algorithm === NOISE_VALUE) {
+      n = this.valueNoise4D(p, period);
+    } else {
+      return this.noise4D(p, period);
+    }
+
+    // 4D Perlin matches 3D Perlin, roughly -0.66..0.66
+    return f32(n / 1.5);
+  }
+
+  /**
+   * Add one octave sample to a fractal sum
+   * @param {Array<number>} state - [running sum, multifractal weight, sum of octave weights]
+   * @param {number} n - Octave sample (Perlin range)
+   * @param {number} w - Octave weight (persistence ^ octave)
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} mode - Fractal mode
+   * @returns {Array<number>} The new state
+   */
+  fractalAccumulate(state, n, w, amplitude, mode) {
+    let [sum, weight, total] = state;
+
+    if (mode === FRACTAL_TURBULENCE) {
+      sum = f32(sum + Math.abs(n) * amplitude * w);
+    } else if (mode === FRACTAL_BILLOW) {
+      sum = f32(sum + (Math.abs(n) * 2.0 - 0.5) * amplitude * w);
+    } else if (mode === FRACTAL_RIDGED) {
+      const signal = f32(Math.pow(Math.max(f32(this.fractalOffset - Math.abs(n * 2.0)), 0.0), this.fractalSharpness) * weight);
+      weight = Math.min(Math.max(f32(signal * 2.0), 0.0), 1.0);
+      sum = f32(sum + signal * w);
+    } else if (mode === FRACTAL_HYBRID) {
+      const signal = f32((n * 2.0 + this.fractalOffset) * w);
+      weight = Math.min(weight, 1.0);
+      sum = f32(sum + weight * signal);
+      weight = f32(weight * signal);
+    } else {
+      sum = f32(sum + n * amplitude * w);
+    }
+
+    return [sum, weight, f32(total + w)];
+  }
+
+  /**
+   * Map a finished fractal sum back to the signed range fBm produces
+   * @param {Array<number>} state - Final fractal state
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} mode - Fractal mode
+   * @returns {number} Fractal noise value
+   */
+  fractalFinish(state, amplitude, mode) {
+    const [sum, , total] = state;
+
+    if (mode === FRACTAL_RIDGED) {
+      return f32((sum / Math.max(total, 1e-5) * 2.0 - 1.0) * amplitude);
+    } else if (mode === FRACTAL_HYBRID) {
+      return f32((sum / Math.max(total, 1e-5) - this.fractalOffset) * amplitude);
+    }
+
+    return sum;
+  }
+
+  /**
+   * 2D fractal noise
+   * @param {Array<number>} p - Position
+   * @param {number} octaves - Octave count (at most FRACTAL_MAX_OCTAVES are summed)
+   * @param {number} frequency - Base wavelength in noise units
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} algorithm - Noise algorithm
+   * @param {number} mode - Fractal mode
+   * @param {number} lacunarity - Frequency multiplier per octave
+   * @param {number} persistence - Weight multiplier per octave
+   * @returns {number} Fractal noise value
+   */
+  fractal2D(p, octaves, frequency, amplitude, algorithm, mode, lacunarity, persistence) {
+    return this.fractalSum(p, octaves, frequency, amplitude, algorithm, mode, lacunarity, persistence);
+  }
+
+  /**
+   * 3D fractal noise (while tiling, x and y repeat and z is the time axis)
+   * @param {Array<number>} p - Position
+   * @param {number} octaves - Octave count
+   * @param {number} frequency - Base wavelength in noise units
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} algorithm - Noise algorithm
+   * @param {number} mode - Fractal mode
+   * @param {number} lacunarity - Frequency multiplier per octave
+   * @param {number} persistence - Weight multiplier per octave
+   * @returns {number} Fractal noise value
+   */
+  fractal3D(p, octaves, frequency, amplitude, algorithm, mode, lacunarity, persistence) {
+    return this.fractalSum(p, octaves, frequency, amplitude, algorithm, mode, lacunarity, persistence);
+  }
+
+  /**
+   * 4D fractal noise (while tiling, x, y and z repeat; w is never tiled)
+   * @param {Array<number>} p - Position
+   * @param {number} octaves - Octave count
+   * @param {number} frequency - Base wavelength in noise units
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} algorithm - Noise algorithm
+   * @param {number} mode - Fractal mode
+   * @param {number} lacunarity - Frequency multiplier per octave
+   * @param {number} persistence - Weight multiplier per octave
+   * @returns {number} Fractal noise value
+   */
+  fractal4D(p, octaves, frequency, amplitude, algorithm, mode, lacunarity, persistence) {
+    return this.fractalSum(p, octaves, frequency, amplitude, algorithm, mode, lacunarity, persistence);
+  }
+
+  /**
+   * Fractal sum shared by fractal2D, fractal3D and fractal4D; the dimension follows p
+   * (arguments as for fractal2D)
+   * @param {Array<number>} p - Position (2D, 3D or 4D)
+   * @param {number} octaves - Octave count
+   * @param {number} frequency - Base wavelength in noise units
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} algorithm - Noise algorithm
+   * @param {number} mode - Fractal mode
+   * @param {number} lacunarity - Frequency multiplier per octave
+   * @param {number} persistence - Weight multiplier per octave
+   * @returns {number} Fractal noise value
+   */
+  fractalSum(p, octaves, frequency, amplitude, algorithm, mode, lacunarity, persistence) {
+    const sample = [null, null, 'noise2DByType', 'noise3DByType', 'noise4DByType'][p.length];
+    let state = [0.0, 1.0, 0.0];
+    let scale = 1.0;
+    let w = 1.0;
+
+    for (let i = 0; i < FRACTAL_MAX_OCTAVES; i++) {
+      if (i >= octaves) break;
+
+      let q = p.map(value => f32(f32(value * scale) / frequency));
+      let period = p.map(() => B);
+
+      if (this.tileable) {
+        // A whole number of cells across the unit square, so every octave repeats on it
+        // In 3D, z is the time axis; in 4D, z repeats too and w is the time axis
+        const cells = Math.min(Math.max(Math.round(f32(scale / frequency)), 1), B);
+        const tiled = p.length === 4 ? 3 : 2;
+        q = q.map((value, axis) => (axis < tiled ? f32(p[axis] * cells) : value));
+        period = period.map((value, axis) => (axis < tiled ? cells : value));
+      }
+
+      const n = this[sample](q, algorithm, period);
+      state = this.fractalAccumulate(state, n, w, amplitude, mode);
+      scale = f32(scale * lacunarity);
+      w = f32(w * persistence);
+
+      // Stop once the octaves stop contributing
+      if (amplitude * w < this.fractalCutoff) break;
+    }
+
+    return this.fractalFinish(state, amplitude, mode);
+  }
+
+  /**
+   * Classic 2D fBm (lacunarity 2, persistence 0.5), as used by the warp and mask fields
+   * @param {Array<number>} p - Position
+   * @param {number} octaves - Octave count
+   * @param {number} frequency - Base wavelength in noise units
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} algorithm - Noise algorithm
+   * @returns {number} Fractal noise value
+   */
+  fractalNoise2D(p, octaves, frequency, amplitude, algorithm) {
+    return this.fractal2D(p, octaves, frequency, amplitude, algorithm, FRACTAL_FBM, 2.0, 0.5);
+  }
+
+  /**
+   * Classic 3D fBm (lacunarity 2, persistence 0.5)
+   * @param {Array<number>} p - Position
+   * @param {number} octaves - Octave count
+   * @param {number} frequency - Base wavelength in noise units
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} algorithm - Noise algorithm
+   * @returns {number} Fractal noise value
+   */
+  fractalNoise3D(p, octaves, frequency, amplitude, algorithm) {
+    return this.fractal3D(p, octaves, frequency, amplitude, algorithm, FRACTAL_FBM, 2.0, 0.5);
+  }
+
+  /**
+   * Classic 4D fBm (lacunarity 2, persistence 0.5)
+   * @param {Array<number>} p - Position
+   * @param {number} octaves - Octave count
+   * @param {number} frequency - Base wavelength in noise units
+   * @param {number} amplitude - Overall amplitude
+   * @param {number} algorithm - Noise algorithm
+   * @returns {number} Fractal noise value
+   */
+  fractalNoise4D(p, octaves, frequency, amplitude, algorithm) {
+    return this.fractal4D(p, octaves, frequency, amplitude, algorithm, FRACTAL_FBM, 2.0, 0.5);
+  }
+}
+
+/**
+ * GLSL mix()
+ * @param {number} a - Value at t = 0
+ * @param {number} b - Value at t = 1
+ * @param {number} t - Weight of b
+ * @returns {number} Interpolated value
+ */
+function mix(a, b, t) {
+  return f32(a + (b - a) * t);
+}
+
+/**
+ * Unit vector in the direction of v
+ * @param {Array<number>} v - Vector
+ * @returns {Array<number>} Normalized vector
+ */
+function normalize(v) {
+  const length = f32(Math.sqrt(dot(v, v)));
+  return v.map(value => f32(value / length));
+}
+
+/**
+ * Length of an offset under a Worley distance metric
+ * @param {Array<number>} d - Offset (2D or 3D)
+ * @param {number} metric - Distance metric
+ * @returns {number} Distance
+ */
+function worleyDistance(d, metric) {
+  d = d.map(Math.abs);
+  if (metric === WORLEY_MANHATTAN) return f32(d.reduce((sum, value) => sum + value, 0));
+  if (metric === WORLEY_CHEBYSHEV) return Math.max(...d);
+  return f32(Math.sqrt(dot(d, d)));
+}
+
+/**
+ * Map the selected Worley output to roughly -1.0..1.0
+ * @param {Array<number>} f - [F1, F2]
+ * @param {number} mode - WORLEY_F1, WORLEY_F2 or WORLEY_F2_F1
+ * @returns {number} Noise value
+ */
+function worleyOutput(f, mode) {
+  if (mode === WORLEY_F2) return f32(f[1] * 1.5 - 1.0);
+  if (mode === WORLEY_F2_F1) return f32((f[1] - f[0]) * 2.5 - 1.0);
+  return f32(f[0] * 2.0 - 1.0);
+}
+
+/**
+ * Gabor kernel: Gaussian envelope times a cosine wave
+ * @param {number} r2 - Squared distance from the impulse
+ * @param {number} phase - Phase in cycles
+ * @returns {number} Kernel value
+ */
+function gaborKernel(r2, phase) {
+  return f32(Math.exp(-3.14159265 * GABOR_A * GABOR_A * r2) * Math.cos(6.28318531 * phase));
+}
@@ -0,0 +1,37 @@
+/**
+ * Render worker: draws the flat view with the CPU noise off the main thread, for
+ * the fallback renderer (src/fallback.js)
+ * Message in: { id, width, height, values, features, view } - control values,
+ *   active features and the framing CpuField.render() takes
+ * Message out: { id, width, height, pixels } (RGBA, top row first) or { id, error }
+ */
+import { CpuField } from './field.js';
+
+// Field of the last request, reused while only the time or the framing changes
+let cachedKey = null;
+let cachedField = null;
+
+self.onmessage = (event) => {
+  const { id, width, height, values, features, view } = event.data;
+
+  try {
+    const key = JSON.stringify([values, features]);
+    if (key !== cachedKey) {
+      cachedField = new CpuField(values, features);
+      cachedKey = key;
+    }
+
+    const { rgb } = cachedField.render(width, height, view);
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      pixels[i * 4] = rgb[i * 3];
+      pixels[i * 4 + 1] = rgb[i * 3 + 1];
+      pixels[i * 4 + 2] = rgb[i * 3 + 2];
+      pixels[i * 4 + 3] = 255;
+    }
+
+    self.postMessage({ id, width, height, pixels }, [pixels.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
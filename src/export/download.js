@@ -0,0 +1,33 @@
+/**
+ * File download helper for WebGL Noise Visualization
+ * Shared by the export panel, the preset panel and the command line renderer
+ */
+
+/**
+ * Base name of an exported image or recording: oldnoise-<type>-<seed>-<width>x<height>
+ * @param {string|null} noiseType - Noise type saved with the settings; null when none was chosen
+ * @param {number} seed - Noise seed
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string} File name without extension
+ */
+export function exportName(noiseType, seed, width, height) {
+  return `oldnoise-${noiseType || 'custom'}-${seed}-${width}x${height}`;
+}
+
+/**
+ * Save data as a file through a temporary link
+ * @param {BlobPart} data - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
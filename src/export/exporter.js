@@ -0,0 +1,320 @@
+/**
+ * Export module for WebGL Noise Visualization
+ * Renders the current noise offscreen at any resolution and saves it as an
+ * 8-bit color PNG, a 16-bit grayscale heightmap PNG or raw Float32 data
+ */
+import { encodePNG } from './png.js';
+import { downloadFile, exportName } from './download.js';
+
+// Size of the scissored tiles the image is drawn in, so a huge export is split
+// into many short draws instead of one that could trip the GPU watchdog
+const TILE_SIZE = 512;
+
+// Export formats: label and whether they need the raw noise value
+const FORMATS = {
+  png: { label: 'PNG (8-bit color)', raw: false },
+  heightmap: { label: 'PNG heightmap (16-bit gray)', raw: true },
+  float32: { label: 'Float32 + JSON', raw: true }
+};
+
+export class NoiseExporter {
+  /**
+   * Initialize the export panel
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements used by the panel
+   * @param {HTMLInputElement} elements.width - Export width in pixels
+   * @param {HTMLInputElement} elements.height - Export height in pixels
+   * @param {HTMLSelectElement} elements.format - Export format picker
+   * @param {HTMLButtonElement} elements.button - Starts the export
+   * @param {HTMLElement} elements.status - Progress and error messages
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.gl = app.gl;
+    this.elements = elements;
+    this.busy = false;
+
+    // The largest framebuffer the GPU can render into
+    this.maxSize = Math.min(
+      this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE),
+      this.gl.getParameter(this.gl.MAX_RENDERBUFFER_SIZE)
+    );
+
+    this.populateFormatOptions();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Fill the format dropdown and limit the size inputs to what the GPU supports
+   */
+  populateFormatOptions() {
+    const { format, width, height } = this.elements;
+
+    if (format) {
+      format.innerHTML = '';
+      Object.entries(FORMATS).forEach(([value, { label }]) => {
+        format.appendChild(new Option(label, value));
+      });
+    }
+
+    [width, height].forEach(input => {
+      if (input) input.max = this.maxSize;
+    });
+  }
+
+  /**
+   * Set up the export button
+   */
+  setupEventListeners() {
+    const { button, width, height, format } = this.elements;
+    if (!button) return;
+
+    button.addEventListener('click', async () => {
+      try {
+        await this.export(
+          parseInt(width.value, 10),
+          parseInt(height.value, 10),
+          format.value
+        );
+      } catch (error) {
+        console.error('Export failed:', error);
+        this.setStatus(error.message);
+      }
+    });
+  }
+
+  /**
+   * Show a status message in the panel
+   * @param {string} message - Message to show
+   */
+  setStatus(message) {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+    }
+  }
+
+  /**
+   * Render and download the current view
+   * @param {number} width - Export width in pixels
+   * @param {number} height - Export height in pixels
+   * @param {string} format - 'png', 'heightmap' or 'float32'
+   */
+  async export(width, height, format) {
+    if (this.busy) return;
+    if (!(format in FORMATS)) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    if (!(width >= 1 && height >= 1 && width <= this.maxSize && height <= this.maxSize)) {
+      throw new Error(`Export size must be between 1 and ${this.maxSize} pixels`);
+    }
+
+    this.busy = true;
+    this.setStatus(`Rendering ${width}×${height}…`);
+
+    try {
+      // Let the status message paint before the (blocking) render
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const { noiseType, values } = this.app.controls;
+      const name = exportName(noiseType, values.seed, width, height);
+
+      if (format === 'png') {
+        const rgba = this.renderPixels(width, height, false);
+        downloadFile(await this.encodeColor(rgba, width, height), `${name}.png`, 'image/png');
+      } else {
+        const values = this.renderPixels(width, height, true);
+
+        if (format === 'heightmap') {
+          downloadFile(await this.encodeHeightmap(values, width, height), `${name}-height16.png`, 'image/png');
+        } else {
+          downloadFile(values, `${name}.f32`, 'application/octet-stream');
+          downloadFile(
+            JSON.stringify(this.describeFloatData(values, width, height), null, 2),
+            `${name}.json`,
+            'application/json'
+          );
+        }
+      }
+
+      this.setStatus(`Exported ${width}×${height} ${FORMATS[format].label}`);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Draw the current noise into an offscreen framebuffer and read it back
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {boolean} raw - Read the raw noise value (Float32Array, one value per pixel)
+   *   instead of the colored output (Uint8Array, RGBA)
+   * @param {number} time - Animation time in seconds (defaults to the frame on screen)
+   * @returns {Float32Array|Uint8Array} Pixels, row-major with the top row first
+   */
+  renderPixels(width, height, raw, time = this.app.elapsedTime) {
+    const gl = this.gl;
+    const app = this.app;
+
+    if (gl.isContextLost()) {
+      throw new Error('The WebGL context is lost; try again once it is restored');
+    }
+
+    // Float render targets are an extension in WebGL2
+    if (raw && !gl.getExtension('EXT_color_buffer_float')) {
+      throw new Error('Raw value export needs EXT_color_buffer_float, which this GPU does not support');
+    }
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, raw ? gl.RGBA32F : gl.RGBA8, width, height);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+    // Depth for the terrain mesh
+    const depthBuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+
+    try {
+      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error(`Could not create a ${width}×${height} framebuffer`);
+      }
+
+      // Switch the shader to raw output if needed, and export a single tile
+      gl.useProgram(app.program);
+      if (app.uniformLocations.outputMode) {
+        gl.uniform1i(app.uniformLocations.outputMode, raw ? 1 : 0);
+      }
+      if (app.uniformLocations.tilePreview) {
+        gl.uniform1i(app.uniformLocations.tilePreview, 0);
+      }
+
+      const pixels = raw ? new Float32Array(width * height) : new Uint8Array(width * height * 4);
+      const tile = raw ? new Float32Array(TILE_SIZE * TILE_SIZE * 4) : new Uint8Array(TILE_SIZE * TILE_SIZE * 4);
+
+      gl.viewport(0, 0, width, height);
+      gl.enable(gl.SCISSOR_TEST);
+
+      for (let y = 0; y < height; y += TILE_SIZE) {
+        for (let x = 0; x < width; x += TILE_SIZE) {
+          const tileWidth = Math.min(TILE_SIZE, width - x);
+          const tileHeight = Math.min(TILE_SIZE, height - y);
+
+          gl.scissor(x, y, tileWidth, tileHeight);
+          gl.clearColor(0, 0, 0, 1);
+          gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+          app.drawScene(time, width, height);
+          gl.readPixels(x, y, tileWidth, tileHeight, gl.RGBA, raw ? gl.FLOAT : gl.UNSIGNED_BYTE, tile);
+
+          // GL rows start at the bottom; flip into top-first order
+          for (let row = 0; row < tileHeight; row++) {
+            const source = row * tileWidth * 4;
+            const target = (height - 1 - (y + row)) * width + x;
+
+            if (raw) {
+              // The value is in every color channel; keep red
+              for (let i = 0; i < tileWidth; i++) {
+                pixels[target + i] = tile[source + i * 4];
+              }
+            } else {
+              pixels.set(tile.subarray(source, source + tileWidth * 4), target * 4);
+            }
+          }
+        }
+      }
+
+      return pixels;
+    } finally {
+      // Restore on-screen rendering
+      gl.disable(gl.SCISSOR_TEST);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.deleteFramebuffer(framebuffer);
+      gl.deleteRenderbuffer(depthBuffer);
+      gl.deleteTexture(texture);
+      gl.viewport(0, 0, app.canvas.width, app.canvas.height);
+
+      gl.useProgram(app.program);
+      if (app.uniformLocations.outputMode) {
+        gl.uniform1i(app.uniformLocations.outputMode, 0);
+      }
+      if (app.uniformLocations.tilePreview) {
+        gl.uniform1i(app.uniformLocations.tilePreview, app.controls.values.tilePreview ? 1 : 0);
+      }
+      app.requestRedraw();
+    }
+  }
+
+  /**
+   * Encode colored output as an 8-bit RGB PNG
+   * @param {Uint8Array} rgba - RGBA pixels
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Promise<Uint8Array>} PNG file contents
+   */
+  async encodeColor(rgba, width, height) {
+    // The output is opaque, so drop alpha
+    const rgb = new Uint8Array(width * height * 3);
+    for (let i = 0, j = 0; i < rgb.length; i += 3, j += 4) {
+      rgb[i] = rgba[j];
+      rgb[i + 1] = rgba[j + 1];
+      rgb[i + 2] = rgba[j + 2];
+    }
+
+    return encodePNG({ width, height, channels: 3, bitDepth: 8, data: rgb });
+  }
+
+  /**
+   * Encode raw noise values as a 16-bit grayscale PNG (0.0 - 1.0 mapped to 0 - 65535)
+   * @param {Float32Array} values - Raw noise values
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Promise<Uint8Array>} PNG file contents
+   */
+  async encodeHeightmap(values, width, height) {
+    const samples = new Uint16Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      samples[i] = Math.round(Math.min(Math.max(values[i], 0), 1) * 65535);
+    }
+
+    return encodePNG({ width, height, channels: 1, bitDepth: 16, data: samples });
+  }
+
+  /**
+   * Sidecar metadata for a Float32 dump
+   * @param {Float32Array} values - Raw noise values
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Object} JSON-serializable description of the data and how it was made
+   */
+  describeFloatData(values, width, height) {
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    values.forEach(value => {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      sum += value;
+    });
+
+    const app = this.app;
+
+    return {
+      format: 'float32',
+      byteOrder: 'little-endian',
+      width,
+      height,
+      layout: 'row-major, top row first, one value per pixel',
+      value: 'noise value before coloring (nominally 0.0 - 1.0, not clamped)',
+      range: { min, max, mean: sum / values.length },
+      time: app.elapsedTime,
+      loopDuration: app.currentLoopDuration(),
+      view: { offset: app.view.offset, zoom: app.view.zoom },
+      renderMode: app.renderMode,
+      params: app.controls.getValues(),
+      graph: app.useGraph ? app.graph.toJSON() : null
+    };
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Animated GIF encoder for WebGL Noise Visualization
+ * Quantizes all frames to one shared 256-color palette (median cut over a
+ * sample of the pixels) and LZW-compresses them into a looping GIF89a
+ */
+
+// Pixels sampled per frame to build the palette
+const PALETTE_SAMPLES = 16384;
+
+// Largest LZW code (12-bit codes)
+const MAX_CODE = 4095;
+
+/**
+ * Build a palette of up to 256 colors by median cut
+ * @param {Array<Uint8Array>} frames - RGBA frames
+ * @returns {Uint8Array} RGB palette, 256 entries (unused entries black)
+ */
+function buildPalette(frames) {
+  const samples = [];
+  frames.forEach(rgba => {
+    const pixels = rgba.length / 4;
+    const step = Math.max(Math.floor(pixels / PALETTE_SAMPLES), 1);
+    for (let i = 0; i < pixels; i += step) {
+      samples.push([rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]]);
+    }
+  });
+
+  // Split the box with the widest channel range at its median until there are 256
+  const range = (box, channel) => {
+    let min = 255;
+    let max = 0;
+    box.forEach(color => {
+      min = Math.min(min, color[channel]);
+      max = Math.max(max, color[channel]);
+    });
+    return max - min;
+  };
+
+  let boxes = [samples];
+  while (boxes.length < 256) {
+    let widest = null;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      [0, 1, 2].forEach(channel => {
+        const extent = range(box, channel);
+        if (extent > 0 && (!widest || extent > widest.extent)) {
+          widest = { index, channel, extent };
+        }
+      });
+    });
+    if (!widest) break;
+
+    const box = boxes[widest.index].sort((a, b) => a[widest.channel] - b[widest.channel]);
+    const half = box.length >> 1;
+    boxes = [...boxes.slice(0, widest.index), box.slice(0, half), box.slice(half), ...boxes.slice(widest.index + 1)];
+  }
+
+  const palette = new Uint8Array(256 * 3);
+  boxes.forEach((box, index) => {
+    const sum = box.reduce((total, color) => total.map((value, channel) => value + color[channel]), [0, 0, 0]);
+    sum.forEach((value, channel) => {
+      palette[index * 3 + channel] = Math.round(value / box.length);
+    });
+  });
+
+  return palette;
+}
+
+/**
+ * Map RGBA pixels to palette indices (nearest color, cached per 18-bit color)
+ * @param {Uint8Array} rgba - RGBA frame
+ * @param {Uint8Array} palette - RGB palette
+ * @param {Int16Array} cache - Index per 6-bit-per-channel color, -1 when not looked up yet
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function indexPixels(rgba, palette, cache) {
+  const indices = new Uint8Array(rgba.length / 4);
+
+  for (let i = 0; i < indices.length; i++) {
+    const r = rgba[i * 4];
+    const g = rgba[i * 4 + 1];
+    const b = rgba[i * 4 + 2];
+    const key = ((r >> 2) << 12) | ((g >> 2) << 6) | (b >> 2);
+
+    if (cache[key] < 0) {
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let p = 0; p < 256; p++) {
+        const dr = palette[p * 3] - r;
+        const dg = palette[p * 3 + 1] - g;
+        const db = palette[p * 3 + 2] - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = p;
+        }
+      }
+      cache[key] = best;
+    }
+
+    indices[i] = cache[key];
+  }
+
+  return indices;
+}
+
+/**
+ * LZW-compress palette indices as GIF image data (8-bit minimum code size)
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @returns {Uint8Array} Code stream, before splitting into sub-blocks
+ */
+function compress(indices) {
+  const clearCode = 256;
+  const endCode = 257;
+
+  // At most 12 bits per pixel, plus the clear and end codes
+  const bytes = new Uint8Array(indices.length * 2 + 16);
+  let length = 0;
+  let buffer = 0;
+  let bits = 0;
+  let codeSize = 9;
+
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      bytes[length++] = buffer & 0xff;
+      buffer >>= 8;
+      bits -= 8;
+    }
+  };
+
+  // Dictionary: (prefix code << 8 | next index) -> code
+  let dictionary = new Map();
+  let nextCode = endCode + 1;
+
+  emit(clearCode);
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode <= MAX_CODE) {
+      dictionary.set(key, nextCode++);
+      // The decoder widens its codes one code later than the encoder adds them
+      if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+    } else {
+      // Table full: start over
+      emit(clearCode);
+      dictionary = new Map();
+      nextCode = endCode + 1;
+      codeSize = 9;
+    }
+    prefix = indices[i];
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bits > 0) bytes[length++] = buffer & 0xff;
+
+  return bytes.subarray(0, length);
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ * @param {Array<Uint8Array>} frames - RGBA frames, row-major with the top row first
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} fps - Frames per second (GIF delays are in hundredths of a second)
+ * @returns {Uint8Array} GIF file contents
+ */
+export function encodeGIF(frames, width, height, fps) {
+  if (width > 0xffff || height > 0xffff) {
+    throw new Error('GIF images are limited to 65535 pixels per side');
+  }
+
+  const palette = buildPalette(frames);
+  const cache = new Int16Array(1 << 18).fill(-1);
+  const ascii = text => Array.from(text, char => char.charCodeAt(0));
+  const word = value => [value & 0xff, (value >> 8) & 0xff];
+  const parts = [];
+
+  // Header and logical screen with a 256-color global palette, looping forever (NETSCAPE2.0)
+  parts.push(Uint8Array.from([...ascii('GIF89a'), ...word(width), ...word(height), 0xf7, 0, 0]));
+  parts.push(palette);
+  parts.push(Uint8Array.from([0x21, 0xff, 11, ...ascii('NETSCAPE2.0'), 3, 1, 0, 0, 0]));
+
+  // Delays are rounded per frame, carrying the remainder so the average matches fps
+  let time = 0;
+  frames.forEach((rgba, index) => {
+    const delay = Math.max(Math.round((index + 1) * 100 / fps) - time, 1);
+    time += delay;
+
+    // Graphic control extension (no transparency, delay), then a full-frame image descriptor
+    parts.push(Uint8Array.from([
+      0x21, 0xf9, 4, 0, ...word(delay), 0, 0,
+      0x2c, ...word(0), ...word(0), ...word(width), ...word(height), 0,
+      8
+    ]));
+
+    // Image data in sub-blocks of up to 255 bytes
+    const data = compress(indexPixels(rgba, palette, cache));
+    const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+    let offset = 0;
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      blocks[offset++] = block.length;
+      blocks.set(block, offset);
+      offset += block.length;
+    }
+    blocks[offset] = 0;
+    parts.push(blocks);
+  });
+
+  parts.push(Uint8Array.of(0x3b));
+
+  const gif = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    gif.set(part, offset);
+    offset += part.length;
+  });
+
+  return gif;
+}
@@ -0,0 +1,136 @@
+/**
+ * Minimal PNG encoder for WebGL Noise Visualization
+ * Writes grayscale, RGB or RGBA images with 8 or 16 bits per channel, which
+ * canvas.toBlob() cannot do for 16-bit heightmaps. Compression uses the
+ * zlib-format CompressionStream('deflate'), available in browsers and Node 18+.
+ */
+
+// PNG file signature
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// PNG color types by channel count
+const COLOR_TYPES = { 1: 0, 3: 2, 4: 6 };
+
+// CRC-32 lookup table, built on first use
+let crcTable = null;
+
+/**
+ * CRC-32 (as used by PNG chunks) of a byte range
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compress bytes into a zlib stream
+ * @param {Uint8Array} bytes - Uncompressed bytes
+ * @returns {Promise<Uint8Array>} zlib-wrapped deflate data
+ */
+async function deflate(bytes) {
+  const stream = new Response(bytes).body.pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Build a PNG chunk: length, type, data, CRC of type and data
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Encoded chunk
+ */
+function chunk(type, data) {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    bytes[4 + i] = type.charCodeAt(i);
+  }
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+
+  return bytes;
+}
+
+/**
+ * Encode an image as PNG
+ * @param {Object} image - Image to encode
+ * @param {number} image.width - Width in pixels
+ * @param {number} image.height - Height in pixels
+ * @param {number} image.channels - 1 (gray), 3 (RGB) or 4 (RGBA)
+ * @param {number} image.bitDepth - 8 or 16
+ * @param {Uint8Array|Uint16Array} image.data - Samples, row-major with the top row first
+ * @returns {Promise<Uint8Array>} PNG file contents
+ */
+export async function encodePNG({ width, height, channels, bitDepth = 8, data }) {
+  if (!(channels in COLOR_TYPES)) {
+    throw new Error(`Unsupported channel count: ${channels}`);
+  }
+  if (bitDepth !== 8 && bitDepth !== 16) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+  if (data.length !== width * height * channels) {
+    throw new Error(`Expected ${width * height * channels} samples, got ${data.length}`);
+  }
+
+  // Raw scanlines, each prefixed with filter type 0 (none); 16-bit samples are big-endian
+  const bytesPerSample = bitDepth / 8;
+  const rowLength = width * channels * bytesPerSample;
+  const raw = new Uint8Array(height * (rowLength + 1));
+  const samplesPerRow = width * channels;
+
+  for (let y = 0; y < height; y++) {
+    let offset = y * (rowLength + 1) + 1;
+    const start = y * samplesPerRow;
+
+    if (bitDepth === 8) {
+      raw.set(data.subarray(start, start + samplesPerRow), offset);
+    } else {
+      for (let i = 0; i < samplesPerRow; i++) {
+        const sample = data[start + i];
+        raw[offset++] = sample >>> 8;
+        raw[offset++] = sample & 0xff;
+      }
+    }
+  }
+
+  // Header: width, height, bit depth, color type, compression, filter, interlace
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = bitDepth;
+  header[9] = COLOR_TYPES[channels];
+
+  const parts = [
+    new Uint8Array(SIGNATURE),
+    chunk('IHDR', header),
+    chunk('IDAT', await deflate(raw)),
+    chunk('IEND', new Uint8Array(0))
+  ];
+
+  const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    png.set(part, offset);
+    offset += part.length;
+  });
+
+  return png;
+}
@@ -0,0 +1,273 @@
+/**
+ * Animation recorder for WebGL Noise Visualization
+ * Renders the animation offscreen at a fixed timestep, independent of
+ * requestAnimationFrame, and saves it as a zipped PNG sequence, an animated GIF
+ * or a WebM video. With "seamless loop" it records in the panel's loop time mode
+ * with the recording's length as the loop length, so the last frame leads back
+ * into the first; otherwise the panel's time mode applies as set.
+ */
+import { encodeGIF } from './gif.js';
+import { createZip } from './zip.js';
+import { downloadFile, exportName } from './download.js';
+
+// Recording formats: label and whether every frame is kept in memory until the end
+const FORMATS = {
+  zip: { label: 'PNG sequence (ZIP)', buffered: false },
+  gif: { label: 'Animated GIF', buffered: true },
+  webm: { label: 'WebM video', buffered: true }
+};
+
+// Limits that keep a recording from exhausting memory
+const MAX_FRAMES = 3600;
+const MAX_BUFFERED_BYTES = 1024 * 1024 * 1024;
+
+// WebM codecs in order of preference
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Wait for the given time, letting the page repaint and handle input
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class AnimationRecorder {
+  /**
+   * Initialize the animation recorder
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements used by the recorder
+   * @param {HTMLInputElement} elements.width - Frame width in pixels
+   * @param {HTMLInputElement} elements.height - Frame height in pixels
+   * @param {HTMLInputElement} elements.duration - Length in seconds
+   * @param {HTMLInputElement} elements.fps - Frames per second
+   * @param {HTMLSelectElement} elements.format - Recording format picker
+   * @param {HTMLInputElement} elements.loop - Seamless loop checkbox
+   * @param {HTMLButtonElement} elements.button - Starts and cancels the recording
+   * @param {HTMLElement} elements.status - Progress and error messages
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.exporter = app.exporter;
+    this.elements = elements;
+    this.recording = false;
+    this.cancelled = false;
+
+    this.populateFormatOptions();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Fill the format dropdown and limit the size inputs to what the GPU supports
+   */
+  populateFormatOptions() {
+    const { format, width, height } = this.elements;
+
+    if (format) {
+      format.innerHTML = '';
+      Object.entries(FORMATS).forEach(([value, { label }]) => {
+        const option = new Option(label, value);
+        option.disabled = value === 'webm' && !this.webmType();
+        format.appendChild(option);
+      });
+    }
+
+    [width, height].forEach(input => {
+      if (input) input.max = this.exporter.maxSize;
+    });
+  }
+
+  /**
+   * Set up the record button, which cancels while a recording runs
+   */
+  setupEventListeners() {
+    const { button, width, height, duration, fps, format, loop } = this.elements;
+    if (!button) return;
+
+    button.addEventListener('click', async () => {
+      if (this.recording) {
+        this.cancelled = true;
+        return;
+      }
+
+      try {
+        await this.record({
+          width: parseInt(width.value, 10),
+          height: parseInt(height.value, 10),
+          duration: parseFloat(duration.value),
+          fps: parseInt(fps.value, 10),
+          format: format.value,
+          loop: loop.checked
+        });
+      } catch (error) {
+        console.error('Recording failed:', error);
+        this.setStatus(error.message);
+      }
+    });
+  }
+
+  /**
+   * Show a status message in the panel
+   * @param {string} message - Message to show
+   */
+  setStatus(message) {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+    }
+  }
+
+  /**
+   * The WebM type MediaRecorder can write here
+   * @returns {string|null} MIME type, or null without WebM recording support
+   */
+  webmType() {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+      return null;
+    }
+    return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  /**
+   * Render and download an animation, starting at the time on screen
+   * @param {Object} options - Recording settings
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {number} options.duration - Length in seconds
+   * @param {number} options.fps - Frames per second
+   * @param {string} options.format - 'zip', 'gif' or 'webm'
+   * @param {boolean} options.loop - Make the animation wrap seamlessly
+   */
+  async record({ width, height, duration, fps, format, loop }) {
+    if (this.recording || this.exporter.busy) return;
+    if (!(format in FORMATS)) {
+      throw new Error(`Unknown recording format: ${format}`);
+    }
+
+    const maxSize = this.exporter.maxSize;
+    if (!(width >= 1 && height >= 1 && width <= maxSize && height <= maxSize)) {
+      throw new Error(`Frame size must be between 1 and ${maxSize} pixels`);
+    }
+    if (!(fps >= 1 && fps <= 120)) {
+      throw new Error('Frame rate must be between 1 and 120 fps');
+    }
+
+    const frameCount = Math.round(duration * fps);
+    if (!(frameCount >= 1 && frameCount <= MAX_FRAMES)) {
+      throw new Error(`Recordings need between 1 and ${MAX_FRAMES} frames (duration × fps)`);
+    }
+    if (FORMATS[format].buffered && frameCount * width * height * 4 > MAX_BUFFERED_BYTES) {
+      throw new Error('Too many frames to hold in memory; lower the size or duration, or record a PNG sequence');
+    }
+    if (format === 'webm' && !this.webmType()) {
+      throw new Error('WebM recording needs MediaRecorder and canvas.captureStream, which this browser does not support');
+    }
+
+    const app = this.app;
+    const start = app.elapsedTime;
+
+    this.recording = true;
+    this.cancelled = false;
+    this.exporter.busy = true;
+    this.elements.button.textContent = 'Cancel';
+
+    // The loop period is exactly the recorded frames, so frame N would equal frame 0
+    app.loopDuration = loop ? frameCount / fps : 0;
+
+    try {
+      const frames = [];
+      for (let i = 0; i < frameCount; i++) {
+        this.setStatus(`Rendering frame ${i + 1}/${frameCount}…`);
+        await wait(0);
+        if (this.cancelled) {
+          this.setStatus('Recording cancelled');
+          return;
+        }
+
+        const rgba = this.exporter.renderPixels(width, height, false, start + i / fps);
+        frames.push(format === 'zip' ? await this.exporter.encodeColor(rgba, width, height) : rgba);
+      }
+
+      const base = exportName(app.controls.noiseType, app.controls.values.seed, width, height);
+      const name = `${base}-${frameCount}f${loop ? '-loop' : ''}`;
+
+      if (format === 'zip') {
+        this.setStatus('Packing PNG sequence…');
+        await wait(0);
+        const files = frames.map((data, i) => ({ name: `frame-${String(i).padStart(4, '0')}.png`, data }));
+        downloadFile(createZip(files), `${name}.zip`, 'application/zip');
+      } else if (format === 'gif') {
+        this.setStatus('Encoding GIF…');
+        await wait(0);
+        downloadFile(encodeGIF(frames, width, height, fps), `${name}.gif`, 'image/gif');
+      } else {
+        const video = await this.encodeWebM(frames, width, height, fps);
+        if (!video) return;
+        downloadFile(video, `${name}.webm`, video.type);
+      }
+
+      this.setStatus(`Recorded ${frameCount} frames at ${width}×${height} as ${FORMATS[format].label}`);
+    } finally {
+      app.loopDuration = 0;
+      this.recording = false;
+      this.exporter.busy = false;
+      this.elements.button.textContent = 'Record';
+      app.requestRedraw();
+    }
+  }
+
+  /**
+   * Play rendered frames into a MediaRecorder at the target frame rate
+   * MediaRecorder timestamps frames by wall clock, so the frames are rendered
+   * first and then fed in real time.
+   * @param {Array<Uint8Array>} frames - RGBA frames
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {number} fps - Frames per second
+   * @returns {Promise<Blob|null>} WebM video, or null when cancelled
+   */
+  async encodeWebM(frames, width, height, fps) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    // Frames are only captured when requested
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const type = this.webmType();
+    const recorder = new MediaRecorder(stream, { mimeType: type });
+    const chunks = [];
+    recorder.ondataavailable = event => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+
+    recorder.start();
+    const started = performance.now();
+
+    for (let i = 0; i < frames.length; i++) {
+      if (this.cancelled) break;
+      this.setStatus(`Encoding WebM frame ${i + 1}/${frames.length}…`);
+
+      context.putImageData(new ImageData(new Uint8ClampedArray(frames[i].buffer), width, height), 0, 0);
+      track.requestFrame();
+
+      // Keep to the schedule even if a frame took longer to draw
+      await wait(Math.max(started + (i + 1) * 1000 / fps - performance.now(), 0));
+    }
+
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    if (this.cancelled) {
+      this.setStatus('Recording cancelled');
+      return null;
+    }
+
+    return new Blob(chunks, { type });
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Minimal ZIP writer for WebGL Noise Visualization
+ * Packs files uncompressed (method "stored"): the image sequences it is used for
+ * are PNGs, which deflate would not shrink any further
+ */
+import { crc32 } from './png.js';
+
+// MS-DOS date of the entries (1980-01-01, the earliest a ZIP can store)
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array}>} files - Files in archive order
+ * @returns {Uint8Array} ZIP file contents
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(({ name, data }) => ({ name: encoder.encode(name), data, crc: crc32(data), offset: 0 }));
+
+  const localSize = entries.reduce((total, entry) => total + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((total, entry) => total + 46 + entry.name.length, 0);
+  if (entries.length > 0xffff || localSize + centralSize > 0xffffffff) {
+    throw new Error('Too many or too large files for a ZIP archive');
+  }
+
+  const zip = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(zip.buffer);
+  let offset = 0;
+
+  // Fields shared by the local and central headers: version, flags, method, time, date, CRC, sizes, name length
+  const writeCommon = (entry) => {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, 0, true);
+    view.setUint16(offset + 8, DOS_DATE, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+    view.setUint16(offset + 24, 0, true);
+    offset += 26;
+  };
+
+  entries.forEach(entry => {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    offset += 4;
+    writeCommon(entry);
+    zip.set(entry.name, offset);
+    offset += entry.name.length;
+    zip.set(entry.data, offset);
+    offset += entry.data.length;
+  });
+
+  const centralOffset = offset;
+  entries.forEach(entry => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true); // Made by
+    offset += 6;
+    writeCommon(entry);
+    // Comment length, disk number, internal and external attributes, local header offset
+    view.setUint16(offset, 0, true);
+    view.setUint16(offset + 2, 0, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint32(offset + 6, 0, true);
+    view.setUint32(offset + 10, entry.offset, true);
+    offset += 14;
+    zip.set(entry.name, offset);
+    offset += entry.name.length;
+  });
+
+  // End of central directory
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralOffset, true);
+  view.setUint32(offset + 16, centralOffset, true);
+
+  return zip;
+}
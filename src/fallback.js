@@ -0,0 +1,185 @@
+/**
+ * Fallback renderer for WebGL Noise Visualization
+ * Shows the flat view rendered by the CPU noise (src/cpu/) when WebGL 2 is not
+ * available, and while a lost WebGL context waits to be restored. Frames are
+ * computed in cpu/renderWorker.js at a reduced resolution and stretched over the
+ * WebGL canvas; a new frame starts when the last one arrived and something on
+ * screen changed.
+ */
+
+// Share of the canvas resolution that is rendered
+const RESOLUTION_SCALE = 0.25;
+
+// Pixels per frame at most, so frames keep coming at high octave counts
+const MAX_PIXELS = 320 * 180;
+
+export class FallbackRenderer {
+  /**
+   * Initialize the fallback renderer (inactive until start() is called)
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements used by the renderer
+   * @param {HTMLCanvasElement} elements.canvas - 2D canvas laid over the WebGL canvas
+   * @param {HTMLElement} elements.notice - Says why the preview is shown
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.elements = elements;
+    this.context = elements.canvas ? elements.canvas.getContext('2d') : null;
+
+    this.active = false;
+    this.failed = false;
+
+    // Created on first use, so the worker only starts when the preview is needed
+    this.worker = null;
+
+    // Id of the frame the worker is busy with (null when idle)
+    this.pending = null;
+    this.nextId = 1;
+
+    // The last frame requested, to skip requests for the same picture
+    this.lastRequest = null;
+  }
+
+  /**
+   * Show the CPU preview in place of the WebGL canvas
+   * @param {string} message - Why the preview is shown
+   */
+  start(message) {
+    const { canvas } = this.elements;
+
+    this.active = true;
+    this.lastRequest = null;
+    if (canvas) canvas.hidden = false;
+    this.setNotice(message);
+  }
+
+  /**
+   * Hide the preview again; a frame still in the worker is dropped
+   */
+  stop() {
+    const { canvas, notice } = this.elements;
+
+    this.active = false;
+    this.pending = null;
+    if (canvas) canvas.hidden = true;
+    if (notice) notice.hidden = true;
+  }
+
+  /**
+   * Show a message over the preview
+   * @param {string} message - Message to show
+   */
+  setNotice(message) {
+    const { notice } = this.elements;
+    if (!notice) return;
+
+    notice.textContent = message;
+    notice.hidden = false;
+  }
+
+  /**
+   * Start the worker, if it is not running yet
+   * @returns {Worker} The render worker
+   */
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    if (typeof Worker === 'undefined') {
+      throw new Error('The CPU preview needs Web Workers, which this browser does not support');
+    }
+
+    this.worker = new Worker(new URL('./cpu/renderWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleResult(event.data);
+    this.worker.onerror = (event) => {
+      console.error('Render worker error:', event.message);
+      this.worker.terminate();
+      this.worker = null;
+      this.fail(`CPU preview failed: ${event.message}`);
+    };
+
+    return this.worker;
+  }
+
+  /**
+   * Stop rendering after an error and show it
+   * @param {string} message - Error message
+   */
+  fail(message) {
+    this.failed = true;
+    this.pending = null;
+    this.setNotice(message);
+  }
+
+  /**
+   * Size of the rendered frames: a fraction of the canvas, within the pixel budget
+   * @returns {Object} { width, height } in pixels
+   */
+  getFrameSize() {
+    const { width, height } = this.app.canvas;
+    const scale = Math.min(RESOLUTION_SCALE, Math.sqrt(MAX_PIXELS / Math.max(width * height, 1)));
+
+    return {
+      width: Math.max(Math.round(width * scale), 1),
+      height: Math.max(Math.round(height * scale), 1)
+    };
+  }
+
+  /**
+   * Called for every frame the app draws; asks the worker for a new frame when
+   * it is idle and the picture changed
+   * @param {number} time - Animation time in seconds
+   */
+  render(time) {
+    if (!this.active || this.failed || !this.context || this.pending !== null) return;
+
+    // The controls redraw while they are still being set up
+    const { controls, view } = this.app;
+    if (!controls) return;
+
+    const { width, height } = this.getFrameSize();
+    const request = {
+      width,
+      height,
+      values: controls.values,
+      features: controls.activeFeatures,
+      view: { time, offset: view.offset, zoom: view.zoom }
+    };
+
+    // The time only changes the picture while it moves
+    const key = JSON.stringify({ ...request, view: { ...request.view, time: this.app.isAnimating() ? time : null } });
+    if (key === this.lastRequest) return;
+    this.lastRequest = key;
+
+    try {
+      const worker = this.getWorker();
+      this.pending = this.nextId++;
+      worker.postMessage({ id: this.pending, ...request });
+    } catch (error) {
+      console.error('CPU preview failed:', error);
+      this.fail(error.message);
+    }
+  }
+
+  /**
+   * Draw a finished frame, unless the preview was stopped meanwhile
+   * @param {Object} result - Worker message ({ id, width, height, pixels } or { id, error })
+   */
+  handleResult(result) {
+    if (result.id !== this.pending) return;
+    this.pending = null;
+
+    if (result.error) {
+      console.error('CPU preview failed:', result.error);
+      this.fail(`CPU preview failed: ${result.error}`);
+      return;
+    }
+
+    const { canvas } = this.elements;
+    canvas.width = result.width;
+    canvas.height = result.height;
+    this.context.putImageData(new ImageData(result.pixels, result.width, result.height), 0, 0);
+
+    // Ask for the next frame right away rather than on the next animation frame
+    this.render(this.app.elapsedTime);
+  }
+}
@@ -0,0 +1,419 @@
+/**
+ * Gradient editor module for WebGL Noise Visualization
+ * Handles the multi-stop gradient bar with draggable color stops
+ * and renders a preview that matches the shader's color blending
+ */
+import tinygradient from 'tinygradient';
+
+// Must match the size of u_gradientColors / u_gradientPositions in the shader
+export const MAX_GRADIENT_STOPS = 32;
+
+// Stops the user can place: tinygradient pads in a stop at 0 and 1 when none is
+// there, and the padded gradient must still fit the shader's arrays
+export const MAX_EDITOR_STOPS = MAX_GRADIENT_STOPS - 2;
+
+// Number of samples used to approximate non-RGB blending in the CSS preview
+const PREVIEW_SAMPLES = 64;
+
+export class GradientEditor {
+  /**
+   * Initialize the gradient editor
+   * @param {Object} elements - DOM elements used by the editor
+   * @param {HTMLElement} elements.preview - Gradient bar, also the click target for adding stops
+   * @param {HTMLElement} elements.stops - Container for the draggable stop handles
+   * @param {HTMLInputElement} elements.stopColor - Color input for the selected stop
+   * @param {HTMLInputElement} elements.stopPosition - Number input for the selected stop position
+   * @param {HTMLButtonElement} elements.removeStop - Button removing the selected stop
+   * @param {Function} onChange - Called with the new stop array whenever the user edits it
+   */
+  constructor(elements, onChange) {
+    this.elements = elements;
+    this.onChange = onChange;
+
+    // Stops are kept sorted by position: [{ color: '#rrggbb', pos: 0..1 }]
+    this.stops = [];
+    this.selectedIndex = 0;
+
+    // Display options mirrored from the shader uniforms
+    this.options = {
+      interpolation: 'smooth',
+      colorSpace: 'rgb',
+      bands: 10
+    };
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Replace all stops (does not fire onChange)
+   * @param {Array<{color: string, pos: number}>} stops - New color stops
+   */
+  setStops(stops) {
+    const selected = this.stops[this.selectedIndex];
+
+    this.stops = stops
+      .slice(0, MAX_EDITOR_STOPS)
+      .map(stop => ({ color: stop.color, pos: Math.min(Math.max(stop.pos, 0), 1) }));
+    this.sortStops(selected);
+    this.render();
+  }
+
+  /**
+   * Get a copy of the current stops
+   * @returns {Array<{color: string, pos: number}>} Sorted color stops
+   */
+  getStops() {
+    return this.stops.map(stop => ({ ...stop }));
+  }
+
+  /**
+   * Update display options used by the preview
+   * @param {Object} options - Any of interpolation, colorSpace, bands
+   */
+  setOptions(options) {
+    Object.assign(this.options, options);
+    this.render();
+  }
+
+  /**
+   * Build a tinygradient from the current stops
+   * @returns {Object} tinygradient instance (positions padded to 0 and 1)
+   */
+  toTinygradient() {
+    return tinygradient(this.stops.map(stop => ({ color: stop.color, pos: stop.pos })));
+  }
+
+  /**
+   * Sort stops by position while keeping track of a particular stop
+   * @param {Object} [keep] - Stop whose index should remain selected
+   */
+  sortStops(keep) {
+    this.stops.sort((a, b) => a.pos - b.pos);
+
+    const index = keep ? this.stops.indexOf(keep) : -1;
+    this.selectedIndex = index >= 0 ? index : Math.min(this.selectedIndex, this.stops.length - 1);
+  }
+
+  /**
+   * Notify listener of a user edit and refresh the view
+   */
+  commit() {
+    this.render();
+
+    if (typeof this.onChange === 'function') {
+      this.onChange(this.getStops());
+    }
+  }
+
+  /**
+   * Add a stop at the given position, colored to match the current gradient
+   * @param {number} pos - Position between 0 and 1
+   */
+  addStop(pos) {
+    if (this.stops.length >= MAX_EDITOR_STOPS) {
+      console.warn(`Gradient is limited to ${MAX_EDITOR_STOPS} stops`);
+      return;
+    }
+
+    const color = rgbToHex(sampleStops(this.stops, pos, this.options.colorSpace));
+    const stop = { color, pos };
+
+    this.stops.push(stop);
+    this.sortStops(stop);
+    this.commit();
+  }
+
+  /**
+   * Remove the currently selected stop (a gradient always keeps two)
+   */
+  removeSelectedStop() {
+    if (this.stops.length <= 2) return;
+
+    this.stops.splice(this.selectedIndex, 1);
+    this.selectedIndex = Math.min(this.selectedIndex, this.stops.length - 1);
+    this.commit();
+  }
+
+  /**
+   * Convert a pointer event to a position on the gradient bar
+   * @param {PointerEvent} event - Pointer event
+   * @returns {number} Position between 0 and 1
+   */
+  eventToPosition(event) {
+    const rect = this.elements.preview.getBoundingClientRect();
+    if (rect.width === 0) return 0;
+
+    const pos = (event.clientX - rect.left) / rect.width;
+    return Math.round(Math.min(Math.max(pos, 0), 1) * 1000) / 1000;
+  }
+
+  /**
+   * Set up listeners for adding, dragging, editing and removing stops
+   */
+  setupEventListeners() {
+    const { preview, stops, stopColor, stopPosition, removeStop } = this.elements;
+
+    // Clicking the bar adds a new stop
+    if (preview) {
+      preview.addEventListener('click', (event) => {
+        this.addStop(this.eventToPosition(event));
+      });
+    }
+
+    // Dragging a handle moves its stop
+    if (stops) {
+      stops.addEventListener('pointerdown', (event) => {
+        const handle = event.target.closest('.gradient-stop');
+        if (!handle) return;
+
+        event.preventDefault();
+        this.selectedIndex = parseInt(handle.dataset.index, 10);
+        this.render();
+
+        // Handles are rebuilt on every change, so listen on the window and
+        // always move whichever stop is currently selected
+        const onMove = (moveEvent) => {
+          const stop = this.stops[this.selectedIndex];
+          if (!stop) return;
+
+          stop.pos = this.eventToPosition(moveEvent);
+          this.sortStops(stop);
+          this.commit();
+        };
+
+        const onUp = () => {
+          window.removeEventListener('pointermove', onMove);
+          window.removeEventListener('pointerup', onUp);
+          window.removeEventListener('pointercancel', onUp);
+        };
+
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+        window.addEventListener('pointercancel', onUp);
+      });
+
+      // Double-clicking a handle removes its stop
+      stops.addEventListener('dblclick', (event) => {
+        const handle = event.target.closest('.gradient-stop');
+        if (!handle) return;
+
+        this.selectedIndex = parseInt(handle.dataset.index, 10);
+        this.removeSelectedStop();
+      });
+    }
+
+    // Edit the selected stop's color
+    if (stopColor) {
+      stopColor.addEventListener('input', (event) => {
+        const stop = this.stops[this.selectedIndex];
+        if (!stop) return;
+
+        stop.color = event.target.value;
+        this.commit();
+      });
+    }
+
+    // Edit the selected stop's position
+    if (stopPosition) {
+      stopPosition.addEventListener('input', (event) => {
+        const stop = this.stops[this.selectedIndex];
+        const pos = parseFloat(event.target.value);
+        if (!stop || isNaN(pos)) return;
+
+        stop.pos = Math.min(Math.max(pos, 0), 1);
+        this.sortStops(stop);
+        this.commit();
+      });
+    }
+
+    if (removeStop) {
+      removeStop.addEventListener('click', () => this.removeSelectedStop());
+    }
+  }
+
+  /**
+   * Redraw the preview bar, stop handles and selected stop inputs
+   */
+  render() {
+    const { preview, stops, stopColor, stopPosition, removeStop } = this.elements;
+    if (this.stops.length === 0) return;
+
+    if (preview) {
+      preview.style.background = this.previewCSS();
+    }
+
+    // Rebuild handles
+    if (stops) {
+      stops.innerHTML = '';
+      this.stops.forEach((stop, i) => {
+        const handle = document.createElement('div');
+        handle.className = 'gradient-stop' + (i === this.selectedIndex ? ' selected' : '');
+        handle.dataset.index = i;
+        handle.style.left = `${stop.pos * 100}%`;
+        handle.style.backgroundColor = stop.color;
+        handle.title = `${stop.color} @ ${stop.pos}`;
+        stops.appendChild(handle);
+      });
+    }
+
+    // Sync selected stop inputs
+    const selected = this.stops[this.selectedIndex];
+    if (selected) {
+      if (stopColor) stopColor.value = selected.color;
+      if (stopPosition) stopPosition.value = selected.pos;
+    }
+
+    if (removeStop) {
+      removeStop.disabled = this.stops.length <= 2;
+    }
+  }
+
+  /**
+   * Build a CSS gradient that matches what the shader will draw
+   * @returns {string} CSS linear-gradient
+   */
+  previewCSS() {
+    const { interpolation, colorSpace, bands } = this.options;
+
+    // Stepped: one flat color per band, sampled like the shader does
+    if (interpolation === 'stepped') {
+      const count = Math.max(bands, 2);
+      const parts = [];
+      for (let i = 0; i < count; i++) {
+        const color = rgbToCss(sampleStops(this.stops, i / (count - 1), colorSpace));
+        parts.push(`${color} ${(i / count) * 100}%`, `${color} ${((i + 1) / count) * 100}%`);
+      }
+      return `linear-gradient(to right, ${parts.join(', ')})`;
+    }
+
+    // Smooth RGB maps directly onto CSS interpolation
+    if (colorSpace === 'rgb') {
+      return this.toTinygradient().css('linear', 'to right');
+    }
+
+    // Smooth HSV / OKLab: approximate with dense samples
+    const parts = [];
+    for (let i = 0; i < PREVIEW_SAMPLES; i++) {
+      const t = i / (PREVIEW_SAMPLES - 1);
+      parts.push(`${rgbToCss(sampleStops(this.stops, t, colorSpace))} ${t * 100}%`);
+    }
+    return `linear-gradient(to right, ${parts.join(', ')})`;
+  }
+}
+
+/**
+ * Sample sorted stops at t, blending like sampleGradient() in the shader
+ * @param {Array<{color: string, pos: number}>} stops - Sorted color stops
+ * @param {number} t - Position between 0 and 1
+ * @param {string} colorSpace - 'rgb', 'hsv' or 'oklab'
+ * @returns {number[]} RGB triplet (0-1)
+ */
+export function sampleStops(stops, t, colorSpace) {
+  const colors = stops.map(stop => hexToRgb(stop.color));
+  const last = stops.length - 1;
+
+  if (t <= stops[0].pos) return colors[0];
+  if (t >= stops[last].pos) return colors[last];
+
+  for (let i = 0; i < last; i++) {
+    if (t <= stops[i + 1].pos) {
+      const span = Math.max(stops[i + 1].pos - stops[i].pos, 1e-5);
+      return mixColors(colors[i], colors[i + 1], (t - stops[i].pos) / span, colorSpace);
+    }
+  }
+
+  return colors[last];
+}
+
+/**
+ * Blend two RGB colors in the given color space
+ * @param {number[]} a - RGB triplet (0-1)
+ * @param {number[]} b - RGB triplet (0-1)
+ * @param {number} t - Blend factor
+ * @param {string} colorSpace - 'rgb', 'hsv' or 'oklab'
+ * @returns {number[]} RGB triplet (0-1)
+ */
+function mixColors(a, b, t, colorSpace) {
+  const mix = (x, y) => x.map((v, i) => v + (y[i] - v) * t);
+
+  if (colorSpace === 'hsv') {
+    const ha = rgbToHsv(a);
+    const hb = rgbToHsv(b);
+    let dh = hb[0] - ha[0];
+    dh -= Math.floor(dh + 0.5);
+    const hue = ha[0] + dh * t;
+    return hsvToRgb([hue - Math.floor(hue), ha[1] + (hb[1] - ha[1]) * t, ha[2] + (hb[2] - ha[2]) * t]);
+  }
+
+  if (colorSpace === 'oklab') {
+    return oklabToRgb(mix(rgbToOklab(a), rgbToOklab(b)));
+  }
+
+  return mix(a, b);
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function rgbToCss(rgb) {
+  const [r, g, b] = rgb.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255));
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+function rgbToHsv([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+
+  let h = 0;
+  if (delta > 0) {
+    if (max === r) {
+      h = (((g - b) / delta) % 6 + 6) % 6;
+    } else if (max === g) {
+      h = (b - r) / delta + 2;
+    } else {
+      h = (r - g) / delta + 4;
+    }
+    h /= 6;
+  }
+
+  return [h, max > 0 ? delta / max : 0, max];
+}
+
+function hsvToRgb([h, s, v]) {
+  return [5, 3, 1].map(n => {
+    const k = (n + h * 6) % 6;
+    return v - v * s * Math.min(Math.max(Math.min(k, 4 - k), 0), 1);
+  });
+}
+
+const srgbToLinear = c => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+const linearToSrgb = c => (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+
+function rgbToOklab(rgb) {
+  const [r, g, b] = rgb.map(srgbToLinear);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+function oklabToRgb([L, a, b]) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+     4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ].map(c => linearToSrgb(Math.min(Math.max(c, 0), 1)));
+}
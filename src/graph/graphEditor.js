@@ -0,0 +1,228 @@
+/**
+ * Graph editor module for WebGL Noise Visualization
+ * Renders the noise graph as a list of node cards with input pickers and param fields
+ */
+import { nodeTypes } from './nodeTypes.js';
+
+// Order of node categories in the "add node" dropdown
+const CATEGORIES = ['generator', 'modifier', 'combiner'];
+
+export class GraphEditor {
+  /**
+   * Initialize the graph editor
+   * @param {Object} elements - DOM elements used by the editor
+   * @param {HTMLElement} elements.nodes - Container for the node cards
+   * @param {HTMLSelectElement} elements.addType - Node type picker
+   * @param {HTMLButtonElement} elements.addButton - Button adding a node of the picked type
+   * @param {NoiseGraph} graph - Graph to edit
+   */
+  constructor(elements, graph) {
+    this.elements = elements;
+
+    this.populateTypeOptions();
+    this.setupEventListeners();
+    this.setGraph(graph);
+  }
+
+  /**
+   * Edit a different graph
+   * @param {NoiseGraph} graph - Graph to edit
+   */
+  setGraph(graph) {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+
+    this.graph = graph;
+
+    // Only structural changes alter the cards; param edits come from the cards themselves
+    this.unsubscribe = graph.onChange((structural) => {
+      if (structural) this.render();
+    });
+    this.render();
+  }
+
+  /**
+   * Fill the node type dropdown, grouped by category
+   */
+  populateTypeOptions() {
+    const select = this.elements.addType;
+    if (!select) return;
+
+    select.innerHTML = '';
+    CATEGORIES.forEach(category => {
+      const group = document.createElement('optgroup');
+      group.label = category.charAt(0).toUpperCase() + category.slice(1) + 's';
+
+      Object.entries(nodeTypes).forEach(([type, definition]) => {
+        if (definition.category !== category) return;
+
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = definition.label;
+        group.appendChild(option);
+      });
+
+      select.appendChild(group);
+    });
+  }
+
+  /**
+   * Set up listeners; node cards use delegated events on the container
+   */
+  setupEventListeners() {
+    const { nodes, addType, addButton } = this.elements;
+
+    if (addButton && addType) {
+      addButton.addEventListener('click', () => {
+        this.graph.addNode(addType.value);
+      });
+    }
+
+    if (!nodes) return;
+
+    nodes.addEventListener('change', (event) => {
+      const target = event.target;
+      const id = parseInt(target.closest('.graph-node')?.dataset.id, 10);
+      if (isNaN(id)) return;
+
+      try {
+        if (target.dataset.input) {
+          const sourceId = target.value === '' ? null : parseInt(target.value, 10);
+          this.graph.connect(id, target.dataset.input, sourceId);
+        } else if (target.dataset.param && target.tagName === 'SELECT') {
+          this.graph.setParam(id, target.dataset.param, target.value);
+        } else if (target.dataset.output !== undefined) {
+          this.graph.setOutput(id);
+        }
+      } catch (error) {
+        console.error(error.message);
+        this.render();
+      }
+    });
+
+    // Numeric params update live while typing or dragging
+    nodes.addEventListener('input', (event) => {
+      const target = event.target;
+      if (!target.dataset.param || target.tagName === 'SELECT') return;
+
+      const id = parseInt(target.closest('.graph-node').dataset.id, 10);
+      this.graph.setParam(id, target.dataset.param, target.value);
+    });
+
+    nodes.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-remove]');
+      if (!button) return;
+
+      this.graph.removeNode(parseInt(button.closest('.graph-node').dataset.id, 10));
+    });
+  }
+
+  /**
+   * Rebuild all node cards
+   */
+  render() {
+    const container = this.elements.nodes;
+    if (!container) return;
+
+    container.innerHTML = '';
+    this.graph.nodes.forEach(node => {
+      container.appendChild(this.renderNode(node));
+    });
+  }
+
+  /**
+   * Build the card for one node
+   * @param {Object} node - Graph node
+   * @returns {HTMLElement} Card element
+   */
+  renderNode(node) {
+    const definition = nodeTypes[node.type];
+
+    const card = document.createElement('div');
+    card.className = 'graph-node' + (node.id === this.graph.outputId ? ' output' : '');
+    card.dataset.id = node.id;
+
+    // Header: output radio, title, remove button
+    const header = document.createElement('div');
+    header.className = 'graph-node-header';
+
+    const output = document.createElement('input');
+    output.type = 'radio';
+    output.name = 'graph-output';
+    output.title = 'Render this node';
+    output.checked = node.id === this.graph.outputId;
+    output.dataset.output = '';
+
+    const title = document.createElement('span');
+    title.textContent = `#${node.id} ${definition.label}`;
+
+    const remove = document.createElement('button');
+    remove.className = 'control-box-toggle';
+    remove.title = 'Remove node';
+    remove.textContent = '×';
+    remove.dataset.remove = '';
+
+    header.append(output, title, remove);
+    card.appendChild(header);
+
+    // Inputs: pick any node that would not create a cycle
+    definition.inputs.forEach(name => {
+      const select = document.createElement('select');
+      select.dataset.input = name;
+      select.appendChild(new Option('—', ''));
+
+      this.graph.nodes.forEach(source => {
+        if (!this.graph.canConnect(node.id, source.id)) return;
+        const option = new Option(`#${source.id} ${nodeTypes[source.type].label}`, source.id);
+        option.selected = node.inputs[name] === source.id;
+        select.appendChild(option);
+      });
+
+      card.appendChild(this.renderRow(name, select));
+    });
+
+    // Params
+    Object.entries(definition.params).forEach(([name, param]) => {
+      let field;
+
+      if (param.type === 'enum') {
+        field = document.createElement('select');
+        param.options.forEach(value => {
+          const option = new Option(value, value);
+          option.selected = node.params[name] === value;
+          field.appendChild(option);
+        });
+      } else {
+        field = document.createElement('input');
+        field.type = 'number';
+        field.min = param.min;
+        field.max = param.max;
+        field.step = param.step;
+        field.value = node.params[name];
+      }
+
+      field.dataset.param = name;
+      card.appendChild(this.renderRow(param.label, field));
+    });
+
+    return card;
+  }
+
+  /**
+   * Build a labelled input row matching the rest of the panel
+   * @param {string} label - Row label
+   * @param {HTMLElement} field - Input element
+   * @returns {HTMLElement} Row element
+   */
+  renderRow(label, field) {
+    const row = document.createElement('div');
+    row.className = 'input-row';
+
+    const text = document.createElement('label');
+    text.textContent = label;
+
+    row.append(text, field);
+    return row;
+  }
+}
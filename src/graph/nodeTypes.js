@@ -0,0 +1,228 @@
+/**
+ * Node type definitions for the noise graph
+ *
+ * Every node compiles to a GLSL function `float node_<id>(vec3 p)` that returns a
+ * value in roughly -1.0..1.0 for the sample position p. Inputs are other nodes,
+ * called at whatever position the node chooses (which is how fbm and warp work).
+ *
+ * Param types:
+ * - 'float' / 'int': uploaded as uniforms, so editing them does not recompile
+ * - 'enum': inlined as a constant, so changing it recompiles the program
+ */
+
+// Shared param definitions
+const frequencyParam = { type: 'float', default: 2.0, min: 0.001, max: 10.0, step: 0.001, label: 'Frequency' };
+const amplitudeParam = { type: 'float', default: 1.0, min: 0.0, max: 2.0, step: 0.01, label: 'Amplitude' };
+const dimensionsParam = { type: 'enum', default: '3d', options: ['2d', '3d'], label: 'Dimensions' };
+const octavesParam = { type: 'int', default: 4, min: 1, max: 16, step: 1, label: 'Octaves' };
+const lacunarityParam = { type: 'float', default: 2.0, min: 1.0, max: 4.0, step: 0.01, label: 'Lacunarity' };
+const gainParam = { type: 'float', default: 0.5, min: 0.0, max: 1.0, step: 0.01, label: 'Gain' };
+
+// Worley enum values -> GLSL constants from lib/worley.glsl
+const WORLEY_METRICS = { euclidean: 'WORLEY_EUCLIDEAN', manhattan: 'WORLEY_MANHATTAN', chebyshev: 'WORLEY_CHEBYSHEV' };
+const WORLEY_OUTPUTS = { f1: 'WORLEY_F1', f2: 'WORLEY_F2', 'f2-f1': 'WORLEY_F2_F1' };
+
+/**
+ * Build a generator node that samples a 2D or 3D library function
+ * @param {string} label - Display name
+ * @param {string} fn2D - GLSL function taking vec2
+ * @param {string} fn3D - GLSL function taking vec3
+ * @param {number} scale - Factor normalizing the function's output to -1..1
+ * @param {Object} extraParams - Additional params
+ * @param {Function} extraArgs - Returns the GLSL arguments passed after the position, given param()
+ * @returns {Object} Node type definition
+ */
+function generator(label, fn2D, fn3D, scale = 1.0, extraParams = {}, extraArgs = () => []) {
+  return {
+    label,
+    category: 'generator',
+    inputs: [],
+    params: { frequency: frequencyParam, amplitude: amplitudeParam, dimensions: dimensionsParam, ...extraParams },
+    glsl: ({ param }) => {
+      const args = extraArgs(param).map(arg => `, ${arg}`).join('');
+      const sample = param('dimensions') === '2d'
+        ? `${fn2D}(p.xy / ${param('frequency')}${args})`
+        : `${fn3D}(p / ${param('frequency')}${args})`;
+      return `return ${param('amplitude')} * ${scale.toFixed(3)} * ${sample};`;
+    }
+  };
+}
+
+/**
+ * Build a fractal modifier summing octaves of its input
+ * @param {string} label - Display name
+ * @param {Function} shape - Returns a GLSL expression shaping each octave sample `n`
+ * @param {string} finish - GLSL expression mapping the normalized sum `s` to -1..1
+ * @param {Object} extraParams - Additional params
+ * @returns {Object} Node type definition
+ */
+function fractal(label, shape, finish, extraParams = {}) {
+  return {
+    label,
+    category: 'modifier',
+    inputs: ['source'],
+    params: { octaves: octavesParam, lacunarity: lacunarityParam, gain: gainParam, ...extraParams },
+    glsl: ({ input, param }) => `
+    float sum = 0.0;
+    float amp = 1.0;
+    float freq = 1.0;
+    float norm = 0.0;
+    for (int i = 0; i < 16; i++) {
+        if (i >= ${param('octaves')}) break;
+        // Shift each octave so lattice origins do not line up
+        float n = ${input('source', 'p * freq + float(i) * 19.19')};
+        sum += amp * (${shape(param)});
+        norm += amp;
+        amp *= ${param('gain')};
+        freq *= ${param('lacunarity')};
+    }
+    float s = sum / max(norm, 1e-5);
+    return ${finish};`
+  };
+}
+
+/**
+ * Build a combiner applying a binary GLSL expression to inputs a and b
+ * @param {string} label - Display name
+ * @param {string} expression - GLSL expression of `a` and `b`
+ * @returns {Object} Node type definition
+ */
+function combiner(label, expression) {
+  return {
+    label,
+    category: 'combiner',
+    inputs: ['a', 'b'],
+    params: {},
+    glsl: ({ input }) => `
+    float a = ${input('a')};
+    float b = ${input('b')};
+    return ${expression};`
+  };
+}
+
+export const nodeTypes = {
+  // Generators
+  perlin2d: {
+    label: 'Perlin 2D',
+    category: 'generator',
+    inputs: [],
+    params: { frequency: frequencyParam, amplitude: amplitudeParam },
+    glsl: ({ param }) => `return ${param('amplitude')} * 2.0 * noise2D(p.xy / ${param('frequency')});`
+  },
+  perlin3d: {
+    label: 'Perlin 3D',
+    category: 'generator',
+    inputs: [],
+    params: { frequency: frequencyParam, amplitude: amplitudeParam },
+    glsl: ({ param }) => `return ${param('amplitude')} * 1.5 * noise3D(p / ${param('frequency')});`
+  },
+  value: generator('Value', 'valueNoise2D', 'valueNoise3D'),
+  simplex: generator('Simplex', 'simplexNoise2D', 'simplexNoise3D'),
+  worley: generator(
+    'Worley',
+    'worleyNoise2D',
+    'worleyNoise3D',
+    1.0,
+    {
+      metric: { type: 'enum', default: 'euclidean', options: Object.keys(WORLEY_METRICS), label: 'Metric' },
+      output: { type: 'enum', default: 'f1', options: Object.keys(WORLEY_OUTPUTS), label: 'Output' }
+    },
+    (param) => [WORLEY_METRICS[param('metric')], WORLEY_OUTPUTS[param('output')]]
+  ),
+  gabor: generator(
+    'Gabor',
+    'gaborNoise2D',
+    'gaborNoise3D',
+    1.0,
+    {
+      cycles: { type: 'float', default: 2.0, min: 0.0, max: 8.0, step: 0.01, label: 'Cycles / Cell' },
+      angle: { type: 'float', default: 0.785, min: 0.0, max: 6.283, step: 0.001, label: 'Angle (rad)' },
+      isotropy: { type: 'float', default: 0.0, min: 0.0, max: 1.0, step: 0.01, label: 'Isotropy' }
+    },
+    (param) => [param('cycles'), param('angle'), param('isotropy')]
+  ),
+
+  // Modifiers
+  fbm: fractal('fBm', () => 'n', 's'),
+  ridged: fractal(
+    'Ridged',
+    (param) => `(${param('offset')} - abs(n)) * (${param('offset')} - abs(n))`,
+    's * 2.0 - 1.0',
+    { offset: { type: 'float', default: 1.0, min: 0.0, max: 2.0, step: 0.01, label: 'Offset' } }
+  ),
+  billow: fractal('Billow', () => 'abs(n) * 2.0 - 1.0', 's'),
+  warp: {
+    label: 'Warp',
+    category: 'modifier',
+    inputs: ['source', 'field'],
+    params: {
+      strength: { type: 'float', default: 0.5, min: 0.0, max: 4.0, step: 0.01, label: 'Strength' }
+    },
+    // Displace the source by a vector built from two decorrelated samples of the field
+    // (the source itself when no field is connected)
+    glsl: ({ input, param, connected }) => {
+      const field = connected('field') ? 'field' : 'source';
+      return `
+    vec3 q = vec3(
+        ${input(field, 'p + vec3(5.2, 1.3, 0.0)')},
+        ${input(field, 'p + vec3(8.3, 2.8, 0.0)')},
+        0.0
+    );
+    return ${input('source', `p + ${param('strength')} * q`)};`;
+    }
+  },
+  remap: {
+    label: 'Remap',
+    category: 'modifier',
+    inputs: ['source'],
+    params: {
+      inMin: { type: 'float', default: -1.0, min: -4.0, max: 4.0, step: 0.01, label: 'In Min' },
+      inMax: { type: 'float', default: 1.0, min: -4.0, max: 4.0, step: 0.01, label: 'In Max' },
+      outMin: { type: 'float', default: -1.0, min: -4.0, max: 4.0, step: 0.01, label: 'Out Min' },
+      outMax: { type: 'float', default: 1.0, min: -4.0, max: 4.0, step: 0.01, label: 'Out Max' }
+    },
+    glsl: ({ input, param }) => `
+    float t = (${input('source')} - ${param('inMin')}) / (${param('inMax')} - ${param('inMin')});
+    return mix(${param('outMin')}, ${param('outMax')}, t);`
+  },
+  clamp: {
+    label: 'Clamp',
+    category: 'modifier',
+    inputs: ['source'],
+    params: {
+      min: { type: 'float', default: -1.0, min: -4.0, max: 4.0, step: 0.01, label: 'Min' },
+      max: { type: 'float', default: 1.0, min: -4.0, max: 4.0, step: 0.01, label: 'Max' }
+    },
+    glsl: ({ input, param }) => `return clamp(${input('source')}, ${param('min')}, ${param('max')});`
+  },
+  abs: {
+    label: 'Abs',
+    category: 'modifier',
+    inputs: ['source'],
+    params: {},
+    glsl: ({ input }) => `return abs(${input('source')});`
+  },
+  invert: {
+    label: 'Invert',
+    category: 'modifier',
+    inputs: ['source'],
+    params: {},
+    glsl: ({ input }) => `return -${input('source')};`
+  },
+
+  // Combiners
+  add: combiner('Add', 'a + b'),
+  multiply: combiner('Multiply', 'a * b'),
+  min: combiner('Min', 'min(a, b)'),
+  max: combiner('Max', 'max(a, b)'),
+  lerp: {
+    label: 'Lerp by Mask',
+    category: 'combiner',
+    inputs: ['a', 'b', 'mask'],
+    params: {},
+    // The mask is signed like every other node, so map it to 0..1 first
+    glsl: ({ input }) => `
+    float m = clamp(${input('mask')} * 0.5 + 0.5, 0.0, 1.0);
+    return mix(${input('a')}, ${input('b')}, m);`
+  }
+};
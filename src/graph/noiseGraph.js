@@ -0,0 +1,391 @@
+/**
+ * Noise graph model for WebGL Noise Visualization
+ * A composable graph of generator, modifier and combiner nodes that compiles
+ * to a GLSL ES 3.00 fragment shader
+ */
+import graphTemplate from '../shaders/NoiseGraph.glsl?raw';
+import { nodeTypes } from './nodeTypes.js';
+
+// Placeholder in NoiseGraph.glsl replaced with generated uniforms and node functions
+const NODES_PLACEHOLDER = '// @graph-nodes';
+
+export class NoiseGraph {
+  /**
+   * Create an empty graph
+   */
+  constructor() {
+    // id -> { id, type, params: { name: value }, inputs: { name: sourceId | null } }
+    this.nodes = new Map();
+    this.outputId = null;
+    this.nextId = 1;
+
+    // Change listeners, called with true when the GLSL structure changed
+    this.listeners = new Set();
+  }
+
+  /**
+   * Create the default graph: fBm of 3D Perlin noise
+   * @returns {NoiseGraph} New graph
+   */
+  static createDefault() {
+    const graph = new NoiseGraph();
+    const perlin = graph.addNode('perlin3d');
+    const fbm = graph.addNode('fbm');
+    graph.connect(fbm, 'source', perlin);
+    graph.setOutput(fbm);
+    return graph;
+  }
+
+  /**
+   * Register a change listener
+   * @param {Function} listener - Called with (structural: boolean)
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners of a change
+   * @param {boolean} structural - True if the generated GLSL changed (requires a recompile)
+   */
+  emit(structural) {
+    this.listeners.forEach(listener => listener(structural));
+  }
+
+  /**
+   * Add a node with default params
+   * @param {string} type - Key into nodeTypes
+   * @param {Object} params - Optional param overrides
+   * @returns {number} The new node id
+   */
+  addNode(type, params = {}) {
+    const definition = nodeTypes[type];
+    if (!definition) {
+      throw new Error(`Unknown node type: ${type}`);
+    }
+
+    const node = {
+      id: this.nextId++,
+      type,
+      params: {},
+      inputs: {}
+    };
+
+    Object.entries(definition.params).forEach(([name, param]) => {
+      node.params[name] = param.default;
+    });
+    definition.inputs.forEach(name => {
+      node.inputs[name] = null;
+    });
+
+    this.nodes.set(node.id, node);
+    Object.entries(params).forEach(([name, value]) => this.setParam(node.id, name, value, false));
+
+    // The first node becomes the output so a fresh graph always renders something
+    if (this.outputId === null) {
+      this.outputId = node.id;
+    }
+
+    this.emit(true);
+    return node.id;
+  }
+
+  /**
+   * Remove a node and every connection to it
+   * @param {number} id - Node id
+   */
+  removeNode(id) {
+    if (!this.nodes.delete(id)) return;
+
+    this.nodes.forEach(node => {
+      Object.keys(node.inputs).forEach(name => {
+        if (node.inputs[name] === id) {
+          node.inputs[name] = null;
+        }
+      });
+    });
+
+    if (this.outputId === id) {
+      this.outputId = this.nodes.size > 0 ? this.nodes.keys().next().value : null;
+    }
+
+    this.emit(true);
+  }
+
+  /**
+   * Connect a node's output to another node's input
+   * @param {number} targetId - Node receiving the value
+   * @param {string} inputName - Input on the target node
+   * @param {number|null} sourceId - Node providing the value, or null to disconnect
+   */
+  connect(targetId, inputName, sourceId) {
+    const target = this.getNode(targetId);
+    if (!(inputName in target.inputs)) {
+      throw new Error(`Node ${targetId} (${target.type}) has no input "${inputName}"`);
+    }
+
+    if (sourceId !== null) {
+      this.getNode(sourceId);
+      if (!this.canConnect(targetId, sourceId)) {
+        throw new Error(`Connecting node ${sourceId} to node ${targetId} would create a cycle`);
+      }
+    }
+
+    target.inputs[inputName] = sourceId;
+    this.emit(true);
+  }
+
+  /**
+   * Check whether sourceId can feed targetId without creating a cycle
+   * @param {number} targetId - Node receiving the value
+   * @param {number} sourceId - Node providing the value
+   * @returns {boolean} True if the connection is allowed
+   */
+  canConnect(targetId, sourceId) {
+    return targetId !== sourceId && !this.dependsOn(sourceId, targetId);
+  }
+
+  /**
+   * Check whether a node (transitively) reads from another node
+   * @param {number} id - Node to start from
+   * @param {number} dependencyId - Node to look for
+   * @returns {boolean} True if id depends on dependencyId
+   */
+  dependsOn(id, dependencyId) {
+    const stack = [id];
+    const seen = new Set();
+
+    while (stack.length > 0) {
+      const node = this.nodes.get(stack.pop());
+      if (!node || seen.has(node.id)) continue;
+      seen.add(node.id);
+
+      for (const sourceId of Object.values(node.inputs)) {
+        if (sourceId === dependencyId) return true;
+        if (sourceId !== null) stack.push(sourceId);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Set a node param, clamping numeric values to the param range
+   * @param {number} id - Node id
+   * @param {string} name - Param name
+   * @param {number|string} value - New value
+   * @param {boolean} notify - Whether to notify listeners
+   */
+  setParam(id, name, value, notify = true) {
+    const node = this.getNode(id);
+    const param = nodeTypes[node.type].params[name];
+    if (!param) {
+      throw new Error(`Node ${id} (${node.type}) has no param "${name}"`);
+    }
+
+    if (param.type === 'enum') {
+      if (!param.options.includes(value)) {
+        throw new Error(`Invalid value "${value}" for param "${name}"`);
+      }
+    } else {
+      value = param.type === 'int' ? parseInt(value, 10) : parseFloat(value);
+      if (isNaN(value)) return;
+      value = Math.min(Math.max(value, param.min), param.max);
+    }
+
+    node.params[name] = value;
+
+    // Enum params are inlined into the GLSL, numeric params are uniforms
+    if (notify) {
+      this.emit(param.type === 'enum');
+    }
+  }
+
+  /**
+   * Choose which node's value is rendered
+   * @param {number} id - Node id
+   */
+  setOutput(id) {
+    this.getNode(id);
+    this.outputId = id;
+    this.emit(true);
+  }
+
+  /**
+   * Get a node by id
+   * @param {number} id - Node id
+   * @returns {Object} The node
+   */
+  getNode(id) {
+    const node = this.nodes.get(id);
+    if (!node) {
+      throw new Error(`Node ${id} does not exist`);
+    }
+    return node;
+  }
+
+  /**
+   * Nodes reachable from the output, dependencies first
+   * @returns {Array<Object>} Nodes in evaluation order
+   */
+  evaluationOrder() {
+    const order = [];
+    const visited = new Set();
+
+    const visit = (id) => {
+      if (id === null || visited.has(id)) return;
+      visited.add(id);
+
+      const node = this.getNode(id);
+      Object.values(node.inputs).forEach(visit);
+      order.push(node);
+    };
+
+    visit(this.outputId);
+    return order;
+  }
+
+  /**
+   * GLSL uniform name for a node param
+   * @param {number} id - Node id
+   * @param {string} name - Param name
+   * @returns {string} Uniform name
+   */
+  static uniformName(id, name) {
+    return `u_node${id}_${name}`;
+  }
+
+  /**
+   * Generate the fragment shader for this graph
+   * @returns {{ source: string, uniforms: Array<Object> }} GLSL source (with #include
+   *   directives still to be resolved) and the uniforms backing numeric params
+   */
+  compile() {
+    const uniforms = [];
+    const declarations = [];
+    const functions = [];
+
+    this.evaluationOrder().forEach(node => {
+      const definition = nodeTypes[node.type];
+
+      // Numeric params become uniforms
+      Object.entries(definition.params).forEach(([name, param]) => {
+        if (param.type === 'enum') return;
+
+        const uniform = NoiseGraph.uniformName(node.id, name);
+        const glslType = param.type === 'int' ? 'int' : 'float';
+        declarations.push(`uniform ${glslType} ${uniform};`);
+        uniforms.push({ name: uniform, nodeId: node.id, param: name, type: param.type });
+      });
+
+      const body = definition.glsl({
+        id: node.id,
+        // Call an input node at a position (0.0 when unconnected)
+        input: (name, position = 'p') => {
+          const sourceId = node.inputs[name];
+          return sourceId === null || sourceId === undefined ? '0.0' : `node_${sourceId}(${position})`;
+        },
+        connected: (name) => node.inputs[name] !== null && node.inputs[name] !== undefined,
+        // Uniform name for numeric params, raw value for enums
+        param: (name) => {
+          const param = definition.params[name];
+          return param.type === 'enum' ? node.params[name] : NoiseGraph.uniformName(node.id, name);
+        }
+      });
+
+      functions.push(`// Node ${node.id}: ${definition.label}\nfloat node_${node.id}(vec3 p) {\n    ${body.trim()}\n}`);
+    });
+
+    // An empty graph renders flat mid-gray
+    const output = this.outputId === null ? 'return 0.0;' : `return node_${this.outputId}(p);`;
+    functions.push(`// Graph output\nfloat graphOutput(vec3 p) {\n    ${output}\n}`);
+
+    const generated = [...declarations, '', ...functions].join('\n');
+    return {
+      source: graphTemplate.replace(NODES_PLACEHOLDER, generated),
+      uniforms
+    };
+  }
+
+  /**
+   * Upload the current numeric param values to the program
+   * @param {WebGL2RenderingContext} gl - WebGL context with the graph program in use
+   * @param {Object} locations - Uniform name -> WebGLUniformLocation
+   */
+  uploadUniforms(gl, locations) {
+    this.nodes.forEach(node => {
+      Object.entries(nodeTypes[node.type].params).forEach(([name, param]) => {
+        const location = locations[NoiseGraph.uniformName(node.id, name)];
+        if (!location) return;
+
+        if (param.type === 'int') {
+          gl.uniform1i(location, node.params[name]);
+        } else if (param.type === 'float') {
+          gl.uniform1f(location, node.params[name]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Serialize the graph
+   * @returns {Object} Plain JSON object
+   */
+  toJSON() {
+    return {
+      nodes: [...this.nodes.values()].map(node => ({
+        id: node.id,
+        type: node.type,
+        params: { ...node.params },
+        inputs: { ...node.inputs }
+      })),
+      outputId: this.outputId
+    };
+  }
+
+  /**
+   * Rebuild a graph from toJSON() output
+   * @param {Object} json - Serialized graph
+   * @returns {NoiseGraph} New graph
+   */
+  static fromJSON(json) {
+    const graph = new NoiseGraph();
+
+    json.nodes.forEach(data => {
+      const definition = nodeTypes[data.type];
+      if (!definition) {
+        throw new Error(`Unknown node type: ${data.type}`);
+      }
+
+      const node = { id: data.id, type: data.type, params: {}, inputs: {} };
+      Object.entries(definition.params).forEach(([name, param]) => {
+        node.params[name] = param.default;
+      });
+      definition.inputs.forEach(name => {
+        node.inputs[name] = null;
+      });
+
+      graph.nodes.set(node.id, node);
+      graph.nextId = Math.max(graph.nextId, node.id + 1);
+
+      Object.entries(data.params || {}).forEach(([name, value]) => {
+        if (name in definition.params) graph.setParam(node.id, name, value, false);
+      });
+    });
+
+    // Connect after all nodes exist, skipping anything that would form a cycle
+    json.nodes.forEach(data => {
+      const node = graph.nodes.get(data.id);
+      Object.entries(data.inputs || {}).forEach(([name, sourceId]) => {
+        if (name in node.inputs && graph.nodes.has(sourceId) && graph.canConnect(node.id, sourceId)) {
+          node.inputs[name] = sourceId;
+        }
+      });
+    });
+
+    graph.outputId = graph.nodes.has(json.outputId) ? json.outputId : null;
+    return graph;
+  }
+}
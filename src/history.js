@@ -0,0 +1,318 @@
+/**
+ * Edit history for WebGL Noise Visualization
+ * Undo and redo of the control state (every value, the active features and the
+ * noise type, captured as a preset). A change is recorded once the controls have
+ * been still for a moment and no pointer is held down, so a slider or gradient
+ * handle drag becomes a single entry. Each entry keeps a thumbnail of the view,
+ * and the history list jumps back to any of them.
+ */
+import { noiseTypes } from './noiseTypes.js';
+
+// Quiet period after the last change before it is recorded
+const RECORD_DELAY = 400;
+
+// Entries kept; the oldest are dropped first
+const MAX_ENTRIES = 50;
+
+// Thumbnail width in pixels (the height follows the canvas)
+const THUMBNAIL_WIDTH = 64;
+
+/**
+ * Turn a control or feature name into a label ("warpStrength" -> "Warp strength")
+ * @param {string} name - Control or feature name
+ * @returns {string} Readable name
+ */
+function readableName(name) {
+  const words = name.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Describe what changed between two recorded states
+ * @param {Object|null} before - The previous state (null for the first entry)
+ * @param {Object} after - The new state
+ * @returns {string} Short label for the history list
+ */
+function describeChange(before, after) {
+  if (!before) {
+    return 'Start';
+  }
+
+  if (after.noiseType !== before.noiseType && after.noiseType) {
+    const type = Object.hasOwn(noiseTypes, after.noiseType) ? noiseTypes[after.noiseType] : null;
+    return `Noise type: ${type ? type.label : after.noiseType}`;
+  }
+
+  const changed = Object.keys(after.values).filter(control =>
+    JSON.stringify(after.values[control]) !== JSON.stringify(before.values[control])
+  );
+
+  if (changed.length === 0) {
+    const features = Object.keys(after.features).filter(feature => after.features[feature] !== before.features[feature]);
+    return features.map(feature => `${readableName(feature)} ${after.features[feature] ? 'on' : 'off'}`).join(', ') || 'Edit';
+  }
+
+  const [control] = changed;
+  const value = after.values[control];
+  let label = readableName(control);
+  if (typeof value === 'number') {
+    label += ` ${Number.isInteger(value) ? value : parseFloat(value.toFixed(3))}`;
+  } else if (typeof value === 'string' || typeof value === 'boolean') {
+    label += ` ${value}`;
+  }
+
+  return changed.length > 1 ? `${label} (+${changed.length - 1} more)` : label;
+}
+
+/**
+ * Whether keys typed into an element edit its text (which has its own undo)
+ * @param {Element} element - Focused element
+ * @returns {boolean} true for text fields
+ */
+function isTextField(element) {
+  if (!element) return false;
+  if (element.tagName === 'TEXTAREA' || element.isContentEditable) return true;
+  return element.tagName === 'INPUT' && ['text', 'number', 'search'].includes(element.type);
+}
+
+export class EditHistory {
+  /**
+   * Initialize the edit history (recording starts with start())
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements used by the history panel
+   * @param {HTMLButtonElement} elements.undo - Steps back one entry
+   * @param {HTMLButtonElement} elements.redo - Steps forward one entry
+   * @param {HTMLElement} elements.list - List of the entries, newest first
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.elements = elements;
+
+    // Recorded states ({ state, key, label, thumbnail }) and the one shown
+    this.entries = [];
+    this.index = -1;
+
+    this.ready = false;
+    this.timer = null;
+
+    // Set while an entry is applied, so applying it is not recorded again
+    this.restoring = false;
+
+    // A change waiting for the pointer to be released
+    this.pointerDown = false;
+    this.waitingForPointer = false;
+
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Set up the buttons, the keyboard shortcuts and pointer tracking
+   */
+  setupEventListeners() {
+    const { undo, redo } = this.elements;
+
+    undo?.addEventListener('click', () => this.undo());
+    redo?.addEventListener('click', () => this.redo());
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo; text fields keep their own undo
+    document.addEventListener('keydown', event => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextField(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey)) {
+        event.preventDefault();
+        this.redo();
+      }
+    });
+
+    // A drag is one change: wait for the pointer to be released
+    window.addEventListener('pointerdown', () => {
+      this.pointerDown = true;
+    }, true);
+    ['pointerup', 'pointercancel'].forEach(type => {
+      window.addEventListener(type, () => {
+        this.pointerDown = false;
+        if (this.waitingForPointer) {
+          this.waitingForPointer = false;
+          this.scheduleRecord();
+        }
+      }, true);
+    });
+  }
+
+  /**
+   * Record the current state as the first entry and start tracking changes
+   * Called once the start-up state (noise type, seed, permalink) is applied
+   */
+  start() {
+    this.ready = true;
+    this.record();
+  }
+
+  /**
+   * Record the current state shortly after the last change
+   */
+  scheduleRecord() {
+    if (!this.ready || this.restoring) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (this.pointerDown) {
+        this.waitingForPointer = true;
+        return;
+      }
+      this.record();
+    }, RECORD_DELAY);
+  }
+
+  /**
+   * Record a change that is still waiting, so undo starts from it
+   */
+  flush() {
+    if (this.timer === null && !this.waitingForPointer) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.waitingForPointer = false;
+    this.record();
+  }
+
+  /**
+   * Add the current state after the entry shown, dropping the entries that were undone
+   * Nothing is recorded if the state equals the entry shown
+   */
+  record() {
+    const state = this.app.controls.toPreset('History');
+    const key = JSON.stringify([state.noiseType, state.features, state.values]);
+
+    const current = this.entries[this.index];
+    if (current && current.key === key) return;
+
+    this.entries.splice(this.index + 1);
+    this.entries.push({
+      state,
+      key,
+      label: describeChange(current ? current.state : null, state),
+      thumbnail: this.captureThumbnail()
+    });
+
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length - 1;
+
+    this.render();
+  }
+
+  /**
+   * Go back one entry
+   */
+  undo() {
+    this.flush();
+    this.go(this.index - 1);
+  }
+
+  /**
+   * Go forward one entry
+   */
+  redo() {
+    this.flush();
+    this.go(this.index + 1);
+  }
+
+  /**
+   * Apply an entry's state; later entries stay available for redo
+   * @param {number} index - Entry index
+   */
+  go(index) {
+    if (index < 0 || index >= this.entries.length || index === this.index) return;
+
+    this.index = index;
+
+    this.restoring = true;
+    try {
+      this.app.controls.applyPreset(this.entries[index].state);
+    } finally {
+      this.restoring = false;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Render a small image of the current view
+   * @returns {string|null} PNG data URL, or null when the view cannot be captured
+   *   (during a recording, while the context is lost)
+   */
+  captureThumbnail() {
+    const { canvas, exporter, fallback } = this.app;
+    const width = THUMBNAIL_WIDTH;
+    const height = Math.max(Math.round(width * canvas.height / Math.max(canvas.width, 1)), 1);
+
+    try {
+      const thumbnail = document.createElement('canvas');
+      thumbnail.width = width;
+      thumbnail.height = height;
+      const context = thumbnail.getContext('2d');
+      if (!context) return null;
+
+      if (exporter && !exporter.busy && !this.app.contextLost) {
+        const rgba = exporter.renderPixels(width, height, false);
+        context.putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer), width, height), 0, 0);
+      } else if (fallback && fallback.active) {
+        // The CPU preview's last frame
+        context.drawImage(fallback.elements.canvas, 0, 0, width, height);
+      } else {
+        return null;
+      }
+
+      return thumbnail.toDataURL('image/png');
+    } catch (error) {
+      console.warn('Could not capture a history thumbnail:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Redraw the history list and the button states
+   */
+  render() {
+    const { undo, redo, list } = this.elements;
+
+    if (undo) undo.disabled = this.index <= 0;
+    if (redo) redo.disabled = this.index >= this.entries.length - 1;
+    if (!list) return;
+
+    list.innerHTML = '';
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      const item = document.createElement('li');
+      item.className = 'history-entry';
+      item.classList.toggle('current', i === this.index);
+      item.classList.toggle('undone', i > this.index);
+      item.title = i === this.index ? 'Current state' : 'Go back to this state';
+
+      const image = document.createElement('div');
+      image.className = 'history-thumbnail';
+      if (entry.thumbnail) {
+        image.style.backgroundImage = `url(${entry.thumbnail})`;
+      }
+
+      const label = document.createElement('span');
+      label.textContent = entry.label;
+
+      item.append(image, label);
+      item.addEventListener('click', () => {
+        // Recording a waiting change drops the undone entries, this one included
+        this.flush();
+        this.go(this.entries.indexOf(entry));
+      });
+      list.appendChild(item);
+    }
+  }
+}
@@ -6,12 +6,41 @@
  */
 import vertexShaderSource from './shaders/vertex.glsl?raw';
 import fragmentShaderSource from './shaders/OldNoise.glsl?raw';
+import terrainVertexSource from './shaders/TerrainVertex.glsl?raw';
+import terrainFragmentSource from './shaders/TerrainFragment.glsl?raw';
+import volumeFragmentSource from './shaders/VolumeFragment.glsl?raw';
+import sliceFragmentSource from './shaders/SliceFragment.glsl?raw';
+import { resolveIncludes, parseInfoLog } from './shaders/index.js';
 import { NoiseControls } from './controls.js';
+import { noiseTypeParams } from './noiseTypes.js';
+import { NoiseGraph } from './graph/noiseGraph.js';
+import { GraphEditor } from './graph/graphEditor.js';
+import { NoiseExporter } from './export/exporter.js';
+import { AnimationRecorder } from './export/recorder.js';
+import { NoiseAnalyzer } from './analysis/analyzer.js';
+import { SpectrumView } from './analysis/spectrum.js';
+import { PresetManager } from './presets.js';
+import { ShaderEditor } from './shaderEditor.js';
+import { FallbackRenderer } from './fallback.js';
+import { Permalink } from './permalink.js';
+import { EditHistory } from './history.js';
+import { ViewNavigator } from './viewport.js';
+import { Timeline } from './timeline.js';
+import { RenderQuality } from './renderQuality.js';
+import { OrbitCamera } from './scene/orbitCamera.js';
+import { TerrainView } from './scene/terrain.js';
+import { VolumeView } from './scene/volume.js';
+
+// Render modes: flat 2D noise, displaced terrain mesh, raymarched volume, 3D noise slice
+const RENDER_MODES = ['flat', 'terrain', 'volume', 'slice'];
+
+// Modes viewed through the orbit camera; the others pan and zoom in 2D
+const CAMERA_MODES = ['terrain', 'volume'];
 
 class WebGLApp {
   /**
    * Initialize the WebGL application
-   * @param {string} noiseType - Initial noise type to set up ('base' or 'warp')
+   * @param {string} noiseType - Initial noise type to set up (see noiseTypes.js, or 'full')
    */
   constructor(noiseType = 'base') {
     // Get WebGL canvas
@@ -25,44 +54,164 @@ class WebGLApp {
     // Initialize WebGL2 context
     this.gl = this.canvas.getContext('webgl2');
     
-    if (!this.gl) {
+    // CPU preview of the flat view, shown without WebGL 2 and while a lost context is restored
+    this.fallback = new FallbackRenderer(this, {
+      canvas: document.getElementById('fallback-canvas'),
+      notice: document.getElementById('fallback-notice')
+    });
+    this.contextLost = false;
+    
+    // Nothing is drawn until a program links; the locations stay empty until then
+    this.program = null;
+    this.uniformLocations = {};
+    this.extraUniformLocations = {};
+    this.shaderMessages = [];
+    
+    // Source of the flat view, replaced by the shader editor once an edit compiles
+    this.fragmentSource = fragmentShaderSource;
+    
+    if (this.gl) {
+      // Initialize WebGL
+      this.initWebGL();
+      
+      // The browser may drop the context (GPU reset, too many contexts); rebuild everything when it returns
+      this.canvas.addEventListener('webglcontextlost', this.handleContextLost.bind(this));
+      this.canvas.addEventListener('webglcontextrestored', this.handleContextRestored.bind(this));
+    } else {
       console.error('WebGL 2.0 not supported in this browser');
-      alert('WebGL 2.0 is not supported in your browser. Please try a different browser.');
-      return;
+      this.fallback.start('WebGL 2 is not available in this browser; showing a reduced-resolution CPU preview of the flat view');
     }
     
-    // Initialize WebGL
-    this.initWebGL();
-    
-    // Set up noise types that can be used
-    this.noiseTypes = {
-      base: {
-        name: "Base Noise",
-        features: {
-          colorGradient: true,
-          warp: false,
-          mask: false
-        }
-      },
-      domainWarp: {
-        name: "Domain Warp",
-        features: {
-          colorGradient: false,
-          warp: true,
-          mask: false
-        }
-      }
-    };
+    // Animation clock and viewport pan/zoom (used by every draw, so set up before the controls)
+    this.timeline = new Timeline(this, {
+      play: document.getElementById('timeline-play'),
+      stepBack: document.getElementById('timeline-step-back'),
+      stepForward: document.getElementById('timeline-step-forward'),
+      scrub: document.getElementById('timeline-scrub'),
+      time: document.getElementById('timeline-time')
+    });
+    this.elapsedTime = 0;
+    
+    // Canvas resolution (device pixels times the render scale, lowered while
+    // interacting when adaptive) and the frame statistics overlay
+    this.quality = new RenderQuality(this, {
+      scale: document.getElementById('render-scale'),
+      scaleSlider: document.getElementById('render-scale-slider'),
+      adaptive: document.getElementById('render-adaptive'),
+      stats: document.getElementById('render-stats'),
+      overlay: document.getElementById('render-stats-overlay')
+    });
+    
+    // Frames are only drawn when something changed or the picture moves with time
+    this.redrawRequested = true;
+    
+    // Seamless loop period the animation recorder forces while it records (0 = the panel's time mode)
+    this.loopDuration = 0;
+    
+    this.view = new ViewNavigator(this, {
+      canvas: this.canvas,
+      reset: document.getElementById('view-reset'),
+      status: document.getElementById('view-status')
+    });
+    
+    // Flat 2D view or one of the 3D views, which share an orbit camera
+    this.renderMode = 'flat';
+    this.camera = new OrbitCamera(this, this.canvas);
+    this.terrain = this.gl ? new TerrainView(this) : null;
+    this.volume = new VolumeView(this);
     
     // Initialize controls after WebGL is set up with specific noise type
     this.initNoiseControls(noiseType);
     
+    // Set up the node-based noise graph (off until enabled in the panel)
+    this.initNoiseGraph();
+    
+    // Set up the render mode switch
+    this.initRenderMode();
+    
+    // The export, analysis and shader panels render with WebGL
+    if (this.gl) {
+      // Set up the export panel
+      this.exporter = new NoiseExporter(this, {
+        width: document.getElementById('export-width'),
+        height: document.getElementById('export-height'),
+        format: document.getElementById('export-format'),
+        button: document.getElementById('export-button'),
+        status: document.getElementById('export-status')
+      });
+      
+      // Set up the animation recorder (renders frames through the exporter)
+      this.recorder = new AnimationRecorder(this, {
+        width: document.getElementById('animation-width'),
+        height: document.getElementById('animation-height'),
+        duration: document.getElementById('animation-duration'),
+        fps: document.getElementById('animation-fps'),
+        format: document.getElementById('animation-format'),
+        loop: document.getElementById('animation-loop'),
+        button: document.getElementById('animation-button'),
+        status: document.getElementById('animation-status')
+      });
+      
+      // Set up the analysis panel (reads back through the exporter's render target)
+      this.analysis = new NoiseAnalyzer(this, {
+        enabled: document.getElementById('analysis-enabled'),
+        autoNormalize: document.getElementById('analysis-auto-normalize'),
+        resetRange: document.getElementById('analysis-reset-range'),
+        histogram: document.getElementById('analysis-histogram'),
+        stats: document.getElementById('analysis-stats')
+      });
+      
+      // Set up the frequency spectrum (FFT of a readback, computed in a worker)
+      this.spectrum = new SpectrumView(this, {
+        enabled: document.getElementById('spectrum-enabled'),
+        image: document.getElementById('spectrum-image'),
+        radial: document.getElementById('spectrum-radial'),
+        status: document.getElementById('spectrum-status')
+      });
+      
+      // Set up the live editor for the flat view's fragment shader
+      this.shaderEditor = new ShaderEditor(this, {
+        open: document.getElementById('shader-editor-open'),
+        panel: document.getElementById('shader-editor'),
+        source: document.getElementById('shader-editor-source'),
+        highlight: document.getElementById('shader-editor-highlight'),
+        gutter: document.getElementById('shader-editor-gutter'),
+        messages: document.getElementById('shader-editor-messages'),
+        revert: document.getElementById('shader-editor-revert'),
+        close: document.getElementById('shader-editor-close'),
+        status: document.getElementById('shader-editor-status')
+      });
+    } else {
+      this.disableWebGLPanels();
+    }
+    
+    // Set up the preset panel
+    this.presets = new PresetManager(this.controls, {
+      select: document.getElementById('preset-select'),
+      name: document.getElementById('preset-name'),
+      save: document.getElementById('preset-save'),
+      delete: document.getElementById('preset-delete'),
+      export: document.getElementById('preset-export'),
+      import: document.getElementById('preset-import'),
+      importFile: document.getElementById('preset-import-file'),
+      status: document.getElementById('preset-status')
+    });
+    
+    // Mirror the parameter state in the URL (starts once restored in window.onload)
+    this.permalink = new Permalink(this);
+    
+    // Undo/redo of parameter edits (starts recording in window.onload)
+    this.history = new EditHistory(this, {
+      undo: document.getElementById('history-undo'),
+      redo: document.getElementById('history-redo'),
+      list: document.getElementById('history-list')
+    });
+    
     // Set up resize handling
     window.addEventListener('resize', this.handleResize.bind(this));
     this.resizeCanvasToDisplaySize();
     
     // Start animation loop
-    this.startTime = performance.now();
     this.animate();
     
     console.log('WebGL app initialized successfully with noise type:', noiseType);
@@ -70,18 +219,15 @@ class WebGLApp {
   
   /**
    * Initialize noise controls with a specific type
-   * @param {string} noiseType - The type of noise to initialize ('base' or 'domainWarp')
+   * @param {string} noiseType - The type of noise to initialize (see noiseTypes.js)
    */
   initNoiseControls(noiseType) {
     // Initialize the controls
     this.controls = new NoiseControls(this);
     
     // Set up the specific noise type features
-    if (this.noiseTypes[noiseType]) {
-      // First apply basic setup for the noise type
-      this.controls.setupNoiseType(noiseType);
-      
-      console.log(`Initialized ${this.noiseTypes[noiseType].name} controls`);
+    if (this.controls.setupNoiseType(noiseType)) {
+      console.log(`Initialized ${noiseType} controls`);
     } else {
       // Default to base noise if requested type not found
       console.warn(`Unknown noise type: ${noiseType}, defaulting to base`);
@@ -89,99 +235,459 @@ class WebGLApp {
     }
   }
   
+  /**
+   * Set up the noise graph, its editor panel and the toggle between graph and fixed shader
+   */
+  initNoiseGraph() {
+    this.useGraph = false;
+    this.graph = NoiseGraph.createDefault();
+    this.graphEditor = new GraphEditor({
+      nodes: document.getElementById('graph-nodes'),
+      addType: document.getElementById('graph-add-type'),
+      addButton: document.getElementById('graph-add-node')
+    }, this.graph);
+    
+    this.unsubscribeGraph = this.graph.onChange(this.handleGraphChange.bind(this));
+    
+    const toggle = document.getElementById('use-graph');
+    if (toggle) {
+      toggle.checked = this.useGraph;
+      toggle.addEventListener('change', (event) => {
+        this.setGraphEnabled(event.target.checked);
+      });
+    }
+  }
+  
+  /**
+   * Set up the switch between the flat view and the 3D views
+   */
+  initRenderMode() {
+    this.renderModeSelect = document.getElementById('render-mode');
+    
+    // Settings blocks shown only in their render mode
+    this.renderModeSettings = {
+      terrain: document.getElementById('terrain-settings'),
+      volume: document.getElementById('volume-settings'),
+      slice: document.getElementById('slice-settings')
+    };
+    
+    if (this.renderModeSelect) {
+      this.renderModeSelect.addEventListener('change', (event) => {
+        this.setRenderMode(event.target.value);
+      });
+    }
+    
+    this.updateRenderModeVisibility();
+  }
+  
+  /**
+   * Switch between the flat 2D view and the 3D views
+   * @param {string} mode - 'flat', 'terrain', 'volume' or 'slice'
+   */
+  setRenderMode(mode) {
+    if (!RENDER_MODES.includes(mode)) {
+      console.warn(`Unknown render mode: ${mode}, no changes made`);
+      return;
+    }
+    if (mode === this.renderMode) return;
+    if (!this.gl && mode !== 'flat') {
+      console.warn(`The ${mode} view needs WebGL 2, staying in the flat view`);
+      return;
+    }
+    
+    this.renderMode = mode;
+    this.updateRenderModeVisibility();
+    this.rebuildProgram();
+    
+    if (this.permalink) {
+      this.permalink.scheduleUpdate();
+    }
+  }
+  
+  /**
+   * Route canvas input and show the settings for the current render mode
+   */
+  updateRenderModeVisibility() {
+    const orbit = CAMERA_MODES.includes(this.renderMode);
+    
+    // Dragging pans the 2D views but orbits the camera of the 3D views
+    this.view.enabled = !orbit;
+    this.camera.enabled = orbit;
+    
+    if (this.renderModeSelect) {
+      this.renderModeSelect.value = this.renderMode;
+    }
+    
+    Object.entries(this.renderModeSettings).forEach(([mode, settings]) => {
+      if (settings) {
+        settings.style.display = mode === this.renderMode ? 'block' : 'none';
+      }
+    });
+  }
+  
+  /**
+   * Replace the noise graph (e.g. when loading a saved one)
+   * @param {NoiseGraph} graph - The new graph
+   */
+  setGraph(graph) {
+    if (this.unsubscribeGraph) {
+      this.unsubscribeGraph();
+    }
+    
+    this.graph = graph;
+    this.graphEditor.setGraph(graph);
+    this.unsubscribeGraph = graph.onChange(this.handleGraphChange.bind(this));
+    this.handleGraphChange(true);
+  }
+  
+  /**
+   * React to a graph edit
+   * @param {boolean} structural - True if the generated GLSL changed
+   */
+  handleGraphChange(structural) {
+    if (!this.useGraph) return;
+    
+    if (structural) {
+      this.rebuildProgram();
+    } else {
+      this.markInteraction();
+    }
+  }
+  
+  /**
+   * Switch between the noise graph and the fixed OldNoise shader
+   * @param {boolean} enabled - Whether to render the noise graph
+   */
+  setGraphEnabled(enabled) {
+    this.useGraph = enabled;
+    this.rebuildProgram();
+  }
+  
+  /**
+   * Rebuild the program for the current mode and re-upload all uniforms
+   * @returns {boolean} true if the new program compiled and linked
+   */
+  rebuildProgram() {
+    // Without a usable context there is nothing to build; restoring it builds the current mode
+    if (!this.gl || this.contextLost) {
+      return false;
+    }
+    
+    let success;
+    
+    // The 3D views sample the fixed noise field; the graph renders in the flat view only
+    if (this.renderMode === 'terrain') {
+      success = this.buildProgram(terrainFragmentSource, [], terrainVertexSource);
+    } else if (this.renderMode === 'volume') {
+      success = this.buildProgram(volumeFragmentSource);
+    } else if (this.renderMode === 'slice') {
+      success = this.buildProgram(sliceFragmentSource);
+    } else if (this.useGraph) {
+      const { source, uniforms } = this.graph.compile();
+      success = this.buildProgram(source, uniforms.map(uniform => uniform.name));
+    } else {
+      success = this.buildProgram(this.fragmentSource);
+    }
+    
+    // Uniform values belong to the program, so push everything again
+    if (success && this.controls) {
+      this.controls.updateUniforms();
+    }
+    
+    return success;
+  }
+  
   /**
    * Switch to a different noise type
    * @param {string} noiseType - The noise type to switch to
    */
   switchNoiseType(noiseType) {
-    if (this.noiseTypes[noiseType]) {
-      this.controls.setupNoiseType(noiseType);
-      console.log(`Switched to ${this.noiseTypes[noiseType].name} controls`);
+    if (this.controls.setupNoiseType(noiseType)) {
+      console.log(`Switched to ${noiseType} controls`);
     } else {
       console.warn(`Unknown noise type: ${noiseType}, no changes made`);
     }
   }
   
   /**
-   * Initialize WebGL resources
+   * Initialize WebGL resources (again after a lost context is restored)
    */
   initWebGL() {
-    // Compile shaders
-    const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexShaderSource);
-    const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentShaderSource);
+    // The largest canvas the GPU can draw into (the render scale may ask for more)
+    this.maxCanvasSize = this.gl.getParameter(this.gl.MAX_RENDERBUFFER_SIZE);
     
-    if (!vertexShader || !fragmentShader) {
-      console.error('Failed to compile shaders');
-      return;
+    // Create buffers
+    this.createBuffers();
+    
+    // Compile the shader of the current view (errors are listed in the shader editor)
+    if (!this.rebuildProgram()) {
+      console.error('Failed to build the noise shader');
+    }
+  }
+  
+  /**
+   * Drop the GL state of a lost context and show the CPU preview until it is restored
+   * @param {Event} event - The webglcontextlost event
+   */
+  handleContextLost(event) {
+    // Without this the browser never restores the context
+    event.preventDefault();
+    console.warn('WebGL context lost, waiting for it to be restored');
+    
+    // Every program, buffer and location belonged to the lost context
+    this.contextLost = true;
+    this.program = null;
+    this.uniformLocations = {};
+    this.extraUniformLocations = {};
+    
+    this.fallback.start('The WebGL context was lost; showing a CPU preview of the flat view until it is restored');
+    this.requestRedraw();
+  }
+  
+  /**
+   * Recreate the buffers, the terrain mesh and the program on a restored context,
+   * and upload the control values again
+   */
+  handleContextRestored() {
+    console.log('WebGL context restored, rebuilding GL resources');
+    this.contextLost = false;
+    this.fallback.stop();
+    
+    // The new context starts with default state
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    this.terrain.createMesh();
+    this.initWebGL();
+    
+    this.requestRedraw();
+  }
+  
+  /**
+   * Grey out the panels that need WebGL when running on the CPU preview
+   */
+  disableWebGLPanels() {
+    document.querySelectorAll('[data-requires-webgl]').forEach(element => {
+      element.classList.add('unavailable');
+      element.title = 'Needs WebGL 2';
+      element.querySelectorAll('input, select, textarea, button:not(.control-box-toggle)').forEach(input => {
+        input.disabled = true;
+      });
+    });
+  }
+  
+  /**
+   * Replace the flat view's fragment shader (used by the shader editor)
+   * The source is compiled right away even while another view is showing, so its
+   * errors can be shown; it is only adopted if it compiles and links, and the last
+   * good program keeps running otherwise.
+   * @param {string} source - Fragment shader source (may contain #include directives)
+   * @returns {Object} { success, messages } - Whether the source was adopted, and the compiler messages
+   */
+  setFragmentSource(source) {
+    if (this.renderMode === 'flat' && !this.useGraph) {
+      const success = this.buildProgram(source);
+      if (success) {
+        this.fragmentSource = source;
+        this.controls.updateUniforms();
+        this.requestRedraw();
+      }
+      return { success, messages: this.shaderMessages };
     }
     
-    // Create program
-    this.program = this.createProgram(vertexShader, fragmentShader);
+    const { program, messages } = this.compileProgram(source, vertexShaderSource);
+    if (program) {
+      this.gl.deleteProgram(program);
+      this.fragmentSource = source;
+    }
+    return { success: Boolean(program), messages };
+  }
+  
+  /**
+   * Compile and link a program from fragment shader source, replacing the current one.
+   * The previous program keeps running if compilation or linking fails.
+   * @param {string} source - Fragment shader source (may contain #include directives)
+   * @param {Array<string>} extraUniforms - Additional uniform names to look up
+   * @param {string} vertexSource - Vertex shader source (may contain #include directives)
+   * @returns {boolean} true if the new program is now in use
+   */
+  buildProgram(source, extraUniforms = [], vertexSource = vertexShaderSource) {
+    const { program, messages } = this.compileProgram(source, vertexSource);
     
-    if (!this.program) {
-      console.error('Failed to create shader program');
-      return;
+    // Kept for the shader editor, which also lists errors of builds it did not start
+    this.shaderMessages = messages;
+    
+    if (!program) {
+      return false;
+    }
+    
+    if (this.program) {
+      this.gl.deleteProgram(this.program);
     }
+    this.program = program;
     
     // Get attribute and uniform locations
     this.positionAttributeLocation = this.gl.getAttribLocation(this.program, 'a_position');
     this.texCoordAttributeLocation = this.gl.getAttribLocation(this.program, 'a_texCoord');
+    this.uniformLocations = this.queryUniformLocations();
+    
+    // Locations for uniforms not known ahead of time (e.g. noise graph params)
+    this.extraUniformLocations = {};
+    extraUniforms.forEach(name => {
+      this.extraUniformLocations[name] = this.gl.getUniformLocation(this.program, name);
+    });
     
+    return true;
+  }
+  
+  /**
+   * Compile and link a program without putting it in use
+   * @param {string} source - Fragment shader source (may contain #include directives)
+   * @param {string} vertexSource - Vertex shader source (may contain #include directives)
+   * @returns {Object} { program, messages } - The linked program (null on failure) and the
+   *   compiler and linker messages, located in the unexpanded sources by parseInfoLog
+   */
+  compileProgram(source, vertexSource) {
+    const messages = [];
+    
+    // Compile shaders
+    const compile = (type, stage, text) => {
+      const origins = [];
+      let expanded;
+      try {
+        expanded = resolveIncludes(text, origins);
+      } catch (error) {
+        messages.push({ stage, severity: 'error', chunk: null, line: null, column: null, ...error.origin, message: error.message });
+        return null;
+      }
+      
+      const { shader, log } = this.createShader(type, expanded);
+      messages.push(...parseInfoLog(log, stage, origins, expanded));
+      return shader;
+    };
+    
+    const vertexShader = compile(this.gl.VERTEX_SHADER, 'vertex', vertexSource);
+    const fragmentShader = compile(this.gl.FRAGMENT_SHADER, 'fragment', source);
+    
+    if (!vertexShader || !fragmentShader) {
+      console.error('Failed to compile shaders');
+      this.gl.deleteShader(vertexShader);
+      this.gl.deleteShader(fragmentShader);
+      return { program: null, messages };
+    }
+    
+    // Create program (shaders are no longer needed once linked)
+    const { program, log } = this.createProgram(vertexShader, fragmentShader);
+    this.gl.deleteShader(vertexShader);
+    this.gl.deleteShader(fragmentShader);
+    messages.push(...parseInfoLog(log, 'link'));
+    
+    if (!program) {
+      console.error('Failed to create shader program');
+    }
+    
+    return { program, messages };
+  }
+  
+  /**
+   * Look up all uniform locations used by the controls in the current program
+   * Uniforms missing from the program (e.g. in a generated graph shader) are null.
+   * @returns {Object} Map of control names to uniform locations
+   */
+  queryUniformLocations() {
     // Store all uniform locations in a single object for easy access from controls
-    this.uniformLocations = {
+    return {
       // Basic uniforms
       time: this.gl.getUniformLocation(this.program, 'u_time'),
+      loopDuration: this.gl.getUniformLocation(this.program, 'u_loopDuration'),
       resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
       frequency: this.gl.getUniformLocation(this.program, 'u_frequency'),
       amplitude: this.gl.getUniformLocation(this.program, 'u_amplitude'),
       octaves: this.gl.getUniformLocation(this.program, 'u_octaves'),
       use3D: this.gl.getUniformLocation(this.program, 'u_use3D'),
       speed: this.gl.getUniformLocation(this.program, 'u_speed'),
+      seed: this.gl.getUniformLocation(this.program, 'u_seed'),
+      outputMode: this.gl.getUniformLocation(this.program, 'u_outputMode'),
+      tileable: this.gl.getUniformLocation(this.program, 'u_tileable'),
+      tilePreview: this.gl.getUniformLocation(this.program, 'u_tilePreview'),
+      offset: this.gl.getUniformLocation(this.program, 'u_offset'),
+      zoom: this.gl.getUniformLocation(this.program, 'u_zoom'),
+      
+      // Terrain uniforms
+      viewProjection: this.gl.getUniformLocation(this.program, 'u_viewProjection'),
+      gridStep: this.gl.getUniformLocation(this.program, 'u_gridStep'),
+      terrainHeight: this.gl.getUniformLocation(this.program, 'u_terrainHeight'),
+      
+      // Output remap
+      valueRange: this.gl.getUniformLocation(this.program, 'u_valueRange'),
+      
+      // Volume and slice uniforms
+      inverseViewProjection: this.gl.getUniformLocation(this.program, 'u_inverseViewProjection'),
+      cameraPosition: this.gl.getUniformLocation(this.program, 'u_cameraPosition'),
+      volumeThreshold: this.gl.getUniformLocation(this.program, 'u_volumeThreshold'),
+      volumeSteps: this.gl.getUniformLocation(this.program, 'u_volumeSteps'),
+      volumeAbsorption: this.gl.getUniformLocation(this.program, 'u_volumeAbsorption'),
+      sliceAxis: this.gl.getUniformLocation(this.program, 'u_sliceAxis'),
+      slicePosition: this.gl.getUniformLocation(this.program, 'u_slicePosition'),
+      
+      // Noise algorithm uniforms
+      noiseAlgorithm: this.gl.getUniformLocation(this.program, 'u_noiseAlgorithm'),
+      worleyMetric: this.gl.getUniformLocation(this.program, 'u_worleyMetric'),
+      worleyOutput: this.gl.getUniformLocation(this.program, 'u_worleyOutput'),
+      gaborFrequency: this.gl.getUniformLocation(this.program, 'u_gaborFrequency'),
+      gaborAngle: this.gl.getUniformLocation(this.program, 'u_gaborAngle'),
+      gaborIsotropy: this.gl.getUniformLocation(this.program, 'u_gaborIsotropy'),
+      
+      // Fractal uniforms
+      fractalMode: this.gl.getUniformLocation(this.program, 'u_fractalMode'),
+      lacunarity: this.gl.getUniformLocation(this.program, 'u_lacunarity'),
+      persistence: this.gl.getUniformLocation(this.program, 'u_persistence'),
+      fractalOffset: this.gl.getUniformLocation(this.program, 'u_fractalOffset'),
+      fractalSharpness: this.gl.getUniformLocation(this.program, 'u_fractalSharpness'),
+      fractalCutoff: this.gl.getUniformLocation(this.program, 'u_fractalCutoff'),
       
       // Extended uniforms for color gradient
       gradientColors: this.gl.getUniformLocation(this.program, 'u_gradientColors'),
+      gradientPositions: this.gl.getUniformLocation(this.program, 'u_gradientPositions'),
       gradientSteps: this.gl.getUniformLocation(this.program, 'u_gradientSteps'),
+      gradientBands: this.gl.getUniformLocation(this.program, 'u_gradientBands'),
+      gradientInterpolation: this.gl.getUniformLocation(this.program, 'u_gradientInterpolation'),
+      gradientColorSpace: this.gl.getUniformLocation(this.program, 'u_gradientColorSpace'),
       
-      // Extended uniforms for warp
-      warpStrength: this.gl.getUniformLocation(this.program, 'u_warpStrength'),
-      warpType: this.gl.getUniformLocation(this.program, 'u_warpType'),
-      
-      // Extended uniforms for mask layer
-      maskCutoff: this.gl.getUniformLocation(this.program, 'u_maskCutoff'),
-      maskBlendStrength: this.gl.getUniformLocation(this.program, 'u_maskBlendStrength'),
-      maskSoftness: this.gl.getUniformLocation(this.program, 'u_maskSoftness')
+      // Uniforms of the noise type params (warp, mask layer; see noiseTypes.js)
+      ...Object.fromEntries(noiseTypeParams().map(([name, param]) => [
+        name,
+        this.gl.getUniformLocation(this.program, param.uniform)
+      ]))
     };
-    
-    // Create buffers
-    this.createBuffers();
   }
   
   /**
    * Create a shader of the specified type from source
    * @param {number} type - GL shader type (VERTEX_SHADER or FRAGMENT_SHADER)
    * @param {string} source - GLSL source code
-   * @returns {WebGLShader | null} - The compiled shader or null if compilation failed
+   * @returns {Object} { shader, log } - The compiled shader (null if compilation failed) and its info log
    */
   createShader(type, source) {
     const shader = this.gl.createShader(type);
     this.gl.shaderSource(shader, source);
     this.gl.compileShader(shader);
     
+    // Warnings can be logged for shaders that compile
+    const log = this.gl.getShaderInfoLog(shader) || '';
     const success = this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS);
     if (success) {
-      return shader;
+      return { shader, log };
     }
     
-    console.error('Shader compilation error:', this.gl.getShaderInfoLog(shader));
+    console.error('Shader compilation error:', log);
     this.gl.deleteShader(shader);
-    return null;
+    return { shader: null, log };
   }
   
   /**
    * Create a program from compiled shaders
    * @param {WebGLShader} vertexShader - Compiled vertex shader
    * @param {WebGLShader} fragmentShader - Compiled fragment shader
-   * @returns {WebGLProgram | null} - The linked program or null if linking failed
+   * @returns {Object} { program, log } - The linked program (null if linking failed) and its info log
    */
   createProgram(vertexShader, fragmentShader) {
     const program = this.gl.createProgram();
@@ -189,14 +695,15 @@ class WebGLApp {
     this.gl.attachShader(program, fragmentShader);
     this.gl.linkProgram(program);
     
+    const log = this.gl.getProgramInfoLog(program) || '';
     const success = this.gl.getProgramParameter(program, this.gl.LINK_STATUS);
     if (success) {
-      return program;
+      return { program, log };
     }
     
-    console.error('Program linking error:', this.gl.getProgramInfoLog(program));
+    console.error('Program linking error:', log);
     this.gl.deleteProgram(program);
-    return null;
+    return { program: null, log };
   }
   
   /**
@@ -243,19 +750,24 @@ class WebGLApp {
   }
   
   /**
-   * Resize canvas to match display size
+   * Resize canvas to match display size in device pixels, times the render scale
+   * and the adaptive resolution (see RenderQuality)
    * @returns {boolean} true if the canvas was resized
    */
   resizeCanvasToDisplaySize() {
-    const displayWidth = this.canvas.clientWidth;
-    const displayHeight = this.canvas.clientHeight;
+    const ratio = this.quality.pixelRatio();
+    const maxSize = this.maxCanvasSize || Infinity;
+    const displayWidth = Math.min(Math.max(Math.round(this.canvas.clientWidth * ratio), 1), maxSize);
+    const displayHeight = Math.min(Math.max(Math.round(this.canvas.clientHeight * ratio), 1), maxSize);
     
     const needResize = this.canvas.width !== displayWidth || this.canvas.height !== displayHeight;
     
     if (needResize) {
       this.canvas.width = displayWidth;
       this.canvas.height = displayHeight;
-      this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+      if (this.gl) {
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+      }
     }
     
     return needResize;
@@ -263,11 +775,31 @@ class WebGLApp {
   
   /**
    * Animation loop
+   * Draws a frame only when a redraw was requested, the canvas was resized, the
+   * picture moves with time, or a frame drawn at reduced resolution is refined;
+   * otherwise the clock just advances.
    * @param {number} time - Current timestamp
    */
   animate(time) {
     requestAnimationFrame(this.animate.bind(this));
-    this.render(time);
+    
+    const refining = this.quality.refine(time);
+    const resized = this.resizeCanvasToDisplaySize();
+    const draw = this.redrawRequested || resized || refining || this.isAnimating();
+    
+    if (draw) {
+      this.redrawRequested = false;
+      this.render(time);
+    } else {
+      this.elapsedTime = this.timeline.advance(time);
+    }
+    this.quality.tick(time, draw);
+    
+    // Readbacks need a working context
+    if (this.gl && !this.contextLost) {
+      this.analysis.tick(time);
+      this.spectrum.tick();
+    }
   }
   
   /**
@@ -278,17 +810,62 @@ class WebGLApp {
     // Resize canvas if needed
     this.resizeCanvasToDisplaySize();
     
+    // Advance the timeline and remember the frame time so exports match what is on screen
+    this.elapsedTime = this.timeline.advance(time);
+    
+    // Without a usable context the CPU preview stands in
+    if (this.fallback.active) {
+      this.fallback.render(this.elapsedTime);
+      return;
+    }
+    
     // Clear the canvas
     this.gl.clearColor(0, 0, 0, 1);
-    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+    this.drawScene(this.elapsedTime, this.canvas.width, this.canvas.height);
+  }
+  
+  /**
+   * Draw the noise into the currently bound framebuffer
+   * The caller sets the viewport (and scissor) to match width and height.
+   * @param {number} elapsedTime - Animation time in seconds
+   * @param {number} width - Width of the render target in pixels
+   * @param {number} height - Height of the render target in pixels
+   */
+  drawScene(elapsedTime, width, height) {
+    // Nothing to draw until a shader has compiled
+    if (!this.program) {
+      return;
+    }
     
     // Use our program
     this.gl.useProgram(this.program);
     
     // Set time and resolution uniforms
-    const elapsedTime = (time - this.startTime) / 1000.0; // Convert to seconds
     this.gl.uniform1f(this.uniformLocations.time, elapsedTime);
-    this.gl.uniform2f(this.uniformLocations.resolution, this.canvas.width, this.canvas.height);
+    this.gl.uniform2f(this.uniformLocations.resolution, width, height);
+    if (this.uniformLocations.loopDuration) {
+      this.gl.uniform1f(this.uniformLocations.loopDuration, this.currentLoopDuration());
+    }
+    
+    // Pan and zoom
+    this.view.uploadUniforms(this.gl, this.uniformLocations);
+    
+    // The terrain draws its own mesh
+    if (this.renderMode === 'terrain') {
+      this.terrain.draw(this.uniformLocations, width, height);
+      return;
+    }
+    
+    // The volume is raymarched on the fullscreen quad from the camera
+    if (this.renderMode === 'volume') {
+      this.volume.uploadUniforms(this.uniformLocations, width, height);
+    }
+    
+    // Node params of the noise graph live outside the controls
+    if (this.useGraph) {
+      this.graph.uploadUniforms(this.gl, this.extraUniformLocations);
+    }
     
     // Set up position attribute
     this.gl.enableVertexAttribArray(this.positionAttributeLocation);
@@ -319,10 +896,52 @@ class WebGLApp {
   }
   
   /**
-   * Force render update (used by controls when values change)
+   * Seamless loop period of the drawn frames: the recorder's while it records, else the panel's
+   * @returns {number} Seconds per loop, 0 when time runs straight on
+   */
+  currentLoopDuration() {
+    // The controls may still be setting up
+    if (this.loopDuration > 0 || !this.controls) {
+      return this.loopDuration;
+    }
+    
+    const { timeMode, loopDuration } = this.controls.values;
+    return timeMode === 'loop' ? Math.max(loopDuration, 0) : 0;
+  }
+  
+  /**
+   * Whether the picture changes with time: the timeline plays and the noise
+   * moves, or a custom flat shader may use the time in any way
+   * @returns {boolean} true if every frame must be drawn
+   */
+  isAnimating() {
+    if (!this.timeline.playing || !this.controls) {
+      return false;
+    }
+    
+    if (this.fragmentSource !== fragmentShaderSource && this.renderMode === 'flat' && !this.useGraph) {
+      return true;
+    }
+    
+    const { speedX, speedY, speedZ } = this.controls.values;
+    return speedX !== 0 || speedY !== 0 || speedZ !== 0;
+  }
+  
+  /**
+   * Draw a new frame on the next animation frame
    */
   requestRedraw() {
-    this.render(performance.now());
+    this.redrawRequested = true;
+  }
+  
+  /**
+   * Redraw for a user edit or drag (used by controls when values change); edits
+   * in quick succession are an interaction, which adaptive resolution may draw
+   * at a lower resolution
+   */
+  markInteraction() {
+    this.quality.changed(performance.now());
+    this.requestRedraw();
   }
 }
 
@@ -335,6 +954,18 @@ window.onload = () => {
   // Initialize app with noise type
   const app = new WebGLApp(noiseType);
   
+  // Optional seed to reproduce a specific pattern
+  const seed = parseInt(urlParams.get('seed'), 10);
+  if (!isNaN(seed) && app.controls) {
+    app.controls.setValue('seed', seed);
+  }
+  
+  // A permalink in the hash overrides both, then keeps the URL in sync; the undo
+  // history starts from the resulting state
+  if (app.permalink) {
+    app.permalink.restore().then(() => app.history.start());
+  }
+  
   // Add to window for developer access
   window.app = app;
 };
\ No newline at end of file
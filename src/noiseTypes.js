@@ -0,0 +1,178 @@
+/**
+ * Noise type registry for WebGL Noise Visualization
+ *
+ * A noise type is what ?noiseType= and the built-in presets select: the base
+ * noise alone, or the base noise with one of the layers the field can switch on.
+ * A layer type declares its GLSL chunk, its uniforms and the panel section its
+ * controls go in; NoiseControls generates the inputs, keeps each number input and
+ * its slider in sync and uploads the uniforms from these descriptors, and the
+ * type's id is its flag in the active features.
+ *
+ * Param types (as for the noise graph's node params, see graph/nodeTypes.js):
+ * - 'float' / 'int': number input, with a range slider when `slider` is set
+ * - 'enum': select of `options` (value: label), uploaded as the index of the value
+ */
+
+// Shared param definitions
+const fieldFrequencyParam = { type: 'float', min: 0.001, max: 10.0, step: 0.001, slider: true };
+const fieldOctavesParam = { type: 'int', min: 1, max: 8, step: 1, slider: true, octaves: true };
+const unitParam = { type: 'float', min: 0, max: 1.0, step: 0.01, slider: true };
+
+/**
+ * Noise types by id, in panel order
+ *
+ * Fields of a type:
+ * - label: Display name (and the name of its built-in preset)
+ * - features: Active features while the type is selected; the rest are switched off
+ * - shader: The `#include` chunk holding its GLSL and uniform declarations; field.glsl
+ *   includes the chunk of every type, in registry order (see shaders/index.js)
+ * - section: Title of the panel section of its controls (null without controls)
+ * - params: Controls by value name: { type, uniform, default, label, min, max,
+ *   step, slider, options, octaves }; `octaves` lets the value go up to
+ *   MAX_OCTAVES past the input's max
+ * - off: Values uploaded instead while the type's feature is off; they must
+ *   switch its GLSL off
+ */
+export const noiseTypes = {
+  base: {
+    label: 'Base Noise',
+    features: { colorGradient: true },
+    shader: 'fractal',
+    // The base noise settings are the panel's fixed Noise Parameters, shared by every type
+    section: null,
+    params: {},
+    off: {}
+  },
+  warp: {
+    label: 'Domain Warp',
+    features: { warp: true },
+    shader: 'warp',
+    section: 'Warp Controls',
+    params: {
+      warpStrength: { type: 'float', uniform: 'u_warpStrength', default: 0.5, min: 0, max: 2.0, step: 0.01, slider: true, label: 'Strength' },
+      warpType: {
+        type: 'enum',
+        uniform: 'u_warpType',
+        default: 'multiply',
+        options: { multiply: 'Multiply', additive: 'Additive', exponent: 'Exponent', log: 'Logarithmic' },
+        label: 'Type'
+      },
+      // Recursion depth of the fbm-of-fbm warp
+      warpDepth: { type: 'int', uniform: 'u_warpDepth', default: 2, min: 1, max: 4, step: 1, label: 'Depth' },
+      warpFrequency: { ...fieldFrequencyParam, uniform: 'u_warpFrequency', default: 1.5, label: 'Warp Frequency' },
+      warpOctaves: { ...fieldOctavesParam, uniform: 'u_warpOctaves', default: 3, label: 'Warp Octaves' }
+    },
+    // Zero depth disables warping in the shader
+    off: { warpDepth: 0 }
+  },
+  mask: {
+    label: 'Mask Layer',
+    features: { colorGradient: true, mask: true },
+    shader: 'mask',
+    section: 'Mask Layer',
+    params: {
+      maskCutoff: { ...unitParam, uniform: 'u_maskCutoff', default: 0.5, label: 'Cutoff' },
+      maskBlendStrength: { ...unitParam, uniform: 'u_maskBlendStrength', default: 0.75, label: 'Blend Strength' },
+      maskSoftness: { ...unitParam, uniform: 'u_maskSoftness', default: 0.25, label: 'Softness' },
+      maskFrequency: { ...fieldFrequencyParam, uniform: 'u_maskFrequency', default: 3.0, label: 'Mask Frequency' },
+      maskOctaves: { ...fieldOctavesParam, uniform: 'u_maskOctaves', default: 3, label: 'Mask Octaves' },
+      // 'noise' blends the fields, 'color' blends two colorings
+      maskMode: {
+        type: 'enum',
+        uniform: 'u_maskMode',
+        default: 'noise',
+        options: { noise: 'Noise Fields', color: 'Colorings' },
+        label: 'Composite'
+      }
+    },
+    // Zero blend strength disables the mask layer in the shader
+    off: { maskBlendStrength: 0 }
+  }
+};
+
+/**
+ * Add a noise type to the registry
+ * Register types before the app starts: the panel, the uniform locations and the
+ * control defaults are generated once, when NoiseControls is created. A new shader
+ * chunk is added with registerShaderChunk (see shaders/index.js); field.glsl then
+ * compiles it in, but only draws what the field's layer functions call.
+ * @param {string} id - Type id (lowercase letters and digits), also its ?noiseType= value and feature flag
+ * @param {Object} type - Type definition (see noiseTypes)
+ */
+export function registerNoiseType(id, type) {
+  if (!/^[a-z][a-z0-9]*$/.test(id) || ['full', 'custom', 'colorgradient'].includes(id)) {
+    throw new Error(`Invalid noise type id: "${id}"`);
+  }
+  if (Object.hasOwn(noiseTypes, id)) {
+    throw new Error(`Noise type "${id}" is already registered`);
+  }
+
+  const params = type.params || {};
+  Object.keys(params).forEach(name => {
+    if (getNoiseTypeParam(name)) {
+      throw new Error(`Noise type "${id}": control "${name}" already belongs to another type`);
+    }
+  });
+
+  noiseTypes[id] = { shader: null, section: null, off: {}, ...type, features: { ...type.features }, params };
+}
+
+/**
+ * Ids of the types that are layers, i.e. have controls and their own feature flag
+ * @returns {Array<string>} Layer type ids in panel order
+ */
+export function noiseLayers() {
+  return Object.keys(noiseTypes).filter(id => Object.keys(noiseTypes[id].params).length > 0);
+}
+
+/**
+ * Every param of every type
+ * @returns {Array<Array>} [name, param, typeId] entries in panel order
+ */
+export function noiseTypeParams() {
+  return Object.entries(noiseTypes).flatMap(([id, type]) =>
+    Object.entries(type.params).map(([name, param]) => [name, param, id])
+  );
+}
+
+/**
+ * Descriptor of a control that is a noise type param
+ * @param {string} name - Control name
+ * @returns {Object|null} The param, or null for other controls
+ */
+export function getNoiseTypeParam(name) {
+  const entry = noiseTypeParams().find(([paramName]) => paramName === name);
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Default values of all noise type params
+ * @returns {Object} Values by control name
+ */
+export function noiseTypeDefaults() {
+  return Object.fromEntries(noiseTypeParams().map(([name, param]) => [name, param.default]));
+}
+
+/**
+ * Full feature set of a noise type: its features on, every other feature off
+ * @param {string} id - Type id
+ * @returns {Object} Flags for the color gradient and every layer
+ */
+export function noiseTypeFeatures(id) {
+  const features = { colorGradient: false };
+  noiseLayers().forEach(layer => {
+    features[layer] = false;
+  });
+
+  return { ...features, ...noiseTypes[id].features };
+}
+
+/**
+ * Shader index of an enum param's value, 0 when unknown
+ * @param {Object} param - Enum param
+ * @param {string} value - Selected option
+ * @returns {number} Index of the value in the param's options
+ */
+export function enumIndex(param, value) {
+  return Math.max(Object.keys(param.options).indexOf(value), 0);
+}
@@ -0,0 +1,166 @@
+/**
+ * Permalink module for WebGL Noise Visualization
+ * Keeps the full parameter state in the URL hash (#s=...) so a view can be
+ * shared or bookmarked. The state is a preset (see presets.js) plus the
+ * animation time, the viewport and the render mode and camera, as deflated
+ * JSON in base64url.
+ */
+
+// Hash parameter holding the encoded state
+const HASH_KEY = 's';
+
+// Quiet period after the last change before the URL is rewritten, so dragging a
+// slider does not call history.replaceState on every input event
+const UPDATE_DELAY = 250;
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} transform - Stream to use
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(bytes, transform) {
+  const stream = new Response(bytes).body.pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode a JSON-serializable state as a URL-safe string
+ * @param {Object} state - State to encode
+ * @returns {Promise<string>} Deflated JSON in base64url (no padding)
+ */
+export async function encodeState(state) {
+  const bytes = await transformBytes(
+    new TextEncoder().encode(JSON.stringify(state)),
+    new CompressionStream('deflate-raw')
+  );
+
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a string written by encodeState
+ * @param {string} encoded - Deflated JSON in base64url
+ * @returns {Promise<Object>} The decoded state
+ */
+export async function decodeState(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  const json = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+
+  return JSON.parse(new TextDecoder().decode(json));
+}
+
+export class Permalink {
+  /**
+   * Initialize the permalink
+   * URL updates stay off until restore() has read the state already in the URL
+   * @param {WebGLApp} app - The WebGL application instance
+   */
+  constructor(app) {
+    this.app = app;
+    this.ready = false;
+    this.timer = null;
+  }
+
+  /**
+   * Collect the state to store in the URL
+   * Values at their defaults are left out to keep the link short; applying the
+   * preset fills them back in. The seed is always kept, since applying a preset
+   * without one keeps the current seed.
+   * @returns {Object} Preset plus timeline, viewport and camera state
+   */
+  captureState() {
+    const controls = this.app.controls;
+    const camera = this.app.camera;
+    const preset = controls.toPreset('Permalink');
+
+    Object.keys(preset.values).forEach(control => {
+      if (control !== 'seed' && JSON.stringify(preset.values[control]) === JSON.stringify(controls.defaults[control])) {
+        delete preset.values[control];
+      }
+    });
+
+    return {
+      preset,
+      time: Math.round(this.app.timeline.time * 1000) / 1000,
+      playing: this.app.timeline.playing,
+      view: { offset: this.app.view.offset, zoom: this.app.view.zoom },
+      renderMode: this.app.renderMode,
+      camera: { yaw: camera.yaw, pitch: camera.pitch, distance: camera.distance }
+    };
+  }
+
+  /**
+   * Rewrite the URL shortly after the last change
+   */
+  scheduleUpdate() {
+    if (!this.ready) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.update().catch(error => console.error('Could not update the permalink:', error));
+    }, UPDATE_DELAY);
+  }
+
+  /**
+   * Write the current state into the URL hash
+   * The ?noiseType= and ?seed= parameters are dropped since the state covers them
+   */
+  async update() {
+    const encoded = await encodeState(this.captureState());
+    const url = `${window.location.pathname}#${HASH_KEY}=${encoded}`;
+
+    history.replaceState(null, '', url);
+  }
+
+  /**
+   * Apply the state stored in the URL hash, if any, then start tracking changes
+   * Values are validated and clamped by the controls; a link that cannot be read
+   * leaves the current state untouched
+   * @returns {Promise<boolean>} Whether a state was restored
+   */
+  async restore() {
+    const encoded = new URLSearchParams(window.location.hash.slice(1)).get(HASH_KEY);
+    let restored = false;
+
+    if (encoded) {
+      try {
+        const state = await decodeState(encoded);
+        if (!state || typeof state !== 'object' || !state.preset) {
+          throw new Error('Missing preset');
+        }
+
+        this.app.controls.applyPreset(state.preset);
+
+        // Continue the animation from the shared moment and view
+        if (state.view) {
+          this.app.view.setView(state.view.offset, state.view.zoom);
+        }
+        if (state.camera) {
+          this.app.camera.setOrbit(state.camera.yaw, state.camera.pitch, state.camera.distance);
+        }
+        if (typeof state.renderMode === 'string') {
+          this.app.setRenderMode(state.renderMode);
+        }
+        this.app.timeline.setTime(Number(state.time));
+        if (state.playing === false) {
+          this.app.timeline.setPlaying(false);
+        }
+
+        restored = true;
+      } catch (error) {
+        console.error('Could not read the permalink, keeping the default state:', error);
+      }
+    }
+
+    this.ready = true;
+    this.scheduleUpdate();
+    return restored;
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * Preset module for WebGL Noise Visualization
+ * Built-in presets, named presets saved in localStorage and JSON import/export
+ * of the full control state
+ */
+import { downloadFile } from './export/download.js';
+import { noiseTypes, noiseTypeFeatures } from './noiseTypes.js';
+
+// Version of the preset format. Bump it and add a migration when a saved value
+// is renamed or changes meaning; new controls need no migration because values
+// missing from a preset fall back to their defaults
+export const PRESET_SCHEMA_VERSION = 1;
+
+// localStorage key of the saved presets (name -> preset)
+const STORAGE_KEY = 'oldnoise.presets';
+
+// Upgrades from each older schema version to the next: { [version]: preset => preset }
+const MIGRATIONS = {};
+
+// Presets shipped with the app, one per built-in noise type: selected by ?noiseType=
+// and listed first in the panel
+// Only the values that differ from the control defaults are listed
+export const BUILT_IN_PRESETS = {
+  base: {
+    version: PRESET_SCHEMA_VERSION,
+    name: noiseTypes.base.label,
+    noiseType: 'base',
+    features: noiseTypeFeatures('base'),
+    values: {
+      frequency: 2.0,
+      amplitude: 0.5,
+      octaves: 4,
+      gradientStops: [
+        { color: '#0000ff', pos: 0 }, // Blue
+        { color: '#ff9500', pos: 1 }  // Orange
+      ],
+      gradientSteps: 10,
+      gradientInterpolation: 'smooth',
+      gradientColorSpace: 'rgb'
+    }
+  },
+  warp: {
+    version: PRESET_SCHEMA_VERSION,
+    name: noiseTypes.warp.label,
+    noiseType: 'warp',
+    features: noiseTypeFeatures('warp'),
+    values: {
+      frequency: 1.5,
+      amplitude: 0.6,
+      octaves: 3,
+      warpStrength: 0.5,
+      warpType: 'multiply',
+      warpDepth: 2,
+      warpFrequency: 1.5,
+      warpOctaves: 3
+    }
+  },
+  mask: {
+    version: PRESET_SCHEMA_VERSION,
+    name: noiseTypes.mask.label,
+    noiseType: 'mask',
+    features: noiseTypeFeatures('mask'),
+    values: {
+      frequency: 2.2,
+      amplitude: 0.4,
+      octaves: 2,
+      maskCutoff: 0.5,
+      maskBlendStrength: 0.75,
+      maskSoftness: 0.25,
+      maskFrequency: 3.0,
+      maskOctaves: 3,
+      maskMode: 'noise'
+    }
+  }
+};
+
+/**
+ * Check a preset and upgrade it to the current schema version
+ * @param {Object} preset - Preset as loaded from storage or a file
+ * @returns {Object} The upgraded preset
+ */
+export function migratePreset(preset) {
+  if (!preset || typeof preset !== 'object' || !preset.values || typeof preset.values !== 'object') {
+    throw new Error('Not an OldNoise preset: missing "values"');
+  }
+  if (!Number.isInteger(preset.version) || preset.version < 1) {
+    throw new Error('Not an OldNoise preset: missing schema "version"');
+  }
+
+  if (preset.version > PRESET_SCHEMA_VERSION) {
+    console.warn(`Preset "${preset.name}" uses schema version ${preset.version} (this build reads ${PRESET_SCHEMA_VERSION}); unknown values are ignored`);
+    return preset;
+  }
+
+  let upgraded = preset;
+  while (upgraded.version < PRESET_SCHEMA_VERSION) {
+    upgraded = { ...MIGRATIONS[upgraded.version](upgraded), version: upgraded.version + 1 };
+  }
+
+  return upgraded;
+}
+
+/**
+ * Check the noise type and feature flags of a migrated preset before it is applied
+ * An unknown noise type rejects the preset; flags that are not booleans or belong
+ * to no registered noise type are skipped, and flags the preset does not set
+ * come from its noise type
+ * @param {Object} preset - Preset as returned by migratePreset()
+ * @returns {Object} The preset with a lowercase noise type and a complete set of flags
+ */
+export function validatePreset(preset) {
+  let { noiseType, features } = preset;
+
+  if (noiseType !== undefined) {
+    noiseType = typeof noiseType === 'string' ? noiseType.toLowerCase() : noiseType;
+    // Own keys only: 'constructor' or 'toString' must not resolve to Object.prototype
+    if (!Object.hasOwn(noiseTypes, noiseType) && noiseType !== 'full' && noiseType !== 'custom') {
+      throw new Error(`Unknown noise type ${JSON.stringify(preset.noiseType)}`);
+    }
+  }
+  if (features !== undefined && (!features || typeof features !== 'object' || Array.isArray(features))) {
+    throw new Error('Not an OldNoise preset: "features" is not a set of flags');
+  }
+  if (noiseType === undefined && features === undefined) {
+    return preset;
+  }
+
+  // Start from the flags of the noise type ('full' turns every layer on)
+  const checked = noiseTypeFeatures(Object.hasOwn(noiseTypes, noiseType) ? noiseType : 'base');
+  if (noiseType === 'full') {
+    Object.keys(checked).forEach(feature => {
+      checked[feature] = true;
+    });
+  }
+
+  Object.entries(features || {}).forEach(([feature, active]) => {
+    if (!Object.hasOwn(checked, feature)) {
+      console.warn(`Ignoring feature "${feature}": no such noise type`);
+    } else if (typeof active !== 'boolean') {
+      console.warn(`Ignoring feature "${feature}": expected a boolean, got ${JSON.stringify(active)}`);
+    } else {
+      checked[feature] = active;
+    }
+  });
+
+  return { ...preset, noiseType, features: checked };
+}
+
+export class PresetManager {
+  /**
+   * Initialize the preset panel
+   * @param {NoiseControls} controls - Controls whose state is saved and restored
+   * @param {Object} elements - DOM elements used by the panel
+   * @param {HTMLSelectElement} elements.select - Built-in and saved presets
+   * @param {HTMLInputElement} elements.name - Name to save the current state under
+   * @param {HTMLButtonElement} elements.save - Saves the current state
+   * @param {HTMLButtonElement} elements.delete - Deletes the selected saved preset
+   * @param {HTMLButtonElement} elements.export - Downloads the current state as JSON
+   * @param {HTMLButtonElement} elements.import - Opens the file picker
+   * @param {HTMLInputElement} elements.importFile - Hidden JSON file input
+   * @param {HTMLElement} elements.status - Status and error messages
+   */
+  constructor(controls, elements) {
+    this.controls = controls;
+    this.elements = elements;
+
+    this.populateOptions(controls.noiseType ? `builtin:${controls.noiseType}` : '');
+    this.setupEventListeners();
+  }
+
+  /**
+   * Read the saved presets from localStorage
+   * @returns {Object} Saved presets by name
+   */
+  loadSaved() {
+    try {
+      const presets = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return presets && typeof presets === 'object' ? presets : {};
+    } catch (error) {
+      console.error('Could not read saved presets:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the saved presets to localStorage
+   * @param {Object} presets - Saved presets by name
+   */
+  storeSaved(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  }
+
+  /**
+   * Fill the preset dropdown with the built-in and saved presets
+   * @param {string} selected - Option to select ('builtin:<key>' or 'saved:<name>')
+   */
+  populateOptions(selected = '') {
+    const { select } = this.elements;
+    if (!select) return;
+
+    select.innerHTML = '';
+    select.appendChild(new Option('Select a preset…', ''));
+
+    const builtIn = document.createElement('optgroup');
+    builtIn.label = 'Built-in';
+    Object.entries(BUILT_IN_PRESETS).forEach(([key, preset]) => {
+      builtIn.appendChild(new Option(preset.name, `builtin:${key}`));
+    });
+    select.appendChild(builtIn);
+
+    const names = Object.keys(this.loadSaved()).sort();
+    if (names.length > 0) {
+      const saved = document.createElement('optgroup');
+      saved.label = 'Saved';
+      names.forEach(name => {
+        saved.appendChild(new Option(name, `saved:${name}`));
+      });
+      select.appendChild(saved);
+    }
+
+    select.value = selected;
+    if (select.value !== selected) {
+      select.value = '';
+    }
+  }
+
+  /**
+   * Set up the dropdown, buttons and file input
+   */
+  setupEventListeners() {
+    const { select, save, delete: remove, export: exportButton, import: importButton, importFile } = this.elements;
+
+    // Each handler reports failures in the panel instead of throwing into the event loop
+    const guard = (action, handler) => async (event) => {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error(`Preset ${action} failed:`, error);
+        this.setStatus(error.message);
+      }
+    };
+
+    if (select) {
+      select.addEventListener('change', guard('load', () => this.load(select.value)));
+    }
+
+    if (save) {
+      save.addEventListener('click', guard('save', () => this.save(this.elements.name.value)));
+    }
+
+    if (remove) {
+      remove.addEventListener('click', guard('delete', () => this.remove(select.value)));
+    }
+
+    if (exportButton) {
+      exportButton.addEventListener('click', guard('export', () => this.exportJSON(this.elements.name.value)));
+    }
+
+    if (importButton && importFile) {
+      importButton.addEventListener('click', () => importFile.click());
+      importFile.addEventListener('change', guard('import', async () => {
+        const file = importFile.files[0];
+        // Clear the input so picking the same file again fires another change
+        importFile.value = '';
+        if (file) {
+          await this.importJSON(file);
+        }
+      }));
+    }
+  }
+
+  /**
+   * Show a status message in the panel
+   * @param {string} message - Message to show
+   */
+  setStatus(message) {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+    }
+  }
+
+  /**
+   * Apply a preset from the dropdown
+   * @param {string} option - 'builtin:<key>' or 'saved:<name>'
+   */
+  load(option) {
+    if (!option) return;
+
+    const separator = option.indexOf(':');
+    const source = option.slice(0, separator);
+    const key = option.slice(separator + 1);
+    const presets = source === 'builtin' ? BUILT_IN_PRESETS : this.loadSaved();
+    const preset = Object.hasOwn(presets, key) ? presets[key] : null;
+    if (!preset) {
+      throw new Error(`Preset "${key}" not found`);
+    }
+
+    this.controls.applyPreset(preset);
+
+    if (this.elements.name && source === 'saved') {
+      this.elements.name.value = key;
+    }
+    this.setStatus(`Loaded "${preset.name || key}"`);
+  }
+
+  /**
+   * Save the current state under a name, replacing a saved preset of the same name
+   * @param {string} name - Preset name
+   */
+  save(name) {
+    name = name.trim();
+    if (!name) {
+      throw new Error('Enter a name to save the preset under');
+    }
+
+    const presets = this.loadSaved();
+    presets[name] = this.controls.toPreset(name);
+    this.storeSaved(presets);
+
+    this.populateOptions(`saved:${name}`);
+    this.setStatus(`Saved "${name}"`);
+  }
+
+  /**
+   * Delete a saved preset (built-in presets cannot be deleted)
+   * @param {string} option - Selected dropdown option
+   */
+  remove(option) {
+    if (!option.startsWith('saved:')) {
+      throw new Error('Select a saved preset to delete');
+    }
+
+    const name = option.slice('saved:'.length);
+    const presets = this.loadSaved();
+    delete presets[name];
+    this.storeSaved(presets);
+
+    this.populateOptions();
+    this.setStatus(`Deleted "${name}"`);
+  }
+
+  /**
+   * Download the current state as a JSON preset
+   * @param {string} name - Preset name stored in the file
+   */
+  exportJSON(name) {
+    name = name.trim() || 'Untitled';
+    const preset = this.controls.toPreset(name);
+    const filename = `oldnoise-preset-${name.replace(/[^\w-]+/g, '_')}.json`;
+
+    downloadFile(JSON.stringify(preset, null, 2), filename, 'application/json');
+    this.setStatus(`Exported "${name}"`);
+  }
+
+  /**
+   * Apply a JSON preset file and add it to the saved presets
+   * @param {File} file - JSON file as written by exportJSON
+   */
+  async importJSON(file) {
+    let preset;
+    try {
+      preset = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON`);
+    }
+
+    preset = migratePreset(preset);
+    this.controls.applyPreset(preset);
+
+    const name = (typeof preset.name === 'string' && preset.name.trim()) || file.name.replace(/\.json$/i, '');
+    if (this.elements.name) {
+      this.elements.name.value = name;
+    }
+    this.save(name);
+    this.setStatus(`Imported "${name}"`);
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Render resolution and frame statistics for WebGL Noise Visualization
+ * The canvas is rendered at the display's device pixel ratio times the panel's
+ * render scale. With adaptive resolution, edits and drags that the GPU cannot
+ * follow at full resolution are drawn at a lower one, which is refined back up
+ * over the next frames once they stop. The frame rate, the frame time and the
+ * canvas size can be shown over the canvas.
+ */
+
+// Range of the panel's render scale
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 2;
+
+// Frame time the adaptive resolution aims for while interacting (30 fps)
+const TARGET_FRAME_TIME = 1000 / 30;
+
+// Lowest share of the resolution the adaptive resolution goes down to
+const MIN_FACTOR = 0.25;
+
+// Consecutive frames measured at a resolution before it is lowered again
+const SAMPLE_FRAMES = 3;
+
+// Time without edits or drags after which an interaction is over, in milliseconds
+const INTERACTION_TIMEOUT = 200;
+
+// Time between overlay updates, in milliseconds
+const STATS_INTERVAL = 500;
+
+export class RenderQuality {
+  /**
+   * Initialize the render resolution settings
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements of the rendering panel
+   * @param {HTMLInputElement} elements.scale - Render scale number input
+   * @param {HTMLInputElement} elements.scaleSlider - Render scale slider
+   * @param {HTMLInputElement} elements.adaptive - Adaptive resolution checkbox
+   * @param {HTMLInputElement} elements.stats - Shows the frame statistics overlay
+   * @param {HTMLElement} elements.overlay - Frame statistics over the canvas
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.elements = elements;
+
+    // Share of the device pixels rendered
+    this.scale = 1;
+    this.adaptive = true;
+
+    // Share of that the adaptive resolution renders right now (1 = all of it)
+    this.factor = 1;
+
+    // Timestamp of the last edit or drag
+    this.lastChange = -Infinity;
+
+    // Milliseconds per frame, averaged over consecutive frames (null until measured)
+    this.frameTime = null;
+    this.samples = 0;
+
+    // The previous animation frame and whether it drew
+    this.lastTick = null;
+    this.lastTickDrew = false;
+
+    // Frames drawn since the overlay was last updated
+    this.statsFrames = 0;
+    this.statsStart = null;
+
+    this.readInitialValues();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Take the settings the page starts with
+   */
+  readInitialValues() {
+    const { scale, adaptive, stats } = this.elements;
+
+    if (scale) {
+      this.scale = this.clampScale(parseFloat(scale.value));
+    }
+    if (adaptive) {
+      this.adaptive = adaptive.checked;
+    }
+    if (stats) {
+      this.setStatsVisible(stats.checked);
+    }
+  }
+
+  /**
+   * Set up the render scale pair and the checkboxes
+   */
+  setupEventListeners() {
+    const { scale, scaleSlider, adaptive, stats } = this.elements;
+
+    [scale, scaleSlider].forEach(element => {
+      if (!element) return;
+
+      element.addEventListener('input', () => {
+        const value = parseFloat(element.value);
+        if (isNaN(value)) return;
+
+        // Mirror the value onto the other element of the pair
+        const other = element === scale ? scaleSlider : scale;
+        if (other) {
+          other.value = value;
+        }
+
+        this.setScale(value);
+      });
+    });
+
+    adaptive?.addEventListener('change', () => {
+      this.adaptive = adaptive.checked;
+      this.setFactor(1);
+    });
+
+    stats?.addEventListener('change', () => this.setStatsVisible(stats.checked));
+  }
+
+  /**
+   * Limit a render scale to the panel's range
+   * @param {number} scale - Requested scale
+   * @returns {number} Scale between MIN_SCALE and MAX_SCALE (1 when invalid)
+   */
+  clampScale(scale) {
+    return Number.isFinite(scale) ? Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE) : 1;
+  }
+
+  /**
+   * Change the share of the device pixels rendered
+   * @param {number} scale - Render scale (clamped to the panel's range)
+   */
+  setScale(scale) {
+    this.scale = this.clampScale(scale);
+    this.resetFrameTime();
+    this.app.markInteraction();
+  }
+
+  /**
+   * Change the adaptive share of the resolution (the canvas is resized and
+   * redrawn on the next frame)
+   * @param {number} factor - Between MIN_FACTOR and 1
+   */
+  setFactor(factor) {
+    if (factor === this.factor) return;
+
+    this.factor = factor;
+    this.resetFrameTime();
+  }
+
+  /**
+   * Forget the measured frame time (it belonged to another resolution)
+   */
+  resetFrameTime() {
+    this.frameTime = null;
+    this.samples = 0;
+  }
+
+  /**
+   * Canvas pixels per CSS pixel
+   * @returns {number} Device pixel ratio times the render scale and the adaptive factor
+   */
+  pixelRatio() {
+    return (window.devicePixelRatio || 1) * this.scale * this.factor;
+  }
+
+  /**
+   * Note a user edit; edits in quick succession are an interaction (a slider or
+   * view drag, scrubbing). Redraws for readbacks (export, analysis, thumbnails)
+   * are not edits and leave the resolution alone
+   * @param {number} timestamp - Edit time in milliseconds (performance.now())
+   */
+  changed(timestamp) {
+    this.lastChange = timestamp;
+  }
+
+  /**
+   * Whether edits are still coming in
+   * @param {number} timestamp - Frame timestamp in milliseconds
+   * @returns {boolean} true during an interaction
+   */
+  interacting(timestamp) {
+    return timestamp - this.lastChange < INTERACTION_TIMEOUT;
+  }
+
+  /**
+   * Called at the start of every animation frame; refines a reduced resolution
+   * one step once the interaction is over
+   * @param {number} timestamp - Frame timestamp in milliseconds
+   * @returns {boolean} true if the frame must be drawn again at the finer resolution
+   */
+  refine(timestamp) {
+    if (this.factor >= 1 || this.interacting(timestamp)) return false;
+
+    this.setFactor(Math.min(this.factor * 2, 1));
+    return true;
+  }
+
+  /**
+   * Called at the end of every animation frame; measures the frame time and
+   * lowers the resolution while an interaction draws too slowly
+   * @param {number} timestamp - Frame timestamp in milliseconds
+   * @param {boolean} drew - Whether this frame drew
+   */
+  tick(timestamp, drew) {
+    // The first frame is drawn without a timestamp
+    if (!Number.isFinite(timestamp)) return;
+
+    // Only back-to-back frames measure drawing; a gap is idle time
+    if (drew && this.lastTickDrew && this.lastTick !== null) {
+      const delta = timestamp - this.lastTick;
+      this.frameTime = this.frameTime === null ? delta : this.frameTime * 0.8 + delta * 0.2;
+      this.samples++;
+
+      if (this.adaptive && this.samples >= SAMPLE_FRAMES && this.frameTime > TARGET_FRAME_TIME && this.interacting(timestamp)) {
+        // Pixels scale with the square of the factor
+        const step = Math.max(Math.sqrt(TARGET_FRAME_TIME / this.frameTime), 0.5);
+        this.setFactor(Math.max(this.factor * step, MIN_FACTOR));
+      }
+    }
+
+    this.lastTick = timestamp;
+    this.lastTickDrew = drew;
+
+    if (drew) {
+      this.statsFrames++;
+    }
+    this.updateStats(timestamp);
+  }
+
+  /**
+   * Show or hide the frame statistics overlay
+   * @param {boolean} visible - Whether the overlay is shown
+   */
+  setStatsVisible(visible) {
+    const { overlay } = this.elements;
+    if (!overlay) return;
+
+    overlay.hidden = !visible;
+    this.statsFrames = 0;
+    this.statsStart = null;
+  }
+
+  /**
+   * Refresh the overlay every STATS_INTERVAL
+   * @param {number} timestamp - Frame timestamp in milliseconds
+   */
+  updateStats(timestamp) {
+    const { overlay } = this.elements;
+    if (!overlay || overlay.hidden) return;
+
+    if (this.statsStart === null) {
+      this.statsStart = timestamp;
+      this.statsFrames = 0;
+      return;
+    }
+
+    const elapsed = timestamp - this.statsStart;
+    if (elapsed < STATS_INTERVAL) return;
+
+    const { width, height } = this.app.canvas;
+    const size = `${width}×${height}`;
+    const reduced = this.factor < 1 ? ` (${Math.round(this.factor * 100)}%)` : '';
+
+    if (this.statsFrames === 0) {
+      // Nothing changed on screen, so nothing was drawn
+      overlay.textContent = `idle · ${size}${reduced}`;
+    } else {
+      const fps = this.statsFrames * 1000 / elapsed;
+      const frameTime = this.frameTime === null ? '–' : `${this.frameTime.toFixed(1)} ms`;
+      overlay.textContent = `${fps.toFixed(0)} fps · ${frameTime} · ${size}${reduced}`;
+    }
+
+    this.statsStart = timestamp;
+    this.statsFrames = 0;
+  }
+}
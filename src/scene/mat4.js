@@ -0,0 +1,138 @@
+/**
+ * 4x4 matrix helpers for the 3D views
+ * Matrices are column-major Float32Arrays, as uniformMatrix4fv expects.
+ */
+
+/**
+ * Perspective projection
+ * @param {number} fovY - Vertical field of view in radians
+ * @param {number} aspect - Width / height
+ * @param {number} near - Near clip distance
+ * @param {number} far - Far clip distance
+ * @returns {Float32Array} Projection matrix
+ */
+export function perspective(fovY, aspect, near, far) {
+  const f = 1 / Math.tan(fovY / 2);
+  const rangeInv = 1 / (near - far);
+
+  return new Float32Array([
+    f / aspect, 0, 0, 0,
+    0, f, 0, 0,
+    0, 0, (near + far) * rangeInv, -1,
+    0, 0, 2 * near * far * rangeInv, 0
+  ]);
+}
+
+/**
+ * View matrix of a camera at `eye` looking at `target`
+ * @param {Array<number>} eye - Camera position
+ * @param {Array<number>} target - Point looked at
+ * @param {Array<number>} up - Up direction
+ * @returns {Float32Array} View matrix
+ */
+export function lookAt(eye, target, up) {
+  const z = normalize([eye[0] - target[0], eye[1] - target[1], eye[2] - target[2]]);
+  const x = normalize(cross(up, z));
+  const y = cross(z, x);
+
+  return new Float32Array([
+    x[0], y[0], z[0], 0,
+    x[1], y[1], z[1], 0,
+    x[2], y[2], z[2], 0,
+    -dot(x, eye), -dot(y, eye), -dot(z, eye), 1
+  ]);
+}
+
+/**
+ * Matrix product a * b (b is applied first)
+ * @param {Float32Array} a - Left matrix
+ * @param {Float32Array} b - Right matrix
+ * @returns {Float32Array} Product
+ */
+export function multiply(a, b) {
+  const out = new Float32Array(16);
+
+  for (let column = 0; column < 4; column++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[k * 4 + row] * b[column * 4 + k];
+      }
+      out[column * 4 + row] = sum;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Inverse of a matrix
+ * @param {Float32Array} m - Matrix to invert
+ * @returns {Float32Array} Inverse (identity if m is singular)
+ */
+export function invert(m) {
+  // Cofactors of the first two and last two rows, paired into the 4x4 inverse
+  const a = [
+    m[0] * m[5] - m[1] * m[4], m[0] * m[6] - m[2] * m[4], m[0] * m[7] - m[3] * m[4],
+    m[1] * m[6] - m[2] * m[5], m[1] * m[7] - m[3] * m[5], m[2] * m[7] - m[3] * m[6]
+  ];
+  const b = [
+    m[8] * m[13] - m[9] * m[12], m[8] * m[14] - m[10] * m[12], m[8] * m[15] - m[11] * m[12],
+    m[9] * m[14] - m[10] * m[13], m[9] * m[15] - m[11] * m[13], m[10] * m[15] - m[11] * m[14]
+  ];
+
+  const determinant = a[0] * b[5] - a[1] * b[4] + a[2] * b[3] + a[3] * b[2] - a[4] * b[1] + a[5] * b[0];
+  if (determinant === 0) {
+    return new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+  }
+  const d = 1 / determinant;
+
+  return new Float32Array([
+    (m[5] * b[5] - m[6] * b[4] + m[7] * b[3]) * d,
+    (m[2] * b[4] - m[1] * b[5] - m[3] * b[3]) * d,
+    (m[13] * a[5] - m[14] * a[4] + m[15] * a[3]) * d,
+    (m[10] * a[4] - m[9] * a[5] - m[11] * a[3]) * d,
+    (m[6] * b[2] - m[4] * b[5] - m[7] * b[1]) * d,
+    (m[0] * b[5] - m[2] * b[2] + m[3] * b[1]) * d,
+    (m[14] * a[2] - m[12] * a[5] - m[15] * a[1]) * d,
+    (m[8] * a[5] - m[10] * a[2] + m[11] * a[1]) * d,
+    (m[4] * b[4] - m[5] * b[2] + m[7] * b[0]) * d,
+    (m[1] * b[2] - m[0] * b[4] - m[3] * b[0]) * d,
+    (m[12] * a[4] - m[13] * a[2] + m[15] * a[0]) * d,
+    (m[9] * a[2] - m[8] * a[4] - m[11] * a[0]) * d,
+    (m[5] * b[1] - m[4] * b[3] - m[6] * b[0]) * d,
+    (m[0] * b[3] - m[1] * b[1] + m[2] * b[0]) * d,
+    (m[13] * a[1] - m[12] * a[3] - m[14] * a[0]) * d,
+    (m[8] * a[3] - m[9] * a[1] + m[10] * a[0]) * d
+  ]);
+}
+
+/**
+ * Cross product of two 3D vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {Array<number>} a × b
+ */
+export function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * Dot product of two 3D vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} a · b
+ */
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Scale a 3D vector to unit length
+ * @param {Array<number>} v - Vector
+ * @returns {Array<number>} Unit vector (or v if it has no length)
+ */
+export function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]);
+  return length > 0 ? [v[0] / length, v[1] / length, v[2] / length] : v;
+}
@@ -0,0 +1,160 @@
+/**
+ * Orbit camera for the 3D views
+ * Drag to rotate around the target, wheel to move closer or further away,
+ * double-click to reset. Input is ignored while the camera is disabled, so the
+ * 2D view navigation can share the canvas.
+ */
+import { perspective, lookAt, multiply } from './mat4.js';
+
+// Default orientation: looking down at the terrain from the near side
+const DEFAULT_YAW = 0.6;
+const DEFAULT_PITCH = 0.6;
+const DEFAULT_DISTANCE = 3.2;
+
+// Limits keep the camera above the horizon plane and outside the target
+const MIN_PITCH = -1.5;
+const MAX_PITCH = 1.5;
+const MIN_DISTANCE = 0.5;
+const MAX_DISTANCE = 20;
+
+// Radians of rotation per CSS pixel of drag
+const ROTATE_RATE = 0.008;
+
+// Distance factor per pixel of wheel movement
+const WHEEL_ZOOM_RATE = 1.0015;
+
+// Vertical field of view and clip distances
+const FOV_Y = Math.PI / 4;
+const NEAR = 0.05;
+const FAR = 50;
+
+export class OrbitCamera {
+  /**
+   * Initialize the camera
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {HTMLCanvasElement} canvas - Canvas receiving drag and wheel input
+   */
+  constructor(app, canvas) {
+    this.app = app;
+    this.canvas = canvas;
+    this.enabled = false;
+
+    this.yaw = DEFAULT_YAW;
+    this.pitch = DEFAULT_PITCH;
+    this.distance = DEFAULT_DISTANCE;
+
+    // Active drag: pointer id and last client position
+    this.drag = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up drag, wheel and double-click handling
+   */
+  setupEventListeners() {
+    const canvas = this.canvas;
+    if (!canvas) return;
+
+    canvas.addEventListener('pointerdown', (event) => {
+      if (!this.enabled || event.button !== 0) return;
+
+      this.drag = { id: event.pointerId, x: event.clientX, y: event.clientY };
+      canvas.setPointerCapture(event.pointerId);
+      canvas.classList.add('panning');
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+      if (!this.drag || event.pointerId !== this.drag.id) return;
+
+      this.rotate((event.clientX - this.drag.x) * ROTATE_RATE, (event.clientY - this.drag.y) * ROTATE_RATE);
+      this.drag.x = event.clientX;
+      this.drag.y = event.clientY;
+    });
+
+    const endDrag = (event) => {
+      if (!this.drag || event.pointerId !== this.drag.id) return;
+
+      this.drag = null;
+      canvas.classList.remove('panning');
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    canvas.addEventListener('wheel', (event) => {
+      if (!this.enabled) return;
+      event.preventDefault();
+
+      const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+      this.setOrbit(this.yaw, this.pitch, this.distance * Math.pow(WHEEL_ZOOM_RATE, delta));
+    }, { passive: false });
+
+    canvas.addEventListener('dblclick', () => {
+      if (this.enabled) this.reset();
+    });
+  }
+
+  /**
+   * Rotate around the target
+   * @param {number} dYaw - Change of the horizontal angle in radians
+   * @param {number} dPitch - Change of the elevation angle in radians
+   */
+  rotate(dYaw, dPitch) {
+    this.setOrbit(this.yaw - dYaw, this.pitch + dPitch, this.distance);
+  }
+
+  /**
+   * Set the orbit directly (e.g. from a permalink); values are clamped and
+   * invalid ones ignored
+   * @param {number} yaw - Horizontal angle in radians
+   * @param {number} pitch - Elevation angle in radians
+   * @param {number} distance - Distance from the target
+   */
+  setOrbit(yaw, pitch, distance) {
+    if (Number.isFinite(yaw)) {
+      this.yaw = yaw;
+    }
+    if (Number.isFinite(pitch)) {
+      this.pitch = Math.min(Math.max(pitch, MIN_PITCH), MAX_PITCH);
+    }
+    if (Number.isFinite(distance)) {
+      this.distance = Math.min(Math.max(distance, MIN_DISTANCE), MAX_DISTANCE);
+    }
+
+    this.app.markInteraction();
+    if (this.app.permalink) {
+      this.app.permalink.scheduleUpdate();
+    }
+  }
+
+  /**
+   * Return to the default orbit
+   */
+  reset() {
+    this.setOrbit(DEFAULT_YAW, DEFAULT_PITCH, DEFAULT_DISTANCE);
+  }
+
+  /**
+   * Camera position in world space
+   * @returns {Array<number>} Eye position
+   */
+  getEye() {
+    const horizontal = Math.cos(this.pitch) * this.distance;
+    return [
+      Math.sin(this.yaw) * horizontal,
+      Math.sin(this.pitch) * this.distance,
+      Math.cos(this.yaw) * horizontal
+    ];
+  }
+
+  /**
+   * Combined view and projection matrix
+   * @param {number} aspect - Width / height of the render target
+   * @returns {Float32Array} Projection * view
+   */
+  getViewProjection(aspect) {
+    const view = lookAt(this.getEye(), [0, 0, 0], [0, 1, 0]);
+    const projection = perspective(FOV_Y, aspect, NEAR, FAR);
+    return multiply(projection, view);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Terrain mode for WebGL Noise Visualization
+ * A subdivided grid over the unit square, displaced in TerrainVertex.glsl by the
+ * same noise field the flat view shows, and viewed with the app's orbit camera.
+ */
+// Grid cells per side; (SEGMENTS + 1)^2 vertices must fit 16-bit indices
+const SEGMENTS = 255;
+
+// Attribute location of a_position in TerrainVertex.glsl
+const POSITION_LOCATION = 0;
+
+export class TerrainView {
+  /**
+   * Create the grid mesh
+   * @param {WebGLApp} app - The WebGL application instance (its camera is shared with the volume)
+   */
+  constructor(app) {
+    this.app = app;
+    this.gl = app.gl;
+
+    this.createMesh();
+  }
+
+  /**
+   * Build the grid vertex and index buffers inside a vertex array object, so the
+   * fullscreen quad's attribute state is left alone
+   */
+  createMesh() {
+    const gl = this.gl;
+    const side = SEGMENTS + 1;
+
+    const positions = new Float32Array(side * side * 2);
+    for (let y = 0; y < side; y++) {
+      for (let x = 0; x < side; x++) {
+        const i = (y * side + x) * 2;
+        positions[i] = x / SEGMENTS;
+        positions[i + 1] = y / SEGMENTS;
+      }
+    }
+
+    // Two triangles per cell
+    const indices = new Uint16Array(SEGMENTS * SEGMENTS * 6);
+    let i = 0;
+    for (let y = 0; y < SEGMENTS; y++) {
+      for (let x = 0; x < SEGMENTS; x++) {
+        const corner = y * side + x;
+        indices.set([corner, corner + 1, corner + side, corner + side, corner + 1, corner + side + 1], i);
+        i += 6;
+      }
+    }
+    this.indexCount = indices.length;
+
+    this.vertexArray = gl.createVertexArray();
+    gl.bindVertexArray(this.vertexArray);
+
+    this.positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(POSITION_LOCATION);
+    gl.vertexAttribPointer(POSITION_LOCATION, 2, gl.FLOAT, false, 0, 0);
+
+    this.indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * Draw the terrain with the current (terrain) program
+   * @param {Object} locations - Uniform locations of the current program
+   * @param {number} width - Width of the render target in pixels
+   * @param {number} height - Height of the render target in pixels
+   */
+  draw(locations, width, height) {
+    const gl = this.gl;
+
+    if (locations.viewProjection) {
+      const aspect = height > 0 ? width / height : 1;
+      gl.uniformMatrix4fv(locations.viewProjection, false, this.app.camera.getViewProjection(aspect));
+    }
+    if (locations.gridStep) {
+      gl.uniform1f(locations.gridStep, 1 / SEGMENTS);
+    }
+
+    gl.enable(gl.DEPTH_TEST);
+    gl.bindVertexArray(this.vertexArray);
+    gl.drawElements(gl.TRIANGLES, this.indexCount, gl.UNSIGNED_SHORT, 0);
+    gl.bindVertexArray(null);
+    gl.disable(gl.DEPTH_TEST);
+  }
+}
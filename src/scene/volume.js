@@ -0,0 +1,36 @@
+/**
+ * Volume mode for WebGL Noise Visualization
+ * VolumeFragment.glsl raymarches the 3D noise on a fullscreen quad; this feeds it
+ * the orbit camera as an inverse view-projection matrix and an eye position.
+ */
+import { invert } from './mat4.js';
+
+export class VolumeView {
+  /**
+   * Initialize the volume view
+   * @param {WebGLApp} app - The WebGL application instance (its camera is shared with the terrain)
+   */
+  constructor(app) {
+    this.app = app;
+    this.gl = app.gl;
+  }
+
+  /**
+   * Upload the camera uniforms to the current (volume) program
+   * @param {Object} locations - Uniform locations of the current program
+   * @param {number} width - Width of the render target in pixels
+   * @param {number} height - Height of the render target in pixels
+   */
+  uploadUniforms(locations, width, height) {
+    const gl = this.gl;
+    const camera = this.app.camera;
+
+    if (locations.inverseViewProjection) {
+      const aspect = height > 0 ? width / height : 1;
+      gl.uniformMatrix4fv(locations.inverseViewProjection, false, invert(camera.getViewProjection(aspect)));
+    }
+    if (locations.cameraPosition) {
+      gl.uniform3fv(locations.cameraPosition, camera.getEye());
+    }
+  }
+}
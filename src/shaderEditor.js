@@ -0,0 +1,287 @@
+/**
+ * Shader editor module for WebGL Noise Visualization
+ * A code editor for the flat view's fragment shader that recompiles shortly
+ * after each edit. Compiler messages are shown inline at their line and column
+ * and listed below the code; a failed compile leaves the last good program running.
+ */
+import defaultFragmentSource from './shaders/OldNoise.glsl?raw';
+
+// Quiet period after the last keystroke before the shader is recompiled
+const COMPILE_DELAY = 400;
+
+// Spaces inserted by the Tab key (the shaders are indented by four)
+const INDENT = '    ';
+
+/**
+ * Describe where a compiler message points
+ * @param {Object} message - Message from parseInfoLog
+ * @returns {string} e.g. "12:5", "lib/perlin.glsl:40" or "link"
+ */
+function describeLocation(message) {
+  if (message.line === null) {
+    return message.stage;
+  }
+
+  const position = message.column === null ? `${message.line}` : `${message.line}:${message.column}`;
+  if (message.chunk) {
+    return `lib/${message.chunk}.glsl:${position}`;
+  }
+  return message.stage === 'vertex' ? `vertex:${position}` : position;
+}
+
+export class ShaderEditor {
+  /**
+   * Initialize the shader editor
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements used by the editor
+   * @param {HTMLInputElement} elements.open - Checkbox showing the editor panel
+   * @param {HTMLElement} elements.panel - Floating editor panel
+   * @param {HTMLTextAreaElement} elements.source - The code itself
+   * @param {HTMLElement} elements.highlight - Layer behind the code marking error lines and messages
+   * @param {HTMLElement} elements.gutter - Line numbers
+   * @param {HTMLElement} elements.messages - List of all compiler messages
+   * @param {HTMLButtonElement} elements.revert - Restores the built-in shader
+   * @param {HTMLButtonElement} elements.close - Hides the panel
+   * @param {HTMLElement} elements.status - Compile result
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.elements = elements;
+    this.messages = app.shaderMessages || [];
+    this.timer = null;
+
+    if (!elements.source) return;
+
+    elements.source.value = app.fragmentSource;
+    this.setupEventListeners();
+    this.render();
+
+    // Without a working shader the canvas stays black; show why
+    if (!app.program) {
+      this.setStatus('The shader failed to build; fix it here to start rendering', true);
+      this.setOpen(true);
+    }
+  }
+
+  /**
+   * Set up editing, scrolling and the panel buttons
+   */
+  setupEventListeners() {
+    const { open, source, revert, close } = this.elements;
+
+    open?.addEventListener('change', () => this.setOpen(open.checked));
+    close?.addEventListener('click', () => this.setOpen(false));
+    revert?.addEventListener('click', () => {
+      source.value = defaultFragmentSource;
+      this.compile();
+    });
+
+    source.addEventListener('input', () => this.scheduleCompile());
+    source.addEventListener('scroll', () => this.syncScroll());
+
+    source.addEventListener('keydown', event => {
+      if (event.key === 'Tab' && !event.shiftKey) {
+        event.preventDefault();
+        source.setRangeText(INDENT, source.selectionStart, source.selectionEnd, 'end');
+        this.scheduleCompile();
+      } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        // Ctrl/Cmd+Enter compiles without waiting
+        event.preventDefault();
+        this.compile();
+      }
+    });
+  }
+
+  /**
+   * Show or hide the editor panel
+   * @param {boolean} open - Whether the panel is shown
+   */
+  setOpen(open) {
+    const { panel, open: checkbox, source } = this.elements;
+    if (panel) panel.hidden = !open;
+    if (checkbox) checkbox.checked = open;
+
+    if (open) {
+      // The layers only line up once laid out
+      this.syncScroll();
+      source.focus();
+    }
+  }
+
+  /**
+   * Show the result of the last compile
+   * @param {string} message - Message to show
+   * @param {boolean} failed - Whether the message reports a failure
+   */
+  setStatus(message, failed = false) {
+    const { status } = this.elements;
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle('failed', failed);
+  }
+
+  /**
+   * Recompile shortly after the last edit
+   */
+  scheduleCompile() {
+    // Line numbers follow every keystroke; markers wait for the compile
+    this.render();
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.compile(), COMPILE_DELAY);
+  }
+
+  /**
+   * Compile the code and show the compiler messages
+   * @returns {boolean} true if the code compiled and is now the flat view's shader
+   */
+  compile() {
+    clearTimeout(this.timer);
+
+    const { success, messages } = this.app.setFragmentSource(this.elements.source.value);
+    this.messages = messages;
+
+    const errors = messages.filter(message => message.severity === 'error').length;
+    const warnings = messages.length - errors;
+    if (!success) {
+      const count = errors === 1 ? '1 error' : `${errors} errors`;
+      const summary = errors ? count : 'Failed to build';
+      this.setStatus(this.app.program ? `${summary}; the last good shader keeps running` : summary, true);
+    } else {
+      const note = warnings ? ` with ${warnings === 1 ? '1 warning' : `${warnings} warnings`}` : '';
+      const flat = this.app.renderMode === 'flat' && !this.app.useGraph;
+      const where = this.app.useGraph ? 'the flat view with the graph off' : 'the flat view';
+      this.setStatus(`Compiled${note}${flat ? '' : `; shown in ${where}`}`);
+    }
+
+    this.render();
+    return success;
+  }
+
+  /**
+   * Redraw the line numbers, the inline markers and the message list
+   */
+  render() {
+    const { source, highlight, gutter } = this.elements;
+    const lines = source.value.split('\n');
+
+    // Messages located in the code itself, by line (the rest are only listed)
+    const byLine = new Map();
+    this.messages.forEach(message => {
+      if (message.stage !== 'fragment' || message.chunk !== null || message.line === null) return;
+      if (!byLine.has(message.line)) byLine.set(message.line, []);
+      byLine.get(message.line).push(message);
+    });
+
+    if (gutter) {
+      gutter.innerHTML = '';
+      lines.forEach((_, index) => {
+        const number = document.createElement('div');
+        number.textContent = index + 1;
+        number.classList.toggle('error', byLine.has(index + 1));
+        gutter.appendChild(number);
+      });
+    }
+
+    if (highlight) {
+      highlight.innerHTML = '';
+      lines.forEach((text, index) => {
+        const line = document.createElement('div');
+        const messages = byLine.get(index + 1);
+        if (!messages) {
+          // Empty lines still need their height
+          line.textContent = text || ' ';
+          highlight.appendChild(line);
+          return;
+        }
+
+        const severity = messages.some(message => message.severity === 'error') ? 'error' : 'warning';
+        line.className = `shader-editor-marked ${severity}`;
+
+        // Underline the token the first message points at
+        const column = messages.find(message => message.column !== null)?.column;
+        if (column) {
+          const start = column - 1;
+          const token = /^(\w+|\S)/.exec(text.slice(start))?.[0] || ' ';
+          const underline = document.createElement('span');
+          underline.className = 'shader-editor-token';
+          underline.textContent = token;
+          line.append(text.slice(0, start), underline, text.slice(start + token.length));
+        } else {
+          line.append(text);
+        }
+
+        const note = document.createElement('span');
+        note.className = 'shader-editor-note';
+        note.textContent = messages.map(message => message.message).join(' | ');
+        line.appendChild(note);
+        highlight.appendChild(line);
+      });
+    }
+
+    this.renderMessages();
+    this.syncScroll();
+  }
+
+  /**
+   * List every compiler message; clicking one selects its line in the code
+   */
+  renderMessages() {
+    const { messages: list } = this.elements;
+    if (!list) return;
+
+    list.innerHTML = '';
+    this.messages.forEach(message => {
+      const item = document.createElement('li');
+      item.className = message.severity;
+
+      const location = document.createElement('span');
+      location.className = 'shader-editor-location';
+      location.textContent = describeLocation(message);
+      item.append(location, ` ${message.message}`);
+
+      if (message.stage === 'fragment' && message.chunk === null && message.line !== null) {
+        item.classList.add('selectable');
+        item.addEventListener('click', () => this.selectLine(message.line));
+      }
+
+      list.appendChild(item);
+    });
+
+    list.hidden = this.messages.length === 0;
+  }
+
+  /**
+   * Select a line of the code and scroll it into view
+   * @param {number} line - 1-based line number
+   */
+  selectLine(line) {
+    const { source } = this.elements;
+    const lines = source.value.split('\n');
+    const start = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0);
+
+    source.focus();
+    source.setSelectionRange(start, start + (lines[line - 1] || '').length);
+
+    // Center the line, using the line height the layers share
+    const lineHeight = parseFloat(getComputedStyle(source).lineHeight) || 16;
+    source.scrollTop = Math.max((line - 1) * lineHeight - source.clientHeight / 2, 0);
+    this.syncScroll();
+  }
+
+  /**
+   * Scroll the marker layer and the line numbers along with the code
+   */
+  syncScroll() {
+    const { source, highlight, gutter } = this.elements;
+
+    if (highlight) {
+      highlight.scrollTop = source.scrollTop;
+      highlight.scrollLeft = source.scrollLeft;
+    }
+    if (gutter) {
+      gutter.scrollTop = source.scrollTop;
+    }
+  }
+}
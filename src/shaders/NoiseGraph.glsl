@@ -0,0 +1,49 @@
+#version 300 es
+
+precision highp float;
+
+// Template for shaders generated from the noise graph (see src/graph/noiseGraph.js)
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+// Uniforms for animation and display
+uniform float u_time;
+uniform vec2 u_resolution;
+uniform vec3 u_speed; // Controls x, y, z movement speed
+uniform int u_outputMode; // 0: gradient color, 1: raw noise value (for exports)
+uniform bool u_tilePreview; // Repeat the unit square 3x3 to inspect seams
+uniform vec2 u_offset; // Pan of the viewport, in noise units
+uniform float u_zoom; // Zoom of the viewport (2.0 shows half the area)
+uniform vec2 u_valueRange; // Output remap: values at x and y land on 0.0 and 1.0 (as in lib/field.glsl)
+
+#include <perlin>
+#include <value>
+#include <simplex>
+#include <worley>
+#include <gabor>
+#include <color>
+
+// @graph-nodes
+
+void main() {
+    // Same sample position as OldNoise.glsl
+    vec2 pos = v_texCoord * u_resolution / min(u_resolution.x, u_resolution.y);
+    pos = pos / u_zoom + u_offset;
+    if (u_tilePreview) pos *= 3.0;
+    pos += vec2(u_time * u_speed.x, u_time * u_speed.y);
+    if (u_tilePreview) pos = fract(pos);
+    vec3 p = vec3(pos, u_time * u_speed.z);
+
+    // Graph nodes output roughly -1.0..1.0, mapped to the gradient's 0.0..1.0
+    float n = graphOutput(p) * 0.5 + 0.5;
+    n = (n - u_valueRange.x) / max(u_valueRange.y - u_valueRange.x, 1e-6);
+
+    if (u_outputMode == 1) {
+        // Unclamped noise value for heightmap and float exports
+        outColor = vec4(vec3(n), 1.0);
+        return;
+    }
+
+    outColor = vec4(sampleGradient(n), 1.0);
+}
@@ -0,0 +1,44 @@
+#version 300 es
+
+precision highp float;
+
+// Slice mode: an axis-aligned cross-section of the 3D base noise
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform vec2 u_resolution;
+uniform int u_outputMode;  // 0: gradient color, 1: raw noise value (for exports)
+uniform vec2 u_offset;     // Pan of the view, in noise units
+uniform float u_zoom;      // Zoom of the view (2.0 shows half the area)
+uniform int u_sliceAxis;   // Plane shown: 0: XY, 1: XZ, 2: YZ
+uniform float u_slicePosition; // Position along the remaining axis (0.0 - 1.0 spans the volume box)
+
+#include <field>
+#include <color>
+
+void main() {
+    // Position within the plane, panned and zoomed like the flat view
+    vec2 pos = v_texCoord * u_resolution / min(u_resolution.x, u_resolution.y);
+    pos = pos / u_zoom + u_offset;
+    float depth = u_slicePosition / u_zoom;
+    
+    vec3 p;
+    if (u_sliceAxis == 1) {
+        p = vec3(pos.x, depth, pos.y);
+    } else if (u_sliceAxis == 2) {
+        p = vec3(depth, pos);
+    } else {
+        p = vec3(pos, depth);
+    }
+    
+    float value = remapValue(volumeNoise(p, u_octaves, u_frequency, u_amplitude) * 0.5 + 0.5);
+    
+    if (u_outputMode == 1) {
+        // Unclamped noise value for heightmap and float exports
+        outColor = vec4(vec3(value), 1.0);
+        return;
+    }
+    
+    outColor = vec4(sampleGradient(value), 1.0);
+}
@@ -0,0 +1,34 @@
+#version 300 es
+
+precision highp float;
+
+// Terrain mode: elevation coloring through the gradient with lambert lighting
+
+in float v_height;
+in vec3 v_normal;
+out vec4 outColor;
+
+uniform int u_outputMode; // 0: lit gradient color, 1: raw height (for exports)
+
+#include <color>
+
+// Direction towards the light (normalized below) and the unlit share of the color
+const vec3 LIGHT_DIRECTION = vec3(-0.4, 0.8, 0.45);
+const float AMBIENT = 0.3;
+
+void main() {
+    if (u_outputMode == 1) {
+        // Unclamped height for heightmap and float exports
+        outColor = vec4(vec3(v_height), 1.0);
+        return;
+    }
+    
+    // Interpolated normals are no longer unit length; back faces are lit like front faces
+    vec3 normal = normalize(v_normal);
+    if (!gl_FrontFacing) normal = -normal;
+    
+    float diffuse = max(dot(normal, normalize(LIGHT_DIRECTION)), 0.0);
+    vec3 color = sampleGradient(v_height);
+    
+    outColor = vec4(color * (AMBIENT + (1.0 - AMBIENT) * diffuse), 1.0);
+}
@@ -0,0 +1,53 @@
+#version 300 es
+
+precision highp float;
+
+// Terrain mode: a grid mesh displaced by the same noise field as OldNoise.glsl
+
+// Grid position, 0.0 - 1.0 on both axes (fixed location so the mesh's vertex
+// array works with every rebuilt terrain program)
+layout(location = 0) in vec2 a_position;
+
+out float v_height; // Noise value at the vertex (0.0 - 1.0), used for coloring
+out vec3 v_normal;  // World-space normal from finite differences
+
+uniform mat4 u_viewProjection;
+uniform float u_terrainHeight; // Height of the full 0.0 - 1.0 noise range, in grid widths
+uniform float u_gridStep;      // Distance between neighbouring grid vertices (0.0 - 1.0 units)
+uniform bool u_tilePreview;    // Repeat the unit square 3x3 to inspect seams
+uniform vec2 u_offset;         // Pan of the view, in noise units
+uniform float u_zoom;          // Zoom of the view (2.0 shows half the area)
+
+#include <field>
+
+// Noise value at a grid position, sampled like a pixel of the flat view
+float heightAt(vec2 st) {
+    vec2 pos = st / u_zoom + u_offset;
+    
+    if (u_tilePreview) pos *= 3.0;
+    pos += timeDrift();
+    if (u_tilePreview) pos = fract(pos);
+    
+    return layerValue(noiseLayers(pos));
+}
+
+// World position of a grid point: the grid spans -1.0..1.0 in x and z, with the
+// top of the flat view (st.y = 1.0) at the far side (-z)
+vec3 worldPosition(vec2 st, float height) {
+    return vec3(st.x * 2.0 - 1.0, (height - 0.5) * u_terrainHeight * 2.0, 1.0 - st.y * 2.0);
+}
+
+void main() {
+    float h = heightAt(a_position);
+    
+    // Finite differences towards the next vertex along each grid axis
+    vec2 dx = vec2(u_gridStep, 0.0);
+    vec2 dy = vec2(0.0, u_gridStep);
+    vec3 p = worldPosition(a_position, h);
+    vec3 tangentX = worldPosition(a_position + dx, heightAt(a_position + dx)) - p;
+    vec3 tangentY = worldPosition(a_position + dy, heightAt(a_position + dy)) - p;
+    
+    v_height = h;
+    v_normal = normalize(cross(tangentX, tangentY));
+    gl_Position = u_viewProjection * vec4(p, 1.0);
+}
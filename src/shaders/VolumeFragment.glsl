@@ -0,0 +1,82 @@
+#version 300 es
+
+precision highp float;
+
+// Volume mode: raymarches the 3D base noise inside a bounding box, treating
+// noise values above a threshold as an absorbing, gradient-colored medium
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform int u_outputMode; // 0: gradient color, 1: opacity along the ray (for exports)
+uniform mat4 u_inverseViewProjection; // Clip space to world space
+uniform vec3 u_cameraPosition;
+uniform vec2 u_offset; // Pan of the view, in noise units
+uniform float u_zoom;  // Zoom of the view (2.0 shows half the volume)
+
+uniform float u_volumeThreshold;  // Noise values (0.0 - 1.0) below this are empty space
+uniform int u_volumeSteps;        // Samples along a ray crossing the whole box
+uniform float u_volumeAbsorption; // Extinction per unit length at full density
+
+#include <field>
+#include <color>
+
+// Loop bound of the march (u_volumeSteps is clamped to this)
+const int VOLUME_MAX_STEPS = 512;
+
+// Entry and exit distances of a ray through the -1.0..1.0 box (entry > exit on a miss)
+vec2 intersectBox(vec3 origin, vec3 direction) {
+    vec3 inverse = 1.0 / direction;
+    vec3 t0 = (vec3(-1.0) - origin) * inverse;
+    vec3 t1 = (vec3(1.0) - origin) * inverse;
+    vec3 tNear = min(t0, t1);
+    vec3 tFar = max(t0, t1);
+    
+    return vec2(max(max(tNear.x, tNear.y), tNear.z), min(min(tFar.x, tFar.y), tFar.z));
+}
+
+// Noise value (0.0 - 1.0) at a point of the box; the box spans the unit cube of
+// noise space at zoom 1, like the unit square of the flat view
+float volumeValue(vec3 p) {
+    vec3 pos = (p * 0.5 + 0.5) / u_zoom + vec3(u_offset, 0.0);
+    
+    return remapValue(volumeNoise(pos, u_octaves, u_frequency, u_amplitude) * 0.5 + 0.5);
+}
+
+void main() {
+    // Ray from the camera through this pixel's point on the far plane
+    vec4 farPoint = u_inverseViewProjection * vec4(v_texCoord * 2.0 - 1.0, 1.0, 1.0);
+    vec3 direction = normalize(farPoint.xyz / farPoint.w - u_cameraPosition);
+    
+    vec2 hit = intersectBox(u_cameraPosition, direction);
+    hit.x = max(hit.x, 0.0);
+    
+    // Fixed step length: the box diagonal split into u_volumeSteps samples
+    int steps = clamp(u_volumeSteps, 1, VOLUME_MAX_STEPS);
+    float stepLength = 2.0 * sqrt(3.0) / float(steps);
+    
+    vec3 color = vec3(0.0);
+    float transmittance = 1.0;
+    
+    // Front-to-back compositing, stopping once the ray is nearly opaque
+    float t = hit.x + stepLength * 0.5;
+    for (int i = 0; i < VOLUME_MAX_STEPS; i++) {
+        if (i >= steps || t > hit.y || transmittance < 0.01) break;
+        
+        float value = volumeValue(u_cameraPosition + direction * t);
+        float density = max(value - u_volumeThreshold, 0.0) / max(1.0 - u_volumeThreshold, 1e-4);
+        float alpha = 1.0 - exp(-density * u_volumeAbsorption * stepLength);
+        
+        color += transmittance * alpha * sampleGradient(value);
+        transmittance *= 1.0 - alpha;
+        t += stepLength;
+    }
+    
+    if (u_outputMode == 1) {
+        // Accumulated opacity for heightmap and float exports
+        outColor = vec4(vec3(1.0 - transmittance), 1.0);
+        return;
+    }
+    
+    outColor = vec4(color, 1.0);
+}
@@ -0,0 +1,152 @@
+/**
+ * Shader library for WebGL Noise Visualization
+ * Resolves `#include <name>` directives against the shared GLSL chunks in ./lib,
+ * so OldNoise.glsl and generated shaders use the same noise functions, and maps
+ * compiler messages back to the chunk and line they came from
+ */
+import perlinChunk from './lib/perlin.glsl?raw';
+import valueChunk from './lib/value.glsl?raw';
+import simplexChunk from './lib/simplex.glsl?raw';
+import worleyChunk from './lib/worley.glsl?raw';
+import gaborChunk from './lib/gabor.glsl?raw';
+import fractalChunk from './lib/fractal.glsl?raw';
+import warpChunk from './lib/warp.glsl?raw';
+import maskChunk from './lib/mask.glsl?raw';
+import fieldChunk from './lib/field.glsl?raw';
+import colorChunk from './lib/color.glsl?raw';
+import { noiseTypes } from '../noiseTypes.js';
+
+// Chunks available to #include, keyed by name
+export const shaderChunks = {
+  perlin: perlinChunk,
+  value: valueChunk,
+  simplex: simplexChunk,
+  worley: worleyChunk,
+  gabor: gaborChunk,
+  fractal: fractalChunk,
+  warp: warpChunk,
+  mask: maskChunk,
+  field: fieldChunk,
+  color: colorChunk,
+  // Generated: the chunk of every registered noise type, in registry order
+  get noiseTypes() {
+    return Object.values(noiseTypes)
+      .filter(type => type.shader)
+      .map(type => `#include <${type.shader}>`)
+      .join('\n');
+  }
+};
+
+/**
+ * Add a GLSL chunk that shaders (usually a registered noise type's `shader`) can include
+ * @param {string} name - Chunk name, as used in `#include <name>`
+ * @param {string} source - GLSL source
+ */
+export function registerShaderChunk(name, source) {
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Invalid shader chunk name: "${name}"`);
+  }
+  if (Object.hasOwn(shaderChunks, name)) {
+    throw new Error(`Shader chunk "${name}" already exists`);
+  }
+
+  shaderChunks[name] = source;
+}
+
+/**
+ * Replace `#include <name>` lines with the matching chunk source
+ * Each chunk is only included once; later includes of the same chunk are dropped.
+ * @param {string} source - GLSL source containing include directives
+ * @param {Array<Object>} origins - Optional; filled with the origin of every output
+ *   line, { chunk, line }: the chunk name (null for `source` itself) and 1-based line
+ * @returns {string} Source with all includes expanded
+ */
+export function resolveIncludes(source, origins = null) {
+  const included = new Set();
+  const output = [];
+
+  const expand = (text, chunk) => {
+    text.split('\n').forEach((line, index) => {
+      const match = /^[ \t]*#include\s+<(\w+)>[ \t]*$/.exec(line);
+
+      if (match && !included.has(match[1])) {
+        const name = match[1];
+        if (!Object.hasOwn(shaderChunks, name)) {
+          const error = new Error(`Unknown shader chunk: ${name}`);
+          error.origin = { chunk, line: index + 1 };
+          throw error;
+        }
+
+        included.add(name);
+        expand(shaderChunks[name], name);
+        return;
+      }
+
+      // Repeated includes leave an empty line
+      output.push(match ? '' : line);
+      if (origins) {
+        origins.push({ chunk, line: index + 1 });
+      }
+    });
+  };
+
+  expand(source, null);
+  return output.join('\n');
+}
+
+/**
+ * Parse a shader info log into messages located in the unexpanded sources
+ * Understands the `ERROR: 0:12: ...` form (ANGLE, Mesa, most drivers) and the
+ * `0(12) : error ...` form (NVIDIA). Logs rarely carry a column, so it is taken
+ * from the quoted token the message starts with, when that token is on the line.
+ * @param {string} log - Info log from getShaderInfoLog or getProgramInfoLog
+ * @param {string} stage - 'vertex', 'fragment' or 'link'
+ * @param {Array<Object>} origins - Line origins filled in by resolveIncludes (empty for link logs)
+ * @param {string} expanded - The expanded source that was compiled
+ * @returns {Array<Object>} Messages: { stage, severity, chunk, line, column, message };
+ *   chunk is null for the shader's own source, line and column are null when unknown
+ */
+export function parseInfoLog(log, stage, origins = [], expanded = '') {
+  const lines = expanded.split('\n');
+  const messages = [];
+
+  (log || '').split('\n').forEach(text => {
+    text = text.replace(/\0/g, '').trim();
+    if (!text) return;
+
+    const standard = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i.exec(text);
+    const nvidia = /^\d+\((\d+)\)\s*:\s*(error|warning)\b[^:]*:\s*(.*)$/i.exec(text);
+
+    let severity = /warning/i.test(text) ? 'warning' : 'error';
+    let compiledLine = null;
+    let message = text;
+    if (standard) {
+      [, severity, compiledLine, message] = standard;
+    } else if (nvidia) {
+      [, compiledLine, severity, message] = nvidia;
+    }
+    severity = severity.toLowerCase();
+
+    // Summary lines ("1 compilation errors. No code generated.") add nothing
+    if (!standard && !nvidia && /compilation errors?|no code generated/i.test(text)) return;
+
+    const entry = { stage, severity, chunk: null, line: null, column: null, message };
+    const index = compiledLine === null ? -1 : Number(compiledLine) - 1;
+    const origin = origins[index];
+
+    if (origin) {
+      entry.chunk = origin.chunk;
+      entry.line = origin.line;
+
+      const token = /^'([^']+)'/.exec(message);
+      const column = token ? lines[index].indexOf(token[1]) : -1;
+      if (column >= 0) {
+        entry.column = column + 1;
+      }
+    }
+
+    messages.push(entry);
+  });
+
+  return messages;
+}
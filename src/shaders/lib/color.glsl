@@ -0,0 +1,133 @@
+// Color library: color space conversions and gradient sampling
+// Shared by OldNoise.glsl and shaders generated from the noise graph
+
+// Color gradient uniforms
+uniform vec3 u_gradientColors[32];    // Max 32 colors in gradient
+uniform float u_gradientPositions[32]; // Stop positions (0.0 - 1.0), sorted ascending
+uniform int u_gradientSteps;          // Actual number of colors
+uniform int u_gradientBands;          // Number of bands in stepped mode
+uniform int u_gradientInterpolation;  // 0: smooth, 1: stepped
+uniform int u_gradientColorSpace;     // 0: RGB, 1: HSV, 2: OKLab
+
+// Convert RGB to HSV (all components 0.0 - 1.0)
+vec3 rgbToHsv(vec3 c) {
+    float maxC = max(c.r, max(c.g, c.b));
+    float minC = min(c.r, min(c.g, c.b));
+    float delta = maxC - minC;
+    
+    float h = 0.0;
+    if (delta > 0.0) {
+        if (maxC == c.r) {
+            h = mod((c.g - c.b) / delta, 6.0);
+        } else if (maxC == c.g) {
+            h = (c.b - c.r) / delta + 2.0;
+        } else {
+            h = (c.r - c.g) / delta + 4.0;
+        }
+        h /= 6.0;
+    }
+    
+    float s = maxC > 0.0 ? delta / maxC : 0.0;
+    return vec3(h, s, maxC);
+}
+
+// Convert HSV back to RGB
+vec3 hsvToRgb(vec3 c) {
+    vec3 k = mod(vec3(5.0, 3.0, 1.0) + c.x * 6.0, 6.0);
+    return c.z - c.z * c.y * clamp(min(k, 4.0 - k), 0.0, 1.0);
+}
+
+// sRGB transfer functions
+vec3 srgbToLinear(vec3 c) {
+    return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+}
+
+vec3 linearToSrgb(vec3 c) {
+    return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+}
+
+// Convert sRGB to OKLab (Bjorn Ottosson's reference matrices)
+vec3 rgbToOklab(vec3 c) {
+    vec3 l = srgbToLinear(c);
+    vec3 lms = vec3(
+        0.4122214708 * l.r + 0.5363325363 * l.g + 0.0514459929 * l.b,
+        0.2119034982 * l.r + 0.6806995451 * l.g + 0.1073969566 * l.b,
+        0.0883024619 * l.r + 0.2817188376 * l.g + 0.6299787005 * l.b
+    );
+    lms = pow(lms, vec3(1.0 / 3.0));
+    return vec3(
+        0.2104542553 * lms.x + 0.7936177850 * lms.y - 0.0040720468 * lms.z,
+        1.9779984951 * lms.x - 2.4285922050 * lms.y + 0.4505937099 * lms.z,
+        0.0259040371 * lms.x + 0.7827717662 * lms.y - 0.8086757660 * lms.z
+    );
+}
+
+// Convert OKLab back to sRGB
+vec3 oklabToRgb(vec3 c) {
+    vec3 lms = vec3(
+        c.x + 0.3963377774 * c.y + 0.2158037573 * c.z,
+        c.x - 0.1055613458 * c.y - 0.0638541728 * c.z,
+        c.x - 0.0894841775 * c.y - 1.2914855480 * c.z
+    );
+    lms = lms * lms * lms;
+    vec3 l = vec3(
+         4.0767416621 * lms.x - 3.3077115913 * lms.y + 0.2309699292 * lms.z,
+        -1.2684380046 * lms.x + 2.6097574011 * lms.y - 0.3413193965 * lms.z,
+        -0.0041960863 * lms.x - 0.7034186147 * lms.y + 1.7076147010 * lms.z
+    );
+    return linearToSrgb(clamp(l, 0.0, 1.0));
+}
+
+// Blend two colors in the selected color space
+vec3 mixColors(vec3 a, vec3 b, float t) {
+    if (u_gradientColorSpace == 1) {
+        // HSV - interpolate hue along the shortest path around the wheel
+        vec3 ha = rgbToHsv(a);
+        vec3 hb = rgbToHsv(b);
+        float dh = hb.x - ha.x;
+        dh -= floor(dh + 0.5);
+        vec3 h = vec3(fract(ha.x + dh * t), mix(ha.yz, hb.yz, t));
+        return hsvToRgb(h);
+    } else if (u_gradientColorSpace == 2) {
+        // OKLab - perceptually uniform blending
+        return oklabToRgb(mix(rgbToOklab(a), rgbToOklab(b), t));
+    }
+    
+    // Plain RGB
+    return mix(a, b, t);
+}
+
+// Sample the uploaded color gradient at t (0.0 - 1.0)
+vec3 sampleGradient(float t) {
+    t = clamp(t, 0.0, 1.0);
+    
+    // Fall back to the default blue -> orange ramp when no gradient is uploaded
+    if (u_gradientSteps < 2) {
+        return mix(vec3(0.2, 0.4, 0.8), vec3(0.9, 0.4, 0.1), t);
+    }
+    
+    // Quantize into flat bands for stepped interpolation
+    if (u_gradientInterpolation == 1) {
+        float bands = float(max(u_gradientBands, 2));
+        t = min(floor(t * bands), bands - 1.0) / (bands - 1.0);
+    }
+    
+    // Clamp to the outer stops
+    int last = min(u_gradientSteps, 32) - 1;
+    if (t <= u_gradientPositions[0]) return u_gradientColors[0];
+    if (t >= u_gradientPositions[last]) return u_gradientColors[last];
+    
+    // Find the segment containing t and blend its two stops
+    for (int i = 0; i < 31; i++) {
+        if (i >= last) break;
+        
+        float p0 = u_gradientPositions[i];
+        float p1 = u_gradientPositions[i + 1];
+        if (t <= p1) {
+            float span = max(p1 - p0, 1e-5);
+            return mixColors(u_gradientColors[i], u_gradientColors[i + 1], (t - p0) / span);
+        }
+    }
+    
+    return u_gradientColors[last];
+}
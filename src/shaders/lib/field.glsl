@@ -0,0 +1,108 @@
+// Noise field library: the layered field drawn by OldNoise.glsl - base fractal with
+// domain warping plus the optional ridged mask layer - shared with the terrain
+// vertex shader so both views show the same noise. The GLSL of the noise types
+// (fractal, warp and mask) comes in through the generated <noiseTypes> chunk: the
+// `shader` chunk of every type in src/noiseTypes.js, in registry order. The field
+// below calls the warp layer's domainWarp*() and the mask layer's maskValue()
+
+// Uniforms for animation
+uniform float u_time;
+uniform vec3 u_speed; // Controls x, y, z movement speed
+uniform float u_loopDuration; // Seconds per seamless loop (0: time runs straight on)
+
+// Uniforms for noise control from UI
+uniform float u_frequency;
+uniform float u_amplitude;
+uniform int u_octaves;
+uniform bool u_use3D; // Toggle between 2D and 3D noise
+uniform int u_noiseAlgorithm; // 0: perlin, 1: simplex, 2: value, 3: worley, 4: gabor
+uniform int u_fractalMode;    // 0: fBm, 1: turbulence, 2: billow, 3: ridged, 4: hybrid
+uniform float u_lacunarity;   // Frequency multiplier per octave
+uniform float u_persistence;  // Amplitude multiplier per octave
+
+// Output remap: noise values at x and y land on 0.0 and 1.0 ((0, 1) leaves them as is)
+uniform vec2 u_valueRange;
+
+// Movement of the 2D position over time; while looping, all movement goes around the time circle
+vec2 timeDrift() {
+    return u_loopDuration > 0.0 ? vec2(0.0) : u_time * u_speed.xy;
+}
+
+// Point of the current time on the loop circle (z and w of the 4D noise)
+// The radius makes the speed around the circle the length of u_speed, so one
+// loop covers as much noise as u_loopDuration seconds of straight movement
+vec2 loopCircle() {
+    float angle = 6.28318531 * u_time / u_loopDuration;
+    float radius = length(u_speed) * u_loopDuration / 6.28318531;
+    return radius * vec2(cos(angle), sin(angle));
+}
+
+// Noise type chunks, after the time helpers above that their layers may use
+#include <noiseTypes>
+
+// Base fractal noise at a 3D position, with 3D domain warping
+// The warp and mask fields always use Perlin fBm so the algorithm and fractal mode only change the base field
+float baseNoise3D(vec3 pos, int octaves, float frequency, float amplitude) {
+    return fractal3D(domainWarp3D(pos), octaves, frequency, amplitude, u_noiseAlgorithm,
+                     u_fractalMode, u_lacunarity, u_persistence);
+}
+
+// Base fractal noise of the volume and slice views at a 3D position, moving with time
+// While tiling, the volume repeats on the unit cube in x, y and z, so rather than
+// drifting it evolves in place through the fourth dimension
+float volumeNoise(vec3 pos, int octaves, float frequency, float amplitude) {
+    if (u_tileable) {
+        vec4 p = vec4(pos, u_time * length(u_speed));
+        return fractal4D(domainWarp4D(p), octaves, frequency, amplitude, u_noiseAlgorithm,
+                         u_fractalMode, u_lacunarity, u_persistence);
+    }
+    
+    return baseNoise3D(pos + u_time * u_speed, octaves, frequency, amplitude);
+}
+
+// Sample the base fractal noise in 2D or 3D (time as the third axis), with domain warping
+float baseNoise(vec2 pos, int octaves, float frequency, float amplitude) {
+    if (u_loopDuration > 0.0) {
+        // Time goes around a circle in the third and fourth dimensions, so the last frame meets the first
+        return fractal4D(domainWarp4D(vec4(pos, loopCircle())), octaves, frequency, amplitude,
+                         u_noiseAlgorithm, u_fractalMode, u_lacunarity, u_persistence);
+    }
+    
+    if (u_use3D) {
+        // Apply z-speed to the third dimension
+        return baseNoise3D(vec3(pos, u_time * u_speed.z), octaves, frequency, amplitude);
+    }
+    
+    return fractal2D(domainWarp2D(pos), octaves, frequency, amplitude, u_noiseAlgorithm,
+                     u_fractalMode, u_lacunarity, u_persistence);
+}
+
+// Layers of the field at a position: x = base noise (0.0 - 1.0), y = ridged detail
+// layer, z = mask weight (0 when the mask layer is off, and y is then not computed)
+vec3 noiseLayers(vec2 pos) {
+    // Normalize noise to 0.0 - 1.0 range
+    float n = baseNoise(pos, u_octaves, u_frequency, u_amplitude) * 0.5 + 0.5;
+    
+    if (u_maskBlendStrength <= 0.0) {
+        return vec3(n, 0.0, 0.0);
+    }
+    
+    // Second layer: ridged, finer detail from a shifted copy of the base field,
+    // giving mountain ridges where the mask is high and smooth lowlands elsewhere
+    float detail = baseNoise(pos + vec2(47.1, 23.9), u_octaves + 2, u_frequency * 0.5, u_amplitude);
+    float ridged = 1.0 - abs(detail) * 2.0;
+    
+    return vec3(n, ridged, maskValue(pos));
+}
+
+// Map a noise value through the output remap (see the analysis panel's auto-normalize)
+float remapValue(float value) {
+    return (value - u_valueRange.x) / max(u_valueRange.y - u_valueRange.x, 1e-6);
+}
+
+// Scalar value of the layered field (what is colored, exported and used as height)
+float layerValue(vec3 layers) {
+    // In color mode the second coloring samples the gradient in reverse
+    float detail = u_maskMode == 1 ? 1.0 - layers.y : layers.y;
+    return remapValue(mix(layers.x, detail, layers.z));
+}
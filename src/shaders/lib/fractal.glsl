@@ -0,0 +1,249 @@
+// Fractal noise library: fBm and multifractal sums over a selectable noise algorithm
+// Every algorithm is scaled to Perlin's range so fractal sums are comparable
+
+#include <perlin>
+#include <value>
+#include <simplex>
+#include <worley>
+#include <gabor>
+
+// Algorithm settings used when sampling Worley and Gabor noise
+uniform int u_worleyMetric;     // 0: euclidean, 1: manhattan, 2: chebyshev
+uniform int u_worleyOutput;     // 0: F1, 1: F2, 2: F2 - F1
+uniform float u_gaborFrequency; // Cycles per lattice cell
+uniform float u_gaborAngle;     // Orientation in radians
+uniform float u_gaborIsotropy;  // 0: oriented, 1: random orientation per kernel
+
+// Fractal settings shared by every fractal sum
+uniform float u_fractalOffset;    // Ridge height (ridged) or signal offset (hybrid)
+uniform float u_fractalSharpness; // Exponent sharpening ridges (ridged)
+uniform float u_fractalCutoff;    // Skip octaves whose weight falls below this (0 keeps all)
+uniform bool u_tileable;          // Repeat every fractal sum on the unit square
+
+// Noise algorithms
+const int NOISE_PERLIN = 0;
+const int NOISE_SIMPLEX = 1;
+const int NOISE_VALUE = 2;
+const int NOISE_WORLEY = 3;
+const int NOISE_GABOR = 4;
+
+// Fractal modes
+const int FRACTAL_FBM = 0;
+const int FRACTAL_TURBULENCE = 1;
+const int FRACTAL_BILLOW = 2;
+const int FRACTAL_RIDGED = 3;
+const int FRACTAL_HYBRID = 4;
+
+// Loop bound for fractal sums; the controls clamp octave counts to this (MAX_OCTAVES in controls.js)
+const int FRACTAL_MAX_OCTAVES = 32;
+
+// Sample one octave of 2D noise with the given algorithm, repeating every `period` cells
+// Simplex noise only takes the period while tiling: its periodic lattice differs from the plain grid
+float noise2DByType(vec2 p, int algorithm, ivec2 period) {
+    float n;
+    
+    if (algorithm == NOISE_SIMPLEX) {
+        n = u_tileable ? simplexNoise2D(p, period) : simplexNoise2D(p);
+    } else if (algorithm == NOISE_VALUE) {
+        n = valueNoise2D(p, period);
+    } else if (algorithm == NOISE_WORLEY) {
+        n = worleyNoise2D(p, u_worleyMetric, u_worleyOutput, period);
+    } else if (algorithm == NOISE_GABOR) {
+        n = gaborNoise2D(p, u_gaborFrequency, u_gaborAngle, u_gaborIsotropy, period);
+    } else {
+        return noise2D(p, period);
+    }
+    
+    // The other algorithms return -1..1, 2D Perlin roughly -0.5..0.5
+    return n * 0.5;
+}
+
+// Sample one octave of 3D noise with the given algorithm, repeating every `period` cells
+float noise3DByType(vec3 p, int algorithm, ivec3 period) {
+    float n;
+    
+    if (algorithm == NOISE_SIMPLEX) {
+        n = u_tileable ? simplexNoise3D(p, period) : simplexNoise3D(p);
+    } else if (algorithm == NOISE_VALUE) {
+        n = valueNoise3D(p, period);
+    } else if (algorithm == NOISE_WORLEY) {
+        n = worleyNoise3D(p, u_worleyMetric, u_worleyOutput, period);
+    } else if (algorithm == NOISE_GABOR) {
+        n = gaborNoise3D(p, u_gaborFrequency, u_gaborAngle, u_gaborIsotropy, period);
+    } else {
+        return noise3D(p, period);
+    }
+    
+    // 3D Perlin is roughly -0.66..0.66
+    return n / 1.5;
+}
+
+// Sample one octave of 4D noise with the given algorithm, repeating every `period` cells
+// Worley and Gabor noise have no 4D version and use Perlin
+float noise4DByType(vec4 p, int algorithm, ivec4 period) {
+    float n;
+    
+    if (algorithm == NOISE_SIMPLEX) {
+        n = u_tileable ? simplexNoise4D(p, period) : simplexNoise4D(p);
+    } else if (algorithm == NOISE_VALUE) {
+        n = valueNoise4D(p, period);
+    } else {
+        return noise4D(p, period);
+    }
+    
+    // 4D Perlin matches 3D Perlin, roughly -0.66..0.66
+    return n / 1.5;
+}
+
+// Add one octave sample n (Perlin range, roughly -0.5..0.5) to a fractal sum
+// state.x: running sum, state.y: multifractal weight (starts at 1), state.z: sum of octave weights
+// w: octave weight (persistence ^ octave), amplitude: overall amplitude
+vec3 fractalAccumulate(vec3 state, float n, float w, float amplitude, int mode) {
+    if (mode == FRACTAL_TURBULENCE) {
+        // Perlin's turbulence - unsigned, creased at the zero crossings
+        state.x += abs(n) * amplitude * w;
+    } else if (mode == FRACTAL_BILLOW) {
+        // Turbulence re-centered around zero - puffy, rounded shapes
+        state.x += (abs(n) * 2.0 - 0.5) * amplitude * w;
+    } else if (mode == FRACTAL_RIDGED) {
+        // Musgrave's ridged multifractal - sharpened inverted creases, each octave
+        // weighted by the previous one so detail gathers along the ridges
+        float signal = pow(max(u_fractalOffset - abs(n * 2.0), 0.0), u_fractalSharpness) * state.y;
+        state.y = clamp(signal * 2.0, 0.0, 1.0);
+        state.x += signal * w;
+    } else if (mode == FRACTAL_HYBRID) {
+        // Musgrave's hybrid multifractal - smooth valleys, rough peaks
+        float signal = (n * 2.0 + u_fractalOffset) * w;
+        state.y = min(state.y, 1.0);
+        state.x += state.y * signal;
+        state.y *= signal;
+    } else {
+        // Plain fBm
+        state.x += n * amplitude * w;
+    }
+    
+    state.z += w;
+    return state;
+}
+
+// Map a finished fractal sum back to the signed range fBm produces
+float fractalFinish(vec3 state, float amplitude, int mode) {
+    if (mode == FRACTAL_RIDGED) {
+        return (state.x / max(state.z, 1e-5) * 2.0 - 1.0) * amplitude;
+    } else if (mode == FRACTAL_HYBRID) {
+        return (state.x / max(state.z, 1e-5) - u_fractalOffset) * amplitude;
+    }
+    
+    return state.x;
+}
+
+// 2D fractal noise
+// lacunarity: frequency multiplier per octave, persistence: weight multiplier per octave
+float fractal2D(vec2 p, int octaves, float frequency, float amplitude, int algorithm,
+                int mode, float lacunarity, float persistence) {
+    vec3 state = vec3(0.0, 1.0, 0.0);
+    float scale = 1.0;
+    float w = 1.0;
+    
+    for (int i = 0; i < FRACTAL_MAX_OCTAVES; i++) {
+        // Break if we've reached the requested number of octaves
+        if (i >= octaves) break;
+        
+        vec2 q = p * scale / frequency;
+        ivec2 period = ivec2(B);
+        
+        if (u_tileable) {
+            // A whole number of cells across the unit square, so every octave repeats on it
+            int cells = clamp(int(round(scale / frequency)), 1, B);
+            q = p * float(cells);
+            period = ivec2(cells);
+        }
+        
+        state = fractalAccumulate(state, noise2DByType(q, algorithm, period), w, amplitude, mode);
+        scale *= lacunarity;
+        w *= persistence;
+        
+        // Break early for performance if contribution becomes negligible
+        if (amplitude * w < u_fractalCutoff) break;
+    }
+    
+    return fractalFinish(state, amplitude, mode);
+}
+
+// 3D fractal noise
+float fractal3D(vec3 p, int octaves, float frequency, float amplitude, int algorithm,
+                int mode, float lacunarity, float persistence) {
+    vec3 state = vec3(0.0, 1.0, 0.0);
+    float scale = 1.0;
+    float w = 1.0;
+    
+    for (int i = 0; i < FRACTAL_MAX_OCTAVES; i++) {
+        // Break if we've reached the requested number of octaves
+        if (i >= octaves) break;
+        
+        vec3 q = p * scale / frequency;
+        ivec3 period = ivec3(B);
+        
+        if (u_tileable) {
+            // Tile in x and y; z is the time axis
+            int cells = clamp(int(round(scale / frequency)), 1, B);
+            q.xy = p.xy * float(cells);
+            period = ivec3(cells, cells, B);
+        }
+        
+        state = fractalAccumulate(state, noise3DByType(q, algorithm, period), w, amplitude, mode);
+        scale *= lacunarity;
+        w *= persistence;
+        
+        // Break early for performance if contribution becomes negligible
+        if (amplitude * w < u_fractalCutoff) break;
+    }
+    
+    return fractalFinish(state, amplitude, mode);
+}
+
+// 4D fractal noise: a tileable volume animated along w, or a 2D field whose time
+// axis loops around a circle in z and w
+float fractal4D(vec4 p, int octaves, float frequency, float amplitude, int algorithm,
+                int mode, float lacunarity, float persistence) {
+    vec3 state = vec3(0.0, 1.0, 0.0);
+    float scale = 1.0;
+    float w = 1.0;
+    
+    for (int i = 0; i < FRACTAL_MAX_OCTAVES; i++) {
+        // Break if we've reached the requested number of octaves
+        if (i >= octaves) break;
+        
+        vec4 q = p * scale / frequency;
+        ivec4 period = ivec4(B);
+        
+        if (u_tileable) {
+            // Tile in x, y and z; w is never tiled (a circle through z and w still closes)
+            int cells = clamp(int(round(scale / frequency)), 1, B);
+            q.xyz = p.xyz * float(cells);
+            period = ivec4(cells, cells, cells, B);
+        }
+        
+        state = fractalAccumulate(state, noise4DByType(q, algorithm, period), w, amplitude, mode);
+        scale *= lacunarity;
+        w *= persistence;
+        
+        // Break early for performance if contribution becomes negligible
+        if (amplitude * w < u_fractalCutoff) break;
+    }
+    
+    return fractalFinish(state, amplitude, mode);
+}
+
+// Classic fBm (lacunarity 2, persistence 0.5), used for the warp and mask fields
+float fractalNoise2D(vec2 p, int octaves, float frequency, float amplitude, int algorithm) {
+    return fractal2D(p, octaves, frequency, amplitude, algorithm, FRACTAL_FBM, 2.0, 0.5);
+}
+
+float fractalNoise3D(vec3 p, int octaves, float frequency, float amplitude, int algorithm) {
+    return fractal3D(p, octaves, frequency, amplitude, algorithm, FRACTAL_FBM, 2.0, 0.5);
+}
+
+float fractalNoise4D(vec4 p, int octaves, float frequency, float amplitude, int algorithm) {
+    return fractal4D(p, octaves, frequency, amplitude, algorithm, FRACTAL_FBM, 2.0, 0.5);
+}
@@ -0,0 +1,99 @@
+// Gabor noise library: sparse convolution of randomly placed Gabor kernels
+// (Lagae et al. 2009), giving band-limited noise with controllable orientation
+// Requires <perlin> for the hash function
+
+const int GABOR_IMPULSES_2D = 8; // Kernels per lattice cell in 2D
+const int GABOR_IMPULSES_3D = 4; // Kernels per lattice cell in 3D (27 cells are searched)
+const float GABOR_A = 1.0;       // Gaussian bandwidth; the kernel is truncated at one cell
+
+// Random value for component `i` of the impulse sequence of a cell
+// The cell hash picks a sequence start; each start owns 32 consecutive hash inputs
+float gaborRandom(int cellSeed, int i) {
+    return hash(cellSeed * 32 + i);
+}
+
+// Gabor kernel: Gaussian envelope times a cosine wave of `frequency` cycles per cell
+float gaborKernel(float r2, float phase) {
+    return exp(-3.14159265 * GABOR_A * GABOR_A * r2) * cos(6.28318531 * phase);
+}
+
+// 2D Gabor noise repeating every `period` cells, returns roughly -1.0..1.0
+// frequency: cycles per cell, angle: orientation in radians,
+// isotropy: 0 = every kernel uses angle, 1 = every kernel has a random orientation
+float gaborNoise2D(vec2 p, float frequency, float angle, float isotropy, ivec2 period) {
+    ivec2 c = ivec2(floor(p));
+    float sum = 0.0;
+    
+    // Search the 3x3 neighbourhood
+    for (int y = -1; y <= 1; y++) {
+        for (int x = -1; x <= 1; x++) {
+            ivec2 cell = c + ivec2(x, y);
+            ivec2 w = wrapLattice(cell, period);
+            int cellSeed = int(hash2D(w.x, w.y) * 16777215.0);
+            
+            for (int i = 0; i < GABOR_IMPULSES_2D; i++) {
+                int k = i * 4;
+                vec2 d = p - (vec2(cell) + vec2(gaborRandom(cellSeed, k), gaborRandom(cellSeed, k + 1)));
+                float r2 = dot(d, d);
+                if (r2 > 1.0) continue;
+                
+                float weight = gaborRandom(cellSeed, k + 2) * 2.0 - 1.0;
+                float omega = mix(angle, gaborRandom(cellSeed, k + 3) * 6.28318531, isotropy);
+                sum += weight * gaborKernel(r2, frequency * dot(d, vec2(cos(omega), sin(omega))));
+            }
+        }
+    }
+    
+    // Normalize by the expected standard deviation of the sum
+    return sum * 1.1 / sqrt(float(GABOR_IMPULSES_2D));
+}
+
+float gaborNoise2D(vec2 p, float frequency, float angle, float isotropy) {
+    return gaborNoise2D(p, frequency, angle, isotropy, ivec2(B));
+}
+
+// 3D Gabor noise, returns roughly -1.0..1.0
+// The fixed orientation lies in the xy plane so 2D and 3D modes look alike
+float gaborNoise3D(vec3 p, float frequency, float angle, float isotropy, ivec3 period) {
+    ivec3 c = ivec3(floor(p));
+    vec3 fixedDirection = vec3(cos(angle), sin(angle), 0.0);
+    float sum = 0.0;
+    
+    // Search the 3x3x3 neighbourhood
+    for (int z = -1; z <= 1; z++) {
+        for (int y = -1; y <= 1; y++) {
+            for (int x = -1; x <= 1; x++) {
+                ivec3 cell = c + ivec3(x, y, z);
+                ivec3 w = wrapLattice(cell, period);
+                int cellSeed = int(hash3D(w.x, w.y, w.z) * 16777215.0);
+                
+                for (int i = 0; i < GABOR_IMPULSES_3D; i++) {
+                    int k = i * 6;
+                    vec3 d = p - (vec3(cell) + vec3(
+                        gaborRandom(cellSeed, k),
+                        gaborRandom(cellSeed, k + 1),
+                        gaborRandom(cellSeed, k + 2)
+                    ));
+                    float r2 = dot(d, d);
+                    if (r2 > 1.0) continue;
+                    
+                    // Uniform random direction on the sphere
+                    float cosTheta = gaborRandom(cellSeed, k + 4) * 2.0 - 1.0;
+                    float phi = gaborRandom(cellSeed, k + 5) * 6.28318531;
+                    float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+                    vec3 randomDirection = vec3(sinTheta * cos(phi), sinTheta * sin(phi), cosTheta);
+                    vec3 direction = normalize(mix(fixedDirection, randomDirection, isotropy) + 1e-6);
+                    
+                    float weight = gaborRandom(cellSeed, k + 3) * 2.0 - 1.0;
+                    sum += weight * gaborKernel(r2, frequency * dot(d, direction));
+                }
+            }
+        }
+    }
+    
+    return sum * 1.4 / sqrt(float(GABOR_IMPULSES_3D));
+}
+
+float gaborNoise3D(vec3 p, float frequency, float angle, float isotropy) {
+    return gaborNoise3D(p, frequency, angle, isotropy, ivec3(B));
+}
@@ -0,0 +1,31 @@
+// Mask layer: an independent noise field, thresholded around the cutoff, that
+// blends ridged detail over the base noise. The mask noise type's chunk, included
+// by field.glsl after loopCircle(); u_maskBlendStrength 0 switches it off
+
+// Mask layer uniforms
+uniform float u_maskCutoff;
+uniform float u_maskBlendStrength; // 0 disables the mask layer
+uniform float u_maskSoftness;
+uniform float u_maskFrequency;     // Frequency of the mask field
+uniform int u_maskOctaves;         // Octaves of the mask field
+uniform int u_maskMode;            // 0: blend noise fields, 1: blend colorings
+
+// Mask value (0.0 - 1.0) from an independent noise field, thresholded around the cutoff
+float maskValue(vec2 pos) {
+    // Offset into an unrelated region of the noise so the mask is decorrelated from the base
+    pos += vec2(113.5, 271.9);
+    
+    float m;
+    if (u_loopDuration > 0.0) {
+        m = fractalNoise4D(vec4(pos, loopCircle()), u_maskOctaves, u_maskFrequency, 1.0, NOISE_PERLIN);
+    } else if (u_use3D) {
+        m = fractalNoise3D(vec3(pos, u_time * u_speed.z), u_maskOctaves, u_maskFrequency, 1.0, NOISE_PERLIN);
+    } else {
+        m = fractalNoise2D(pos, u_maskOctaves, u_maskFrequency, 1.0, NOISE_PERLIN);
+    }
+    m = m * 0.5 + 0.5;
+    
+    // Softness widens the transition band (smoothstep needs edge0 < edge1)
+    float halfWidth = max(u_maskSoftness, 1e-4) * 0.5;
+    return smoothstep(u_maskCutoff - halfWidth, u_maskCutoff + halfWidth, m) * u_maskBlendStrength;
+}
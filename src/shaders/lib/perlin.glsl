@@ -0,0 +1,276 @@
+// Perlin noise library: integer hash and 1D/2D/3D/4D gradient noise
+// Shared by OldNoise.glsl and shaders generated from the noise graph
+
+uniform int u_seed; // Permutes the hash so each seed gives a different pattern
+
+// Constants for permutation table
+const int B = 1024; // Increased cell size from 256 to 1024
+
+// Hash function for larger cell sizes (replacing the permutation table)
+// This avoids the need for a lookup table or texture
+float hash(int x) {
+    // Scramble the seed into the input; seed 0 leaves the hash unchanged
+    x ^= u_seed * 1103515245;
+    x = (x << 13) ^ x;
+    return float((x * (x * x * 15731 + 789221) + 1376312589) & 0x7fffffff) / float(0x7fffffff);
+}
+
+// Hash for 2D coordinates
+float hash2D(int x, int y) {
+    return hash(x + B * y);
+}
+
+// Hash for 3D coordinates
+float hash3D(int x, int y, int z) {
+    return hash(x + B * (y + B * z));
+}
+
+// Wrap a lattice coordinate onto 0..period-1 (period <= B)
+// A period of B matches the plain `& (B - 1)` wrap; smaller periods make the noise tile
+int wrapLattice(int i, int period) {
+    // Positive remainder (GLSL leaves % undefined for negative operands)
+    int r = i - period * (i / period);
+    return r < 0 ? r + period : r;
+}
+
+ivec2 wrapLattice(ivec2 i, ivec2 period) {
+    return ivec2(wrapLattice(i.x, period.x), wrapLattice(i.y, period.y));
+}
+
+ivec3 wrapLattice(ivec3 i, ivec3 period) {
+    return ivec3(wrapLattice(i.x, period.x), wrapLattice(i.y, period.y), wrapLattice(i.z, period.z));
+}
+
+// Improved fade function - same as original Perlin
+float fade(float t) {
+    return t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
+}
+
+// Linear interpolation
+float lerp(float t, float a, float b) {
+    return a + t * (b - a);
+}
+
+// 2D gradient function
+vec2 grad2(float h) {
+    // Convert hash to angle
+    float angle = h * 6.283185307179586;
+    // Return unit vector
+    return vec2(cos(angle), sin(angle));
+}
+
+// Dot product of gradient and distance vector
+float gradDot2D(float h, vec2 p) {
+    vec2 g = grad2(h);
+    return dot(g, p);
+}
+
+// 3D gradient function - pseudo-random unit vector from a hash float
+vec3 grad3(float h) {
+    return normalize(vec3(
+        sin(h * 12.9898),
+        sin(h * 78.233),
+        sin(h * 43.2391)
+    ));
+}
+
+// 1D Perlin noise (adapted from C# implementation)
+float noise1D(float x) {
+    // Integer and fractional parts
+    int ix0 = int(floor(x));
+    float fx0 = x - float(ix0);
+    float fx1 = fx0 - 1.0;
+    
+    // Wrap to 0..1023 for larger cell size
+    ix0 = ix0 & (B - 1);
+    int ix1 = (ix0 + 1) & (B - 1);
+    
+    // Fade curve
+    float s = fade(fx0);
+    
+    // Get gradients and compute dot products
+    float n0 = fx0 * (2.0 * hash(ix0) - 1.0);
+    float n1 = fx1 * (2.0 * hash(ix1) - 1.0);
+    
+    // Interpolate and scale to roughly -0.5..0.5 range
+    return 0.188 * lerp(s, n0, n1);
+}
+
+// 2D Perlin noise (optimized GLSL version), repeating every `period` cells
+float noise2D(vec2 p, ivec2 period) {
+    // Integer (cell) coordinates
+    ivec2 i = ivec2(floor(p));
+    // Fractional position within cell
+    vec2 f = fract(p);
+    
+    // Wrap onto the period (0..1023 by default)
+    i = wrapLattice(i, period);
+    ivec2 i1 = wrapLattice(i + 1, period);
+    
+    // Cell corners
+    ivec2 i00 = i;
+    ivec2 i10 = ivec2(i1.x, i.y);
+    ivec2 i01 = ivec2(i.x, i1.y);
+    ivec2 i11 = i1;
+    
+    // Distances from cell corners
+    vec2 f00 = f;
+    vec2 f10 = f - vec2(1.0, 0.0);
+    vec2 f01 = f - vec2(0.0, 1.0);
+    vec2 f11 = f - vec2(1.0, 1.0);
+    
+    // Hashes for corners
+    float h00 = hash2D(i00.x, i00.y);
+    float h10 = hash2D(i10.x, i10.y);
+    float h01 = hash2D(i01.x, i01.y);
+    float h11 = hash2D(i11.x, i11.y);
+    
+    // Dot products for each corner
+    float n00 = gradDot2D(h00, f00);
+    float n10 = gradDot2D(h10, f10);
+    float n01 = gradDot2D(h01, f01);
+    float n11 = gradDot2D(h11, f11);
+    
+    // Compute fade curves
+    vec2 u = vec2(fade(f.x), fade(f.y));
+    
+    // Bilinear interpolation
+    float nx0 = lerp(u.x, n00, n10);
+    float nx1 = lerp(u.x, n01, n11);
+    float n = lerp(u.y, nx0, nx1);
+    
+    // Scale output to match original implementation's range (-0.75 to 0.75)
+    return 0.507 * n;
+}
+
+// 2D Perlin noise wrapping at the hash table size
+float noise2D(vec2 p) {
+    return noise2D(p, ivec2(B));
+}
+
+// 3D Perlin noise implementation, repeating every `period` cells
+float noise3D(vec3 p, ivec3 period) {
+    // Integer (cell) coordinates
+    ivec3 i = ivec3(floor(p));
+    // Fractional position within cell
+    vec3 f = fract(p);
+    
+    // Wrap onto the period (0..1023 by default)
+    i = wrapLattice(i, period);
+    ivec3 j = wrapLattice(i + 1, period);
+    
+    // Compute fade curves
+    vec3 u = vec3(fade(f.x), fade(f.y), fade(f.z));
+    
+    // Hash values for all corners of the cell - store as floats instead of ints
+    float h000 = float(hash3D(i.x, i.y, i.z));
+    float h100 = float(hash3D(j.x, i.y, i.z));
+    float h010 = float(hash3D(i.x, j.y, i.z));
+    float h110 = float(hash3D(j.x, j.y, i.z));
+    float h001 = float(hash3D(i.x, i.y, j.z));
+    float h101 = float(hash3D(j.x, i.y, j.z));
+    float h011 = float(hash3D(i.x, j.y, j.z));
+    float h111 = float(hash3D(j.x, j.y, j.z));
+    
+    // Generate gradients directly from hash floats (instead of bit operations on ints)
+    // This avoids the type conversion errors
+    vec3 g000 = grad3(h000);
+    vec3 g100 = grad3(h100);
+    vec3 g010 = grad3(h010);
+    vec3 g110 = grad3(h110);
+    vec3 g001 = grad3(h001);
+    vec3 g101 = grad3(h101);
+    vec3 g011 = grad3(h011);
+    vec3 g111 = grad3(h111);
+    
+    // Calculate dot products
+    float n000 = dot(g000, f);
+    float n100 = dot(g100, f - vec3(1.0, 0.0, 0.0));
+    float n010 = dot(g010, f - vec3(0.0, 1.0, 0.0));
+    float n110 = dot(g110, f - vec3(1.0, 1.0, 0.0));
+    float n001 = dot(g001, f - vec3(0.0, 0.0, 1.0));
+    float n101 = dot(g101, f - vec3(1.0, 0.0, 1.0));
+    float n011 = dot(g011, f - vec3(0.0, 1.0, 1.0));
+    float n111 = dot(g111, f - vec3(1.0, 1.0, 1.0));
+    
+    // Interpolate along x
+    float nx00 = lerp(u.x, n000, n100);
+    float nx10 = lerp(u.x, n010, n110);
+    float nx01 = lerp(u.x, n001, n101);
+    float nx11 = lerp(u.x, n011, n111);
+    
+    // Interpolate along y
+    float nxy0 = lerp(u.y, nx00, nx10);
+    float nxy1 = lerp(u.y, nx01, nx11);
+    
+    // Interpolate along z and scale
+    return 0.66 * lerp(u.z, nxy0, nxy1);
+}
+
+// 3D Perlin noise wrapping at the hash table size
+float noise3D(vec3 p) {
+    return noise3D(p, ivec3(B));
+}
+
+// Hash for 4D coordinates
+float hash4D(int x, int y, int z, int w) {
+    return hash(x + B * (y + B * (z + B * w)));
+}
+
+ivec4 wrapLattice(ivec4 i, ivec4 period) {
+    return ivec4(wrapLattice(i.x, period.x), wrapLattice(i.y, period.y),
+                 wrapLattice(i.z, period.z), wrapLattice(i.w, period.w));
+}
+
+// 4D gradient function - pseudo-random unit vector from a hash float
+vec4 grad4(float h) {
+    return normalize(vec4(
+        sin(h * 12.9898),
+        sin(h * 78.233),
+        sin(h * 43.2391),
+        sin(h * 93.9898)
+    ));
+}
+
+// Dot product of a 4D corner's gradient and the offset from that corner
+float cornerDot4D(ivec4 corner, vec4 offset) {
+    return dot(grad4(hash4D(corner.x, corner.y, corner.z, corner.w)), offset);
+}
+
+// One w layer of a 4D cell: the 8 corner contributions blended along x, y and z
+// i, j: lower and upper lattice corners, w: lattice w of the layer, fw: offset from it
+float noise4DLayer(ivec3 i, ivec3 j, int w, vec3 f, float fw, vec3 u) {
+    float n000 = cornerDot4D(ivec4(i.x, i.y, i.z, w), vec4(f, fw));
+    float n100 = cornerDot4D(ivec4(j.x, i.y, i.z, w), vec4(f - vec3(1.0, 0.0, 0.0), fw));
+    float n010 = cornerDot4D(ivec4(i.x, j.y, i.z, w), vec4(f - vec3(0.0, 1.0, 0.0), fw));
+    float n110 = cornerDot4D(ivec4(j.x, j.y, i.z, w), vec4(f - vec3(1.0, 1.0, 0.0), fw));
+    float n001 = cornerDot4D(ivec4(i.x, i.y, j.z, w), vec4(f - vec3(0.0, 0.0, 1.0), fw));
+    float n101 = cornerDot4D(ivec4(j.x, i.y, j.z, w), vec4(f - vec3(1.0, 0.0, 1.0), fw));
+    float n011 = cornerDot4D(ivec4(i.x, j.y, j.z, w), vec4(f - vec3(0.0, 1.0, 1.0), fw));
+    float n111 = cornerDot4D(ivec4(j.x, j.y, j.z, w), vec4(f - vec3(1.0, 1.0, 1.0), fw));
+    
+    float nxy0 = lerp(u.y, lerp(u.x, n000, n100), lerp(u.x, n010, n110));
+    float nxy1 = lerp(u.y, lerp(u.x, n001, n101), lerp(u.x, n011, n111));
+    return lerp(u.z, nxy0, nxy1);
+}
+
+// 4D Perlin noise, repeating every `period` cells, scaled to the range of 3D Perlin
+// Looping animations move through the third and fourth dimensions on a circle
+float noise4D(vec4 p, ivec4 period) {
+    ivec4 i = ivec4(floor(p));
+    vec4 f = fract(p);
+    
+    i = wrapLattice(i, period);
+    ivec4 j = wrapLattice(i + 1, period);
+    
+    vec3 u = vec3(fade(f.x), fade(f.y), fade(f.z));
+    float n0 = noise4DLayer(i.xyz, j.xyz, i.w, f.xyz, f.w, u);
+    float n1 = noise4DLayer(i.xyz, j.xyz, j.w, f.xyz, f.w - 1.0, u);
+    
+    return 0.7 * lerp(fade(f.w), n0, n1);
+}
+
+// 4D Perlin noise wrapping at the hash table size
+float noise4D(vec4 p) {
+    return noise4D(p, ivec4(B));
+}
@@ -0,0 +1,282 @@
+// Simplex noise library (Perlin's simplex grid, after Stefan Gustavson's reference)
+// Requires <perlin> for the hash and gradient functions
+//
+// The skewed grid of the plain versions has no period of whole cells, so the
+// versions taking a period (used while tiling) skew with integer matrices
+// instead: their lattices contain every whole cell, so any integer period
+// repeats them exactly. Corners are wrapped onto one period with integer math
+// before hashing, and the kernel radius ends at the nearest lattice point
+// outside each simplex, so the noise stays continuous.
+
+// Order the corners of a 3D simplex: o1 holds the largest coordinate of x0, o2 the two largest
+void simplexOrder3D(vec3 x0, out vec3 o1, out vec3 o2) {
+    vec3 g = step(x0.yzx, x0.xyz);
+    vec3 l = 1.0 - g;
+    o1 = min(g.xyz, l.zxy);
+    o2 = max(g.xyz, l.zxy);
+}
+
+// Order the corners of a 4D simplex: o1 holds the largest coordinate of x0, o2
+// the two largest, o3 the three largest
+void simplexOrder4D(vec4 x0, out vec4 o1, out vec4 o2, out vec4 o3) {
+    // Rank the coordinates (3 for the largest)
+    vec3 isX = step(x0.yzw, x0.xxx);
+    vec3 isYZ = step(x0.zww, x0.yyz);
+    vec4 rank;
+    rank.x = isX.x + isX.y + isX.z;
+    rank.yzw = 1.0 - isX;
+    rank.y += isYZ.x + isYZ.y;
+    rank.zw += 1.0 - isYZ.xy;
+    rank.z += isYZ.z;
+    rank.w += 1.0 - isYZ.z;
+    
+    o1 = clamp(rank - 2.0, 0.0, 1.0);
+    o2 = clamp(rank - 1.0, 0.0, 1.0);
+    o3 = clamp(rank, 0.0, 1.0);
+}
+
+// 2D simplex noise, returns roughly -1.0..1.0
+float simplexNoise2D(vec2 p) {
+    const float F2 = 0.36602540378; // (sqrt(3) - 1) / 2
+    const float G2 = 0.21132486540; // (3 - sqrt(3)) / 6
+    
+    // Skew to find the simplex cell
+    vec2 s = floor(p + (p.x + p.y) * F2);
+    vec2 x0 = p - s + (s.x + s.y) * G2;
+    
+    // Pick the triangle within the skewed cell
+    vec2 o = x0.x > x0.y ? vec2(1.0, 0.0) : vec2(0.0, 1.0);
+    vec2 x1 = x0 - o + G2;
+    vec2 x2 = x0 - 1.0 + 2.0 * G2;
+    
+    ivec2 i = ivec2(s);
+    ivec2 io = ivec2(o);
+    
+    // Corner contributions
+    float n = 0.0;
+    
+    float t0 = 0.5 - dot(x0, x0);
+    if (t0 > 0.0) {
+        t0 *= t0;
+        n += t0 * t0 * gradDot2D(hash2D(i.x & (B - 1), i.y & (B - 1)), x0);
+    }
+    
+    float t1 = 0.5 - dot(x1, x1);
+    if (t1 > 0.0) {
+        t1 *= t1;
+        n += t1 * t1 * gradDot2D(hash2D((i.x + io.x) & (B - 1), (i.y + io.y) & (B - 1)), x1);
+    }
+    
+    float t2 = 0.5 - dot(x2, x2);
+    if (t2 > 0.0) {
+        t2 *= t2;
+        n += t2 * t2 * gradDot2D(hash2D((i.x + 1) & (B - 1), (i.y + 1) & (B - 1)), x2);
+    }
+    
+    // Scale unit-gradient output to roughly -1..1
+    return 99.0 * n;
+}
+
+// 3D simplex noise, returns roughly -1.0..1.0
+float simplexNoise3D(vec3 p) {
+    const float F3 = 1.0 / 3.0;
+    const float G3 = 1.0 / 6.0;
+    
+    // Skew to find the simplex cell
+    vec3 s = floor(p + dot(p, vec3(F3)));
+    vec3 x0 = p - s + dot(s, vec3(G3));
+    
+    // Rank the coordinates to find the tetrahedron within the cell
+    vec3 o1, o2;
+    simplexOrder3D(x0, o1, o2);
+    
+    vec3 x1 = x0 - o1 + G3;
+    vec3 x2 = x0 - o2 + 2.0 * G3;
+    vec3 x3 = x0 - 1.0 + 3.0 * G3;
+    
+    ivec3 i = ivec3(s);
+    ivec3 i1 = ivec3(o1);
+    ivec3 i2 = ivec3(o2);
+    
+    // Corner contributions
+    vec4 t = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+    t *= t;
+    t *= t;
+    
+    ivec3 c1 = (i + i1) & (B - 1);
+    ivec3 c2 = (i + i2) & (B - 1);
+    ivec3 c0 = i & (B - 1);
+    ivec3 c3 = (i + 1) & (B - 1);
+    
+    vec4 d = vec4(
+        dot(grad3(hash3D(c0.x, c0.y, c0.z)), x0),
+        dot(grad3(hash3D(c1.x, c1.y, c1.z)), x1),
+        dot(grad3(hash3D(c2.x, c2.y, c2.z)), x2),
+        dot(grad3(hash3D(c3.x, c3.y, c3.z)), x3)
+    );
+    
+    // Scale unit-gradient output to roughly -1..1
+    return 32.0 * dot(t, d);
+}
+
+// 4D simplex noise, returns roughly -1.0..1.0
+float simplexNoise4D(vec4 p) {
+    const float F4 = 0.30901699437; // (sqrt(5) - 1) / 4
+    const float G4 = 0.13819660113; // (5 - sqrt(5)) / 20
+    
+    // Skew to find the simplex cell
+    vec4 s = floor(p + dot(p, vec4(F4)));
+    vec4 x0 = p - s + dot(s, vec4(G4));
+    
+    // Rank the coordinates to find the simplex within the cell
+    vec4 o1, o2, o3;
+    simplexOrder4D(x0, o1, o2, o3);
+    
+    vec4 x1 = x0 - o1 + G4;
+    vec4 x2 = x0 - o2 + 2.0 * G4;
+    vec4 x3 = x0 - o3 + 3.0 * G4;
+    vec4 x4 = x0 - 1.0 + 4.0 * G4;
+    
+    ivec4 i = ivec4(s);
+    ivec4 c0 = i & (B - 1);
+    ivec4 c1 = (i + ivec4(o1)) & (B - 1);
+    ivec4 c2 = (i + ivec4(o2)) & (B - 1);
+    ivec4 c3 = (i + ivec4(o3)) & (B - 1);
+    ivec4 c4 = (i + 1) & (B - 1);
+    
+    // Corner contributions
+    vec4 t = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+    float t4 = max(0.6 - dot(x4, x4), 0.0);
+    t *= t;
+    t *= t;
+    t4 *= t4;
+    t4 *= t4;
+    
+    vec4 d = vec4(
+        dot(grad4(hash4D(c0.x, c0.y, c0.z, c0.w)), x0),
+        dot(grad4(hash4D(c1.x, c1.y, c1.z, c1.w)), x1),
+        dot(grad4(hash4D(c2.x, c2.y, c2.z, c2.w)), x2),
+        dot(grad4(hash4D(c3.x, c3.y, c3.z, c3.w)), x3)
+    );
+    float d4 = dot(grad4(hash4D(c4.x, c4.y, c4.z, c4.w)), x4);
+    
+    // Scale unit-gradient output to roughly -1..1
+    return 47.0 * (dot(t, d) + t4 * d4);
+}
+
+// Contribution of one corner of a periodic 2D simplex
+// i: skewed cell, f: position in it, o: corner offset in the cell
+float periodicSimplexCorner2D(ivec2 i, vec2 f, vec2 o, ivec2 period) {
+    // Offset from the corner, unskewed
+    vec2 a = f - o;
+    vec2 x = vec2((a.x + a.y) * 0.25, (a.x - a.y) * 0.5);
+    
+    float t = 0.2 - dot(x, x);
+    if (t <= 0.0) return 0.0;
+    
+    // Wrap the corner onto one period (4 times its unskewed position is whole)
+    ivec2 c = i + ivec2(o);
+    ivec2 x4 = ivec2(c.x + c.y, 2 * (c.x - c.y));
+    ivec2 k = (x4 - wrapLattice(x4, 4 * period)) / (4 * period) * period;
+    c -= ivec2(2 * k.x + k.y, 2 * k.x - k.y);
+    
+    t *= t;
+    return t * t * gradDot2D(hash2D(c.x, c.y), x);
+}
+
+// 2D simplex noise repeating every `period` cells, returns roughly -1.0..1.0
+// Its triangles are about two thirds the size of the plain version's
+float simplexNoise2D(vec2 p, ivec2 period) {
+    // Skew (u = 2x + y, v = 2x - y) onto near-equilateral triangles with corners on quarter cells
+    vec2 uv = vec2(2.0 * p.x + p.y, 2.0 * p.x - p.y);
+    vec2 s = floor(uv);
+    vec2 f = uv - s;
+    
+    // Pick the triangle within the skewed cell
+    vec2 o = f.x > f.y ? vec2(1.0, 0.0) : vec2(0.0, 1.0);
+    ivec2 i = ivec2(s);
+    
+    float n = periodicSimplexCorner2D(i, f, vec2(0.0), period)
+            + periodicSimplexCorner2D(i, f, o, period)
+            + periodicSimplexCorner2D(i, f, vec2(1.0), period);
+    
+    // Scale to the spread of the plain version
+    return 6350.0 * n;
+}
+
+// Contribution of one corner of a periodic 3D simplex
+float periodicSimplexCorner3D(ivec3 i, vec3 f, vec3 o, ivec3 period) {
+    vec3 a = f - o;
+    vec3 x = (a.x + a.y + a.z) * 0.5 - a;
+    
+    float t = max(0.5 - dot(x, x), 0.0);
+    t *= t;
+    
+    // Wrap the corner onto one period (twice its unskewed position is whole)
+    ivec3 c = i + ivec3(o);
+    ivec3 x2 = (c.x + c.y + c.z) - 2 * c;
+    ivec3 k = (x2 - wrapLattice(x2, 2 * period)) / (2 * period) * period;
+    c -= (k.x + k.y + k.z) - k;
+    
+    return t * t * dot(grad3(hash3D(c.x, c.y, c.z)), x);
+}
+
+// 3D simplex noise repeating every `period` cells, returns roughly -1.0..1.0
+float simplexNoise3D(vec3 p, ivec3 period) {
+    // Skew (u = y + z, v = x + z, w = x + y) onto the body-centred cubic lattice,
+    // the plain version's grid turned so its corners lie on half cells
+    vec3 uv = vec3(p.y + p.z, p.x + p.z, p.x + p.y);
+    vec3 s = floor(uv);
+    vec3 f = uv - s;
+    
+    vec3 o1, o2;
+    simplexOrder3D(f, o1, o2);
+    ivec3 i = ivec3(s);
+    
+    float n = periodicSimplexCorner3D(i, f, vec3(0.0), period)
+            + periodicSimplexCorner3D(i, f, o1, period)
+            + periodicSimplexCorner3D(i, f, o2, period)
+            + periodicSimplexCorner3D(i, f, vec3(1.0), period);
+    
+    return 83.0 * n;
+}
+
+// Contribution of one corner of a periodic 4D simplex
+float periodicSimplexCorner4D(ivec4 i, vec4 f, vec4 o, ivec4 period) {
+    vec4 a = f - o;
+    vec4 x = vec4((a.x + a.y + a.z) * 0.5 - a.xyz - a.w * 0.25, a.w * 0.625);
+    
+    float t = max(0.3788 - dot(x, x), 0.0);
+    t *= t;
+    
+    // Wrap the corner onto one period in x, y and z (4 times its unskewed position is whole)
+    ivec4 c = i + ivec4(o);
+    ivec3 x4 = 2 * ((c.x + c.y + c.z) - 2 * c.xyz) - c.w;
+    ivec3 k = (x4 - wrapLattice(x4, 4 * period.xyz)) / (4 * period.xyz) * period.xyz;
+    c.xyz -= (k.x + k.y + k.z) - k;
+    
+    return t * t * dot(grad4(hash4D(c.x, c.y, c.z, c.w & (B - 1))), x);
+}
+
+// 4D simplex noise repeating every `period` cells in x, y and z (w never
+// repeats), returns roughly -1.0..1.0
+float simplexNoise4D(vec4 p, ivec4 period) {
+    // Layers of the 3D lattice, stacked every 5/8 along w and shifted a quarter
+    // cell back along the diagonal from one layer to the next
+    float sw = p.w * 0.8;
+    vec4 uv = vec4(p.y + p.z + sw, p.x + p.z + sw, p.x + p.y + sw, p.w * 1.6);
+    vec4 s = floor(uv);
+    vec4 f = uv - s;
+    
+    vec4 o1, o2, o3;
+    simplexOrder4D(f, o1, o2, o3);
+    ivec4 i = ivec4(s);
+    
+    float n = periodicSimplexCorner4D(i, f, vec4(0.0), period)
+            + periodicSimplexCorner4D(i, f, o1, period)
+            + periodicSimplexCorner4D(i, f, o2, period)
+            + periodicSimplexCorner4D(i, f, o3, period)
+            + periodicSimplexCorner4D(i, f, vec4(1.0), period);
+    
+    return 490.0 * n;
+}
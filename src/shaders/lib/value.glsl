@@ -0,0 +1,76 @@
+// Value noise library: hashed lattice values with quintic interpolation
+// Requires <perlin> for the hash and fade functions
+
+// 2D value noise repeating every `period` cells, returns roughly -1.0..1.0
+float valueNoise2D(vec2 p, ivec2 period) {
+    ivec2 i = wrapLattice(ivec2(floor(p)), period);
+    vec2 f = fract(p);
+    
+    int x1 = wrapLattice(i.x + 1, period.x);
+    int y1 = wrapLattice(i.y + 1, period.y);
+    
+    // Lattice values mapped to -1..1
+    float v00 = 2.0 * hash2D(i.x, i.y) - 1.0;
+    float v10 = 2.0 * hash2D(x1, i.y) - 1.0;
+    float v01 = 2.0 * hash2D(i.x, y1) - 1.0;
+    float v11 = 2.0 * hash2D(x1, y1) - 1.0;
+    
+    vec2 u = vec2(fade(f.x), fade(f.y));
+    return lerp(u.y, lerp(u.x, v00, v10), lerp(u.x, v01, v11));
+}
+
+// 3D value noise repeating every `period` cells, returns roughly -1.0..1.0
+float valueNoise3D(vec3 p, ivec3 period) {
+    ivec3 i = wrapLattice(ivec3(floor(p)), period);
+    vec3 f = fract(p);
+    
+    int x1 = wrapLattice(i.x + 1, period.x);
+    int y1 = wrapLattice(i.y + 1, period.y);
+    int z1 = wrapLattice(i.z + 1, period.z);
+    
+    vec3 u = vec3(fade(f.x), fade(f.y), fade(f.z));
+    
+    float nx00 = lerp(u.x, hash3D(i.x, i.y, i.z), hash3D(x1, i.y, i.z));
+    float nx10 = lerp(u.x, hash3D(i.x, y1, i.z), hash3D(x1, y1, i.z));
+    float nx01 = lerp(u.x, hash3D(i.x, i.y, z1), hash3D(x1, i.y, z1));
+    float nx11 = lerp(u.x, hash3D(i.x, y1, z1), hash3D(x1, y1, z1));
+    
+    float n = lerp(u.z, lerp(u.y, nx00, nx10), lerp(u.y, nx01, nx11));
+    return 2.0 * n - 1.0;
+}
+
+// One w layer of a 4D value noise cell: the 8 corners blended along x, y and z
+// i, j: lower and upper lattice corners, w: lattice w of the layer
+float valueNoise4DLayer(ivec3 i, ivec3 j, int w, vec3 u) {
+    float nx00 = lerp(u.x, hash4D(i.x, i.y, i.z, w), hash4D(j.x, i.y, i.z, w));
+    float nx10 = lerp(u.x, hash4D(i.x, j.y, i.z, w), hash4D(j.x, j.y, i.z, w));
+    float nx01 = lerp(u.x, hash4D(i.x, i.y, j.z, w), hash4D(j.x, i.y, j.z, w));
+    float nx11 = lerp(u.x, hash4D(i.x, j.y, j.z, w), hash4D(j.x, j.y, j.z, w));
+    
+    return lerp(u.z, lerp(u.y, nx00, nx10), lerp(u.y, nx01, nx11));
+}
+
+// 4D value noise repeating every `period` cells, returns roughly -1.0..1.0
+// Scaled up slightly so its spread matches 3D value noise
+float valueNoise4D(vec4 p, ivec4 period) {
+    ivec4 i = wrapLattice(ivec4(floor(p)), period);
+    ivec4 j = wrapLattice(i + 1, period);
+    vec4 f = fract(p);
+    
+    vec3 u = vec3(fade(f.x), fade(f.y), fade(f.z));
+    float n = lerp(fade(f.w), valueNoise4DLayer(i.xyz, j.xyz, i.w, u), valueNoise4DLayer(i.xyz, j.xyz, j.w, u));
+    return 1.1 * (2.0 * n - 1.0);
+}
+
+// Value noise wrapping at the hash table size
+float valueNoise2D(vec2 p) {
+    return valueNoise2D(p, ivec2(B));
+}
+
+float valueNoise3D(vec3 p) {
+    return valueNoise3D(p, ivec3(B));
+}
+
+float valueNoise4D(vec4 p) {
+    return valueNoise4D(p, ivec4(B));
+}
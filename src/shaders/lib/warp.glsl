@@ -0,0 +1,127 @@
+// Domain warp layer: recursive fbm-of-fbm warping of the sample position
+// The warp noise type's chunk, included by field.glsl after the fractal library;
+// u_warpDepth 0 switches it off
+
+// Warp uniforms
+uniform float u_warpStrength;
+uniform int u_warpType;       // 0: multiply, 1: additive, 2: exponent, 3: log
+uniform int u_warpDepth;      // Recursion depth (0 disables warping)
+uniform float u_warpFrequency; // Frequency of the warp field
+uniform int u_warpOctaves;    // Octaves of the warp field
+
+// Scale applied to the warp field before displacing (as in Inigo Quilez's fbm-of-fbm)
+const float WARP_SCALE = 4.0;
+
+// Shape one component of a warp displacement according to u_warpType
+// q: raw warp field component, m: modulating noise (used by multiply)
+float shapeWarp(float q, float m) {
+    if (u_warpType == 0) {
+        // Multiply - displacement modulated by a second noise field
+        return q * m * 2.0;
+    } else if (u_warpType == 2) {
+        // Exponent - exaggerates strong displacements
+        return sign(q) * (exp(2.0 * abs(q)) - 1.0) * 0.5;
+    } else if (u_warpType == 3) {
+        // Logarithmic - compresses strong displacements, lifts weak ones
+        return sign(q) * log(1.0 + 4.0 * abs(q)) * 0.5;
+    }
+    
+    // Additive - plain displacement
+    return q;
+}
+
+// Shape a 2D warp displacement per component
+vec2 shapeWarp(vec2 q, float m) {
+    return vec2(shapeWarp(q.x, m), shapeWarp(q.y, m));
+}
+
+// Shape a 3D warp displacement per component
+vec3 shapeWarp(vec3 q, float m) {
+    return vec3(shapeWarp(q.x, m), shapeWarp(q.y, m), shapeWarp(q.z, m));
+}
+
+// Shape a 4D warp displacement per component
+vec4 shapeWarp(vec4 q, float m) {
+    return vec4(shapeWarp(q.x, m), shapeWarp(q.y, m), shapeWarp(q.z, m), shapeWarp(q.w, m));
+}
+
+// Recursive 2D domain warp: p + f(p + f(p + ...))
+vec2 domainWarp2D(vec2 p) {
+    if (u_warpDepth <= 0 || u_warpStrength <= 0.0) return p;
+    
+    // Modulator for multiply mode, sampled once from an unrelated region
+    float m = u_warpType == 0
+        ? fractalNoise2D(p + vec2(31.7, 17.3), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN)
+        : 1.0;
+    
+    vec2 warped = p;
+    
+    // Limit recursion to 4 levels to bound the cost (2 fbm per level)
+    for (int i = 0; i < 4; i++) {
+        if (i >= u_warpDepth) break;
+        
+        // Offset each level so the x and y fields are decorrelated
+        vec2 o = vec2(float(i) * 5.2, float(i) * 1.3);
+        vec2 q = vec2(
+            fractalNoise2D(warped + o, u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN),
+            fractalNoise2D(warped + o + vec2(8.3, 2.8), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN)
+        );
+        
+        warped = p + WARP_SCALE * u_warpStrength * shapeWarp(q, m);
+    }
+    
+    return warped;
+}
+
+// Recursive 3D domain warp
+vec3 domainWarp3D(vec3 p) {
+    if (u_warpDepth <= 0 || u_warpStrength <= 0.0) return p;
+    
+    float m = u_warpType == 0
+        ? fractalNoise3D(p + vec3(31.7, 17.3, 5.9), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN)
+        : 1.0;
+    
+    vec3 warped = p;
+    
+    for (int i = 0; i < 4; i++) {
+        if (i >= u_warpDepth) break;
+        
+        vec3 o = vec3(float(i) * 5.2, float(i) * 1.3, float(i) * 3.7);
+        vec3 q = vec3(
+            fractalNoise3D(warped + o, u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN),
+            fractalNoise3D(warped + o + vec3(8.3, 2.8, 4.1), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN),
+            fractalNoise3D(warped + o + vec3(1.9, 7.4, 9.6), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN)
+        );
+        
+        warped = p + WARP_SCALE * u_warpStrength * shapeWarp(q, m);
+    }
+    
+    return warped;
+}
+
+// Recursive 4D domain warp (the looping time axis is z and w)
+vec4 domainWarp4D(vec4 p) {
+    if (u_warpDepth <= 0 || u_warpStrength <= 0.0) return p;
+    
+    float m = u_warpType == 0
+        ? fractalNoise4D(p + vec4(31.7, 17.3, 5.9, 11.3), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN)
+        : 1.0;
+    
+    vec4 warped = p;
+    
+    for (int i = 0; i < 4; i++) {
+        if (i >= u_warpDepth) break;
+        
+        vec4 o = vec4(float(i) * 5.2, float(i) * 1.3, float(i) * 3.7, float(i) * 2.9);
+        vec4 q = vec4(
+            fractalNoise4D(warped + o, u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN),
+            fractalNoise4D(warped + o + vec4(8.3, 2.8, 4.1, 6.2), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN),
+            fractalNoise4D(warped + o + vec4(1.9, 7.4, 9.6, 3.3), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN),
+            fractalNoise4D(warped + o + vec4(6.6, 4.5, 2.2, 8.8), u_warpOctaves, u_warpFrequency, 1.0, NOISE_PERLIN)
+        );
+        
+        warped = p + WARP_SCALE * u_warpStrength * shapeWarp(q, m);
+    }
+    
+    return warped;
+}
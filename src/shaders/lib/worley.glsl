@@ -0,0 +1,115 @@
+// Worley (cellular) noise library: distances to the nearest jittered feature points
+// Requires <perlin> for the hash functions
+
+// Distance metrics
+const int WORLEY_EUCLIDEAN = 0;
+const int WORLEY_MANHATTAN = 1;
+const int WORLEY_CHEBYSHEV = 2;
+
+// Outputs
+const int WORLEY_F1 = 0;       // Distance to the nearest point (cells)
+const int WORLEY_F2 = 1;       // Distance to the second nearest point
+const int WORLEY_F2_F1 = 2;    // Difference of the two (cell edges)
+
+// Feature point of a lattice cell, jittered within the cell
+// The jitter repeats every `period` cells, so the pattern tiles on that period
+vec2 worleyPoint2D(ivec2 cell, ivec2 period) {
+    ivec2 c = wrapLattice(cell, period);
+    return vec2(cell) + vec2(hash3D(c.x, c.y, 0), hash3D(c.x, c.y, 1));
+}
+
+vec3 worleyPoint3D(ivec3 cell, ivec3 period) {
+    ivec3 c = wrapLattice(cell, period);
+    
+    // Lattice index is 0..2^30; shift into disjoint ranges for each component
+    int k = c.x + B * (c.y + B * c.z);
+    return vec3(cell) + vec3(hash(k), hash(k + 0x40000000), hash(-k - 1));
+}
+
+// Length of an offset vector under the given metric
+float worleyDistance(vec2 d, int metric) {
+    d = abs(d);
+    if (metric == WORLEY_MANHATTAN) return d.x + d.y;
+    if (metric == WORLEY_CHEBYSHEV) return max(d.x, d.y);
+    return length(d);
+}
+
+float worleyDistance(vec3 d, int metric) {
+    d = abs(d);
+    if (metric == WORLEY_MANHATTAN) return d.x + d.y + d.z;
+    if (metric == WORLEY_CHEBYSHEV) return max(d.x, max(d.y, d.z));
+    return length(d);
+}
+
+// Keep the two smallest distances seen so far in f.x (F1) and f.y (F2)
+vec2 worleyInsert(vec2 f, float d) {
+    if (d < f.x) return vec2(d, f.x);
+    if (d < f.y) return vec2(f.x, d);
+    return f;
+}
+
+// Map the selected output to roughly -1.0..1.0
+float worleyOutput(vec2 f, int mode) {
+    if (mode == WORLEY_F2) return f.y * 1.5 - 1.0;
+    if (mode == WORLEY_F2_F1) return (f.y - f.x) * 2.5 - 1.0;
+    return f.x * 2.0 - 1.0;
+}
+
+// F1 and F2 distances of a 2D point
+vec2 worley2D(vec2 p, int metric, ivec2 period) {
+    ivec2 c = ivec2(floor(p));
+    vec2 f = vec2(8.0);
+    
+    // Search the 3x3 neighbourhood
+    for (int y = -1; y <= 1; y++) {
+        for (int x = -1; x <= 1; x++) {
+            f = worleyInsert(f, worleyDistance(p - worleyPoint2D(c + ivec2(x, y), period), metric));
+        }
+    }
+    
+    return f;
+}
+
+// F1 and F2 distances of a 3D point
+vec2 worley3D(vec3 p, int metric, ivec3 period) {
+    ivec3 c = ivec3(floor(p));
+    vec2 f = vec2(8.0);
+    
+    // Search the 3x3x3 neighbourhood
+    for (int z = -1; z <= 1; z++) {
+        for (int y = -1; y <= 1; y++) {
+            for (int x = -1; x <= 1; x++) {
+                f = worleyInsert(f, worleyDistance(p - worleyPoint3D(c + ivec3(x, y, z), period), metric));
+            }
+        }
+    }
+    
+    return f;
+}
+
+// 2D Worley noise with a selectable metric and output, roughly -1.0..1.0
+float worleyNoise2D(vec2 p, int metric, int mode, ivec2 period) {
+    return worleyOutput(worley2D(p, metric, period), mode);
+}
+
+float worleyNoise2D(vec2 p, int metric, int mode) {
+    return worleyNoise2D(p, metric, mode, ivec2(B));
+}
+
+// 3D Worley noise with a selectable metric and output, roughly -1.0..1.0
+float worleyNoise3D(vec3 p, int metric, int mode, ivec3 period) {
+    return worleyOutput(worley3D(p, metric, period), mode);
+}
+
+float worleyNoise3D(vec3 p, int metric, int mode) {
+    return worleyNoise3D(p, metric, mode, ivec3(B));
+}
+
+// Euclidean F1, as used before metrics and outputs were selectable
+float worleyNoise2D(vec2 p) {
+    return worleyNoise2D(p, WORLEY_EUCLIDEAN, WORLEY_F1);
+}
+
+float worleyNoise3D(vec3 p) {
+    return worleyNoise3D(p, WORLEY_EUCLIDEAN, WORLEY_F1);
+}
@@ -0,0 +1,149 @@
+/**
+ * Animation timeline for WebGL Noise Visualization
+ * Owns the animation clock: play/pause, frame steps and scrubbing, so a frame
+ * can be frozen and inspected (and exported) exactly.
+ */
+
+// Length of one step, in seconds
+const FRAME_STEP = 1 / 60;
+
+// Span of the scrub bar in seconds; it grows if playback runs past the end
+const SCRUB_RANGE = 60;
+
+export class Timeline {
+  /**
+   * Initialize the timeline
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements of the timeline panel
+   * @param {HTMLButtonElement} elements.play - Toggles playback
+   * @param {HTMLButtonElement} elements.stepBack - Steps one frame back
+   * @param {HTMLButtonElement} elements.stepForward - Steps one frame forward
+   * @param {HTMLInputElement} elements.scrub - Range input over the time
+   * @param {HTMLElement} elements.time - Shows the current time
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.elements = elements;
+
+    // Animation time in seconds
+    this.time = 0;
+    this.playing = true;
+
+    // Timestamp of the previous advance() call, null after a pause
+    this.lastTimestamp = null;
+
+    this.setupEventListeners();
+    this.updateDisplay();
+  }
+
+  /**
+   * Set up the buttons and the scrub bar
+   */
+  setupEventListeners() {
+    const { play, stepBack, stepForward, scrub } = this.elements;
+
+    if (play) {
+      play.addEventListener('click', () => this.setPlaying(!this.playing));
+    }
+
+    if (stepBack) {
+      stepBack.addEventListener('click', () => this.step(-1));
+    }
+
+    if (stepForward) {
+      stepForward.addEventListener('click', () => this.step(1));
+    }
+
+    if (scrub) {
+      // Scrubbing freezes the frame under the handle
+      scrub.addEventListener('input', () => {
+        this.setPlaying(false);
+        this.setTime(parseFloat(scrub.value));
+      });
+    }
+  }
+
+  /**
+   * Advance the clock to a frame timestamp (while playing)
+   * @param {number} timestamp - Frame timestamp in milliseconds (performance.now())
+   * @returns {number} Animation time in seconds
+   */
+  advance(timestamp) {
+    // The first animate() call comes without a timestamp
+    if (this.playing && Number.isFinite(timestamp)) {
+      if (this.lastTimestamp !== null) {
+        this.time += Math.max(timestamp - this.lastTimestamp, 0) / 1000.0;
+      }
+      this.lastTimestamp = timestamp;
+      this.updateDisplay();
+    }
+
+    return this.time;
+  }
+
+  /**
+   * Start or stop playback
+   * @param {boolean} playing - Whether time should run
+   */
+  setPlaying(playing) {
+    if (playing === this.playing) return;
+
+    this.playing = playing;
+    this.lastTimestamp = null;
+    this.updateDisplay();
+    this.changed();
+  }
+
+  /**
+   * Pause and move by whole frames
+   * @param {number} frames - Frames to move (negative steps back)
+   */
+  step(frames) {
+    this.setPlaying(false);
+    this.setTime(this.time + frames * FRAME_STEP);
+  }
+
+  /**
+   * Jump to a time
+   * @param {number} time - Animation time in seconds (clamped to >= 0)
+   */
+  setTime(time) {
+    if (!Number.isFinite(time)) return;
+
+    this.time = Math.max(time, 0);
+    this.lastTimestamp = null;
+    this.updateDisplay();
+    this.changed();
+  }
+
+  /**
+   * Redraw and record the new time
+   */
+  changed() {
+    this.app.markInteraction();
+
+    if (this.app.permalink) {
+      this.app.permalink.scheduleUpdate();
+    }
+  }
+
+  /**
+   * Show the current time and playback state in the panel
+   */
+  updateDisplay() {
+    const { play, scrub, time } = this.elements;
+
+    if (play) {
+      play.textContent = this.playing ? 'Pause' : 'Play';
+    }
+
+    if (scrub) {
+      scrub.max = Math.max(SCRUB_RANGE, Math.ceil(this.time));
+      scrub.value = this.time;
+    }
+
+    if (time) {
+      time.textContent = `${this.time.toFixed(3)} s`;
+    }
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Viewport navigation for WebGL Noise Visualization
+ * Drag to pan, wheel to zoom around the cursor, double-click to reset.
+ * Canvas input is ignored while disabled (in the 3D views the camera takes it).
+ * The view is uploaded as u_offset / u_zoom: a fragment at screen position s
+ * (shorter canvas side = 1.0) samples the noise at s / zoom + offset.
+ */
+
+// Zoom limits; far beyond these float precision in the shader breaks down
+export const MIN_ZOOM = 0.01;
+export const MAX_ZOOM = 1000;
+
+// Zoom factor per pixel of wheel movement
+const WHEEL_ZOOM_RATE = 1.0015;
+
+// Pixels per wheel "line" for mice that report lines instead of pixels
+const WHEEL_LINE_HEIGHT = 16;
+
+export class ViewNavigator {
+  /**
+   * Initialize viewport navigation
+   * @param {WebGLApp} app - The WebGL application instance
+   * @param {Object} elements - DOM elements used for navigation
+   * @param {HTMLCanvasElement} elements.canvas - Canvas receiving drag and wheel input
+   * @param {HTMLButtonElement} elements.reset - Resets pan and zoom
+   * @param {HTMLElement} elements.status - Shows the current zoom and offset
+   */
+  constructor(app, elements) {
+    this.app = app;
+    this.elements = elements;
+    this.enabled = true;
+
+    // Current view
+    this.offset = [0, 0];
+    this.zoom = 1;
+
+    // Active drag: pointer id and last position in screen units
+    this.drag = null;
+
+    this.setupEventListeners();
+    this.updateStatus();
+  }
+
+  /**
+   * Convert a client (CSS pixel) position to screen units, with y pointing up
+   * like v_texCoord
+   * @param {number} clientX - Pointer x in CSS pixels
+   * @param {number} clientY - Pointer y in CSS pixels
+   * @returns {Array<number>} Position with the shorter canvas side spanning 1.0
+   */
+  toScreenUnits(clientX, clientY) {
+    const rect = this.elements.canvas.getBoundingClientRect();
+    const size = Math.min(rect.width, rect.height) || 1;
+    return [(clientX - rect.left) / size, (rect.bottom - clientY) / size];
+  }
+
+  /**
+   * Set up drag, wheel and reset handling
+   */
+  setupEventListeners() {
+    const { canvas, reset } = this.elements;
+
+    if (canvas) {
+      canvas.addEventListener('pointerdown', (event) => {
+        if (!this.enabled || event.button !== 0) return;
+
+        this.drag = { id: event.pointerId, last: this.toScreenUnits(event.clientX, event.clientY) };
+        canvas.setPointerCapture(event.pointerId);
+        canvas.classList.add('panning');
+      });
+
+      canvas.addEventListener('pointermove', (event) => {
+        if (!this.drag || event.pointerId !== this.drag.id) return;
+
+        const position = this.toScreenUnits(event.clientX, event.clientY);
+        this.pan(position[0] - this.drag.last[0], position[1] - this.drag.last[1]);
+        this.drag.last = position;
+      });
+
+      const endDrag = (event) => {
+        if (!this.drag || event.pointerId !== this.drag.id) return;
+
+        this.drag = null;
+        canvas.classList.remove('panning');
+      };
+      canvas.addEventListener('pointerup', endDrag);
+      canvas.addEventListener('pointercancel', endDrag);
+
+      // Not passive, so the page does not scroll or pinch-zoom as well
+      canvas.addEventListener('wheel', (event) => {
+        if (!this.enabled) return;
+        event.preventDefault();
+
+        const delta = event.deltaMode === 1 ? event.deltaY * WHEEL_LINE_HEIGHT : event.deltaY;
+        this.zoomAt(this.toScreenUnits(event.clientX, event.clientY), Math.pow(WHEEL_ZOOM_RATE, -delta));
+      }, { passive: false });
+
+      canvas.addEventListener('dblclick', () => {
+        if (this.enabled) this.reset();
+      });
+    }
+
+    if (reset) {
+      reset.addEventListener('click', () => this.reset());
+    }
+  }
+
+  /**
+   * Move the view by a distance on screen (the noise follows the pointer)
+   * @param {number} dx - Horizontal distance in screen units
+   * @param {number} dy - Vertical distance in screen units
+   */
+  pan(dx, dy) {
+    this.offset = [this.offset[0] - dx / this.zoom, this.offset[1] - dy / this.zoom];
+    this.changed();
+  }
+
+  /**
+   * Zoom while keeping the noise under a screen position in place
+   * @param {Array<number>} point - Fixed point in screen units
+   * @param {number} factor - Zoom multiplier (> 1 zooms in)
+   */
+  zoomAt(point, factor) {
+    const zoom = Math.min(Math.max(this.zoom * factor, MIN_ZOOM), MAX_ZOOM);
+
+    this.offset = [
+      this.offset[0] + point[0] / this.zoom - point[0] / zoom,
+      this.offset[1] + point[1] / this.zoom - point[1] / zoom
+    ];
+    this.zoom = zoom;
+    this.changed();
+  }
+
+  /**
+   * Set the view directly (e.g. from a permalink); invalid parts are ignored
+   * and the zoom is clamped
+   * @param {Array<number>} offset - Pan in noise units
+   * @param {number} zoom - Zoom factor
+   */
+  setView(offset, zoom) {
+    if (Array.isArray(offset) && offset.length === 2 && offset.every(Number.isFinite)) {
+      this.offset = [offset[0], offset[1]];
+    }
+    if (Number.isFinite(zoom) && zoom > 0) {
+      this.zoom = Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+    }
+    this.changed();
+  }
+
+  /**
+   * Return to the unpanned, unzoomed view
+   */
+  reset() {
+    this.setView([0, 0], 1);
+  }
+
+  /**
+   * Redraw and record the new view
+   */
+  changed() {
+    this.updateStatus();
+    this.app.markInteraction();
+
+    if (this.app.permalink) {
+      this.app.permalink.scheduleUpdate();
+    }
+  }
+
+  /**
+   * Show the current zoom and offset in the panel
+   */
+  updateStatus() {
+    if (this.elements.status) {
+      this.elements.status.textContent =
+        `Zoom ${this.zoom.toFixed(2)}× · Offset ${this.offset[0].toFixed(2)}, ${this.offset[1].toFixed(2)}`;
+    }
+  }
+
+  /**
+   * Upload the view uniforms to the current program
+   * @param {WebGL2RenderingContext} gl - The WebGL context
+   * @param {Object} locations - Uniform locations of the current program
+   */
+  uploadUniforms(gl, locations) {
+    if (locations.offset) {
+      gl.uniform2f(locations.offset, this.offset[0], this.offset[1]);
+    }
+    if (locations.zoom) {
+      gl.uniform1f(locations.zoom, this.zoom);
+    }
+  }
+}
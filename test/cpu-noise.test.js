@@ -0,0 +1,436 @@
+/**
+ * Tests of the CPU noise reference (src/cpu/noise.js)
+ *
+ * - The integer hash against an independent BigInt version that wraps every
+ *   operation to 32 bits, as GLSL highp ints and unchecked C# ints do
+ * - noise1D/2D/3D and the fBm sums against a port of the C# reference in
+ *   src/shaders/Example/perlin_example.cs. Its permutation table comes from
+ *   UnityEngine.Random and cannot be rebuilt here, so the port takes the lattice
+ *   gradients from the shader's hash; the cell lookup, fade curve,
+ *   interpolation, output scales and octave loop are the C# code
+ * - Golden values for fixed seeds and positions, so any change to the output
+ *   of the shader noise shows up here (update them only with the GLSL)
+ * - Tiling and finiteness
+ *
+ * Run with `npm test`.
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CpuNoise, B, fade, lerp, gradDot2D, grad3,
+  NOISE_PERLIN, NOISE_SIMPLEX, NOISE_VALUE, NOISE_WORLEY, NOISE_GABOR,
+  FRACTAL_FBM, FRACTAL_TURBULENCE, FRACTAL_BILLOW, FRACTAL_RIDGED, FRACTAL_HYBRID
+} from '../src/cpu/noise.js';
+
+const f32 = Math.fround;
+
+/**
+ * The shader hash with every int operation wrapped to 32 bits explicitly
+ * @param {number} x - Input (int)
+ * @param {number} seed - u_seed
+ * @returns {number} Hash (0.0 - 1.0)
+ */
+function referenceHash(x, seed) {
+  const int = value => BigInt.asIntN(32, value);
+
+  let n = int(BigInt(x) ^ int(BigInt(seed) * 1103515245n));
+  n = int(int(n << 13n) ^ n);
+  const h = int(int(n * int(int(int(n * n) * 15731n) + 789221n)) + 1376312589n) & 0x7fffffffn;
+
+  return f32(f32(Number(h)) / f32(0x7fffffff));
+}
+
+/**
+ * Hash input of lattice coordinates (x + B * (y + B * (z + B * w))), wrapped to 32 bits
+ * @param {Array<number>} c - Lattice coordinates
+ * @returns {number} Hash input (int)
+ */
+function referenceLatticeIndex(c) {
+  let index = 0n;
+  for (let axis = c.length - 1; axis >= 0; axis--) {
+    index = BigInt.asIntN(32, BigInt(c[axis]) + BigInt(B) * index);
+  }
+  return Number(index);
+}
+
+/**
+ * Port of the C# PerlinNoise helpers and noise functions; every float operation
+ * is rounded to 32 bits like C# floats
+ * @param {Function} gradient1 - (ix, fx) => gradient term of a 1D lattice point
+ * @param {Function} gradient2 - (ix, iy, fx, fy) => gradient term of a 2D lattice point
+ * @param {Function} gradient3 - (ix, iy, iz, fx, fy, fz) => gradient term of a 3D lattice point
+ * @returns {Object} Noise1D, Noise2D, Noise3D, FractalNoise2D and FractalNoise3D
+ */
+function csharpPerlin(gradient1, gradient2, gradient3) {
+  const FADE = t => f32(f32(f32(t * t) * t) * f32(f32(t * f32(f32(t * 6.0) - 15.0)) + 10.0));
+  const LERP = (t, a, b) => f32(a + f32(t * f32(b - a)));
+  const mask = B - 1;
+
+  const Noise1D = x => {
+    let ix0 = Math.floor(x);
+    const fx0 = f32(x - ix0);
+    const fx1 = f32(fx0 - 1.0);
+    const ix1 = (ix0 + 1) & mask;
+    ix0 = ix0 & mask;
+
+    const s = FADE(fx0);
+    const n0 = gradient1(ix0, fx0);
+    const n1 = gradient1(ix1, fx1);
+    return f32(0.188 * LERP(s, n0, n1));
+  };
+
+  const Noise2D = (x, y) => {
+    let ix0 = Math.floor(x);
+    let iy0 = Math.floor(y);
+    const fx0 = f32(x - ix0);
+    const fy0 = f32(y - iy0);
+    const fx1 = f32(fx0 - 1.0);
+    const fy1 = f32(fy0 - 1.0);
+    const ix1 = (ix0 + 1) & mask;
+    const iy1 = (iy0 + 1) & mask;
+    ix0 = ix0 & mask;
+    iy0 = iy0 & mask;
+
+    const t = FADE(fy0);
+    const s = FADE(fx0);
+
+    const n0 = LERP(t, gradient2(ix0, iy0, fx0, fy0), gradient2(ix0, iy1, fx0, fy1));
+    const n1 = LERP(t, gradient2(ix1, iy0, fx1, fy0), gradient2(ix1, iy1, fx1, fy1));
+    return f32(0.507 * LERP(s, n0, n1));
+  };
+
+  // The shader scales 3D Perlin by 0.66 where the C# uses 0.936
+  const Noise3D = (x, y, z, scale = 0.936) => {
+    const i0 = [x, y, z].map(Math.floor);
+    const f0 = [x, y, z].map((value, axis) => f32(value - i0[axis]));
+    const f1 = f0.map(value => f32(value - 1.0));
+    const i1 = i0.map(value => (value + 1) & mask);
+    const [ix0, iy0, iz0] = i0.map(value => value & mask);
+    const [ix1, iy1, iz1] = i1;
+    const [fx0, fy0, fz0] = f0;
+    const [fx1, fy1, fz1] = f1;
+
+    const r = FADE(fz0);
+    const t = FADE(fy0);
+    const s = FADE(fx0);
+
+    let nx0 = LERP(r, gradient3(ix0, iy0, iz0, fx0, fy0, fz0), gradient3(ix0, iy0, iz1, fx0, fy0, fz1));
+    let nx1 = LERP(r, gradient3(ix0, iy1, iz0, fx0, fy1, fz0), gradient3(ix0, iy1, iz1, fx0, fy1, fz1));
+    const n0 = LERP(t, nx0, nx1);
+
+    nx0 = LERP(r, gradient3(ix1, iy0, iz0, fx1, fy0, fz0), gradient3(ix1, iy0, iz1, fx1, fy0, fz1));
+    nx1 = LERP(r, gradient3(ix1, iy1, iz0, fx1, fy1, fz0), gradient3(ix1, iy1, iz1, fx1, fy1, fz1));
+    const n1 = LERP(t, nx0, nx1);
+
+    return f32(scale * LERP(s, n0, n1));
+  };
+
+  const FractalNoise2D = (x, y, octNum, frq, amp) => {
+    let gain = 1.0;
+    let sum = 0.0;
+    for (let i = 0; i < octNum; i++) {
+      sum = f32(sum + f32(Noise2D(f32(f32(x * gain) / frq), f32(f32(y * gain) / frq)) * amp / gain));
+      gain = f32(gain * 2.0);
+    }
+    return sum;
+  };
+
+  const FractalNoise3D = (x, y, z, octNum, frq, amp, scale) => {
+    let gain = 1.0;
+    let sum = 0.0;
+    for (let i = 0; i < octNum; i++) {
+      const [qx, qy, qz] = [x, y, z].map(value => f32(f32(value * gain) / frq));
+      sum = f32(sum + f32(Noise3D(qx, qy, qz, scale) * amp / gain));
+      gain = f32(gain * 2.0);
+    }
+    return sum;
+  };
+
+  return { FADE, LERP, Noise1D, Noise2D, Noise3D, FractalNoise2D, FractalNoise3D };
+}
+
+/**
+ * Assert that two numbers agree to float precision
+ * @param {number} actual - Value under test
+ * @param {number} expected - Reference value
+ * @param {string} message - What is compared
+ * @param {number} precision - Allowed difference relative to the value (at least 1.0)
+ */
+function assertClose(actual, expected, message, precision = 1e-6) {
+  const tolerance = precision * Math.max(1, Math.abs(expected));
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} != ${expected}`);
+}
+
+// Positions that cross cell borders, negative coordinates and the lattice wrap at B
+const POSITIONS = [
+  [0.25, 0.75, 0.5, 0.1],
+  [3.7, -1.2, 8.1, -2.6],
+  [-12.3, 40.9, -0.001, 7.5],
+  [1023.5, 1024.25, -1024.75, 2047.9],
+  [100000.3, -65536.6, 31.01, 0.0]
+];
+
+const SEEDS = [0, 1, 1234, -987654, 2147483647];
+
+describe('hash', () => {
+  // Inputs whose products overflow 32 bits (x * x from 46341 on, the shift for any large x)
+  const inputs = [0, 1, -1, 7, 46340, 46341, 65536, 1 << 20, 2147483647, -2147483648, -123456789];
+
+  test('matches a 32-bit wrapping reference for every seed', () => {
+    SEEDS.forEach(seed => {
+      const noise = new CpuNoise({ seed });
+      inputs.forEach(x => {
+        assert.equal(noise.hash(x), referenceHash(x, seed), `hash(${x}) with seed ${seed}`);
+      });
+    });
+  });
+
+  test('stays in 0.0 - 1.0', () => {
+    const noise = new CpuNoise({ seed: 99 });
+    for (let x = -5000; x < 5000; x += 7) {
+      const h = noise.hash(x * 104729);
+      assert.ok(h >= 0 && h <= 1, `hash(${x * 104729}) = ${h}`);
+    }
+  });
+
+  test('lattice hashes wrap their index like highp ints', () => {
+    const noise = new CpuNoise({ seed: 1234 });
+    const lattice = [[3, 5], [-1, 4194304], [1023, -1024, 4096], [5, 6, 7, 4194303], [-2, 2048, -4096, 1 << 21]];
+
+    lattice.forEach(c => {
+      const name = `hash${c.length}D`;
+      assert.equal(noise[name](...c), referenceHash(referenceLatticeIndex(c), 1234), `${name}(${c})`);
+    });
+  });
+
+  test('a different seed gives a different hash', () => {
+    assert.notEqual(new CpuNoise({ seed: 1 }).hash(42), new CpuNoise({ seed: 2 }).hash(42));
+  });
+});
+
+describe('C# reference (perlin_example.cs)', () => {
+  const noise = new CpuNoise({ seed: 1234 });
+
+  // The shader's lattice gradients, in the shape of the C# GRAD functions
+  const csharp = csharpPerlin(
+    (ix, fx) => f32(fx * f32(f32(2.0 * noise.hash(ix)) - 1.0)),
+    (ix, iy, fx, fy) => gradDot2D(noise.hash2D(ix, iy), [fx, fy]),
+    (ix, iy, iz, fx, fy, fz) => {
+      const g = grad3(noise.hash3D(ix, iy, iz));
+      return f32(g[0] * fx + g[1] * fy + g[2] * fz);
+    }
+  );
+
+  test('fade and lerp follow FADE and LERP', () => {
+    for (let t = 0; t <= 1; t += 1 / 64) {
+      assertClose(fade(f32(t)), csharp.FADE(f32(t)), `fade(${t})`);
+      assertClose(lerp(f32(t), -0.3, 0.8), csharp.LERP(f32(t), f32(-0.3), f32(0.8)), `lerp(${t})`);
+    }
+  });
+
+  test('noise1D follows Noise1D', () => {
+    POSITIONS.forEach(([x]) => {
+      assertClose(noise.noise1D(x), csharp.Noise1D(x), `noise1D(${x})`);
+    });
+  });
+
+  test('noise2D follows Noise2D', () => {
+    POSITIONS.forEach(([x, y]) => {
+      assertClose(noise.noise2D([x, y]), csharp.Noise2D(x, y), `noise2D(${x}, ${y})`);
+    });
+  });
+
+  test('noise3D follows Noise3D with the shader scale', () => {
+    POSITIONS.forEach(([x, y, z]) => {
+      assertClose(noise.noise3D([x, y, z]), csharp.Noise3D(x, y, z, 0.66), `noise3D(${x}, ${y}, ${z})`);
+    });
+  });
+
+  test('noise is zero on the lattice, like the C# noise', () => {
+    [[0, 0, 0], [5, -3, 17], [1023, 1024, -1]].forEach(([x, y, z]) => {
+      assertClose(noise.noise1D(x), 0, `noise1D(${x})`);
+      assertClose(noise.noise2D([x, y]), 0, `noise2D(${x}, ${y})`);
+      assertClose(noise.noise3D([x, y, z]), 0, `noise3D(${x}, ${y}, ${z})`);
+      assertClose(csharp.Noise2D(x, y), 0, `Noise2D(${x}, ${y})`);
+    });
+  });
+
+  test('fBm follows FractalNoise2D and FractalNoise3D', () => {
+    POSITIONS.forEach(([x, y, z]) => {
+      [[1, 1.0, 1.0], [4, 0.5, 0.8], [6, 2.5, 1.3]].forEach(([octaves, frequency, amplitude]) => {
+        assertClose(
+          noise.fractal2D([x, y], octaves, frequency, amplitude, NOISE_PERLIN, FRACTAL_FBM, 2.0, 0.5),
+          csharp.FractalNoise2D(x, y, octaves, frequency, amplitude),
+          `fractal2D(${x}, ${y}) with ${octaves} octaves`
+        );
+        assertClose(
+          noise.fractal3D([x, y, z], octaves, frequency, amplitude, NOISE_PERLIN, FRACTAL_FBM, 2.0, 0.5),
+          csharp.FractalNoise3D(x, y, z, octaves, frequency, amplitude, 0.66),
+          `fractal3D(${x}, ${y}, ${z}) with ${octaves} octaves`
+        );
+      });
+    });
+  });
+});
+
+describe('golden values', () => {
+  // Output of the shader noise at fixed positions; fractal arguments are
+  // (octaves, frequency, amplitude, algorithm, mode, lacunarity, persistence)
+  const GOLDEN = {
+    0: {
+      hash: [0.6408954858779907, 0.6131865382194519, 0.44273027777671814, 0.4907984435558319, 0.04993685707449913, 0.6408954858779907],
+      hash2D: [0.688421368598938, 0.04993685707449913],
+      hash3D: [0.958929181098938, 0.3823791444301605],
+      hash4D: [0.6755015254020691],
+      noise1D: [0.008569122292101383, 0.03316878527402878, 0.05303197354078293],
+      noise2D: [-0.139837384223938, 0.11999165266752243, -0.05458753928542137],
+      noise3D: [-0.21670004725456238, 0.07499440014362335],
+      noise4D: [-0.1952526718378067, -0.10128027945756912],
+      fractal2D: [0.08636800199747086, -0.9474586248397827],
+      fractal3D: [0.10032843053340912, 0.10053368657827377],
+      fractal4D: [0.11589857935905457]
+    },
+    1234: {
+      hash: [0.001031349878758192, 0.78643798828125, 0.09955010563135147, 0.2099241316318512, 0.36682820320129395, 0.001031349878758192],
+      hash2D: [0.3363068997859955, 0.36682820320129395],
+      hash3D: [0.6107209920883179, 0.1796858310699463],
+      hash4D: [0.29981422424316406],
+      noise1D: [-0.050409380346536636, 0.03337020054459572, -0.009103162214159966],
+      noise2D: [-0.03305433690547943, -0.0258204136043787, 0.07691185921430588],
+      noise3D: [-0.07862122356891632, 0.16514448821544647],
+      noise4D: [-0.1034727692604065, 0.2842733860015869],
+      fractal2D: [-0.1595144122838974, -0.933142900466919],
+      fractal3D: [-0.2917094826698303, 0.04359538480639458],
+      fractal4D: [-0.20917858183383942]
+    }
+  };
+
+  Object.entries(GOLDEN).forEach(([seed, expected]) => {
+    test(`seed ${seed}`, () => {
+      const n = new CpuNoise({ seed: Number(seed) });
+      const actual = {
+        hash: [0, 1, 46341, -7, 2147483647, -2147483648].map(x => n.hash(x)),
+        hash2D: [n.hash2D(3, 5), n.hash2D(-1, 4194304)],
+        hash3D: [n.hash3D(3, 5, 7), n.hash3D(1023, -1024, 4096)],
+        hash4D: [n.hash4D(1, 2, 3, 4)],
+        noise1D: [0.25, 3.7, -12.3].map(x => n.noise1D(x)),
+        noise2D: [[0.25, 0.75], [3.7, -1.2], [-12.3, 40.9]].map(p => n.noise2D(p)),
+        noise3D: [[0.25, 0.75, 0.5], [3.7, -1.2, 8.1]].map(p => n.noise3D(p)),
+        noise4D: [[0.25, 0.75, 0.5, 0.1], [3.7, -1.2, 8.1, -2.6]].map(p => n.noise4D(p)),
+        fractal2D: [
+          n.fractal2D([0.3, 0.6], 6, 0.5, 1, NOISE_PERLIN, FRACTAL_FBM, 2, 0.5),
+          n.fractal2D([0.3, 0.6], 5, 0.5, 1, NOISE_SIMPLEX, FRACTAL_RIDGED, 2.1, 0.55)
+        ],
+        fractal3D: [
+          n.fractal3D([0.3, 0.6, 0.9], 6, 0.5, 1, NOISE_PERLIN, FRACTAL_FBM, 2, 0.5),
+          n.fractal3D([0.3, 0.6, 0.9], 4, 0.8, 0.7, NOISE_VALUE, FRACTAL_FBM, 2, 0.5)
+        ],
+        fractal4D: [n.fractal4D([0.3, 0.6, 0.9, 1.2], 6, 0.5, 1, NOISE_PERLIN, FRACTAL_FBM, 2, 0.5)]
+      };
+
+      Object.keys(expected).forEach(name => {
+        actual[name].forEach((value, i) => assertClose(value, expected[name][i], `${name}[${i}]`));
+      });
+    });
+  });
+});
+
+describe('tiling', () => {
+  test('noise repeats with the lattice period', () => {
+    const noise = new CpuNoise({ seed: 7 });
+    const period = [4, 4, 4, 4];
+
+    POSITIONS.forEach(p => {
+      const shifted = p.map((value, axis) => value + period[axis] * (axis + 1));
+      assert.equal(noise.noise2D(p.slice(0, 2), period), noise.noise2D(shifted.slice(0, 2), period));
+      assert.equal(noise.noise3D(p.slice(0, 3), period), noise.noise3D(shifted.slice(0, 3), period));
+      assert.equal(noise.noise4D(p, period), noise.noise4D(shifted, period));
+      assert.equal(noise.valueNoise2D(p.slice(0, 2), period), noise.valueNoise2D(shifted.slice(0, 2), period));
+    });
+  });
+
+  test('periodic simplex noise repeats with the lattice period', () => {
+    const noise = new CpuNoise({ seed: 7 });
+    const period = [4, 3, 5, 4];
+
+    // Positions away from the float precision limits; 4D simplex does not repeat in w
+    POSITIONS.slice(0, 3).forEach(p => {
+      const shifted = p.map((value, axis) => (axis < 3 ? value + period[axis] * (axis - 1) : value));
+      assertClose(noise.simplexNoise2D(shifted.slice(0, 2), period), noise.simplexNoise2D(p.slice(0, 2), period), `simplexNoise2D(${p})`, 1e-5);
+      assertClose(noise.simplexNoise3D(shifted.slice(0, 3), period), noise.simplexNoise3D(p.slice(0, 3), period), `simplexNoise3D(${p})`, 1e-5);
+      assertClose(noise.simplexNoise4D(shifted, period), noise.simplexNoise4D(p, period), `simplexNoise4D(${p})`, 1e-5);
+    });
+  });
+
+  test('periodic simplex noise is continuous', () => {
+    const noise = new CpuNoise({ seed: 3 });
+    const period = [6, 6, 6, B];
+    const step = 1e-4;
+
+    // A kernel reaching past its simplex would jump at the simplex borders
+    for (let i = 0; i < 500; i++) {
+      const p = [i * 0.0537, i * 0.0291, i * 0.0173, i * 0.0119].map(value => value % 6);
+      const q = p.map(value => value + step);
+      [
+        [noise.simplexNoise2D(p.slice(0, 2), period), noise.simplexNoise2D(q.slice(0, 2), period)],
+        [noise.simplexNoise3D(p.slice(0, 3), period), noise.simplexNoise3D(q.slice(0, 3), period)],
+        [noise.simplexNoise4D(p, period), noise.simplexNoise4D(q, period)]
+      ].forEach(([a, b], dimension) => {
+        assert.ok(Math.abs(a - b) < 0.005, `${dimension + 2}D at ${p}: ${a} -> ${b}`);
+      });
+    }
+  });
+
+  test('tileable fractals repeat on the unit square', () => {
+    const noise = new CpuNoise({ seed: 7, tileable: true });
+
+    // The shifted positions are scaled by the cell count in float, so the last bits differ
+    const precision = 1e-5;
+
+    [NOISE_PERLIN, NOISE_SIMPLEX, NOISE_VALUE, NOISE_WORLEY, NOISE_GABOR].forEach(algorithm => {
+      [[0.1, 0.2], [0.73, 0.41]].forEach(([x, y]) => {
+        const args = [5, 0.4, 1.0, algorithm, FRACTAL_FBM, 2.0, 0.5];
+        const a = noise.fractal2D([x, y], ...args);
+        assertClose(noise.fractal2D([x + 1, y], ...args), a, `fractal2D x + 1, algorithm ${algorithm}`, precision);
+        assertClose(noise.fractal2D([x, y - 1], ...args), a, `fractal2D y - 1, algorithm ${algorithm}`, precision);
+
+        // z is the time axis in 3D; in 4D z repeats and w is time
+        assertClose(noise.fractal3D([x + 1, y + 1, 0.3], ...args), noise.fractal3D([x, y, 0.3], ...args), `fractal3D, algorithm ${algorithm}`, precision);
+        assertClose(noise.fractal4D([x, y + 1, 1.5, 0.3], ...args), noise.fractal4D([x, y, 0.5, 0.3], ...args), `fractal4D, algorithm ${algorithm}`, precision);
+      });
+    });
+  });
+});
+
+describe('finiteness', () => {
+  const algorithms = [NOISE_PERLIN, NOISE_SIMPLEX, NOISE_VALUE, NOISE_WORLEY, NOISE_GABOR];
+  const modes = [FRACTAL_FBM, FRACTAL_TURBULENCE, FRACTAL_BILLOW, FRACTAL_RIDGED, FRACTAL_HYBRID];
+
+  test('every algorithm and mode gives finite values in range', () => {
+    SEEDS.forEach(seed => {
+      const noise = new CpuNoise({ seed });
+      POSITIONS.forEach(p => {
+        assert.ok(Math.abs(noise.noise1D(p[0])) <= 0.5);
+        assert.ok(Math.abs(noise.noise2D(p.slice(0, 2))) <= 1.0);
+        assert.ok(Math.abs(noise.noise3D(p.slice(0, 3))) <= 1.0);
+        assert.ok(Math.abs(noise.noise4D(p)) <= 1.0);
+
+        algorithms.forEach(algorithm => {
+          modes.forEach(mode => {
+            const args = [8, 0.7, 1.0, algorithm, mode, 2.0, 0.5];
+            [noise.fractal2D(p.slice(0, 2), ...args), noise.fractal3D(p.slice(0, 3), ...args), noise.fractal4D(p, ...args)].forEach(value => {
+              assert.ok(Number.isFinite(value), `algorithm ${algorithm}, mode ${mode}, seed ${seed}: ${value}`);
+              assert.ok(Math.abs(value) <= 4.0, `algorithm ${algorithm}, mode ${mode}, seed ${seed}: ${value}`);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  test('octave counts past the shader limit are capped, not looped forever', () => {
+    const noise = new CpuNoise({ fractalCutoff: 0 });
+    const value = noise.fractal2D([0.3, 0.6], 1e9, 0.5, 1.0, NOISE_PERLIN, FRACTAL_FBM, 2.0, 1.0);
+    assert.ok(Number.isFinite(value));
+  });
+});
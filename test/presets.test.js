@@ -0,0 +1,72 @@
+/**
+ * Tests of the preset checks (src/presets.js): the noise type and feature flags
+ * validatePreset() accepts, completes or rejects before a preset is applied
+ *
+ * Run with `npm test`.
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePreset, PRESET_SCHEMA_VERSION } from '../src/presets.js';
+import { noiseTypes, noiseTypeFeatures } from '../src/noiseTypes.js';
+
+/**
+ * A preset with the given noise type and features
+ * @param {Object} fields - noiseType and/or features
+ * @returns {Object} Preset
+ */
+function preset(fields) {
+  return { version: PRESET_SCHEMA_VERSION, name: 'Test', values: {}, ...fields };
+}
+
+describe('validatePreset', () => {
+  test('rejects unknown noise types', () => {
+    ['clouds', '', 42, null].forEach(noiseType => {
+      assert.throws(() => validatePreset(preset({ noiseType })), /Unknown noise type/, JSON.stringify(noiseType));
+    });
+  });
+
+  test('rejects keys inherited from Object.prototype', () => {
+    ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf'].forEach(noiseType => {
+      assert.throws(() => validatePreset(preset({ noiseType })), /Unknown noise type/, noiseType);
+    });
+  });
+
+  test('accepts every noise type, in any case', () => {
+    Object.keys(noiseTypes).forEach(noiseType => {
+      const checked = validatePreset(preset({ noiseType: noiseType.toUpperCase() }));
+      assert.equal(checked.noiseType, noiseType);
+      assert.deepEqual(checked.features, noiseTypeFeatures(noiseType));
+    });
+  });
+
+  test('full turns every feature on, custom starts from the base type', () => {
+    const full = validatePreset(preset({ noiseType: 'full' }));
+    assert.ok(Object.values(full.features).every(active => active === true));
+
+    const custom = validatePreset(preset({ noiseType: 'custom', features: { warp: true } }));
+    assert.deepEqual(custom.features, { ...noiseTypeFeatures('base'), warp: true });
+  });
+
+  test('skips unknown, inherited and non-boolean flags', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const checked = validatePreset(preset({
+      noiseType: 'mask',
+      features: { warp: true, mask: 'yes', sparkle: true, constructor: true, toString: false }
+    }));
+
+    assert.deepEqual(checked.features, { ...noiseTypeFeatures('mask'), warp: true });
+    assert.ok(!Object.hasOwn(checked.features, 'constructor'));
+    assert.equal(warn.mock.callCount(), 4);
+  });
+
+  test('rejects features that are not a set of flags', () => {
+    [null, [], 'warp', 1].forEach(features => {
+      assert.throws(() => validatePreset(preset({ noiseType: 'base', features })), /"features"/, JSON.stringify(features));
+    });
+  });
+
+  test('leaves a preset without noise type and features unchanged', () => {
+    const plain = preset({});
+    assert.equal(validatePreset(plain), plain);
+  });
+});